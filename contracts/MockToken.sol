@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
@@ -16,22 +17,25 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  *
  * The token includes:
  * - Standard ERC20 functionality (transfer, approve, transferFrom, etc.)
+ * - EIP-2612 permit, so approvals can be signed off-chain and submitted by the spender
  * - Minting capability restricted to the contract owner
  * - Initial supply minted to the deployer
  *
  * Security considerations:
  * - Uses OpenZeppelin's ERC20 implementation for security and standard compliance
  * - Implements Ownable for privileged functions like minting
+ * - Uses OpenZeppelin's ERC20Permit, whose per-owner nonces prevent a signed permit from being replayed
  */
-contract MockToken is ERC20, Ownable {
+contract MockToken is ERC20, ERC20Permit, Ownable {
     /**
      * @notice Initializes the token with a name, symbol, and initial supply
      * @dev Constructor that creates the token and mints the initial supply to the deployer
      *
      * The constructor:
      * 1. Initializes the ERC20 token with the provided name and symbol
-     * 2. Sets the deployer as the owner of the contract
-     * 3. Mints the initial supply to the deployer, adjusted for the token's decimals
+     * 2. Initializes the EIP-712 domain used by permit, named after the token
+     * 3. Sets the deployer as the owner of the contract
+     * 4. Mints the initial supply to the deployer, adjusted for the token's decimals
      *
      * @param name The name of the token (e.g., "Quantlink Token")
      * @param symbol The symbol of the token (e.g., "QNTL")
@@ -41,7 +45,7 @@ contract MockToken is ERC20, Ownable {
         string memory name,
         string memory symbol,
         uint256 initialSupply
-    ) ERC20(name, symbol) Ownable(msg.sender) {
+    ) ERC20(name, symbol) ERC20Permit(name) Ownable(msg.sender) {
         require(initialSupply > 0, "Initial supply must be greater than zero");
         require(bytes(name).length > 0, "Token name cannot be empty");
         require(bytes(symbol).length > 0, "Token symbol cannot be empty");
@@ -0,0 +1,146 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "./StakingCore.sol";
+
+/**
+ * @title StakeReceiptToken
+ * @author Quantlink Team
+ * @notice The transferable ERC-20 receipt of the stakes in a staking pool, for example stQNTL for QNTL
+ * @dev The receipt holds no balances of its own: an account's balance is its staked balance in the pool,
+ * including locked tokens, and the total supply is the pool's total staked amount. Staking mints receipts
+ * and unstaking burns them, with the pool reporting each mint and burn so that Transfer events are emitted.
+ *
+ * Transferring receipts moves the stake they represent: the pool updates the rewards of the sender and the
+ * receiver first, so the rewards accrued until the transfer stay with the sender and the receiver earns on
+ * the stake from then on. Only unlocked stake can be transferred.
+ *
+ * The receipt is deployed for one pool and attached to it by the pool's admin with setReceiptToken. Until
+ * then, balances can be read but transfers revert.
+ *
+ * Security considerations:
+ * - Balances cannot drift from the pool, since they are read from it
+ * - Only the pool can report mints and burns, and the pool only accepts stake transfers from its receipt token
+ * - Transfers are paused together with the pool
+ */
+contract StakeReceiptToken is IERC20Metadata {
+    /// @notice The staking pool whose stakes this token represents
+    StakingCore public immutable pool;
+
+    /// @notice How many of each holder's receipts each spender can transfer
+    /// @dev Key: holder address, then spender address, Value: allowance
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    /**
+     * @notice Creates the receipt token of a staking pool
+     * @param _pool The staking pool
+     */
+    constructor(StakingCore _pool) {
+        require(address(_pool) != address(0), "Pool cannot be zero address");
+        pool = _pool;
+    }
+
+    /**
+     * @notice Returns the name of the token: "Staked " followed by the name of the staking token
+     */
+    function name() external view returns (string memory) {
+        return string.concat("Staked ", IERC20Metadata(address(pool.stakingToken())).name());
+    }
+
+    /**
+     * @notice Returns the symbol of the token: "st" followed by the symbol of the staking token
+     */
+    function symbol() external view returns (string memory) {
+        return string.concat("st", IERC20Metadata(address(pool.stakingToken())).symbol());
+    }
+
+    /**
+     * @notice Returns the decimals of the token, those of the staking token
+     */
+    function decimals() external view returns (uint8) {
+        return IERC20Metadata(address(pool.stakingToken())).decimals();
+    }
+
+    /**
+     * @notice Returns the total supply of receipts, the pool's total staked amount
+     */
+    function totalSupply() external view returns (uint256) {
+        return pool.totalStaked();
+    }
+
+    /**
+     * @notice Returns an account's receipts, its staked balance in the pool including locked tokens
+     * @param account The account to check
+     */
+    function balanceOf(address account) external view returns (uint256) {
+        return pool.stakedBalances(account);
+    }
+
+    /**
+     * @notice Allows a holder to let a spender transfer their receipts
+     * @dev An allowance of type(uint256).max is never decreased by transferFrom
+     *
+     * Requirements:
+     * - The spender cannot be the zero address
+     *
+     * @param spender The address allowed to transfer the receipts
+     * @param amount The amount of receipts the spender can transfer
+     * @return Always true
+     */
+    function approve(address spender, uint256 amount) external returns (bool) {
+        require(spender != address(0), "Approve to the zero address");
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    /**
+     * @notice Allows a holder to transfer receipts, moving the stake they represent to the receiver
+     * @dev See StakingCore.transferStake for the requirements
+     * @param to The receiver of the receipts
+     * @param amount The amount of receipts to transfer
+     * @return Always true
+     */
+    function transfer(address to, uint256 amount) external returns (bool) {
+        pool.transferStake(msg.sender, to, amount);
+        emit Transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    /**
+     * @notice Allows a spender to transfer a holder's receipts, moving the stake they represent
+     * @dev Same as transfer, spending the caller's allowance
+     *
+     * Requirements:
+     * - The caller's allowance must cover the amount
+     *
+     * @param from The holder of the receipts
+     * @param to The receiver of the receipts
+     * @param amount The amount of receipts to transfer
+     * @return Always true
+     */
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        uint256 allowed = allowance[from][msg.sender];
+        if (allowed != type(uint256).max) {
+            require(allowed >= amount, "Insufficient allowance");
+            allowance[from][msg.sender] = allowed - amount;
+        }
+
+        pool.transferStake(from, to, amount);
+        emit Transfer(from, to, amount);
+        return true;
+    }
+
+    /**
+     * @notice Emits the Transfer event of receipts minted by staking or burned by unstaking
+     * @dev Only callable by the pool, which has already updated the balances
+     * @param from The account whose receipts are burned, or the zero address for a mint
+     * @param to The account receiving minted receipts, or the zero address for a burn
+     * @param amount The amount of receipts
+     */
+    function notifyTransfer(address from, address to, uint256 amount) external {
+        require(msg.sender == address(pool), "Only the pool");
+        emit Transfer(from, to, amount);
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingContractUpgradeable.sol";
+
+/**
+ * @title ShiftedStorage
+ * @notice Declares a state variable that ends up before StakingCore's in the inheritance order
+ */
+abstract contract ShiftedStorage {
+    uint256 internal shifted;
+}
+
+/**
+ * @title StakingContractBadLayoutMock
+ * @author Quantlink Team
+ * @notice A version of StakingContractUpgradeable with an incompatible storage layout, for testing
+ * that upgrades to it are rejected
+ * @dev Inheriting ShiftedStorage first moves every StakingCore state variable one slot down, so
+ * the proxy would read stakedBalances, rewards and the rest from the wrong slots. It inherits the
+ * initializer of StakingContractUpgradeable, so only the layout check rejects it
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract StakingContractBadLayoutMock is ShiftedStorage, StakingContractUpgradeable {}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingCore.sol";
+
+/**
+ * @title StakingContractUpgradeable
+ * @author Quantlink Team
+ * @notice The staking contract, deployed behind a transparent proxy so that fixes can ship without
+ * asking stakers to unstake and restake
+ * @dev The proxy holds the state and delegates every call to this implementation. The owner of the
+ * proxy's ProxyAdmin upgrades it to a new implementation, after checking that the new storage layout
+ * is compatible with this one.
+ *
+ * Rules for later versions:
+ * - Never remove, reorder or change the type of existing state variables
+ * - Append new state variables at the end of StakingCore and shrink its __gap by the slots they take
+ * - Do not set state in a constructor or in a state variable declaration; use a reinitializer instead
+ */
+contract StakingContractUpgradeable is StakingCore {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        // The implementation itself is never used directly, so lock it
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Initializes the proxy with the specified staking and reward tokens
+     * @dev Called once, by the proxy at deployment. See __StakingCore_init; the deployer becomes the admin
+     *
+     * Requirements:
+     * - The proxy must not have been initialized yet
+     *
+     * @param _stakingToken The ERC20 token that will be staked
+     * @param _rewardToken The primary ERC20 token used for rewards (may be the staking token)
+     */
+    function initialize(IERC20 _stakingToken, IERC20 _rewardToken) external initializer {
+        __StakingCore_init(_stakingToken, _rewardToken);
+    }
+}
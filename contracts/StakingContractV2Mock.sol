@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingContractUpgradeable.sol";
+
+/**
+ * @title StakingContractV2Mock
+ * @author Quantlink Team
+ * @notice A second version of StakingContractUpgradeable, for testing upgrades
+ * @dev Appends a state variable after StakingCore's storage gap and sets it with a reinitializer,
+ * the way a real second version would add state without touching the existing layout
+ */
+contract StakingContractV2Mock is StakingContractUpgradeable {
+    /// @notice A note set when upgrading to this version
+    string public releaseNote;
+
+    /**
+     * @notice Sets up the state added in this version
+     * @dev Called once, by the proxy as part of the upgrade. The parent contracts were initialized
+     * by the first version, so their initializers are not called again
+     * @param note The release note to record
+     * @custom:oz-upgrades-validate-as-initializer
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call
+     */
+    function initializeV2(string calldata note) external reinitializer(2) {
+        releaseNote = note;
+    }
+
+    /**
+     * @notice Returns the version of the implementation
+     */
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
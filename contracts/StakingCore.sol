@@ -0,0 +1,1960 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlDefaultAdminRulesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "./StakeReceiptToken.sol";
+
+/**
+ * @title StakingCore
+ * @author Quantlink Team
+ * @notice This contract implements a staking mechanism for ERC20 tokens with a reward distribution system
+ * @dev The staking logic shared by StakingContract, deployed as is, and StakingContractUpgradeable, deployed
+ * behind a proxy. It is set up by __StakingCore_init instead of a constructor, and builds on the upgradeable
+ * OpenZeppelin contracts, which keep their state in namespaced storage, so both variants share one layout
+ *
+ * The contract implements a reward distribution mechanism based on the amount of tokens staked and the
+ * duration of the stake. Rewards are calculated per second and distributed proportionally to all stakers
+ * based on their share of the total staked amount.
+ *
+ * Users can lock their stake for one of the supported lock durations in exchange for a reward multiplier.
+ * Rewards are distributed over the boosted reward weight of each staker rather than the raw staked amount.
+ *
+ * Unstaking is a two-step exit: requestUnstake stops reward accrual on the amount and starts a cooldown,
+ * after which withdraw returns the tokens.
+ *
+ * The admin can attach a StakeReceiptToken, an ERC-20 (for example stQNTL) whose balances are the staked
+ * balances: staking mints receipts and unstaking burns them. Transferring receipts moves unlocked stake,
+ * and the reward accrual that comes with it, through transferStake.
+ *
+ * A pauser can pause the contract, which stops new stakes and reward claims. emergencyWithdraw always
+ * lets users take their staked tokens out, forfeiting their pending rewards, even while paused.
+ *
+ * Rewards can be paid in several reward tokens. Each reward token has its own reward period, reward rate,
+ * reward reserve and per-user accounting. The reward token passed at initialization is the primary reward
+ * token; the admin can add more reward tokens later.
+ *
+ * Privileged functions are split between roles: the admin (DEFAULT_ADMIN_ROLE) configures the pool and
+ * grants the other roles, a rate manager changes reward rates, a pauser pauses and unpauses, and a funder
+ * deposits rewards. Reward rate changes are queued and can only be executed once rateChangeDelay has
+ * passed, and the admin role is transferred in two steps: the new admin has to accept it.
+ *
+ * Security considerations:
+ * - Uses OpenZeppelin's SafeERC20 to safely handle token transfers
+ * - Implements ReentrancyGuard to prevent reentrancy attacks
+ * - Implements role-based access control, with a two-step admin transfer, for privileged functions
+ * - Timelocks reward rate changes so stakers can react before they take effect
+ * - Follows emission schedules of pre-announced reward rates without further transactions
+ * - Implements Pausable as a circuit breaker for staking, claiming and receipt transfers
+ * - Updates the rewards of both accounts of a receipt transfer, so no rewards are lost or duplicated
+ * - All state-changing functions update rewards before execution
+ * - Reserves a storage gap so that later versions can add state variables behind a proxy
+ */
+abstract contract StakingCore is
+    Initializable,
+    AccessControlDefaultAdminRulesUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    /// @notice Reward distribution state of a single reward token
+    /// @param rewardRate The rate at which rewards are distributed per second, derived from the current reward period
+    /// @param periodFinish The timestamp at which the current reward period ends
+    /// @param lastUpdateTime The last timestamp when the reward calculation was updated, never later than periodFinish
+    /// @param rewardPerTokenStored The accumulated reward per staked token at the last update, with 18 extra decimals
+    /// @param rewardReserve The amount of reward tokens funded but not yet distributed to stakers
+    struct Reward {
+        uint256 rewardRate;
+        uint256 periodFinish;
+        uint256 lastUpdateTime;
+        uint256 rewardPerTokenStored;
+        uint256 rewardReserve;
+    }
+
+    /// @notice A time-locked stake
+    /// @param amount The amount of tokens locked
+    /// @param unlockTime The timestamp from which the tokens can be unstaked
+    /// @param multiplier The reward multiplier of the position in basis points (10000 = 1x)
+    struct LockPosition {
+        uint256 amount;
+        uint256 unlockTime;
+        uint256 multiplier;
+    }
+
+    /// @notice A request to unstake tokens, waiting for its cooldown to end
+    /// @param amount The amount of tokens to withdraw
+    /// @param releaseTime The timestamp from which the tokens can be withdrawn
+    struct UnstakeRequest {
+        uint256 amount;
+        uint256 releaseTime;
+    }
+
+    /// @notice An account's rewards in a single reward token, as returned by getUserInfo
+    /// @param token The reward token
+    /// @param earned The rewards the account can claim now, including those not yet recorded
+    /// @param userRewardPerTokenPaid The reward per token at the account's last reward update, with 18 extra decimals
+    /// @param estimatedDailyRewards The rewards the account earns in one day at the current rate and weights
+    struct UserReward {
+        address token;
+        uint256 earned;
+        uint256 userRewardPerTokenPaid;
+        uint256 estimatedDailyRewards;
+    }
+
+    /// @notice An account's position in the pool, as returned by getUserInfo
+    /// @param stakedBalance The amount of tokens the account has staked, locked or not
+    /// @param lockedBalance The part of the staked balance that cannot be unstaked yet
+    /// @param rewardWeight The account's reward weight
+    /// @param unbondingBalance The amount of tokens waiting for their cooldown to end
+    /// @param withdrawableBalance The part of the unbonding balance that can be withdrawn now
+    /// @param autoCompound Whether the account lets anyone compound its rewards
+    /// @param rewards The account's rewards in each reward token, primary reward token first
+    struct UserInfo {
+        uint256 stakedBalance;
+        uint256 lockedBalance;
+        uint256 rewardWeight;
+        uint256 unbondingBalance;
+        uint256 withdrawableBalance;
+        bool autoCompound;
+        UserReward[] rewards;
+    }
+
+    /// @notice A queued reward rate change
+    /// @param rewardRate The proposed reward rate per second
+    /// @param executableAt The timestamp from which the change can be executed (0 if none is pending)
+    struct RateChange {
+        uint256 rewardRate;
+        uint256 executableAt;
+    }
+
+    /// @notice An epoch of an emission schedule
+    /// @param startTime The timestamp from which the epoch's reward rate applies
+    /// @param rewardRate The reward rate per second during the epoch
+    struct EmissionEpoch {
+        uint256 startTime;
+        uint256 rewardRate;
+    }
+
+    /// @notice The role that can propose, execute and cancel reward rate changes
+    bytes32 public constant RATE_MANAGER_ROLE = keccak256("RATE_MANAGER_ROLE");
+
+    /// @notice The role that can pause and unpause staking and reward claims
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice The role that can deposit rewards and start reward periods
+    bytes32 public constant FUNDER_ROLE = keccak256("FUNDER_ROLE");
+
+    /// @notice The maximum number of reward tokens per pool
+    /// @dev Bounds the gas cost of updating rewards, which iterates over all reward tokens
+    uint256 public constant MAX_REWARD_TOKENS = 8;
+
+    /// @notice The multiplier of an unlocked stake, in basis points
+    uint256 public constant MULTIPLIER_BASE = 10000;
+
+    /// @notice The highest reward multiplier a lock duration can be given, in basis points
+    uint256 public constant MAX_LOCK_MULTIPLIER = 30000;
+
+    /// @notice The maximum number of active lock positions per user
+    /// @dev Bounds the gas cost of releasing expired positions, which iterates over the user's positions
+    uint256 public constant MAX_LOCK_POSITIONS = 16;
+
+    /// @notice The longest cooldown the admin can set
+    uint256 public constant MAX_COOLDOWN_PERIOD = 30 days;
+
+    /// @notice The longest delay the admin can set between proposing and executing a reward rate change
+    uint256 public constant MAX_RATE_CHANGE_DELAY = 30 days;
+
+    /// @notice The maximum number of epochs in an emission schedule
+    /// @dev Bounds the gas cost of updating rewards, which iterates over the epochs that have not started yet
+    uint256 public constant MAX_EMISSION_EPOCHS = 16;
+
+    /// @notice The maximum number of pending unstake requests per user
+    /// @dev Bounds the gas cost of withdraw, which iterates over the user's requests
+    uint256 public constant MAX_UNSTAKE_REQUESTS = 16;
+
+    /// @notice The ERC20 token that users can stake in this contract
+    /// @dev The staking token can also be one of the reward tokens
+    IERC20 public stakingToken;
+
+    /// @notice The tokens in which rewards are paid
+    /// @dev rewardTokens[0] is the primary reward token set at initialization
+    address[] public rewardTokens;
+
+    /// @notice The reward distribution state of each reward token
+    /// @dev Key: reward token address, Value: reward state; only set for registered reward tokens
+    mapping(address => Reward) public rewardData;
+
+    /// @notice Whether a token is registered as a reward token
+    mapping(address => bool) public isRewardToken;
+
+    /// @notice Tracks the last recorded reward per token value for each user and reward token
+    /// @dev Keys: user address, reward token address
+    /// @dev Used to calculate the rewards earned since the last update, stored with 18 extra decimals of precision
+    mapping(address => mapping(address => uint256)) public userRewardPerTokenPaid;
+
+    /// @notice The accumulated rewards for each user and reward token that haven't been claimed yet
+    /// @dev Keys: user address, reward token address; updated every time a user stakes, requests to unstake, or claims rewards
+    mapping(address => mapping(address => uint256)) public rewards;
+
+    /// @notice The total amount of tokens staked in the contract
+    /// @dev Used to calculate each user's share of the rewards
+    uint256 public totalStaked;
+
+    /// @notice The amount of tokens staked by each user
+    /// @dev Key: user address, Value: staked amount
+    mapping(address => uint256) public stakedBalances;
+
+    /// @notice The total reward weight of all stakers
+    /// @dev Rewards are distributed proportionally to the reward weight instead of the staked amount
+    uint256 public totalWeight;
+
+    /// @notice The reward weight of each user: unlocked stake counts once, locked stake counts with its multiplier
+    /// @dev Key: user address, Value: reward weight
+    mapping(address => uint256) public rewardWeights;
+
+    /// @notice The reward multiplier of each supported lock duration, in basis points
+    /// @dev Key: lock duration in seconds, Value: multiplier (0 if the duration is not supported)
+    mapping(uint256 => uint256) public lockMultipliers;
+
+    /// @notice The active lock positions of each user
+    /// @dev Expired positions are released, and removed with swap-and-pop, on the user's next interaction
+    mapping(address => LockPosition[]) internal lockPositions;
+
+    /// @notice The time between requesting to unstake and being able to withdraw, in seconds
+    /// @dev Changing it does not affect requests that are already pending
+    uint256 public cooldownPeriod;
+
+    /// @notice The total amount of tokens waiting to be withdrawn
+    /// @dev Tokens in cooldown no longer count towards totalStaked and earn no rewards
+    uint256 public totalUnbonding;
+
+    /// @notice The amount of tokens each user is waiting to withdraw
+    /// @dev Key: user address, Value: sum of the user's pending unstake requests
+    mapping(address => uint256) public unbondingBalances;
+
+    /// @notice The pending unstake requests of each user
+    /// @dev Withdrawn requests are removed with swap-and-pop
+    mapping(address => UnstakeRequest[]) internal unstakeRequests;
+
+    /// @notice Whether each user lets anyone compound their rewards on their behalf
+    /// @dev Key: user address, Value: opted in to compoundFor
+    mapping(address => bool) public autoCompound;
+
+    /// @notice The time between proposing a reward rate change and being able to execute it, in seconds
+    /// @dev Changing it does not affect changes that are already pending
+    uint256 public rateChangeDelay;
+
+    /// @notice The pending reward rate change of each reward token
+    /// @dev Key: reward token address, Value: the queued change; executableAt is 0 if none is pending
+    mapping(address => RateChange) public pendingRateChanges;
+
+    /// @notice The emission schedule of each reward token
+    /// @dev Key: reward token address, Value: epochs ordered by start time; started epochs are kept until
+    /// the rate is set in another way
+    mapping(address => EmissionEpoch[]) internal emissionSchedules;
+
+    /// @notice The number of epochs of each emission schedule already applied to the rewardRate
+    /// @dev Key: reward token address, Value: index of the first epoch that had not started at the last update
+    mapping(address => uint256) internal appliedEpochs;
+
+    /// @notice The operators each user approved to claim and compound their rewards on their behalf
+    /// @dev Key: user address, then operator address, Value: approved. Operators can never move principal
+    mapping(address => mapping(address => bool)) public operators;
+
+    /// @notice The ERC-20 receipt token of the stakes, or the zero address if none is attached
+    /// @dev Set once by the admin; the only caller allowed to move stake with transferStake
+    StakeReceiptToken public receiptToken;
+
+    /// @dev Reserved storage slots, so that later versions can append state variables without shifting the
+    /// layout of a deployed proxy. Shrink it by the number of slots each new variable takes
+    uint256[27] private __gap;
+
+    // ==================== Events ====================
+
+    /// @notice Emitted when a user stakes tokens
+    /// @param user The address of the user who staked tokens
+    /// @param amount The amount of tokens staked
+    event Staked(address indexed user, uint256 amount);
+
+    /// @notice Emitted alongside Staked when tokens are staked on behalf of another user
+    /// @param user The address of the user credited with the stake
+    /// @param payer The address that paid the staked tokens
+    /// @param amount The amount of tokens staked
+    event StakedFor(address indexed user, address indexed payer, uint256 amount);
+
+    /// @notice Emitted when a user stakes tokens with a lock
+    /// @param user The address of the user who staked tokens
+    /// @param amount The amount of tokens locked
+    /// @param lockDuration The lock duration in seconds
+    /// @param unlockTime The timestamp from which the tokens can be unstaked
+    /// @param multiplier The reward multiplier of the position in basis points
+    event StakedLocked(address indexed user, uint256 amount, uint256 lockDuration, uint256 unlockTime, uint256 multiplier);
+
+    /// @notice Emitted when an expired lock position is released and its stake counts without a multiplier again
+    /// @param user The owner of the position
+    /// @param amount The amount of tokens that were locked
+    /// @param unlockTime The timestamp at which the position expired
+    event LockReleased(address indexed user, uint256 amount, uint256 unlockTime);
+
+    /// @notice Emitted when the multiplier of a lock duration is set
+    /// @param lockDuration The lock duration in seconds
+    /// @param multiplier The new multiplier in basis points (0 disables the lock duration)
+    event LockMultiplierUpdated(uint256 lockDuration, uint256 multiplier);
+
+    /// @notice Emitted when stake receipts are transferred, moving unlocked stake between accounts
+    /// @param from The account the stake was moved from
+    /// @param to The account the stake was moved to
+    /// @param amount The amount of tokens moved
+    event StakeTransferred(address indexed from, address indexed to, uint256 amount);
+
+    /// @notice Emitted when a user requests to unstake tokens
+    /// @param user The address of the user who requested to unstake
+    /// @param amount The amount of tokens unstaked
+    /// @param releaseTime The timestamp from which the tokens can be withdrawn
+    event UnstakeRequested(address indexed user, uint256 amount, uint256 releaseTime);
+
+    /// @notice Emitted when a user withdraws tokens whose cooldown has ended
+    /// @param user The address of the user who withdrew tokens
+    /// @param amount The amount of tokens withdrawn
+    event Withdrawn(address indexed user, uint256 amount);
+
+    /// @notice Emitted when a user takes their stake out with emergencyWithdraw
+    /// @param user The address of the user who withdrew tokens
+    /// @param amount The amount of staked tokens returned
+    event EmergencyWithdrawn(address indexed user, uint256 amount);
+
+    /// @notice Emitted when pending rewards are forfeited and returned to the reward reserve
+    /// @param user The address of the user who forfeited the rewards
+    /// @param rewardToken The reward token forfeited
+    /// @param amount The amount of rewards forfeited
+    event RewardForfeited(address indexed user, address indexed rewardToken, uint256 amount);
+
+    /// @notice Emitted when the cooldown period is updated
+    /// @param newCooldownPeriod The new cooldown period in seconds
+    event CooldownPeriodUpdated(uint256 newCooldownPeriod);
+
+    /// @notice Emitted when a user claims their rewards
+    /// @param user The address of the user who claimed rewards
+    /// @param rewardToken The reward token that was paid out
+    /// @param reward The amount of rewards claimed
+    event RewardClaimed(address indexed user, address indexed rewardToken, uint256 reward);
+
+    /// @notice Emitted alongside RewardClaimed when rewards are paid to another address or claimed by an operator
+    /// @param user The address of the user whose rewards were claimed
+    /// @param rewardToken The reward token that was paid out
+    /// @param recipient The address that received the rewards
+    /// @param caller The address that claimed (the user or one of their operators)
+    /// @param reward The amount of rewards claimed
+    event RewardClaimedTo(
+        address indexed user, address indexed rewardToken, address indexed recipient, address caller, uint256 reward
+    );
+
+    /// @notice Emitted when a user's staking token rewards are added to their stake
+    /// @param user The address of the user whose rewards were compounded
+    /// @param caller The address that triggered the compounding (the user or a keeper)
+    /// @param amount The amount of rewards added to the stake
+    event Compounded(address indexed user, address indexed caller, uint256 amount);
+
+    /// @notice Emitted when a user opts in to or out of compounding by anyone
+    /// @param user The address of the user
+    /// @param enabled Whether compoundFor is allowed for the user
+    event AutoCompoundSet(address indexed user, bool enabled);
+
+    /// @notice Emitted when a user approves or revokes an operator
+    /// @param user The address of the user
+    /// @param operator The address allowed to claim and compound for the user
+    /// @param approved Whether the operator is approved
+    event OperatorSet(address indexed user, address indexed operator, bool approved);
+
+    /// @notice Emitted when the reward rate is updated
+    /// @param rewardToken The reward token whose rate changed
+    /// @param newRate The new reward rate per second
+    event RewardRateUpdated(address indexed rewardToken, uint256 newRate);
+
+    /// @notice Emitted when a reward rate change is queued
+    /// @param rewardToken The reward token whose rate would change
+    /// @param newRate The proposed reward rate per second
+    /// @param executableAt The timestamp from which the change can be executed
+    event RewardRateChangeProposed(address indexed rewardToken, uint256 newRate, uint256 executableAt);
+
+    /// @notice Emitted when a queued reward rate change is dropped without being executed
+    /// @param rewardToken The reward token of the change
+    /// @param newRate The reward rate that was proposed
+    event RewardRateChangeCancelled(address indexed rewardToken, uint256 newRate);
+
+    /// @notice Emitted when the delay of reward rate changes is updated
+    /// @param newDelay The new delay in seconds
+    event RateChangeDelayUpdated(uint256 newDelay);
+
+    /// @notice Emitted for each epoch of a new emission schedule
+    /// @param rewardToken The reward token of the schedule
+    /// @param epoch The index of the epoch in the schedule
+    /// @param startTime The timestamp from which the epoch's reward rate applies
+    /// @param rewardRate The reward rate per second during the epoch
+    event EmissionEpochScheduled(address indexed rewardToken, uint256 epoch, uint256 startTime, uint256 rewardRate);
+
+    /// @notice Emitted when the epochs of an emission schedule that have not started are dropped
+    /// @param rewardToken The reward token of the schedule
+    /// @param epochsCancelled The number of epochs dropped
+    event EmissionScheduleCancelled(address indexed rewardToken, uint256 epochsCancelled);
+
+    /// @notice Emitted when a reward period is started or topped up
+    /// @param rewardToken The reward token of the period
+    /// @param reward The amount of reward tokens deposited for the period
+    /// @param duration The duration of the period in seconds
+    /// @param periodFinish The timestamp at which the period ends
+    event RewardAdded(address indexed rewardToken, uint256 reward, uint256 duration, uint256 periodFinish);
+
+    /// @notice Emitted when reward tokens are added to the reward reserve
+    /// @param rewardToken The reward token that was funded
+    /// @param funder The address that provided the reward tokens
+    /// @param amount The amount of reward tokens added
+    event RewardsFunded(address indexed rewardToken, address indexed funder, uint256 amount);
+
+    /// @notice Emitted when the admin attaches the receipt token
+    /// @param receiptToken The address of the receipt token
+    event ReceiptTokenSet(address indexed receiptToken);
+
+    /// @notice Emitted when a new reward token is registered
+    /// @param rewardToken The address of the new reward token
+    event RewardTokenAdded(address indexed rewardToken);
+
+    /**
+     * @notice Initializes the staking contract with the specified staking and reward tokens
+     * @dev Called once, by the constructor of StakingContract or the initializer of StakingContractUpgradeable.
+     * Sets up the contract with the token to be staked and the primary reward token, enables
+     * 30, 90 and 180 day locks with 1.25x, 1.5x and 2x reward multipliers, sets a 7 day
+     * unstaking cooldown and a 2 day reward rate change delay. The caller becomes the admin and
+     * is granted every other role. Admin transfers can be accepted without an extra delay until the
+     * admin sets one with changeDefaultAdminDelay. No rewards are
+     * distributed until a funder starts a reward period with notifyRewardAmount.
+     * @param _stakingToken The ERC20 token that will be staked
+     * @param _rewardToken The primary ERC20 token used for rewards (may be the staking token)
+     */
+    function __StakingCore_init(IERC20 _stakingToken, IERC20 _rewardToken) internal onlyInitializing {
+        __AccessControlDefaultAdminRules_init(0, msg.sender);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+
+        require(address(_stakingToken) != address(0), "Staking token cannot be zero address");
+
+        stakingToken = _stakingToken;
+        _addRewardToken(address(_rewardToken));
+
+        _setLockMultiplier(30 days, 12500);
+        _setLockMultiplier(90 days, 15000);
+        _setLockMultiplier(180 days, 20000);
+
+        _setCooldownPeriod(7 days);
+        _setRateChangeDelay(2 days);
+
+        _grantRole(RATE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(FUNDER_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Updates reward-related variables before executing a function
+     * @dev This modifier ensures that reward calculations are up-to-date before any state changes
+     *
+     * See _updateReward for the operations performed. This modifier is applied to all state-changing
+     * functions to ensure accurate reward tracking.
+     *
+     * @param account The address for which to update rewards, or address(0) to only update global values
+     */
+    modifier updateReward(address account) {
+        _updateReward(account);
+        _;
+    }
+
+    /**
+     * @notice Ensures that a token is a registered reward token
+     * @param token The token to check
+     */
+    modifier onlyRewardToken(address token) {
+        require(isRewardToken[token], "Not a reward token");
+        _;
+    }
+
+    /**
+     * @notice Updates the reward state of every reward token
+     * @dev For each reward token, this function performs the following operations:
+     * 1. Updates the global rewardPerTokenStored based on the time elapsed since the last update
+     * 2. Moves the rewards distributed since the last update out of the rewardReserve
+     * 3. Updates the lastUpdateTime to the current timestamp, or to periodFinish if the period has ended
+     * 4. Sets the rewardRate to the rate of the latest emission epoch that has started, if any
+     * 5. If an account is specified (not address(0)), updates that account's earned rewards
+     *    and their userRewardPerTokenPaid value
+     *
+     * Once the rewards of an account are up to date, its expired lock positions are released.
+     *
+     * @param account The address for which to update rewards, or address(0) to only update global values
+     */
+    function _updateReward(address account) internal {
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address token = rewardTokens[i];
+            Reward storage data = rewardData[token];
+
+            // Update global reward variables
+            data.rewardPerTokenStored = rewardPerToken(token);
+            data.rewardReserve -= _pendingDistribution(token);
+            data.lastUpdateTime = lastTimeRewardApplicable(token);
+            data.rewardRate = _currentRewardRate(token);
+            appliedEpochs[token] = _startedEpochs(token);
+
+            // Update account-specific reward variables if an account is specified
+            if (account != address(0)) {
+                rewards[account][token] = earned(account, token);
+                userRewardPerTokenPaid[account][token] = data.rewardPerTokenStored;
+            }
+        }
+
+        if (account != address(0)) {
+            _releaseExpiredLocks(account);
+        }
+    }
+
+    /**
+     * @notice Releases the expired lock positions of an account
+     * @dev The boosted part of each expired position's weight is removed, so its tokens count
+     * once like any unlocked stake. Positions are removed with swap-and-pop, which changes the
+     * index of the last position.
+     *
+     * Expects the account's rewards to be up to date, so the boost applies until this point.
+     *
+     * @param account The account whose positions to release
+     */
+    function _releaseExpiredLocks(address account) internal {
+        LockPosition[] storage positions = lockPositions[account];
+        uint256 i = positions.length;
+        while (i > 0) {
+            i--;
+            LockPosition memory position = positions[i];
+            if (position.unlockTime > block.timestamp) {
+                continue;
+            }
+
+            uint256 boost = _weight(position.amount, position.multiplier) - position.amount;
+            rewardWeights[account] -= boost;
+            totalWeight -= boost;
+
+            positions[i] = positions[positions.length - 1];
+            positions.pop();
+
+            emit LockReleased(account, position.amount, position.unlockTime);
+        }
+    }
+
+    /**
+     * @notice Returns the reward weight of an amount of tokens at a multiplier
+     * @param amount The amount of tokens
+     * @param multiplier The multiplier in basis points
+     * @return The reward weight
+     */
+    function _weight(uint256 amount, uint256 multiplier) internal pure returns (uint256) {
+        return (amount * multiplier) / MULTIPLIER_BASE;
+    }
+
+    /**
+     * @notice Returns the last timestamp at which rewards are distributed for a reward token
+     * @dev Rewards stop at the end of the current reward period
+     *
+     * @param token The reward token
+     * @return The current timestamp, or periodFinish if the reward period has ended
+     */
+    function lastTimeRewardApplicable(address token) public view returns (uint256) {
+        uint256 periodFinish = rewardData[token].periodFinish;
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    /**
+     * @notice Calculates the current reward per token based on time elapsed and total staked amount
+     * @dev This function computes the accumulated reward per staked token since the last update
+     *
+     * The formula used is:
+     * rewardPerTokenStored + ((distributed * 1e18) / totalWeight)
+     *
+     * Where:
+     * - rewardPerTokenStored is the previously accumulated reward per token
+     * - distributed is the emission since the last update, up to lastTimeRewardApplicable(), capped at the rewardReserve
+     * - the emission is timeElapsed * rewardRate, where each emission epoch that started since the last
+     *   update sets the rate from its start time, so no transaction is needed at epoch boundaries
+     * - 1e18 is used for precision (18 decimal places)
+     * - totalWeight is the total reward weight of all stakers
+     *
+     * If no tokens are staked (totalWeight = 0), the function returns the previously stored value
+     * to avoid division by zero.
+     *
+     * @param token The reward token
+     * @return The current reward per unit of reward weight with 18 decimal precision
+     */
+    function rewardPerToken(address token) public view returns (uint256) {
+        // If no tokens are staked, return the previously stored value
+        if (totalWeight == 0) {
+            return rewardData[token].rewardPerTokenStored;
+        }
+
+        // Calculate the new reward per token based on the rewards distributed since the last update
+        uint256 rewardForPeriod = (_pendingDistribution(token) * 1e18) / totalWeight;
+
+        return rewardData[token].rewardPerTokenStored + rewardForPeriod;
+    }
+
+    /**
+     * @notice Calculates the rewards of a reward token distributed to stakers since the last update
+     * @dev Rewards only accrue while tokens are staked and the reward period is running, and never beyond
+     * what is left in the rewardReserve. Once the reserve is exhausted, accrual stops until the pool is funded again.
+     *
+     * @param token The reward token
+     * @return The amount of reward tokens distributed since lastUpdateTime
+     */
+    function _pendingDistribution(address token) internal view returns (uint256) {
+        if (totalWeight == 0) {
+            return 0;
+        }
+
+        Reward storage data = rewardData[token];
+        uint256 distribution = _emission(token, data.lastUpdateTime, lastTimeRewardApplicable(token));
+
+        return distribution < data.rewardReserve ? distribution : data.rewardReserve;
+    }
+
+    /**
+     * @notice Calculates the rewards of a reward token emitted between two timestamps, ignoring the reserve
+     * @dev The rewardRate applies until the start of the next emission epoch that has not been applied,
+     * and each such epoch's rate applies until the start of the next one.
+     *
+     * @param token The reward token
+     * @param from The start of the interval, no earlier than lastUpdateTime
+     * @param to The end of the interval, no later than periodFinish
+     * @return emitted The amount of reward tokens emitted
+     */
+    function _emission(address token, uint256 from, uint256 to) internal view returns (uint256 emitted) {
+        EmissionEpoch[] storage epochs = emissionSchedules[token];
+        uint256 rate = rewardData[token].rewardRate;
+        for (uint256 i = appliedEpochs[token]; i < epochs.length && epochs[i].startTime < to; i++) {
+            if (epochs[i].startTime > from) {
+                emitted += (epochs[i].startTime - from) * rate;
+                from = epochs[i].startTime;
+            }
+            rate = epochs[i].rewardRate;
+        }
+        if (to > from) {
+            emitted += (to - from) * rate;
+        }
+    }
+
+    /**
+     * @notice Returns the number of epochs of a reward token's emission schedule that have started
+     * @param token The reward token
+     * @return count The number of epochs whose start time has been reached
+     */
+    function _startedEpochs(address token) internal view returns (uint256 count) {
+        EmissionEpoch[] storage epochs = emissionSchedules[token];
+        count = appliedEpochs[token];
+        while (count < epochs.length && epochs[count].startTime <= block.timestamp) {
+            count++;
+        }
+    }
+
+    /**
+     * @notice Returns the reward rate of a reward token at the current timestamp
+     * @param token The reward token
+     * @return The rate of the latest emission epoch that has started, or the rewardRate if none started since the last update
+     */
+    function _currentRewardRate(address token) internal view returns (uint256) {
+        uint256 started = _startedEpochs(token);
+        return started > appliedEpochs[token] ? emissionSchedules[token][started - 1].rewardRate : rewardData[token].rewardRate;
+    }
+
+    /**
+     * @notice Calculates the total rewards of a reward token earned by an account
+     * @dev This function computes the total rewards earned by an account based on their stake
+     *
+     * The formula used is:
+     * ((rewardWeight * (rewardPerToken - userRewardPerTokenPaid)) / 1e18) + existingRewards
+     *
+     * Where:
+     * - rewardWeight is the boosted reward weight of the account
+     * - rewardPerToken is the current reward per token (from rewardPerToken())
+     * - userRewardPerTokenPaid is the last recorded reward per token for this account
+     * - 1e18 is used to adjust for the precision in rewardPerToken
+     * - existingRewards is the previously accumulated rewards for this account
+     *
+     * This calculation accounts for both newly earned rewards since the last update and
+     * previously accumulated rewards that haven't been claimed yet.
+     *
+     * @param account The address to calculate rewards for
+     * @param token The reward token
+     * @return The total amount of rewards earned by the account
+     */
+    function earned(address account, address token) public view returns (uint256) {
+        // Calculate newly earned rewards based on the stake and reward per token difference
+        uint256 currentRewardPerToken = rewardPerToken(token);
+        uint256 rewardPerTokenDifference = currentRewardPerToken - userRewardPerTokenPaid[account][token];
+        uint256 newlyEarned = (rewardWeights[account] * rewardPerTokenDifference) / 1e18;
+
+        // Add newly earned rewards to previously accumulated rewards
+        return newlyEarned + rewards[account][token];
+    }
+
+    /**
+     * @notice Allows a user to stake tokens in the contract
+     * @dev Stakes the specified amount of tokens and updates the user's rewards
+     *
+     * This function:
+     * 1. Updates the user's rewards before staking (via the updateReward modifier)
+     * 2. Transfers the specified amount of tokens from the user to the contract
+     * 3. Updates the user's staked balance, reward weight and the totals, minting the user's receipts
+     * 4. Emits a Staked event
+     *
+     * The stake is not locked and earns rewards without a multiplier.
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The amount must be greater than 0
+     * - The user must have approved the contract to transfer the tokens
+     * - The user must have sufficient token balance
+     *
+     * Security considerations:
+     * - Uses nonReentrant modifier to prevent reentrancy attacks
+     * - Uses SafeERC20 for secure token transfers
+     * - Updates rewards before any state changes
+     *
+     * @param amount The amount of tokens to stake
+     */
+    function stake(uint256 amount) external nonReentrant whenNotPaused updateReward(msg.sender) {
+        require(amount > 0, "Cannot stake 0");
+
+        _stake(msg.sender, msg.sender, amount, amount);
+
+        // Emit staking event
+        emit Staked(msg.sender, amount);
+    }
+
+    /**
+     * @notice Allows a user to stake tokens in a single transaction, approving them with an EIP-2612 permit
+     * @dev Submits the user's signed permit to the staking token, then stakes like stake()
+     *
+     * This function:
+     * 1. Updates the user's rewards before staking (via the updateReward modifier)
+     * 2. Calls permit on the staking token, approving this contract to transfer the amount
+     * 3. Transfers the specified amount of tokens from the user to the contract
+     * 4. Updates the user's staked balance, reward weight and the totals
+     * 5. Emits a Staked event
+     *
+     * The permit must be signed by the caller for this contract as the spender and for exactly the
+     * staked amount. The staking token rejects expired deadlines, wrong signers and replayed nonces.
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The amount must be greater than 0
+     * - The staking token must implement EIP-2612
+     * - The permit signature must be valid and its deadline must not have passed
+     * - The user must have sufficient token balance
+     *
+     * @param amount The amount of tokens to stake
+     * @param deadline The timestamp after which the permit is no longer valid
+     * @param v The recovery byte of the permit signature
+     * @param r The first 32 bytes of the permit signature
+     * @param s The second 32 bytes of the permit signature
+     */
+    function stakeWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        whenNotPaused
+        updateReward(msg.sender)
+    {
+        require(amount > 0, "Cannot stake 0");
+
+        IERC20Permit(address(stakingToken)).permit(msg.sender, address(this), amount, deadline, v, r, s);
+        _stake(msg.sender, msg.sender, amount, amount);
+
+        emit Staked(msg.sender, amount);
+    }
+
+    /**
+     * @notice Allows anyone, such as a treasury or a custodian, to stake tokens on behalf of a user
+     * @dev Stakes like stake(), pulling the tokens from the caller and crediting them to the beneficiary
+     *
+     * This function:
+     * 1. Updates the beneficiary's rewards before staking (via the updateReward modifier)
+     * 2. Transfers the specified amount of tokens from the caller to the contract
+     * 3. Updates the beneficiary's staked balance, reward weight and the totals
+     * 4. Emits Staked and StakedFor events
+     *
+     * The stake belongs to the beneficiary alone: only the beneficiary can unstake and withdraw it,
+     * and the caller keeps no claim on the tokens.
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The amount must be greater than 0
+     * - The beneficiary cannot be the zero address
+     * - The caller must have approved the contract to transfer the tokens
+     *
+     * @param beneficiary The account credited with the stake
+     * @param amount The amount of tokens to stake
+     */
+    function stakeFor(address beneficiary, uint256 amount)
+        external
+        nonReentrant
+        whenNotPaused
+        updateReward(beneficiary)
+    {
+        require(amount > 0, "Cannot stake 0");
+        require(beneficiary != address(0), "Invalid beneficiary");
+
+        _stake(beneficiary, msg.sender, amount, amount);
+
+        emit Staked(beneficiary, amount);
+        emit StakedFor(beneficiary, msg.sender, amount);
+    }
+
+    /**
+     * @notice Allows a user to stake tokens with a lock, earning rewards with the lock duration's multiplier
+     * @dev Stakes the specified amount of tokens in a new lock position
+     *
+     * This function:
+     * 1. Updates the user's rewards before staking (via the updateReward modifier)
+     * 2. Transfers the specified amount of tokens from the user to the contract
+     * 3. Records a lock position that unlocks after the lock duration
+     * 4. Adds the amount times the multiplier to the user's reward weight
+     * 5. Emits Staked and StakedLocked events
+     *
+     * The locked tokens cannot be unstaked before the position unlocks. Once it has expired, the
+     * position is released on the user's next interaction (or by anyone through releaseExpiredLocks)
+     * and its tokens count without a multiplier again.
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The amount must be greater than 0
+     * - The lock duration must be supported (see lockMultipliers)
+     * - The user cannot have more than MAX_LOCK_POSITIONS active lock positions
+     * - The user must have approved the contract to transfer the tokens
+     *
+     * @param amount The amount of tokens to stake
+     * @param lockDuration The lock duration in seconds
+     */
+    function stakeLocked(uint256 amount, uint256 lockDuration)
+        external
+        nonReentrant
+        whenNotPaused
+        updateReward(msg.sender)
+    {
+        require(amount > 0, "Cannot stake 0");
+        uint256 multiplier = lockMultipliers[lockDuration];
+        require(multiplier > 0, "Unsupported lock duration");
+        require(lockPositions[msg.sender].length < MAX_LOCK_POSITIONS, "Too many lock positions");
+
+        uint256 unlockTime = block.timestamp + lockDuration;
+        lockPositions[msg.sender].push(LockPosition({amount: amount, unlockTime: unlockTime, multiplier: multiplier}));
+
+        _stake(msg.sender, msg.sender, amount, _weight(amount, multiplier));
+
+        emit Staked(msg.sender, amount);
+        emit StakedLocked(msg.sender, amount, lockDuration, unlockTime, multiplier);
+    }
+
+    /**
+     * @notice Records a stake, mints its receipts and pulls the staked tokens from the payer
+     * @param account The account credited with the stake
+     * @param payer The address the staked tokens are transferred from
+     * @param amount The amount of tokens to stake
+     * @param weight The reward weight the stake adds
+     */
+    function _stake(address account, address payer, uint256 amount, uint256 weight) internal {
+        // Update state variables
+        totalStaked += amount;
+        stakedBalances[account] += amount;
+        totalWeight += weight;
+        rewardWeights[account] += weight;
+        _notifyReceipt(address(0), account, amount);
+
+        // Transfer tokens from the payer to this contract
+        // This will revert if the payer hasn't approved enough tokens or has insufficient balance
+        stakingToken.safeTransferFrom(payer, address(this), amount);
+    }
+
+    /**
+     * @notice Allows a user to request to unstake tokens from the contract
+     * @dev Unstakes the specified amount of tokens into a pending withdrawal and updates the user's rewards
+     *
+     * This function:
+     * 1. Updates the user's rewards before unstaking (via the updateReward modifier)
+     * 2. Reduces the user's staked balance, reward weight and the totals, so the amount stops earning rewards,
+     *    and burns the user's receipts
+     * 3. Records an unstake request that can be withdrawn once the cooldown period has passed
+     * 4. Emits an UnstakeRequested event
+     *
+     * Expired lock positions are released before unstaking, so only the tokens of positions that
+     * are still locked are held back.
+     *
+     * Requirements:
+     * - The amount must be greater than 0
+     * - The user must have at least the specified amount of tokens staked
+     * - The amount cannot include tokens that are still locked
+     * - The user cannot have more than MAX_UNSTAKE_REQUESTS pending requests
+     *
+     * Security considerations:
+     * - Uses nonReentrant modifier to prevent reentrancy attacks
+     * - Updates rewards before any state changes
+     * - Checks user's staked balance before unstaking
+     *
+     * @param amount The amount of tokens to unstake
+     */
+    function requestUnstake(uint256 amount) external nonReentrant updateReward(msg.sender) {
+        require(amount > 0, "Cannot unstake 0");
+        require(stakedBalances[msg.sender] >= amount, "Not enough staked tokens");
+        require(stakedBalances[msg.sender] - lockedBalanceOf(msg.sender) >= amount, "Tokens are locked");
+        require(unstakeRequests[msg.sender].length < MAX_UNSTAKE_REQUESTS, "Too many pending withdrawals");
+
+        // Update state variables
+        // Unlocked tokens count once towards the reward weight
+        totalStaked -= amount;
+        stakedBalances[msg.sender] -= amount;
+        totalWeight -= amount;
+        rewardWeights[msg.sender] -= amount;
+        _notifyReceipt(msg.sender, address(0), amount);
+
+        // Start the cooldown
+        uint256 releaseTime = block.timestamp + cooldownPeriod;
+        totalUnbonding += amount;
+        unbondingBalances[msg.sender] += amount;
+        unstakeRequests[msg.sender].push(UnstakeRequest({amount: amount, releaseTime: releaseTime}));
+
+        // Emit unstake request event
+        emit UnstakeRequested(msg.sender, amount, releaseTime);
+    }
+
+    /**
+     * @notice Allows a user to withdraw the tokens of all unstake requests whose cooldown has ended
+     * @dev Releases every matured request of the caller in a single transfer
+     *
+     * This function:
+     * 1. Removes the caller's requests whose release time has passed
+     * 2. Transfers the sum of their amounts back to the caller
+     * 3. Emits a Withdrawn event
+     *
+     * Requirements:
+     * - At least one request of the caller must have matured
+     *
+     * Security considerations:
+     * - Uses nonReentrant modifier to prevent reentrancy attacks
+     * - Uses SafeERC20 for secure token transfers
+     * - Updates balances before transferring tokens
+     */
+    function withdraw() external nonReentrant {
+        UnstakeRequest[] storage requests = unstakeRequests[msg.sender];
+        uint256 amount = 0;
+        uint256 i = requests.length;
+        while (i > 0) {
+            i--;
+            if (requests[i].releaseTime > block.timestamp) {
+                continue;
+            }
+
+            amount += requests[i].amount;
+            requests[i] = requests[requests.length - 1];
+            requests.pop();
+        }
+        require(amount > 0, "Nothing to withdraw");
+
+        // Update state variables
+        totalUnbonding -= amount;
+        unbondingBalances[msg.sender] -= amount;
+
+        // Transfer tokens back to sender
+        stakingToken.safeTransfer(msg.sender, amount);
+
+        // Emit withdrawal event
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Allows a user to take out their whole stake immediately, forfeiting their pending rewards
+     * @dev Works while the contract is paused and does not run any reward calculation, so it stays
+     * available even if the reward accounting is broken
+     *
+     * This function:
+     * 1. Returns the user's pending rewards of every reward token to its rewardReserve
+     * 2. Removes the user's stake, reward weight and lock positions, ignoring locks, and burns the user's receipts
+     * 3. Transfers the staked tokens back to the user, without a cooldown
+     * 4. Emits RewardForfeited events and an EmergencyWithdrawn event
+     *
+     * Rewards accrued since the last update are not credited to the user; they go to the remaining
+     * stakers on the next update. Pending unstake requests are unaffected and can still be withdrawn.
+     *
+     * Requirements:
+     * - The user must have tokens staked
+     *
+     * Security considerations:
+     * - Uses nonReentrant modifier to prevent reentrancy attacks
+     * - Uses SafeERC20 for secure token transfers
+     * - Updates balances before transferring tokens
+     */
+    function emergencyWithdraw() external nonReentrant {
+        uint256 amount = stakedBalances[msg.sender];
+        require(amount > 0, "Nothing staked");
+
+        // Forfeit pending rewards back to the reserves
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address token = rewardTokens[i];
+            uint256 forfeited = rewards[msg.sender][token];
+            if (forfeited > 0) {
+                rewards[msg.sender][token] = 0;
+                rewardData[token].rewardReserve += forfeited;
+                emit RewardForfeited(msg.sender, token, forfeited);
+            }
+        }
+
+        // Remove the stake, including locked tokens
+        totalStaked -= amount;
+        stakedBalances[msg.sender] = 0;
+        totalWeight -= rewardWeights[msg.sender];
+        rewardWeights[msg.sender] = 0;
+        delete lockPositions[msg.sender];
+        _notifyReceipt(msg.sender, address(0), amount);
+
+        // Transfer tokens back to sender
+        stakingToken.safeTransfer(msg.sender, amount);
+
+        emit EmergencyWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @notice Allows a user to claim their accumulated rewards in one reward token
+     * @dev Claims all accumulated rewards of the given token for the caller and transfers them to the caller's address
+     *
+     * This function:
+     * 1. Updates the user's rewards before claiming (via the updateReward modifier)
+     * 2. Pays out the user's accumulated rewards of the given token (see _claim)
+     *
+     * Rewards are paid out of the rewardReserve only: accrual is capped at the funded reserve, so a
+     * claim can never be paid from other users' staked principal.
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The token must be a registered reward token
+     *
+     * Security considerations:
+     * - Uses nonReentrant modifier to prevent reentrancy attacks
+     * - Uses SafeERC20 for secure token transfers
+     * - Updates rewards before any state changes
+     * - Only transfers rewards if they are greater than 0
+     *
+     * @param token The reward token to claim
+     */
+    function claimReward(address token)
+        external
+        nonReentrant
+        whenNotPaused
+        onlyRewardToken(token)
+        updateReward(msg.sender)
+    {
+        _claim(msg.sender, msg.sender, token);
+    }
+
+    /**
+     * @notice Allows a user to claim their accumulated rewards in every reward token
+     * @dev Same as claimReward, for each registered reward token in turn
+     *
+     * Requirements:
+     * - The contract must not be paused
+     */
+    function claimAll() external nonReentrant whenNotPaused updateReward(msg.sender) {
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            _claim(msg.sender, msg.sender, rewardTokens[i]);
+        }
+    }
+
+    /**
+     * @notice Allows a user to claim their accumulated rewards in every reward token to another address
+     * @dev Same as claimAll, paying the rewards to the recipient, such as a cold wallet, instead of the caller
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The recipient cannot be the zero address
+     *
+     * @param recipient The address to pay the rewards to
+     */
+    function claimRewardTo(address recipient) external nonReentrant whenNotPaused updateReward(msg.sender) {
+        require(recipient != address(0), "Invalid recipient");
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            _claim(msg.sender, recipient, rewardTokens[i]);
+        }
+    }
+
+    /**
+     * @notice Allows an approved operator to claim a user's accumulated rewards in every reward token
+     * @dev Same as claimAll on behalf of the account. The rewards are always paid to the account itself,
+     * so an operator cannot redirect them
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The caller must be an operator approved by the account (see setOperator)
+     *
+     * @param account The account whose rewards to claim
+     */
+    function claimFor(address account) external nonReentrant whenNotPaused updateReward(account) {
+        require(operators[account][msg.sender], "Not an approved operator");
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            _claim(account, account, rewardTokens[i]);
+        }
+    }
+
+    /**
+     * @notice Allows a user to add their staking token rewards to their stake
+     * @dev Moves the caller's accumulated rewards of the staking token into their staked balance
+     * without transferring any tokens, since the rewards are already held by the contract
+     *
+     * See _compound for the operations performed.
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The staking token must be a reward token of this pool
+     * - The caller must have staking token rewards to compound
+     */
+    function compound() external nonReentrant whenNotPaused updateReward(msg.sender) {
+        _compound(msg.sender);
+    }
+
+    /**
+     * @notice Allows anyone, such as a keeper, to compound the rewards of a user who opted in
+     * @dev Same as compound, on behalf of an account that enabled autoCompound or approved the caller
+     * as an operator
+     *
+     * Requirements:
+     * - The contract must not be paused
+     * - The account must have opted in with setAutoCompound, or the caller must be one of its operators
+     * - The staking token must be a reward token of this pool
+     * - The account must have staking token rewards to compound
+     *
+     * @param account The account whose rewards to compound
+     */
+    function compoundFor(address account) external nonReentrant whenNotPaused updateReward(account) {
+        require(autoCompound[account] || operators[account][msg.sender], "Auto-compound not enabled");
+        _compound(account);
+    }
+
+    /**
+     * @notice Allows a user to opt in to or out of having their rewards compounded by anyone
+     * @param enabled Whether compoundFor is allowed for the caller
+     */
+    function setAutoCompound(bool enabled) external {
+        autoCompound[msg.sender] = enabled;
+        emit AutoCompoundSet(msg.sender, enabled);
+    }
+
+    /**
+     * @notice Allows a user to approve or revoke an operator that claims and compounds on their behalf
+     * @dev An operator can call claimFor and compoundFor for the user. It cannot unstake, withdraw or
+     * redirect rewards, so the user's principal stays under the user's sole control
+     *
+     * Requirements:
+     * - The operator cannot be the zero address or the caller
+     *
+     * @param operator The address to approve or revoke
+     * @param approved Whether the operator is approved
+     */
+    function setOperator(address operator, bool approved) external {
+        require(operator != address(0) && operator != msg.sender, "Invalid operator");
+        operators[msg.sender][operator] = approved;
+        emit OperatorSet(msg.sender, operator, approved);
+    }
+
+    /**
+     * @notice Moves an account's staking token rewards into its stake
+     * @dev Expects the account's rewards to be up to date
+     *
+     * This function:
+     * 1. Resets the account's staking token rewards to 0
+     * 2. Adds them to the account's staked balance and reward weight (unlocked, without a multiplier) and to the totals,
+     *    minting the account's receipts
+     * 3. Emits Staked and Compounded events
+     *
+     * The rewards were already moved out of the rewardReserve when they accrued, so the tokens only
+     * change from being owed as rewards to being held as stake.
+     *
+     * @param account The account whose rewards to compound
+     */
+    function _compound(address account) internal {
+        address token = address(stakingToken);
+        require(isRewardToken[token], "Staking token is not a reward token");
+
+        uint256 amount = rewards[account][token];
+        require(amount > 0, "No rewards to compound");
+
+        rewards[account][token] = 0;
+        totalStaked += amount;
+        stakedBalances[account] += amount;
+        totalWeight += amount;
+        rewardWeights[account] += amount;
+        _notifyReceipt(address(0), account, amount);
+
+        emit Staked(account, amount);
+        emit Compounded(account, msg.sender, amount);
+    }
+
+    /**
+     * @notice Pays out an account's accumulated rewards of one reward token
+     * @dev Expects the account's rewards to be up to date
+     *
+     * This function:
+     * 1. Retrieves the user's accumulated rewards
+     * 2. If rewards are greater than 0:
+     *    a. Resets the user's rewards to 0
+     *    b. Transfers the rewards to the recipient
+     *    c. Emits a RewardClaimed event, and a RewardClaimedTo event if the recipient or the caller
+     *       is not the account
+     *
+     * @param account The account whose rewards to pay out
+     * @param recipient The address to pay the rewards to
+     * @param token The reward token to pay out
+     */
+    function _claim(address account, address recipient, address token) internal {
+        // Get the accumulated rewards for the account
+        uint256 reward = rewards[account][token];
+
+        // Only process if there are rewards to claim
+        if (reward > 0) {
+            // Reset rewards to 0 before transfer to prevent reentrancy issues
+            rewards[account][token] = 0;
+
+            // Transfer rewards to the recipient
+            IERC20(token).safeTransfer(recipient, reward);
+
+            // Emit reward claimed event
+            emit RewardClaimed(account, token, reward);
+            if (recipient != account || msg.sender != account) {
+                emit RewardClaimedTo(account, token, recipient, msg.sender, reward);
+            }
+        }
+    }
+
+    /**
+     * @notice Releases the expired lock positions of an account
+     * @dev Callable by anyone, so that expired positions stop earning their multiplier even if
+     * their owner does not interact with the contract
+     *
+     * @param account The account whose expired positions to release
+     */
+    function releaseExpiredLocks(address account) external nonReentrant updateReward(account) {}
+
+    /**
+     * @notice Moves unlocked stake, and the reward weight it carries, from one account to another
+     * @dev Called by the receipt token when receipts are transferred. No tokens are transferred: the
+     * staked tokens stay in the contract
+     *
+     * This function:
+     * 1. Updates the rewards of both accounts, so the rewards accrued until now stay with the sender
+     * 2. Moves the amount from the sender's staked balance and reward weight to the receiver's
+     * 3. Emits a StakeTransferred event
+     *
+     * Locked tokens cannot be transferred, since their lock positions and multipliers belong to the
+     * sender. The receiver gets an unlocked stake that it can unstake like any other.
+     *
+     * Requirements:
+     * - Can only be called by the receipt token
+     * - The contract must not be paused
+     * - The receiver cannot be the zero address
+     * - The sender must have at least the amount of unlocked stake
+     *
+     * @param from The account to move the stake from
+     * @param to The account to move the stake to
+     * @param amount The amount of tokens to move
+     */
+    function transferStake(address from, address to, uint256 amount) external nonReentrant whenNotPaused {
+        require(msg.sender == address(receiptToken), "Only the receipt token");
+        require(to != address(0), "Transfer to the zero address");
+        _updateReward(from);
+        _updateReward(to);
+        require(stakedBalances[from] >= amount, "Not enough staked tokens");
+        require(stakedBalances[from] - lockedBalanceOf(from) >= amount, "Tokens are locked");
+
+        // Unlocked tokens count once towards the reward weight
+        stakedBalances[from] -= amount;
+        rewardWeights[from] -= amount;
+        stakedBalances[to] += amount;
+        rewardWeights[to] += amount;
+
+        emit StakeTransferred(from, to, amount);
+    }
+
+    /**
+     * @notice Lets the receipt token, if one is attached, emit the Transfer event of a mint or burn
+     * @param from The account whose receipts are burned, or the zero address for a mint
+     * @param to The account receiving minted receipts, or the zero address for a burn
+     * @param amount The amount of receipts
+     */
+    function _notifyReceipt(address from, address to, uint256 amount) internal {
+        if (address(receiptToken) != address(0)) {
+            receiptToken.notifyTransfer(from, to, amount);
+        }
+    }
+
+    /**
+     * @notice Allows a pauser to pause staking and reward claims
+     * @dev Unstaking, withdrawing, emergencyWithdraw and the reward management of the other roles stay available
+     *
+     * Requirements:
+     * - Can only be called by an account with PAUSER_ROLE
+     * - The contract must not be paused
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Allows a pauser to resume staking and reward claims
+     *
+     * Requirements:
+     * - Can only be called by an account with PAUSER_ROLE
+     * - The contract must be paused
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Allows the admin to set the cooldown between requesting to unstake and withdrawing
+     * @dev Pending unstake requests keep the release time they were created with
+     *
+     * Requirements:
+     * - Can only be called by the admin
+     * - The cooldown period cannot exceed MAX_COOLDOWN_PERIOD
+     *
+     * @param _cooldownPeriod The new cooldown period in seconds (0 lets requests be withdrawn immediately)
+     */
+    function setCooldownPeriod(uint256 _cooldownPeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setCooldownPeriod(_cooldownPeriod);
+    }
+
+    /**
+     * @notice Sets the cooldown period
+     * @param _cooldownPeriod The new cooldown period in seconds
+     */
+    function _setCooldownPeriod(uint256 _cooldownPeriod) internal {
+        require(_cooldownPeriod <= MAX_COOLDOWN_PERIOD, "Cooldown period too long");
+
+        cooldownPeriod = _cooldownPeriod;
+        emit CooldownPeriodUpdated(_cooldownPeriod);
+    }
+
+    /**
+     * @notice Allows the admin to set the reward multiplier of a lock duration
+     * @dev Existing lock positions keep the multiplier they were created with
+     *
+     * Requirements:
+     * - Can only be called by the admin
+     * - The lock duration must be greater than 0
+     * - The multiplier must be 0 (to disable the lock duration) or between MULTIPLIER_BASE and MAX_LOCK_MULTIPLIER
+     *
+     * @param lockDuration The lock duration in seconds
+     * @param multiplier The reward multiplier in basis points (10000 = 1x)
+     */
+    function setLockMultiplier(uint256 lockDuration, uint256 multiplier) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setLockMultiplier(lockDuration, multiplier);
+    }
+
+    /**
+     * @notice Sets the reward multiplier of a lock duration
+     * @param lockDuration The lock duration in seconds
+     * @param multiplier The reward multiplier in basis points
+     */
+    function _setLockMultiplier(uint256 lockDuration, uint256 multiplier) internal {
+        require(lockDuration > 0, "Lock duration must be greater than zero");
+        require(
+            multiplier == 0 || (multiplier >= MULTIPLIER_BASE && multiplier <= MAX_LOCK_MULTIPLIER),
+            "Invalid lock multiplier"
+        );
+
+        lockMultipliers[lockDuration] = multiplier;
+        emit LockMultiplierUpdated(lockDuration, multiplier);
+    }
+
+    /**
+     * @notice Allows the admin to register an additional reward token
+     * @dev The new token starts without a reward period; use notifyRewardAmount to start distributing it
+     *
+     * Requirements:
+     * - Can only be called by the admin
+     * - The token cannot be the zero address or an already registered reward token
+     * - The pool cannot have more than MAX_REWARD_TOKENS reward tokens
+     *
+     * @param token The reward token to add
+     */
+    function addRewardToken(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _addRewardToken(token);
+    }
+
+    /**
+     * @notice Registers a reward token
+     * @param token The reward token to add
+     */
+    function _addRewardToken(address token) internal {
+        require(token != address(0), "Reward token cannot be zero address");
+        require(!isRewardToken[token], "Reward token already added");
+        require(rewardTokens.length < MAX_REWARD_TOKENS, "Too many reward tokens");
+
+        isRewardToken[token] = true;
+        rewardTokens.push(token);
+
+        emit RewardTokenAdded(token);
+    }
+
+    /**
+     * @notice Allows the admin to attach the ERC-20 receipt token of the stakes
+     * @dev Can only be set once. Accounts that already staked hold receipts for their stake straight away,
+     * without a Transfer event
+     *
+     * Requirements:
+     * - Can only be called by the admin
+     * - No receipt token can be attached yet
+     * - The receipt token must have been deployed for this pool
+     *
+     * @param token The receipt token
+     */
+    function setReceiptToken(StakeReceiptToken token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(receiptToken) == address(0), "Receipt token already set");
+        require(address(token.pool()) == address(this), "Receipt token of another pool");
+        receiptToken = token;
+        emit ReceiptTokenSet(address(token));
+    }
+
+    /**
+     * @notice Allows a funder to add reward tokens to the reward reserve
+     * @dev Transfers reward tokens from the caller and records them in the rewardReserve
+     *
+     * This function:
+     * 1. Distributes rewards accrued so far against the current reserve (via the updateReward modifier)
+     * 2. Transfers the specified amount of tokens from the caller to the contract
+     * 3. Adds the amount to the rewardReserve of the token
+     * 4. Emits a RewardsFunded event
+     *
+     * Funding the reserve does not change the reward rate or extend the reward period; use
+     * notifyRewardAmount to start or top up a period. Tokens sent to the contract with a plain
+     * transfer are not counted as rewards; only tokens added through these functions can be distributed.
+     *
+     * Requirements:
+     * - Can only be called by an account with FUNDER_ROLE
+     * - The token must be a registered reward token
+     * - The amount must be greater than 0
+     * - The caller must have approved the contract to transfer the tokens
+     *
+     * @param token The reward token to fund
+     * @param amount The amount of reward tokens to add
+     */
+    function fundRewards(address token, uint256 amount)
+        external
+        onlyRole(FUNDER_ROLE)
+        nonReentrant
+        onlyRewardToken(token)
+        updateReward(address(0))
+    {
+        require(amount > 0, "Cannot fund 0");
+
+        rewardData[token].rewardReserve += amount;
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+
+        emit RewardsFunded(token, msg.sender, amount);
+    }
+
+    /**
+     * @notice Allows a funder to deposit rewards for a fixed-duration reward period
+     * @dev Starts a new reward period for a reward token, or tops up the running one, and derives the reward rate from it
+     *
+     * This function:
+     * 1. Updates all reward calculations with the current rate (via the updateReward modifier)
+     * 2. Transfers the reward tokens from the caller and adds them to the rewardReserve
+     * 3. Derives the new reward rate:
+     *    a. If the previous period has ended: reward / duration
+     *    b. Otherwise the undistributed leftover of the running period is rolled over:
+     *       (reward + (periodFinish - block.timestamp) * rewardRate) / duration
+     * 4. Starts the period now, ending at block.timestamp + duration
+     * 5. Emits RewardAdded and RewardRateUpdated events
+     *
+     * The rate is derived from the deposited rewards, so it takes effect immediately; changing the
+     * rate of a running period without a deposit goes through the queued rate change flow.
+     *
+     * Requirements:
+     * - Can only be called by an account with FUNDER_ROLE
+     * - The token must be a registered reward token
+     * - The reward and the duration must be greater than 0
+     * - The caller must have approved the contract to transfer the reward tokens
+     * - The rewardReserve must cover the whole period at the derived rate
+     * - No epoch of the token's emission schedule may be waiting to start (cancel them first)
+     *
+     * @param token The reward token to distribute
+     * @param reward The amount of reward tokens to deposit
+     * @param duration The duration of the reward period in seconds
+     */
+    function notifyRewardAmount(address token, uint256 reward, uint256 duration)
+        external
+        onlyRole(FUNDER_ROLE)
+        nonReentrant
+        onlyRewardToken(token)
+        updateReward(address(0))
+    {
+        require(reward > 0, "Cannot notify 0");
+        require(duration > 0, "Duration must be greater than zero");
+        _endEmissionSchedule(token);
+
+        Reward storage data = rewardData[token];
+        data.rewardReserve += reward;
+        IERC20(token).safeTransferFrom(msg.sender, address(this), reward);
+
+        // Roll the undistributed part of the running period into the new rate
+        if (block.timestamp >= data.periodFinish) {
+            data.rewardRate = reward / duration;
+        } else {
+            uint256 leftover = (data.periodFinish - block.timestamp) * data.rewardRate;
+            data.rewardRate = (reward + leftover) / duration;
+        }
+
+        require(data.rewardRate > 0, "Reward rate must be greater than zero");
+        require(data.rewardRate * duration <= data.rewardReserve, "Reward exceeds reserve");
+
+        data.lastUpdateTime = block.timestamp;
+        data.periodFinish = block.timestamp + duration;
+
+        emit RewardAdded(token, reward, duration, data.periodFinish);
+        emit RewardRateUpdated(token, data.rewardRate);
+    }
+
+    /**
+     * @notice Allows a rate manager to queue a new reward rate for a reward token
+     * @dev The change can be executed with executeRewardRate once rateChangeDelay has passed, giving
+     * stakers time to react to it. It is validated again when it is executed, against the reward
+     * period and reserve at that time.
+     *
+     * Requirements:
+     * - Can only be called by an account with RATE_MANAGER_ROLE
+     * - The token must be a registered reward token
+     * - The new reward rate must be greater than 0
+     * - No other change may be pending for the token (cancel it first)
+     *
+     * @param token The reward token
+     * @param _rewardRate New reward rate per second (in tokens, with 18 decimal precision)
+     */
+    function proposeRewardRate(address token, uint256 _rewardRate)
+        external
+        onlyRole(RATE_MANAGER_ROLE)
+        onlyRewardToken(token)
+    {
+        require(_rewardRate > 0, "Reward rate must be greater than zero");
+        require(pendingRateChanges[token].executableAt == 0, "Rate change already pending");
+
+        uint256 executableAt = block.timestamp + rateChangeDelay;
+        pendingRateChanges[token] = RateChange({rewardRate: _rewardRate, executableAt: executableAt});
+        emit RewardRateChangeProposed(token, _rewardRate, executableAt);
+    }
+
+    /**
+     * @notice Allows a rate manager to apply the queued reward rate of a reward token for the rest of its current reward period
+     * @dev Sets the proposed reward rate per second for future reward calculations
+     *
+     * This function:
+     * 1. Updates all reward calculations with the current rate (via the updateReward modifier)
+     * 2. Removes the pending change and sets the new reward rate
+     * 3. Emits a RewardRateUpdated event
+     *
+     * The updateReward modifier ensures that all reward calculations are finalized with the
+     * old rate before switching to the new rate. The period end is unchanged.
+     *
+     * Requirements:
+     * - Can only be called by an account with RATE_MANAGER_ROLE
+     * - A change must be pending for the token, and its delay must have passed
+     * - A reward period must be running
+     * - The rewardReserve must cover the rest of the period at the new rate
+     * - No epoch of the token's emission schedule may be waiting to start (cancel them first)
+     *
+     * @param token The reward token
+     */
+    function executeRewardRate(address token) external onlyRole(RATE_MANAGER_ROLE) updateReward(address(0)) {
+        RateChange memory change = pendingRateChanges[token];
+        require(change.executableAt != 0, "No pending rate change");
+        require(block.timestamp >= change.executableAt, "Rate change delay not passed");
+
+        Reward storage data = rewardData[token];
+        require(block.timestamp < data.periodFinish, "No active reward period");
+        require(change.rewardRate * (data.periodFinish - block.timestamp) <= data.rewardReserve, "Reward exceeds reserve");
+        _endEmissionSchedule(token);
+
+        delete pendingRateChanges[token];
+        data.rewardRate = change.rewardRate;
+        emit RewardRateUpdated(token, change.rewardRate);
+    }
+
+    /**
+     * @notice Allows a rate manager to drop the queued reward rate change of a reward token
+     *
+     * Requirements:
+     * - Can only be called by an account with RATE_MANAGER_ROLE
+     * - A change must be pending for the token
+     *
+     * @param token The reward token
+     */
+    function cancelRewardRate(address token) external onlyRole(RATE_MANAGER_ROLE) {
+        RateChange memory change = pendingRateChanges[token];
+        require(change.executableAt != 0, "No pending rate change");
+
+        delete pendingRateChanges[token];
+        emit RewardRateChangeCancelled(token, change.rewardRate);
+    }
+
+    /**
+     * @notice Allows the admin to set the delay between proposing and executing a reward rate change
+     * @dev Pending changes keep the execution time they were proposed with
+     *
+     * Requirements:
+     * - Can only be called by the admin
+     * - The delay cannot exceed MAX_RATE_CHANGE_DELAY
+     *
+     * @param delay The new delay in seconds (0 lets changes be executed in the next transaction)
+     */
+    function setRateChangeDelay(uint256 delay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setRateChangeDelay(delay);
+    }
+
+    /**
+     * @notice Sets the reward rate change delay
+     * @param delay The new delay in seconds
+     */
+    function _setRateChangeDelay(uint256 delay) internal {
+        require(delay <= MAX_RATE_CHANGE_DELAY, "Rate change delay too long");
+
+        rateChangeDelay = delay;
+        emit RateChangeDelayUpdated(delay);
+    }
+
+    /**
+     * @notice Allows a rate manager to schedule the reward rates of a reward token for the rest of its current reward period
+     * @dev Each epoch's rate applies from its start time until the next epoch starts, or until the period
+     * ends for the last one; the current rate applies until the first epoch starts. Rewards accrue at the
+     * scheduled rates whether or not anyone interacts with the pool, so a decaying emission such as a
+     * halving every N days needs no further transactions.
+     *
+     * The first epoch cannot start before rateChangeDelay has passed, which gives stakers the same notice
+     * as a queued rate change. Epochs that already started are replaced along with the rest of the schedule.
+     *
+     * Requirements:
+     * - Can only be called by an account with RATE_MANAGER_ROLE
+     * - The token must be a registered reward token
+     * - The schedule must have between 1 and MAX_EMISSION_EPOCHS epochs, ordered by strictly increasing start times
+     * - No epoch of the current schedule may be waiting to start (cancel them first)
+     * - A reward period must be running, and every epoch must start before it ends
+     * - The first epoch cannot start before rateChangeDelay has passed
+     * - Every epoch's reward rate must be greater than 0
+     * - The rewardReserve must cover the rest of the period at the scheduled rates
+     *
+     * @param token The reward token
+     * @param epochs The epochs of the schedule
+     */
+    function setEmissionSchedule(address token, EmissionEpoch[] calldata epochs)
+        external
+        onlyRole(RATE_MANAGER_ROLE)
+        onlyRewardToken(token)
+        updateReward(address(0))
+    {
+        require(epochs.length > 0 && epochs.length <= MAX_EMISSION_EPOCHS, "Invalid number of epochs");
+        require(appliedEpochs[token] == emissionSchedules[token].length, "Emission schedule pending");
+
+        Reward storage data = rewardData[token];
+        require(block.timestamp < data.periodFinish, "No active reward period");
+        require(epochs[0].startTime >= block.timestamp + rateChangeDelay, "Schedule starts before rate change delay");
+        require(epochs[epochs.length - 1].startTime < data.periodFinish, "Epoch starts after period finish");
+
+        delete emissionSchedules[token];
+        appliedEpochs[token] = 0;
+        for (uint256 i = 0; i < epochs.length; i++) {
+            require(i == 0 || epochs[i].startTime > epochs[i - 1].startTime, "Epochs not in order");
+            require(epochs[i].rewardRate > 0, "Reward rate must be greater than zero");
+
+            emissionSchedules[token].push(epochs[i]);
+            emit EmissionEpochScheduled(token, i, epochs[i].startTime, epochs[i].rewardRate);
+        }
+
+        require(_emission(token, block.timestamp, data.periodFinish) <= data.rewardReserve, "Reward exceeds reserve");
+    }
+
+    /**
+     * @notice Allows a rate manager to drop the epochs of a reward token's emission schedule that have not started
+     * @dev The current reward rate keeps applying for the rest of the period
+     *
+     * Requirements:
+     * - Can only be called by an account with RATE_MANAGER_ROLE
+     * - At least one epoch must be waiting to start
+     *
+     * @param token The reward token
+     */
+    function cancelEmissionSchedule(address token) external onlyRole(RATE_MANAGER_ROLE) updateReward(address(0)) {
+        EmissionEpoch[] storage epochs = emissionSchedules[token];
+        uint256 cancelled = epochs.length - appliedEpochs[token];
+        require(cancelled > 0, "No pending emission epochs");
+
+        for (uint256 i = 0; i < cancelled; i++) {
+            epochs.pop();
+        }
+        emit EmissionScheduleCancelled(token, cancelled);
+    }
+
+    /**
+     * @notice Clears a reward token's emission schedule before its rate is set in another way
+     * @dev Expects the rewards to be up to date, so started epochs are already applied
+     * @param token The reward token
+     */
+    function _endEmissionSchedule(address token) internal {
+        require(appliedEpochs[token] == emissionSchedules[token].length, "Emission schedule pending");
+        delete emissionSchedules[token];
+        appliedEpochs[token] = 0;
+    }
+
+    /**
+     * @notice Returns the amount of tokens staked by a specific account
+     * @dev View function to check how many tokens an account has staked
+     *
+     * This is a convenience function that directly returns the value from the stakedBalances mapping.
+     *
+     * @param account The address to check the staked balance for
+     * @return The amount of tokens staked by the specified account
+     */
+    function getStakedBalance(address account) external view returns (uint256) {
+        return stakedBalances[account];
+    }
+
+    /**
+     * @notice Returns the amount of an account's staked tokens that is still locked
+     * @dev Sums the positions that have not reached their unlock time yet; expired positions that
+     * have not been released are not counted
+     *
+     * @param account The address to check
+     * @return The amount of tokens that cannot be unstaked yet
+     */
+    function lockedBalanceOf(address account) public view returns (uint256) {
+        LockPosition[] storage positions = lockPositions[account];
+        uint256 locked = 0;
+        for (uint256 i = 0; i < positions.length; i++) {
+            if (positions[i].unlockTime > block.timestamp) {
+                locked += positions[i].amount;
+            }
+        }
+        return locked;
+    }
+
+    /**
+     * @notice Returns the lock positions of an account
+     * @dev Includes expired positions that have not been released yet
+     *
+     * @param account The address to check
+     * @return The amount, unlock time and multiplier of each position
+     */
+    function getLockPositions(address account) external view returns (LockPosition[] memory) {
+        return lockPositions[account];
+    }
+
+    /**
+     * @notice Returns a single lock position of an account
+     * @param account The address to check
+     * @param index The index of the position (see getLockPositions)
+     * @return The amount, unlock time and multiplier of the position
+     */
+    function getLockPosition(address account, uint256 index) external view returns (LockPosition memory) {
+        require(index < lockPositions[account].length, "Invalid lock position");
+        return lockPositions[account][index];
+    }
+
+    /**
+     * @notice Returns the pending unstake requests of an account
+     * @dev Includes requests whose cooldown has ended but that have not been withdrawn yet
+     *
+     * @param account The address to check
+     * @return The amount and release time of each pending request
+     */
+    function pendingWithdrawals(address account) external view returns (UnstakeRequest[] memory) {
+        return unstakeRequests[account];
+    }
+
+    /**
+     * @notice Returns the amount of tokens an account can withdraw now
+     * @param account The address to check
+     * @return The sum of the account's requests whose cooldown has ended
+     */
+    function withdrawableBalanceOf(address account) public view returns (uint256) {
+        UnstakeRequest[] storage requests = unstakeRequests[account];
+        uint256 withdrawable = 0;
+        for (uint256 i = 0; i < requests.length; i++) {
+            if (requests[i].releaseTime <= block.timestamp) {
+                withdrawable += requests[i].amount;
+            }
+        }
+        return withdrawable;
+    }
+
+    /**
+     * @notice Returns the total amount of tokens staked in the contract
+     * @dev View function to check the total staked amount across all users
+     *
+     * This is a convenience function that directly returns the totalStaked state variable.
+     *
+     * @return The total amount of tokens staked in the contract
+     */
+    function getTotalStaked() external view returns (uint256) {
+        return totalStaked;
+    }
+
+    /**
+     * @notice Returns all reward tokens of the pool
+     * @dev The first entry is the primary reward token
+     *
+     * @return The addresses of the reward tokens
+     */
+    function getRewardTokens() external view returns (address[] memory) {
+        return rewardTokens;
+    }
+
+    /**
+     * @notice Returns the current reward rate per second of a reward token
+     * @dev View function to check the current reward distribution rate
+     *
+     * Unlike rewardData, this includes the emission epochs that started since the last update.
+     *
+     * @param token The reward token
+     * @return The current reward rate per second (in tokens, with 18 decimal precision)
+     */
+    function getRewardRate(address token) external view returns (uint256) {
+        return _currentRewardRate(token);
+    }
+
+    /**
+     * @notice Returns the emission schedule of a reward token and the epoch that currently applies
+     * @dev View function to check the upcoming reward rates
+     *
+     * @param token The reward token
+     * @return epochs The epochs of the schedule, ordered by start time (empty if the rate is not scheduled)
+     * @return currentEpoch The number of epochs that have started: 0 before the first one, n while epochs[n - 1] applies
+     */
+    function getEmissionSchedule(address token)
+        external
+        view
+        returns (EmissionEpoch[] memory epochs, uint256 currentEpoch)
+    {
+        return (emissionSchedules[token], _startedEpochs(token));
+    }
+
+    /**
+     * @notice Returns how long rewards of a reward token keep being distributed at the current reward rate
+     * @dev View function to check when the pool needs to be funded again
+     *
+     * The runway ends at the end of the reward period, or earlier if the reward reserve runs out first.
+     * The remaining reserve excludes the rewards already distributed since the last update, and is
+     * spent at the rates of the emission schedule.
+     *
+     * @param token The reward token
+     * @return The number of seconds until rewards stop being distributed
+     */
+    function rewardRunway(address token) external view returns (uint256) {
+        Reward storage data = rewardData[token];
+        if (block.timestamp >= data.periodFinish) {
+            return 0;
+        }
+
+        EmissionEpoch[] storage epochs = emissionSchedules[token];
+        uint256 reserve = data.rewardReserve - _pendingDistribution(token);
+        uint256 rate = _currentRewardRate(token);
+        uint256 time = block.timestamp;
+
+        // Spend the reserve one epoch at a time until it runs out or the period ends
+        uint256 i = _startedEpochs(token);
+        uint256 end = i < epochs.length ? epochs[i].startTime : data.periodFinish;
+        while (end < data.periodFinish && (end - time) * rate < reserve) {
+            reserve -= (end - time) * rate;
+            time = end;
+            rate = epochs[i].rewardRate;
+            i++;
+            end = i < epochs.length ? epochs[i].startTime : data.periodFinish;
+        }
+
+        uint256 reserveEnd = time + reserve / rate;
+        return (reserveEnd < end ? reserveEnd : end) - block.timestamp;
+    }
+
+    /**
+     * @notice Calculates the estimated daily rewards of a reward token for an account
+     * @dev View function to help users estimate their daily rewards based on current conditions
+     *
+     * The calculation assumes that:
+     * - The total reward weight remains constant
+     * - The reward rate remains constant
+     * - The account's reward weight remains constant
+     *
+     * @param account The address to calculate estimated daily rewards for
+     * @param token The reward token
+     * @return The estimated amount of tokens the account would earn in one day
+     */
+    function getEstimatedDailyRewards(address account, address token) public view returns (uint256) {
+        if (totalWeight == 0 || rewardWeights[account] == 0) {
+            return 0;
+        }
+
+        // Calculate the user's share of the total reward weight
+        uint256 userShare = (rewardWeights[account] * 1e18) / totalWeight;
+
+        // Calculate daily rewards (86400 seconds in a day)
+        uint256 dailyRewards = (_currentRewardRate(token) * 86400 * userShare) / 1e18;
+
+        return dailyRewards;
+    }
+
+    /**
+     * @notice Returns the current APR of a reward token for an unlocked stake, in basis points
+     * @dev View function to compare the pool's yield without computing it off-chain
+     *
+     * The APR is the yearly emission per unit of reward weight, so a locked stake earns it times
+     * its lock multiplier. It is expressed in reward tokens per staked token, which assumes both
+     * tokens have the same value, and is 0 once the reward period has ended or while nothing is staked.
+     *
+     * @param token The reward token
+     * @return The APR in basis points (10000 = 100%)
+     */
+    function getAprBps(address token) public view returns (uint256) {
+        if (totalWeight == 0 || block.timestamp >= rewardData[token].periodFinish) {
+            return 0;
+        }
+        return (_currentRewardRate(token) * 365 days * 10000) / totalWeight;
+    }
+
+    /**
+     * @notice Returns an account's position and rewards in a single call
+     * @dev This function gathers what getStakedBalance, lockedBalanceOf, rewardWeights, unbondingBalances,
+     * withdrawableBalanceOf, autoCompound, earned, userRewardPerTokenPaid and getEstimatedDailyRewards
+     * return for the account, so that clients read them all at the same block
+     *
+     * @param account The address to check
+     * @return info The account's balances, and its rewards in each reward token
+     */
+    function getUserInfo(address account) external view returns (UserInfo memory info) {
+        info.stakedBalance = stakedBalances[account];
+        info.lockedBalance = lockedBalanceOf(account);
+        info.rewardWeight = rewardWeights[account];
+        info.unbondingBalance = unbondingBalances[account];
+        info.withdrawableBalance = withdrawableBalanceOf(account);
+        info.autoCompound = autoCompound[account];
+
+        info.rewards = new UserReward[](rewardTokens.length);
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address token = rewardTokens[i];
+            info.rewards[i] = UserReward({
+                token: token,
+                earned: earned(account, token),
+                userRewardPerTokenPaid: userRewardPerTokenPaid[account][token],
+                estimatedDailyRewards: getEstimatedDailyRewards(account, token)
+            });
+        }
+    }
+}
@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./StakingContractUpgradeable.sol";
+
+/**
+ * @title StakingFactory
+ * @author Quantlink Team
+ * @notice Deploys staking pools, one per staking token or campaign, and keeps a registry of them
+ * @dev The creation code of StakingContract is too large to embed in another contract below the 24 KiB
+ * contract size limit, so each pool is a minimal proxy (EIP-1167) of a single StakingContractUpgradeable
+ * implementation, initialized in the same transaction. A pool runs the same code as a StakingContract and,
+ * like it, can never be upgraded: the minimal proxy has no upgrade mechanism.
+ *
+ * The factory starts each pool's first reward period at the requested rate, with reward tokens pulled from
+ * the caller, then hands the pool over to its owner: the owner is granted the rate manager, pauser and funder
+ * roles, the factory renounces them, and the admin role is offered to the owner through the pool's two-step
+ * admin transfer. Until the owner accepts it with acceptDefaultAdminTransfer, from the next block on, the
+ * factory remains the pool's admin; it has no function that uses the role.
+ *
+ * Only pool creators, granted the POOL_CREATOR_ROLE by the factory's admin, can create pools. The deployer
+ * of the factory is its admin and its first pool creator.
+ *
+ * Security considerations:
+ * - Only pools deployed by the factory at the request of a pool creator are registered, so no one else can
+ *   add a pool to the registry, whether a misleading pool or spam that makes it costly to enumerate
+ * - The factory keeps no tokens: the rewards it pulls are deposited into the pool in the same transaction
+ */
+contract StakingFactory is AccessControl {
+    using SafeERC20 for IERC20;
+
+    /// @notice Role that can create pools
+    bytes32 public constant POOL_CREATOR_ROLE = keccak256("POOL_CREATOR_ROLE");
+
+    /// @notice The StakingContractUpgradeable implementation every pool delegates to
+    address public immutable implementation;
+
+    /// @notice Every pool deployed by the factory, oldest first
+    address[] public pools;
+
+    /// @notice Whether an address is a pool deployed by the factory
+    mapping(address => bool) public isPool;
+
+    /// @notice The pools deployed for each staking token, oldest first
+    /// @dev Key: staking token address, Value: pool addresses
+    mapping(address => address[]) private _poolsByToken;
+
+    /// @notice Emitted when a pool is deployed
+    /// @param pool The address of the new pool
+    /// @param stakingToken The token staked in the pool
+    /// @param rewardToken The primary reward token of the pool
+    /// @param owner The account the pool is handed over to
+    /// @param rewardRate The reward rate of the first reward period, in tokens per second (0 if none was started)
+    /// @param duration The duration of the first reward period in seconds (0 if none was started)
+    event PoolCreated(
+        address indexed pool,
+        address indexed stakingToken,
+        address indexed rewardToken,
+        address owner,
+        uint256 rewardRate,
+        uint256 duration
+    );
+
+    /**
+     * @notice Creates a factory for pools running the given implementation
+     * @dev The deployer is granted the admin role and the pool creator role
+     * @param _implementation A deployed StakingContractUpgradeable, whose initializers are disabled
+     */
+    constructor(address _implementation) {
+        require(_implementation.code.length > 0, "Implementation is not a contract");
+        implementation = _implementation;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(POOL_CREATOR_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Deploys a pool, optionally starts its first reward period, and hands it over to its owner
+     * @dev See the contract documentation for the hand-over. To start a reward period, the caller must have
+     * approved the factory to transfer rewardRate * duration reward tokens; the pool's reserve then covers
+     * the whole period.
+     *
+     * Requirements:
+     * - The caller must have the POOL_CREATOR_ROLE
+     * - The owner must not be the zero address
+     * - The staking token must not be the zero address
+     * - If rewardRate is greater than 0, duration must be greater than 0 too
+     *
+     * @param stakingToken The token to be staked in the pool
+     * @param rewardToken The primary reward token of the pool (may be the staking token)
+     * @param owner The account that receives every role of the pool
+     * @param rewardRate The reward rate of the first reward period in tokens per second, or 0 to let the owner start it later
+     * @param duration The duration of the first reward period in seconds (ignored if rewardRate is 0)
+     * @return pool The address of the new pool
+     */
+    function createPool(IERC20 stakingToken, IERC20 rewardToken, address owner, uint256 rewardRate, uint256 duration)
+        external
+        onlyRole(POOL_CREATOR_ROLE)
+        returns (address pool)
+    {
+        require(owner != address(0), "Owner cannot be zero address");
+        require(rewardRate == 0 || duration > 0, "Duration must be greater than zero");
+
+        pool = Clones.clone(implementation);
+        StakingContractUpgradeable staking = StakingContractUpgradeable(pool);
+        staking.initialize(stakingToken, rewardToken);
+
+        if (rewardRate > 0) {
+            uint256 reward = rewardRate * duration;
+            rewardToken.safeTransferFrom(msg.sender, address(this), reward);
+            rewardToken.forceApprove(pool, reward);
+            staking.notifyRewardAmount(address(rewardToken), reward, duration);
+        } else {
+            duration = 0;
+        }
+
+        // Hand the pool over to its owner
+        bytes32[3] memory roles = [staking.RATE_MANAGER_ROLE(), staking.PAUSER_ROLE(), staking.FUNDER_ROLE()];
+        for (uint256 i = 0; i < roles.length; i++) {
+            staking.grantRole(roles[i], owner);
+            staking.renounceRole(roles[i], address(this));
+        }
+        staking.beginDefaultAdminTransfer(owner);
+
+        pools.push(pool);
+        isPool[pool] = true;
+        _poolsByToken[address(stakingToken)].push(pool);
+
+        emit PoolCreated(pool, address(stakingToken), address(rewardToken), owner, rewardRate, duration);
+    }
+
+    /**
+     * @notice Returns the number of pools deployed by the factory
+     */
+    function poolCount() external view returns (uint256) {
+        return pools.length;
+    }
+
+    /**
+     * @notice Returns every pool deployed by the factory, oldest first
+     */
+    function getPools() external view returns (address[] memory) {
+        return pools;
+    }
+
+    /**
+     * @notice Returns the pools deployed for a staking token, oldest first
+     * @param stakingToken The staking token to look up
+     */
+    function getPoolsByToken(address stakingToken) external view returns (address[] memory) {
+        return _poolsByToken[stakingToken];
+    }
+}
@@ -0,0 +1,121 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./StakingCore.sol";
+
+/**
+ * @title StakingLens
+ * @author Quantlink Team
+ * @notice Read-only helper that returns the state of a staking pool and of many accounts in one call
+ * @dev The lens holds no state and is not tied to a pool: every function takes the pool to read, so a
+ * single deployment serves every StakingContract and StakingContractUpgradeable proxy on a network.
+ *
+ * Reading everything in one eth_call means that all values come from the same block, and that a client
+ * showing N accounts makes one request instead of one per account and value.
+ */
+contract StakingLens {
+    /// @notice The distribution state of a single reward token
+    /// @param token The reward token
+    /// @param rewardRate The current reward rate per second, following the emission schedule
+    /// @param periodFinish The timestamp at which the current reward period ends
+    /// @param rewardReserve The amount of reward tokens funded but not yet distributed
+    /// @param rewardPerToken The current reward per unit of reward weight, with 18 extra decimals
+    /// @param runway The number of seconds until rewards stop being distributed
+    /// @param aprBps The current APR of an unlocked stake in basis points
+    struct RewardState {
+        address token;
+        uint256 rewardRate;
+        uint256 periodFinish;
+        uint256 rewardReserve;
+        uint256 rewardPerToken;
+        uint256 runway;
+        uint256 aprBps;
+    }
+
+    /// @notice The state of a staking pool
+    /// @param pool The staking contract
+    /// @param stakingToken The token staked in the pool
+    /// @param paused Whether staking and claiming are paused
+    /// @param totalStaked The total amount of tokens staked
+    /// @param totalWeight The total reward weight of all stakers
+    /// @param totalUnbonding The total amount of tokens waiting to be withdrawn
+    /// @param cooldownPeriod The time between requesting to unstake and being able to withdraw
+    /// @param timestamp The timestamp of the block the state was read at
+    /// @param rewards The state of each reward token, primary reward token first
+    struct PoolState {
+        address pool;
+        address stakingToken;
+        bool paused;
+        uint256 totalStaked;
+        uint256 totalWeight;
+        uint256 totalUnbonding;
+        uint256 cooldownPeriod;
+        uint256 timestamp;
+        RewardState[] rewards;
+    }
+
+    /**
+     * @notice Returns the totals of a pool and the state of each of its reward tokens
+     * @param pool The staking contract to read
+     * @return state The pool state
+     */
+    function getPoolState(StakingCore pool) public view returns (PoolState memory state) {
+        state.pool = address(pool);
+        state.stakingToken = address(pool.stakingToken());
+        state.paused = pool.paused();
+        state.totalStaked = pool.totalStaked();
+        state.totalWeight = pool.totalWeight();
+        state.totalUnbonding = pool.totalUnbonding();
+        state.cooldownPeriod = pool.cooldownPeriod();
+        state.timestamp = block.timestamp;
+
+        address[] memory rewardTokens = pool.getRewardTokens();
+        state.rewards = new RewardState[](rewardTokens.length);
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address token = rewardTokens[i];
+            (, uint256 periodFinish, , , uint256 rewardReserve) = pool.rewardData(token);
+            state.rewards[i] = RewardState({
+                token: token,
+                rewardRate: pool.getRewardRate(token),
+                periodFinish: periodFinish,
+                rewardReserve: rewardReserve,
+                rewardPerToken: pool.rewardPerToken(token),
+                runway: pool.rewardRunway(token),
+                aprBps: pool.getAprBps(token)
+            });
+        }
+    }
+
+    /**
+     * @notice Returns the position and rewards of several accounts in a pool
+     * @param pool The staking contract to read
+     * @param accounts The accounts to read
+     * @return infos The getUserInfo result of each account, in the order of `accounts`
+     */
+    function getUsersInfo(StakingCore pool, address[] calldata accounts)
+        public
+        view
+        returns (StakingCore.UserInfo[] memory infos)
+    {
+        infos = new StakingCore.UserInfo[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            infos[i] = pool.getUserInfo(accounts[i]);
+        }
+    }
+
+    /**
+     * @notice Returns the pool state and the position of several accounts in a single call
+     * @param pool The staking contract to read
+     * @param accounts The accounts to read
+     * @return state The pool state (see getPoolState)
+     * @return infos The getUserInfo result of each account, in the order of `accounts`
+     */
+    function getPoolAndUsersInfo(StakingCore pool, address[] calldata accounts)
+        external
+        view
+        returns (PoolState memory state, StakingCore.UserInfo[] memory infos)
+    {
+        state = getPoolState(pool);
+        infos = getUsersInfo(pool, accounts);
+    }
+}
@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title StakingSnapshotVerifier
+ * @author Quantlink Team
+ * @notice Checks an account's entry in a Merkle snapshot of a staking pool, as written by qlk snapshot
+ * @dev The verifier holds no state and is not tied to a snapshot: every function takes the root to check
+ * against, so a single deployment serves every snapshot on a network. Migration and airdrop contracts can
+ * call it, or copy its leaf encoding.
+ *
+ * Each leaf commits to an account's staked balance and its earned rewards in each reward token, in the
+ * order of the snapshot's reward tokens. Leaves are hashed twice, so that a leaf cannot be confused with
+ * an inner node of the tree, and pairs are hashed in sorted order, as in OpenZeppelin's MerkleProof.
+ */
+contract StakingSnapshotVerifier {
+    /**
+     * @notice Returns the Merkle leaf of an account's snapshot entry
+     * @param account The staker
+     * @param stakedBalance The account's staked balance at the snapshot block
+     * @param earned The account's earned rewards in each reward token of the snapshot
+     * @return The leaf, keccak256(bytes.concat(keccak256(abi.encode(account, stakedBalance, earned))))
+     */
+    function leaf(address account, uint256 stakedBalance, uint256[] calldata earned) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account, stakedBalance, earned))));
+    }
+
+    /**
+     * @notice Returns true if an account's snapshot entry is part of the snapshot with the given root
+     * @param root The Merkle root of the snapshot
+     * @param proof The account's proof from the snapshot file
+     * @param account The staker
+     * @param stakedBalance The account's staked balance at the snapshot block
+     * @param earned The account's earned rewards in each reward token of the snapshot
+     * @return Whether the proof is valid
+     */
+    function verify(
+        bytes32 root,
+        bytes32[] calldata proof,
+        address account,
+        uint256 stakedBalance,
+        uint256[] calldata earned
+    ) external pure returns (bool) {
+        return MerkleProof.verifyCalldata(proof, root, leaf(account, stakedBalance, earned));
+    }
+}
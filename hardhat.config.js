@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
 require("dotenv").config();
+require("./tasks/qlk");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x0000000000000000000000000000000000000000000000000000000000000000";
 const SEPOLIA_API_URL = process.env.SEPOLIA_API_URL || "";
@@ -7,7 +9,19 @@ const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    settings: {
+      // The IR pipeline, PUSH0 (shanghai) and few runs keep StakingContract and its upgradeable variants
+      // below the 24 KiB contract size limit
+      evmVersion: "shanghai",
+      viaIR: true,
+      optimizer: {
+        enabled: true,
+        runs: 50,
+      },
+    },
+  },
   networks: {
     hardhat: {},
     sepolia: {
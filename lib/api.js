@@ -0,0 +1,271 @@
+// Read-only HTTP API serving the pool and account stats of a StakingContract as JSON
+const http = require("http");
+
+const DEFAULT_EVENTS_LIMIT = 50;
+const MAX_EVENTS_LIMIT = 500;
+const ERC20_SYMBOL_ABI = ["function symbol() view returns (string)"];
+
+/**
+ * An error returned to the client as { error: { code, message } } with the given HTTP status.
+ */
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Returns true if an error means the RPC endpoint could not be reached.
+ */
+function isRpcUnavailable(error) {
+  const codes = ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "ETIMEDOUT", "NETWORK_ERROR", "TIMEOUT"];
+  // Provider errors wrap the underlying connection error a few levels deep
+  let cause = error;
+  for (let depth = 0; cause && depth < 5; depth++) {
+    if (codes.includes(cause.code) || /ECONNREFUSED|Cannot connect to the network/.test(cause.message || "")) {
+      return true;
+    }
+    cause = cause.cause || cause.error;
+  }
+  return false;
+}
+
+/**
+ * Creates the API server. Every response is read at a single block and cached until the next one.
+ *
+ * Routes:
+ * - GET /pool: totals, and the rate, APR, reserve and runway of every reward token
+ * - GET /accounts/:address: the stake of an account, and its earned and estimated daily rewards
+ * - GET /events?offset&limit&event&account: indexed events, newest first; an account's events are those
+ *   with the account in any of their address arguments
+ *
+ * @param {object} hre The Hardhat runtime environment, for the ethers utilities
+ * @param {import("ethers").Contract} stakingContract The staking contract, connected to the provider to serve from
+ * @param {{ loadEvents: () => Promise<object> }} options `loadEvents` returns an up to date
+ * lib/indexer store of the contract's events
+ * @returns {import("http").Server}
+ */
+function createApiServer(hre, stakingContract, { loadEvents }) {
+  const { ethers } = hre;
+  const provider = stakingContract.runner.provider || stakingContract.runner;
+  const formatTokens = (amount) => ethers.formatUnits(amount, 18);
+  const cache = { blockNumber: null, responses: new Map() };
+  const symbols = new Map();
+  const addressParamsByEvent = new Map();
+
+  async function getSymbol(token) {
+    if (!symbols.has(token)) {
+      symbols.set(token, await new ethers.Contract(token, ERC20_SYMBOL_ABI, provider).symbol());
+    }
+    return symbols.get(token);
+  }
+
+  async function getPool(blockTag) {
+    const overrides = { blockTag };
+    const [block, stakingToken, paused, totalStaked, totalWeight, totalUnbonding, rewardTokens] = await Promise.all([
+      provider.getBlock(blockTag),
+      stakingContract.stakingToken(overrides),
+      stakingContract.paused(overrides),
+      stakingContract.totalStaked(overrides),
+      stakingContract.totalWeight(overrides),
+      stakingContract.totalUnbonding(overrides),
+      stakingContract.getRewardTokens(overrides),
+    ]);
+
+    const rewards = await Promise.all(
+      rewardTokens.map(async (token) => {
+        const [{ periodFinish, rewardReserve }, rewardRate, runway, aprBps, symbol] = await Promise.all([
+          stakingContract.rewardData(token, overrides),
+          stakingContract.getRewardRate(token, overrides),
+          stakingContract.rewardRunway(token, overrides),
+          stakingContract.getAprBps(token, overrides),
+          getSymbol(token),
+        ]);
+        return {
+          token,
+          symbol,
+          rewardRate: formatTokens(rewardRate),
+          periodFinish: Number(periodFinish),
+          active: BigInt(block.timestamp) < periodFinish,
+          rewardReserve: formatTokens(rewardReserve),
+          runway: Number(runway),
+          aprBps: Number(aprBps),
+        };
+      })
+    );
+
+    return {
+      blockNumber: block.number,
+      timestamp: block.timestamp,
+      contract: await stakingContract.getAddress(),
+      stakingToken,
+      paused,
+      totalStaked: formatTokens(totalStaked),
+      totalWeight: formatTokens(totalWeight),
+      totalUnbonding: formatTokens(totalUnbonding),
+      rewards,
+    };
+  }
+
+  function parseAddress(value) {
+    if (!ethers.isAddress(value)) {
+      throw new ApiError(400, "INVALID_ADDRESS", `"${value}" is not a valid address`);
+    }
+    return ethers.getAddress(value);
+  }
+
+  async function getAccount(blockTag, account) {
+    const info = await stakingContract.getUserInfo(account, { blockTag });
+    const rewards = await Promise.all(
+      info.rewards.map(async ({ token, earned, estimatedDailyRewards }) => ({
+        token,
+        symbol: await getSymbol(token),
+        earned: formatTokens(earned),
+        estimatedDailyRewards: formatTokens(estimatedDailyRewards),
+      }))
+    );
+
+    return {
+      blockNumber: blockTag,
+      account,
+      stakedBalance: formatTokens(info.stakedBalance),
+      lockedBalance: formatTokens(info.lockedBalance),
+      rewardWeight: formatTokens(info.rewardWeight),
+      unbondingBalance: formatTokens(info.unbondingBalance),
+      withdrawableBalance: formatTokens(info.withdrawableBalance),
+      autoCompound: info.autoCompound,
+      rewards,
+    };
+  }
+
+  function parseIntegerParam(params, name, defaultValue, max) {
+    const raw = params.get(name);
+    if (raw === null) {
+      return defaultValue;
+    }
+    const value = Number(raw);
+    if (!/^\d+$/.test(raw) || value > max) {
+      throw new ApiError(400, "INVALID_PARAMETER", `"${name}" must be an integer from 0 to ${max}`);
+    }
+    return value;
+  }
+
+  async function getEvents(blockTag, { offset, limit, eventName, account }) {
+    // All routes of a block share one index update
+    const store = await cached(blockTag, "events-store", () => loadEvents());
+    // An account's events are those naming it in any address argument, such as the payer of a StakedFor
+    // or the sender and receiver of a receipt transfer
+    const involves = ({ event, args }) =>
+      addressParams(event).some((name) => typeof args[name] === "string" && args[name].toLowerCase() === account.toLowerCase());
+    const events = store.events
+      .filter((event) => !eventName || event.event === eventName)
+      .filter((event) => !account || involves(event))
+      .reverse();
+
+    return {
+      blockNumber: store.lastIndexedBlock,
+      total: events.length,
+      offset,
+      limit,
+      events: events.slice(offset, offset + limit),
+    };
+  }
+
+  function addressParams(eventName) {
+    if (!addressParamsByEvent.has(eventName)) {
+      const fragment = stakingContract.interface.getEvent(eventName);
+      const names = fragment ? fragment.inputs.filter((input) => input.type === "address").map((input) => input.name) : [];
+      addressParamsByEvent.set(eventName, names);
+    }
+    return addressParamsByEvent.get(eventName);
+  }
+
+  function cached(blockNumber, key, load) {
+    // A request still reading an older block does not replace the cache of the latest one
+    if (cache.blockNumber !== blockNumber) {
+      return load();
+    }
+    if (!cache.responses.has(key)) {
+      const { responses } = cache;
+      const promise = load();
+      responses.set(key, promise);
+      // Failed responses are retried on the next request
+      promise.catch(() => responses.delete(key));
+    }
+    return cache.responses.get(key);
+  }
+
+  /**
+   * Validates a request and returns the loader of its response at a given block.
+   */
+  function route(url) {
+    const segments = url.pathname.split("/").filter(Boolean);
+    if (segments.length === 1 && segments[0] === "pool") {
+      return (blockNumber) => getPool(blockNumber);
+    }
+    if (segments.length === 2 && segments[0] === "accounts") {
+      const account = parseAddress(segments[1]);
+      return (blockNumber) => getAccount(blockNumber, account);
+    }
+    if (segments.length === 1 && segments[0] === "events") {
+      const params = url.searchParams;
+      const query = {
+        offset: parseIntegerParam(params, "offset", 0, Number.MAX_SAFE_INTEGER),
+        limit: parseIntegerParam(params, "limit", DEFAULT_EVENTS_LIMIT, MAX_EVENTS_LIMIT),
+        eventName: params.get("event"),
+        account: params.get("account") === null ? null : parseAddress(params.get("account")),
+      };
+      return (blockNumber) => getEvents(blockNumber, query);
+    }
+    throw new ApiError(404, "NOT_FOUND", `No route for ${url.pathname}; try /pool, /accounts/:address or /events`);
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      ...headers,
+    });
+    res.end(`${JSON.stringify(body, null, 2)}\n`);
+  }
+
+  async function handle(req, res) {
+    try {
+      if (req.method !== "GET") {
+        throw new ApiError(405, "METHOD_NOT_ALLOWED", "Only GET requests are supported");
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      const load = route(url);
+      const blockNumber = await provider.getBlockNumber();
+      if (cache.blockNumber !== blockNumber) {
+        cache.blockNumber = blockNumber;
+        cache.responses = new Map();
+      }
+
+      const key = `${url.pathname}?${url.searchParams}`;
+      const hit = cache.responses.has(key);
+      const body = await cached(blockNumber, key, () => load(blockNumber));
+      send(res, 200, body, { "X-Block-Number": String(blockNumber), "X-Cache": hit ? "HIT" : "MISS" });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        send(res, error.status, { error: { code: error.code, message: error.message } });
+      } else if (isRpcUnavailable(error)) {
+        send(res, 503, { error: { code: "RPC_UNAVAILABLE", message: "The RPC endpoint cannot be reached" } });
+      } else {
+        send(res, 500, { error: { code: "INTERNAL_ERROR", message: error.shortMessage || error.message } });
+      }
+    }
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res);
+  });
+}
+
+module.exports = {
+  ApiError,
+  createApiServer,
+};
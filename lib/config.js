@@ -0,0 +1,33 @@
+// Config files read by the qlk tasks, such as pool configs, scenarios and monitor rules, written as JSON or YAML
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+/**
+ * Parses a config written as JSON or YAML, without validating it.
+ * Throws an instance of ErrorClass if the text is not valid in its format.
+ *
+ * @param {string} text The config
+ * @param {"json" | "yaml"} format
+ * @param {typeof Error} ErrorClass The error the module reading the config reports invalid configs with
+ */
+function parseConfig(text, format, ErrorClass) {
+  try {
+    return format === "yaml" ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ErrorClass(`Invalid ${format.toUpperCase()}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads and parses a config file; files ending in .yaml or .yml are parsed as YAML, any other as JSON.
+ */
+function loadConfigFile(file, ErrorClass) {
+  const format = [".yaml", ".yml"].includes(path.extname(file).toLowerCase()) ? "yaml" : "json";
+  return parseConfig(fs.readFileSync(file, "utf8"), format, ErrorClass);
+}
+
+module.exports = {
+  parseConfig,
+  loadConfigFile,
+};
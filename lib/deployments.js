@@ -0,0 +1,254 @@
+// Helpers for recording and resolving deployments in deployments/<network>.json
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Returns the path of the manifest file for a network.
+ */
+function getManifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * Reads the manifest for a network, or returns an empty manifest if none exists yet.
+ */
+function readManifest(networkName) {
+  const manifestPath = getManifestPath(networkName);
+  if (!fs.existsSync(manifestPath)) {
+    return { network: networkName, chainId: null, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * Writes the manifest for a network, creating the deployments directory if needed.
+ */
+function writeManifest(networkName, manifest) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(getManifestPath(networkName), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Converts constructor arguments to a JSON-safe form (BigInts become decimal strings).
+ */
+function serializeArgs(args) {
+  return args.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg));
+}
+
+/**
+ * Returns the keccak256 hash of a contract's compiled creation bytecode.
+ */
+async function getBytecodeHash(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  return hre.ethers.keccak256(artifact.bytecode);
+}
+
+/**
+ * Returns the recorded deployment of a contract if it matches the current artifact and the
+ * given constructor arguments, and the contract still exists on chain. Returns null otherwise.
+ * The deployment is looked up under `deploymentName`, which defaults to the contract name.
+ */
+async function findMatchingDeployment(hre, contractName, constructorArgs, deploymentName = contractName) {
+  const deployment = readManifest(hre.network.name).contracts[deploymentName];
+  if (!deployment) {
+    return null;
+  }
+
+  const bytecodeHash = await getBytecodeHash(hre, contractName);
+  const sameArgs = JSON.stringify(deployment.constructorArgs) === JSON.stringify(serializeArgs(constructorArgs));
+  if (deployment.bytecodeHash !== bytecodeHash || !sameArgs) {
+    return null;
+  }
+
+  // A restarted local node keeps the manifest but loses the contract
+  const code = await hre.ethers.provider.getCode(deployment.address);
+  return code === "0x" ? null : deployment;
+}
+
+/**
+ * Deploys a contract and records it in the network's manifest.
+ * If a matching deployment is already recorded, it is reused instead of deploying again.
+ * Pass `options.name` to record a second instance of the same contract under another name.
+ *
+ * @returns {Promise<{ contract: import("ethers").Contract, deployment: object, deployed: boolean }>}
+ */
+async function deployOrReuse(hre, contractName, constructorArgs, options = {}) {
+  const deploymentName = options.name || contractName;
+  const existing = await findMatchingDeployment(hre, contractName, constructorArgs, deploymentName);
+  if (existing) {
+    const contract = await hre.ethers.getContractAt(contractName, existing.address);
+    return { contract, deployment: existing, deployed: false };
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  const factory = await hre.ethers.getContractFactory(contractName, deployer);
+  const contract = await factory.deploy(...constructorArgs);
+  await contract.waitForDeployment();
+
+  const receipt = await contract.deploymentTransaction().wait();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = {
+    address: await contract.getAddress(),
+    constructorArgs: serializeArgs(constructorArgs),
+    deployer: deployer.address,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    bytecodeHash: await getBytecodeHash(hre, contractName),
+  };
+
+  const manifest = readManifest(hre.network.name);
+  manifest.chainId = Number(chainId);
+  manifest.contracts[deploymentName] = deployment;
+  writeManifest(hre.network.name, manifest);
+
+  return { contract, deployment, deployed: true };
+}
+
+/**
+ * Returns the recorded proxy deployment of a contract if it was initialized with the given
+ * arguments and the proxy still exists on chain. Returns null otherwise. Unlike plain deployments,
+ * a proxy is reused whatever its current implementation: new code ships with upgradeProxy.
+ */
+async function findMatchingProxy(hre, contractName, initializerArgs, deploymentName = contractName) {
+  const deployment = readManifest(hre.network.name).contracts[deploymentName];
+  if (!deployment || !deployment.implementation || deployment.contractName !== contractName) {
+    return null;
+  }
+
+  if (JSON.stringify(deployment.initializerArgs) !== JSON.stringify(serializeArgs(initializerArgs))) {
+    return null;
+  }
+
+  const code = await hre.ethers.provider.getCode(deployment.address);
+  return code === "0x" ? null : deployment;
+}
+
+/**
+ * Deploys an upgradeable contract behind a transparent proxy, calling its `initialize` function
+ * with `initializerArgs`, and records the proxy in the network's manifest together with its
+ * implementation and ProxyAdmin. The proxy is recorded under `options.name`, which defaults to
+ * the contract name, so that it can take the place of a plain deployment.
+ * If a matching proxy is already recorded, it is reused instead of deploying again.
+ *
+ * @returns {Promise<{ contract: import("ethers").Contract, deployment: object, deployed: boolean }>}
+ */
+async function deployProxyOrReuse(hre, contractName, initializerArgs, options = {}) {
+  const deploymentName = options.name || contractName;
+  const existing = await findMatchingProxy(hre, contractName, initializerArgs, deploymentName);
+  if (existing) {
+    const contract = await hre.ethers.getContractAt(contractName, existing.address);
+    return { contract, deployment: existing, deployed: false };
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  const factory = await hre.ethers.getContractFactory(contractName, deployer);
+  const contract = await hre.upgrades.deployProxy(factory, initializerArgs, { kind: "transparent", initializer: "initialize" });
+  await contract.waitForDeployment();
+
+  const receipt = await contract.deploymentTransaction().wait();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const address = await contract.getAddress();
+  const deployment = {
+    address,
+    contractName,
+    proxyKind: "transparent",
+    implementation: await hre.upgrades.erc1967.getImplementationAddress(address),
+    proxyAdmin: await hre.upgrades.erc1967.getAdminAddress(address),
+    initializerArgs: serializeArgs(initializerArgs),
+    deployer: deployer.address,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    bytecodeHash: await getBytecodeHash(hre, contractName),
+    upgrades: [],
+  };
+
+  const manifest = readManifest(hre.network.name);
+  manifest.chainId = Number(chainId);
+  manifest.contracts[deploymentName] = deployment;
+  writeManifest(hre.network.name, manifest);
+
+  return { contract, deployment, deployed: true };
+}
+
+/**
+ * Upgrades a recorded proxy to the current artifact of `contractName`, and records the new
+ * implementation in the manifest. The previous implementation is appended to the deployment's
+ * `upgrades` history.
+ *
+ * The storage layout of the new implementation is validated against the current one first; an
+ * incompatible layout throws before any transaction is sent. Nothing is sent either if the proxy
+ * already runs the current artifact.
+ *
+ * @param {object} hre The Hardhat runtime environment
+ * @param {string} deploymentName The name the proxy is recorded under
+ * @param {string} contractName The contract of the new implementation
+ * @param {{ call?: { fn: string, args?: Array } }} options `call` is a function, such as a
+ * reinitializer, to call on the proxy as part of the upgrade
+ * @returns {Promise<{ contract: import("ethers").Contract, deployment: object, upgraded: boolean }>}
+ */
+async function upgradeProxy(hre, deploymentName, contractName, options = {}) {
+  const manifest = readManifest(hre.network.name);
+  const deployment = manifest.contracts[deploymentName];
+  if (!deployment || !deployment.implementation) {
+    throw new Error(`No ${deploymentName} proxy recorded for network "${hre.network.name}" (${getManifestPath(hre.network.name)})`);
+  }
+
+  const bytecodeHash = await getBytecodeHash(hre, contractName);
+  if (deployment.contractName === contractName && deployment.bytecodeHash === bytecodeHash) {
+    const contract = await hre.ethers.getContractAt(contractName, deployment.address);
+    return { contract, deployment, upgraded: false };
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  const factory = await hre.ethers.getContractFactory(contractName, deployer);
+  await hre.upgrades.validateUpgrade(deployment.address, factory, { kind: deployment.proxyKind });
+
+  const contract = await hre.upgrades.upgradeProxy(deployment.address, factory, {
+    kind: deployment.proxyKind,
+    call: options.call,
+  });
+  const receipt = await contract.deployTransaction.wait();
+
+  const previous = {
+    contractName: deployment.contractName,
+    implementation: deployment.implementation,
+    bytecodeHash: deployment.bytecodeHash,
+  };
+  Object.assign(deployment, {
+    contractName,
+    implementation: await hre.upgrades.erc1967.getImplementationAddress(deployment.address),
+    bytecodeHash,
+    upgrades: [...(deployment.upgrades || []), { ...previous, transactionHash: receipt.hash, blockNumber: receipt.blockNumber }],
+  });
+  writeManifest(hre.network.name, manifest);
+
+  return { contract, deployment, upgraded: true };
+}
+
+/**
+ * Returns the recorded address of a contract on the current network.
+ * Throws if the contract has not been deployed to that network yet.
+ */
+function getDeploymentAddress(hre, contractName) {
+  const deployment = readManifest(hre.network.name).contracts[contractName];
+  if (!deployment) {
+    throw new Error(
+      `No ${contractName} deployment recorded for network "${hre.network.name}" (${getManifestPath(hre.network.name)})`
+    );
+  }
+  return deployment.address;
+}
+
+module.exports = {
+  getManifestPath,
+  readManifest,
+  writeManifest,
+  findMatchingDeployment,
+  deployOrReuse,
+  findMatchingProxy,
+  deployProxyOrReuse,
+  upgradeProxy,
+  getDeploymentAddress,
+};
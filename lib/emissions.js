@@ -0,0 +1,115 @@
+// Emission schedule helpers: decaying reward rate curves, and the cumulative emissions of a
+// reward token over time, integrated across epochs exactly like the StakingContract
+const BPS_BASE = 10000n;
+
+/**
+ * Returns the epochs of a reward rate that decays by a fixed share at every epoch, such as a
+ * halving every N days (decayBps = 5000). The first epoch pays `rewardRate` from `startTime`,
+ * and each later epoch starts `epochDuration` seconds after the previous one, at the previous
+ * rate reduced by `decayBps`, rounded down like the contract's integer math.
+ *
+ * @param {{ startTime: bigint, rewardRate: bigint, epochDuration: bigint, decayBps: bigint, count: number }} curve
+ * @returns {Array<{ startTime: bigint, rewardRate: bigint }>} The epochs, for setEmissionSchedule
+ */
+function buildDecaySchedule({ startTime, rewardRate, epochDuration, decayBps, count }) {
+  if (BigInt(epochDuration) <= 0n) {
+    throw new Error("Epoch duration must be greater than zero");
+  }
+  if (BigInt(decayBps) < 0n || BigInt(decayBps) >= BPS_BASE) {
+    throw new Error("Decay must be at least 0 and below 10000 basis points");
+  }
+
+  const epochs = [];
+  let rate = BigInt(rewardRate);
+  for (let i = 0; i < count; i++) {
+    epochs.push({ startTime: BigInt(startTime) + BigInt(i) * BigInt(epochDuration), rewardRate: rate });
+    rate = (rate * (BPS_BASE - BigInt(decayBps))) / BPS_BASE;
+  }
+  return epochs;
+}
+
+/**
+ * Returns the reward rate at a timestamp: the rate of the latest epoch started by then, or
+ * `rewardRate` before the first one.
+ */
+function rateAt(rewardRate, epochs, time) {
+  let rate = BigInt(rewardRate);
+  for (const epoch of epochs) {
+    if (BigInt(epoch.startTime) > BigInt(time)) {
+      break;
+    }
+    rate = BigInt(epoch.rewardRate);
+  }
+  return rate;
+}
+
+/**
+ * Mirrors the contract's _emission: the rewards emitted from `from` to `to`, where `rewardRate`
+ * applies until the first epoch starts and each epoch's rate until the next one starts. Ignores
+ * the reward reserve and the end of the reward period.
+ *
+ * @param {bigint} rewardRate The rate before the first epoch
+ * @param {Array<{ startTime: bigint, rewardRate: bigint }>} epochs The epochs that had not started at `from`
+ */
+function emissionBetween(rewardRate, epochs, from, to) {
+  let time = BigInt(from);
+  const end = BigInt(to);
+  let rate = BigInt(rewardRate);
+  let emitted = 0n;
+  for (const epoch of epochs) {
+    const startTime = BigInt(epoch.startTime);
+    if (startTime >= end) {
+      break;
+    }
+    if (startTime > time) {
+      emitted += (startTime - time) * rate;
+      time = startTime;
+    }
+    rate = BigInt(epoch.rewardRate);
+  }
+  return end > time ? emitted + (end - time) * rate : emitted;
+}
+
+/**
+ * Returns the cumulative emissions of a reward token at regular steps from `from` until the end
+ * of its reward period, assuming tokens stay staked. Emissions stop once `rewardReserve` is spent.
+ *
+ * @param {object} options
+ * @param {bigint} options.rewardRate The rate at `from`
+ * @param {Array<{ startTime: bigint, rewardRate: bigint }>} options.epochs The epochs starting after `from`
+ * @param {bigint} options.periodFinish The end of the reward period
+ * @param {bigint} options.rewardReserve The rewards left to distribute at `from`
+ * @param {bigint} options.from The timestamp to start from
+ * @param {bigint} options.step The number of seconds between rows
+ * @returns {Array<{ timestamp: bigint, rewardRate: bigint, cumulative: bigint, reserveExhausted: boolean }>}
+ * One row per step, plus one at the end of the period
+ */
+function previewEmissions({ rewardRate, epochs, periodFinish, rewardReserve, from, step }) {
+  if (BigInt(step) <= 0n) {
+    throw new Error("Step must be greater than zero");
+  }
+
+  const rows = [];
+  const finish = BigInt(periodFinish);
+  for (let timestamp = BigInt(from); ; timestamp += BigInt(step)) {
+    const time = timestamp < finish ? timestamp : finish;
+    const emitted = emissionBetween(rewardRate, epochs, from, time);
+    const reserveExhausted = emitted >= BigInt(rewardReserve);
+    rows.push({
+      timestamp: time,
+      rewardRate: time < finish && !reserveExhausted ? rateAt(rewardRate, epochs, time) : 0n,
+      cumulative: reserveExhausted ? BigInt(rewardReserve) : emitted,
+      reserveExhausted,
+    });
+    if (time === finish) {
+      return rows;
+    }
+  }
+}
+
+module.exports = {
+  buildDecaySchedule,
+  rateAt,
+  emissionBetween,
+  previewEmissions,
+};
@@ -0,0 +1,334 @@
+// Indexer that rebuilds the staking history of a StakingContract from its event logs
+// and keeps it in a local JSON store under indexes/<network>-<contract>.json
+const fs = require("fs");
+const path = require("path");
+const { readManifest } = require("./deployments");
+
+const INDEXES_DIR = path.join(__dirname, "..", "indexes");
+const STORE_VERSION = 1;
+const DEFAULT_CHUNK_SIZE = 2000;
+// Chunks without events are only saved every so often, since rescanning them after an interruption is cheap
+const SAVE_EVERY_CHUNKS = 10;
+
+/**
+ * Returns the path of the store file for a staking contract on a network.
+ */
+function getStorePath(networkName, contractAddress) {
+  return path.join(INDEXES_DIR, `${networkName}-${contractAddress.toLowerCase()}.json`);
+}
+
+/**
+ * Returns an empty store for a staking contract.
+ */
+function createStore(contractAddress) {
+  return {
+    version: STORE_VERSION,
+    contract: contractAddress,
+    chainId: null,
+    startBlock: null,
+    lastIndexedBlock: null,
+    lastIndexedBlockHash: null,
+    events: [],
+  };
+}
+
+/**
+ * Reads a store and returns `{ store, discarded }`. A missing store, or one written by another store
+ * version or for another contract, is replaced by an empty one, and `discarded` tells the latter apart.
+ */
+function loadStore(storePath, contractAddress) {
+  if (!fs.existsSync(storePath)) {
+    return { store: createStore(contractAddress), discarded: false };
+  }
+  const store = JSON.parse(fs.readFileSync(storePath, "utf8"));
+  if (store.version !== STORE_VERSION || String(store.contract).toLowerCase() !== contractAddress.toLowerCase()) {
+    return { store: createStore(contractAddress), discarded: true };
+  }
+  return { store, discarded: false };
+}
+
+/**
+ * Reads the store of a staking contract, or returns an empty store if there is none yet or it belongs
+ * to another store version or contract.
+ */
+function readStore(storePath, contractAddress) {
+  return loadStore(storePath, contractAddress).store;
+}
+
+/**
+ * Writes a store, creating its directory if needed.
+ */
+function writeStore(storePath, store) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, `${JSON.stringify(store, null, 2)}\n`);
+}
+
+/**
+ * Converts decoded event arguments to a JSON-safe object keyed by parameter name
+ * (BigInts become decimal strings).
+ */
+function serializeEventArgs(parsedLog) {
+  const args = {};
+  parsedLog.fragment.inputs.forEach((input, index) => {
+    const value = parsedLog.args[index];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Returns the block the indexer starts from when building a new store: the given block,
+ * else the deployment block recorded in the manifest for this contract, else 0.
+ */
+function resolveStartBlock(hre, contractAddress, fromBlock) {
+  if (fromBlock !== undefined) {
+    return fromBlock;
+  }
+  const deployment = readManifest(hre.network.name).contracts.StakingContract;
+  if (deployment && deployment.address.toLowerCase() === contractAddress.toLowerCase()) {
+    return deployment.blockNumber;
+  }
+  return 0;
+}
+
+/**
+ * Scans the staking contract's logs from the last indexed block up to the latest block
+ * in chunks of `chunkSize` blocks. The store is saved after every chunk with new events, every
+ * 10 chunks and at the end, so an interrupted sync resumes close to where it stopped without
+ * rewriting the whole store for every empty chunk.
+ *
+ * `fromBlock` only applies when the store is new. If the last indexed block is no longer
+ * part of the chain (for example after restarting a local node), or the store was written by
+ * another version or for another contract, the store is rebuilt from the start block.
+ *
+ * @returns {Promise<{ store: object, storePath: string, newEvents: number, reset: boolean }>}
+ */
+async function syncIndex(hre, stakingContract, options = {}) {
+  const provider = hre.ethers.provider;
+  const contractAddress = await stakingContract.getAddress();
+  const storePath = options.storePath || getStorePath(hre.network.name, contractAddress);
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const { chainId } = await provider.getNetwork();
+
+  let { store, discarded: reset } = loadStore(storePath, contractAddress);
+  if (store.lastIndexedBlock !== null) {
+    const block = await provider.getBlock(store.lastIndexedBlock);
+    if (!block || block.hash !== store.lastIndexedBlockHash || store.chainId !== Number(chainId)) {
+      store = createStore(contractAddress);
+      reset = true;
+    }
+  }
+  if (store.startBlock === null) {
+    store.startBlock = resolveStartBlock(hre, contractAddress, options.fromBlock);
+    store.chainId = Number(chainId);
+  }
+
+  const latestBlock = await provider.getBlockNumber();
+  let fromBlock = store.lastIndexedBlock === null ? store.startBlock : store.lastIndexedBlock + 1;
+  let newEvents = 0;
+  let unsavedChunks = 0;
+
+  while (fromBlock <= latestBlock) {
+    const toBlock = Math.min(fromBlock + chunkSize - 1, latestBlock);
+    const logs = await provider.getLogs({ address: contractAddress, fromBlock, toBlock });
+    const eventCount = store.events.length;
+
+    // Fetch each block's timestamp once per chunk
+    const timestamps = new Map();
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+    }
+
+    for (const log of logs) {
+      const parsedLog = stakingContract.interface.parseLog(log);
+      if (!parsedLog) {
+        continue;
+      }
+      store.events.push({
+        event: parsedLog.name,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps.get(log.blockNumber),
+        args: serializeEventArgs(parsedLog),
+      });
+      newEvents++;
+    }
+
+    const lastBlock = await provider.getBlock(toBlock);
+    store.lastIndexedBlock = toBlock;
+    store.lastIndexedBlockHash = lastBlock.hash;
+    unsavedChunks++;
+    if (store.events.length > eventCount || unsavedChunks >= SAVE_EVERY_CHUNKS || toBlock === latestBlock) {
+      writeStore(storePath, store);
+      unsavedChunks = 0;
+    }
+
+    if (options.onChunk) {
+      options.onChunk({ fromBlock, toBlock, events: logs.length });
+    }
+    fromBlock = toBlock + 1;
+  }
+
+  return { store, storePath, newEvents, reset };
+}
+
+/**
+ * Returns the accounts that have staked in the pool or received stake receipts, in order of first appearance.
+ */
+function getAccounts(store) {
+  const accounts = new Set();
+  for (const { event, args } of store.events) {
+    if (event === "Staked") {
+      accounts.add(args.user);
+    } else if (event === "StakeTransferred") {
+      // Receivers of stake receipts may never have staked themselves
+      accounts.add(args.to);
+    }
+  }
+  return [...accounts];
+}
+
+/**
+ * Returns the stake history of an account, with its staked balance after every change.
+ * Lock releases and withdrawals are listed without changing the staked balance.
+ */
+function getStakeHistory(store, account) {
+  const user = account.toLowerCase();
+  const history = [];
+  let stakedBalance = 0n;
+
+  for (const { event, args, blockNumber, timestamp, transactionHash } of store.events) {
+    // Receipt transfers move stake from one account to another
+    if (event === "StakeTransferred") {
+      const sent = args.from.toLowerCase() === user;
+      const received = args.to.toLowerCase() === user;
+      if (sent || received) {
+        const amount = BigInt(args.amount);
+        stakedBalance += (received ? amount : 0n) - (sent ? amount : 0n);
+        history.push({ blockNumber, timestamp, transactionHash, event, amount, stakedBalance });
+      }
+      continue;
+    }
+    if (!args.user || args.user.toLowerCase() !== user) {
+      continue;
+    }
+
+    // Locked stakes, stakes paid by another account and compounding also emit Staked, which already added the amount
+    const previous = history[history.length - 1];
+    const followsStake = previous && previous.event === "Staked" && previous.transactionHash === transactionHash;
+    if ((event === "StakedLocked" || event === "StakedFor" || event === "Compounded") && followsStake) {
+      previous.event = event;
+      continue;
+    }
+
+    let change;
+    if (event === "Staked") {
+      change = BigInt(args.amount);
+    } else if (event === "UnstakeRequested" || event === "EmergencyWithdrawn") {
+      change = -BigInt(args.amount);
+    } else if (event === "LockReleased" || event === "Withdrawn") {
+      change = 0n;
+    } else {
+      continue;
+    }
+
+    stakedBalance += change;
+    history.push({ blockNumber, timestamp, transactionHash, event, amount: BigInt(args.amount), stakedBalance });
+  }
+
+  return history;
+}
+
+/**
+ * Returns the total claimed per account and reward token, optionally for a single account.
+ */
+function getClaimTotals(store, account) {
+  const totals = new Map();
+  for (const { event, args } of store.events) {
+    if (event !== "RewardClaimed" || (account && args.user.toLowerCase() !== account.toLowerCase())) {
+      continue;
+    }
+    const key = `${args.user}:${args.rewardToken}`;
+    const total = totals.get(key) || { account: args.user, rewardToken: args.rewardToken, amount: 0n, claims: 0 };
+    total.amount += BigInt(args.reward);
+    total.claims++;
+    totals.set(key, total);
+  }
+  return [...totals.values()];
+}
+
+/**
+ * Returns every reward rate change, optionally for a single reward token, oldest first.
+ *
+ * Rates set by a transaction come from RewardRateUpdated. The epochs of an emission schedule take effect
+ * at their start time without a transaction or an event, so they are derived from EmissionEpochScheduled,
+ * less the epochs that EmissionScheduleCancelled dropped (always the last ones of the schedule). Such a
+ * change has the start time of its epoch as its timestamp, no block number, and the transaction that
+ * scheduled it; epochs that start after `until` (in seconds) have not taken effect and are left out.
+ */
+function getRateTimeline(store, rewardToken, until = Infinity) {
+  const matches = (token) => !rewardToken || token.toLowerCase() === rewardToken.toLowerCase();
+  const changes = [];
+  const epochs = new Map();
+
+  for (const { event, args, blockNumber, timestamp, transactionHash } of store.events) {
+    if (!["RewardRateUpdated", "EmissionEpochScheduled", "EmissionScheduleCancelled"].includes(event) || !matches(args.rewardToken)) {
+      continue;
+    }
+    const scheduled = epochs.get(args.rewardToken) || [];
+    epochs.set(args.rewardToken, scheduled);
+
+    if (event === "RewardRateUpdated") {
+      changes.push({ blockNumber, timestamp, transactionHash, rewardToken: args.rewardToken, rewardRate: BigInt(args.newRate), epoch: null });
+    } else if (event === "EmissionEpochScheduled") {
+      scheduled.push({
+        blockNumber: null,
+        timestamp: Number(args.startTime),
+        transactionHash,
+        rewardToken: args.rewardToken,
+        rewardRate: BigInt(args.rewardRate),
+        epoch: Number(args.epoch),
+      });
+    } else {
+      scheduled.splice(scheduled.length - Number(args.epochsCancelled));
+    }
+  }
+
+  for (const scheduled of epochs.values()) {
+    changes.push(...scheduled.filter((change) => change.timestamp <= until));
+  }
+  // A rate can only be set once the epochs of the schedule have started, so the order by time is the order of effect
+  return changes.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Formats rows of plain values as CSV, with a header row taken from the given columns
+ * (or the keys of the first row).
+ */
+function toCsv(rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(escape).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escape(row[column])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  getStorePath,
+  readStore,
+  writeStore,
+  syncIndex,
+  getAccounts,
+  getStakeHistory,
+  getClaimTotals,
+  getRateTimeline,
+  toCsv,
+};
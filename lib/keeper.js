@@ -0,0 +1,53 @@
+// Auto-compounding keeper: one round compounds the rewards of the opted-in accounts whose pending
+// staking token rewards reach a threshold. Used by the qlk keeper task
+const transactions = require("./transactions");
+
+/**
+ * Runs a keeper round and returns `{ paused, results }`, with one result per account.
+ * Nothing is compounded while the staking contract is paused. Otherwise the accounts are read in a single
+ * lens call, and each account is reported as "not-opted-in", "below-threshold", "compounded" or "failed";
+ * a failing account does not stop the others. Transactions go through `options.send(method, args)`,
+ * which defaults to transactions.sendTransaction, and progress goes to `options.log`.
+ */
+async function runKeeperRound(hre, stakingContract, lens, tokenAddress, accounts, threshold, options = {}) {
+  const log = options.log || (() => {});
+  const send = options.send || ((method, args) => transactions.sendTransaction(hre, method, args, { log }));
+
+  if (await stakingContract.paused()) {
+    log("The staking contract is paused, skipping this round");
+    return { paused: true, results: [] };
+  }
+
+  const infos = await lens.getUsersInfo(stakingContract, accounts);
+  const results = [];
+  for (const [i, account] of accounts.entries()) {
+    const optedIn = infos[i].autoCompound;
+    const { earned } = infos[i].rewards.find((reward) => reward.token === tokenAddress);
+    const result = { account, earned: hre.ethers.formatUnits(earned, 18) };
+
+    if (!optedIn) {
+      log(`${account}: not opted in, skipping`);
+      results.push({ ...result, status: "not-opted-in" });
+      continue;
+    }
+    if (earned === 0n || earned < threshold) {
+      log(`${account}: ${result.earned} tokens pending, below the threshold`);
+      results.push({ ...result, status: "below-threshold" });
+      continue;
+    }
+
+    log(`${account}: compounding ${result.earned} tokens...`);
+    try {
+      const tx = await send(stakingContract.compoundFor, [account]);
+      results.push({ ...result, status: "compounded", ...tx });
+    } catch (error) {
+      log(`${account}: compounding failed: ${error.shortMessage || error.message}`);
+      results.push({ ...result, status: "failed", error: error.shortMessage || error.message });
+    }
+  }
+  return { paused: false, results };
+}
+
+module.exports = {
+  runKeeperRound,
+};
@@ -0,0 +1,425 @@
+// Pool health monitor: alert rules evaluated against the events and state of a StakingContract,
+// with a checkpoint under monitors/<network>-<contract>.json so that a restart does not alert twice
+const fs = require("fs");
+const path = require("path");
+const { parseConfig, loadConfigFile } = require("./config");
+const { roleName } = require("./roles");
+
+const MONITORS_DIR = path.join(__dirname, "..", "monitors");
+const CHECKPOINT_VERSION = 1;
+const DEFAULT_CHUNK_SIZE = 2000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// A webhook that stays down must neither grow the checkpoint nor stall every round on timeouts, so an alert
+// is given up after a few attempts, each round retries only a few, and only the latest ones are kept
+const MAX_DELIVERY_ATTEMPTS = 5;
+const MAX_RETRIES_PER_ROUND = 10;
+const MAX_UNDELIVERED = 100;
+const DAY = 86400;
+
+// Each rule can be turned off with false (or null for the thresholds)
+const RULE_DEFAULTS = {
+  // Alert when rewards in a reward token stop being distributed within this many days, at the end of its reward
+  // period or when its reserve runs out
+  runwayDays: 7,
+  // Alert on a requested unstake or emergency withdrawal larger than this share of totalStaked, in basis points
+  unstakeBps: 1000,
+  // Alert on queued and applied reward rate changes and emission schedule changes
+  rateChanges: true,
+  // Alert on granted and revoked roles and admin transfers
+  roleChanges: true,
+  // Alert when the contract holds fewer staking tokens than it owes stakers (totalStaked plus totalUnbonding)
+  balanceBelowStaked: true,
+};
+
+const RATE_EVENTS = [
+  "RewardRateChangeProposed",
+  "RewardRateChangeCancelled",
+  "RewardRateUpdated",
+  "EmissionEpochScheduled",
+  "EmissionScheduleCancelled",
+];
+const ROLE_EVENTS = ["RoleGranted", "RoleRevoked", "DefaultAdminTransferScheduled", "DefaultAdminTransferCanceled"];
+const UNSTAKE_EVENTS = ["UnstakeRequested", "EmergencyWithdrawn"];
+
+/**
+ * Invalid monitor rules.
+ */
+class MonitorError extends Error {}
+
+/**
+ * Validates monitor rules and returns them with the defaults filled in.
+ */
+function validateRules(rules = {}) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    throw new MonitorError("Rules must be an object");
+  }
+  for (const key of Object.keys(rules)) {
+    if (!(key in RULE_DEFAULTS)) {
+      throw new MonitorError(`Unknown rule "${key}": expected ${Object.keys(RULE_DEFAULTS).join(", ")}`);
+    }
+  }
+
+  const valid = { ...RULE_DEFAULTS, ...rules };
+  for (const key of ["runwayDays", "unstakeBps"]) {
+    if (valid[key] === false) {
+      valid[key] = null;
+    }
+  }
+  if (valid.runwayDays !== null && (typeof valid.runwayDays !== "number" || valid.runwayDays <= 0)) {
+    throw new MonitorError("runwayDays must be a positive number of days, or false");
+  }
+  if (valid.unstakeBps !== null && (!Number.isInteger(valid.unstakeBps) || valid.unstakeBps < 1 || valid.unstakeBps > 10000)) {
+    throw new MonitorError("unstakeBps must be a whole number of basis points from 1 to 10000, or false");
+  }
+  for (const key of ["rateChanges", "roleChanges", "balanceBelowStaked"]) {
+    if (typeof valid[key] !== "boolean") {
+      throw new MonitorError(`${key} must be true or false`);
+    }
+  }
+  return valid;
+}
+
+/**
+ * Parses monitor rules written as JSON or YAML and validates them.
+ */
+function parseRules(text, format) {
+  return validateRules(parseConfig(text, format, MonitorError) ?? {});
+}
+
+/**
+ * Reads a rules file; files ending in .yaml or .yml are parsed as YAML, any other as JSON.
+ */
+function loadRules(file) {
+  return validateRules(loadConfigFile(file, MonitorError) ?? {});
+}
+
+/**
+ * Returns the path of the checkpoint file of a monitor watching a staking contract on a network.
+ */
+function getCheckpointPath(networkName, contractAddress) {
+  return path.join(MONITORS_DIR, `${networkName}-${contractAddress.toLowerCase()}.json`);
+}
+
+/**
+ * Returns an empty checkpoint for a staking contract.
+ */
+function createCheckpoint(contractAddress) {
+  return {
+    version: CHECKPOINT_VERSION,
+    contract: contractAddress,
+    chainId: null,
+    lastProcessedBlock: null,
+    lastProcessedBlockHash: null,
+    active: {},
+    undelivered: [],
+  };
+}
+
+/**
+ * Reads a checkpoint and returns `{ checkpoint, discarded }`. A missing checkpoint, or one written by
+ * another checkpoint version or for another contract, is replaced by an empty one, and `discarded`
+ * tells the latter apart.
+ */
+function loadCheckpoint(checkpointPath, contractAddress) {
+  if (!fs.existsSync(checkpointPath)) {
+    return { checkpoint: createCheckpoint(contractAddress), discarded: false };
+  }
+  const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+  if (checkpoint.version !== CHECKPOINT_VERSION || String(checkpoint.contract).toLowerCase() !== contractAddress.toLowerCase()) {
+    return { checkpoint: createCheckpoint(contractAddress), discarded: true };
+  }
+  return { checkpoint, discarded: false };
+}
+
+/**
+ * Reads the checkpoint of a staking contract, or returns an empty checkpoint if there is none yet or it
+ * belongs to another checkpoint version or contract.
+ */
+function readCheckpoint(checkpointPath, contractAddress) {
+  return loadCheckpoint(checkpointPath, contractAddress).checkpoint;
+}
+
+/**
+ * Writes a checkpoint, creating its directory if needed.
+ */
+function writeCheckpoint(checkpointPath, checkpoint) {
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  fs.writeFileSync(checkpointPath, `${JSON.stringify(checkpoint, null, 2)}\n`);
+}
+
+/**
+ * Returns the alerts raised by the pool's events in a range of blocks, oldest first.
+ * Each alert has an id unique to its log, so it is raised once however often the range is read.
+ */
+async function checkEvents(hre, stakingContract, rules, fromBlock, toBlock) {
+  const { formatUnits } = hre.ethers;
+  const logs = await hre.ethers.provider.getLogs({ address: await stakingContract.getAddress(), fromBlock, toBlock });
+  const alerts = [];
+
+  for (const log of logs) {
+    const parsedLog = stakingContract.interface.parseLog(log);
+    if (!parsedLog) {
+      continue;
+    }
+    const { name, args } = parsedLog;
+    const base = {
+      id: `${name}:${log.transactionHash}:${log.index}`,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+    };
+
+    if (rules.unstakeBps !== null && UNSTAKE_EVENTS.includes(name)) {
+      // Compare with the total staked before the block, which still includes the amount
+      const totalStaked = await stakingContract.totalStaked({ blockTag: log.blockNumber - 1 });
+      if (args.amount * 10000n > BigInt(rules.unstakeBps) * totalStaked) {
+        const share = totalStaked === 0n ? 100 : Number((args.amount * 10000n) / totalStaked) / 100;
+        const action = name === "EmergencyWithdrawn" ? "emergency-withdrew" : "requested to unstake";
+        alerts.push({
+          ...base,
+          rule: "unstakeBps",
+          severity: "warning",
+          message: `${args.user} ${action} ${formatUnits(args.amount, 18)} tokens, ${share}% of the total staked`,
+          data: { event: name, user: args.user, amount: args.amount.toString(), totalStaked: totalStaked.toString() },
+        });
+      }
+    } else if (rules.rateChanges && RATE_EVENTS.includes(name)) {
+      const messages = {
+        RewardRateChangeProposed: () => `Reward rate change to ${formatUnits(args.newRate, 18)} per second queued for ${args.rewardToken}, executable at ${isoDate(args.executableAt)}`,
+        RewardRateChangeCancelled: () => `Queued reward rate change to ${formatUnits(args.newRate, 18)} per second cancelled for ${args.rewardToken}`,
+        RewardRateUpdated: () => `Reward rate of ${args.rewardToken} set to ${formatUnits(args.newRate, 18)} per second`,
+        EmissionEpochScheduled: () => `Emission epoch ${args.epoch} of ${args.rewardToken} scheduled at ${formatUnits(args.rewardRate, 18)} per second from ${isoDate(args.startTime)}`,
+        EmissionScheduleCancelled: () => `${args.epochsCancelled} scheduled emission epochs of ${args.rewardToken} cancelled`,
+      };
+      const data = { event: name, ...serializeArgs(parsedLog) };
+      alerts.push({ ...base, rule: "rateChanges", severity: "warning", message: messages[name](), data });
+    } else if (rules.roleChanges && ROLE_EVENTS.includes(name)) {
+      const messages = {
+        RoleGranted: () => `Role ${roleName(hre, args.role)} granted to ${args.account} by ${args.sender}`,
+        RoleRevoked: () => `Role ${roleName(hre, args.role)} revoked from ${args.account} by ${args.sender}`,
+        DefaultAdminTransferScheduled: () => `Admin transfer to ${args.newAdmin} scheduled, acceptable from ${isoDate(args.acceptSchedule)}`,
+        DefaultAdminTransferCanceled: () => "Pending admin transfer cancelled",
+      };
+      const data = { event: name, ...serializeArgs(parsedLog) };
+      alerts.push({ ...base, rule: "roleChanges", severity: "critical", message: messages[name](), data });
+    }
+  }
+  return alerts;
+}
+
+/**
+ * Formats a timestamp in seconds as an ISO date.
+ */
+function isoDate(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * Converts decoded event arguments to a JSON-safe object keyed by parameter name.
+ */
+function serializeArgs(parsedLog) {
+  const args = {};
+  parsedLog.fragment.inputs.forEach((input, index) => {
+    const value = parsedLog.args[index];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Returns the conditions that hold for the pool's state at a block, keyed by what they are about,
+ * so that a condition that keeps holding is only alerted once.
+ */
+async function checkState(hre, stakingContract, rules, blockNumber) {
+  const { formatUnits } = hre.ethers;
+  const blockTag = blockNumber;
+  const conditions = [];
+
+  if (rules.runwayDays !== null) {
+    for (const token of await stakingContract.getRewardTokens({ blockTag })) {
+      const { periodFinish } = await stakingContract.rewardData(token, { blockTag });
+      // Reward tokens without a first reward period are not expected to pay anything yet
+      if (periodFinish === 0n) {
+        continue;
+      }
+      const runway = await stakingContract.rewardRunway(token, { blockTag });
+      if (runway < BigInt(Math.floor(rules.runwayDays * DAY))) {
+        conditions.push({
+          key: `runwayDays:${token}`,
+          rule: "runwayDays",
+          severity: "warning",
+          message:
+            runway === 0n
+              ? `Rewards in ${token} are no longer distributed: the reward period has ended or the reserve ran out`
+              : `Rewards in ${token} stop being distributed in ${(Number(runway) / DAY).toFixed(2)} days, when the reward period ends or the reserve runs out`,
+          data: { rewardToken: token, runway: runway.toString(), periodFinish: periodFinish.toString() },
+        });
+      }
+    }
+  }
+
+  if (rules.balanceBelowStaked) {
+    const stakingToken = await hre.ethers.getContractAt(
+      ["function balanceOf(address) view returns (uint256)"],
+      await stakingContract.stakingToken({ blockTag })
+    );
+    const [balance, totalStaked, totalUnbonding] = await Promise.all([
+      stakingToken.balanceOf(await stakingContract.getAddress(), { blockTag }),
+      stakingContract.totalStaked({ blockTag }),
+      stakingContract.totalUnbonding({ blockTag }),
+    ]);
+    if (balance < totalStaked + totalUnbonding) {
+      conditions.push({
+        key: "balanceBelowStaked",
+        rule: "balanceBelowStaked",
+        severity: "critical",
+        message: `The contract holds ${formatUnits(balance, 18)} staking tokens but owes stakers ${formatUnits(totalStaked + totalUnbonding, 18)}`,
+        data: { balance: balance.toString(), totalStaked: totalStaked.toString(), totalUnbonding: totalUnbonding.toString() },
+      });
+    }
+  }
+
+  return conditions;
+}
+
+/**
+ * Runs one monitoring round: raises the alerts of the events since the checkpoint, then checks the
+ * state at the latest block. State conditions are alerted when they start to hold, and again with an
+ * "info" alert when they are resolved. The checkpoint is saved after the round, so a restarted monitor
+ * resumes after the last processed block with the conditions already alerted.
+ *
+ * Alerts are passed to `options.deliver(alert, retry)` before the checkpoint is saved, so a monitor that
+ * stops during delivery evaluates the round again. An alert whose delivery fails is kept in the checkpoint
+ * and delivered again, with `retry` set, in a later round: each round retries the 10 that have waited
+ * longest. An alert is dropped after 5 failed attempts, or when more than 100 are waiting, oldest first.
+ *
+ * A new checkpoint starts at `fromBlock`, or after the latest block so that only new activity is alerted.
+ * If the last processed block is no longer part of the chain (for example after restarting a local
+ * node), or the checkpoint was written by another version or for another contract, it is started over.
+ *
+ * @returns {Promise<{ alerts: object[], undelivered: { alert: object, error: string, attempts: number }[],
+ *   dropped: { alert: object, error: string, attempts: number }[], fromBlock: number, toBlock: number,
+ *   reset: boolean, checkpointPath: string }>} The new alerts, the alerts kept for the next round and the
+ *   alerts given up on
+ */
+async function runMonitorRound(hre, stakingContract, rules, options = {}) {
+  const provider = hre.ethers.provider;
+  const contractAddress = await stakingContract.getAddress();
+  const checkpointPath = options.checkpointPath || getCheckpointPath(hre.network.name, contractAddress);
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const { chainId } = await provider.getNetwork();
+  const latestBlock = await provider.getBlockNumber();
+
+  let { checkpoint, discarded: reset } = loadCheckpoint(checkpointPath, contractAddress);
+  if (checkpoint.lastProcessedBlock !== null) {
+    const block = await provider.getBlock(checkpoint.lastProcessedBlock);
+    if (!block || block.hash !== checkpoint.lastProcessedBlockHash || checkpoint.chainId !== Number(chainId)) {
+      checkpoint = createCheckpoint(contractAddress);
+      reset = true;
+    }
+  }
+  if (checkpoint.lastProcessedBlock === null) {
+    checkpoint.chainId = Number(chainId);
+  }
+
+  const fromBlock = checkpoint.lastProcessedBlock === null ? (options.fromBlock ?? latestBlock + 1) : checkpoint.lastProcessedBlock + 1;
+  const alerts = [];
+  for (let start = fromBlock; start <= latestBlock; start += chunkSize) {
+    alerts.push(...(await checkEvents(hre, stakingContract, rules, start, Math.min(start + chunkSize - 1, latestBlock))));
+  }
+
+  const conditions = await checkState(hre, stakingContract, rules, latestBlock);
+  const active = {};
+  for (const condition of conditions) {
+    const { key, ...alert } = condition;
+    active[key] = checkpoint.active[key] || { since: latestBlock, message: alert.message };
+    if (!checkpoint.active[key]) {
+      alerts.push({ id: `${key}:${latestBlock}`, blockNumber: latestBlock, ...alert });
+    }
+  }
+  for (const [key, { since }] of Object.entries(checkpoint.active)) {
+    if (!active[key]) {
+      alerts.push({
+        id: `${key}:resolved:${latestBlock}`,
+        blockNumber: latestBlock,
+        rule: key.split(":")[0],
+        severity: "info",
+        message: `Resolved: ${checkpoint.active[key].message}`,
+        data: { since },
+      });
+    }
+  }
+
+  let undelivered = checkpoint.undelivered || [];
+  const dropped = [];
+  if (options.deliver) {
+    const failed = [];
+    for (const { alert, attempts = 1 } of undelivered.slice(0, MAX_RETRIES_PER_ROUND)) {
+      try {
+        await options.deliver(alert, true);
+      } catch (error) {
+        const entry = { alert, error: error.message, attempts: attempts + 1 };
+        (entry.attempts >= MAX_DELIVERY_ATTEMPTS ? dropped : failed).push(entry);
+      }
+    }
+    for (const alert of alerts) {
+      try {
+        await options.deliver(alert, false);
+      } catch (error) {
+        failed.push({ alert, error: error.message, attempts: 1 });
+      }
+    }
+
+    // The alerts that were not retried this round go first, so they are retried next
+    undelivered = [...undelivered.slice(MAX_RETRIES_PER_ROUND), ...failed];
+    dropped.push(...undelivered.splice(0, Math.max(undelivered.length - MAX_UNDELIVERED, 0)));
+  }
+
+  checkpoint.lastProcessedBlock = Math.max(latestBlock, fromBlock - 1);
+  checkpoint.lastProcessedBlockHash = (await provider.getBlock(checkpoint.lastProcessedBlock)).hash;
+  checkpoint.active = active;
+  checkpoint.undelivered = undelivered;
+  writeCheckpoint(checkpointPath, checkpoint);
+
+  return { alerts, undelivered, dropped, fromBlock, toBlock: latestBlock, reset, checkpointPath };
+}
+
+/**
+ * Posts an alert as JSON to a webhook URL, failing if the endpoint does not answer with a 2xx status
+ * within 10 seconds.
+ */
+async function sendWebhook(url, alert) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(alert),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Formats an alert as a single line of text.
+ */
+function formatAlert(alert) {
+  return `[block ${alert.blockNumber}] ${alert.severity.toUpperCase()} ${alert.rule}: ${alert.message}`;
+}
+
+module.exports = {
+  RULE_DEFAULTS,
+  MAX_DELIVERY_ATTEMPTS,
+  MAX_RETRIES_PER_ROUND,
+  MAX_UNDELIVERED,
+  MonitorError,
+  validateRules,
+  parseRules,
+  loadRules,
+  getCheckpointPath,
+  readCheckpoint,
+  checkEvents,
+  checkState,
+  runMonitorRound,
+  sendWebhook,
+  formatAlert,
+};
@@ -0,0 +1,36 @@
+// Helpers for signing EIP-2612 permits off-chain
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Signs a permit letting `spender` transfer `value` of the owner's tokens until `deadline`.
+ * The EIP-712 domain is read from the token itself (ERC-5267), and the nonce defaults to the
+ * owner's current nonce.
+ *
+ * @returns {Promise<{ v: number, r: string, s: string, nonce: bigint }>}
+ */
+async function signPermit(hre, token, owner, spender, value, deadline, nonce) {
+  const [, name, version, chainId, verifyingContract] = await token.eip712Domain();
+  const permitNonce = nonce === undefined ? await token.nonces(owner.address) : nonce;
+
+  const signature = await owner.signTypedData(
+    { name, version, chainId, verifyingContract },
+    PERMIT_TYPES,
+    { owner: owner.address, spender, value, nonce: permitNonce, deadline }
+  );
+
+  const { v, r, s } = hre.ethers.Signature.from(signature);
+  return { v, r, s, nonce: permitNonce };
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  signPermit,
+};
@@ -0,0 +1,175 @@
+// Staking pools deployed through the StakingFactory: the pool config files read by qlk create-pools,
+// and the live state of the pools in the factory's registry
+const { parseConfig, loadConfigFile } = require("./config");
+const { readManifest, getManifestPath } = require("./deployments");
+
+const POOL_KEYS = ["name", "stakingToken", "rewardToken", "owner", "rewardRate", "duration"];
+
+/**
+ * An invalid pool config, or a token or owner in it that cannot be resolved.
+ */
+class PoolConfigError extends Error {}
+
+/**
+ * Checks a pool config and fills in its defaults. Throws a PoolConfigError naming the first invalid pool.
+ *
+ * Each pool has a staking token, and optionally a primary reward token (defaults to the staking token),
+ * an owner (defaults to the account creating the pools), a name to report it by, and a first reward period
+ * given by its rate in tokens per second and its duration in seconds.
+ *
+ * @param {object} config The parsed config file, with a list of pools
+ * @returns {{ pools: object[] }}
+ */
+function validatePoolConfig(config) {
+  if (!config || typeof config !== "object" || !Array.isArray(config.pools) || config.pools.length === 0) {
+    throw new PoolConfigError("A pool config must be an object with a list of pools");
+  }
+
+  const pools = config.pools.map((pool, index) => {
+    const fail = (message) => {
+      throw new PoolConfigError(`Pool ${index + 1}${pool && pool.name ? ` (${pool.name})` : ""}: ${message}`);
+    };
+    if (!pool || typeof pool !== "object" || Array.isArray(pool)) {
+      fail("must be an object");
+    }
+    for (const key of Object.keys(pool)) {
+      if (!POOL_KEYS.includes(key)) {
+        fail(`unknown option "${key}": expected ${POOL_KEYS.join(", ")}`);
+      }
+    }
+
+    for (const key of ["name", "rewardToken", "owner"]) {
+      if (pool[key] !== undefined && (typeof pool[key] !== "string" || pool[key] === "")) {
+        fail(`${key} must be a non-empty string`);
+      }
+    }
+    if (typeof pool.stakingToken !== "string" || pool.stakingToken === "") {
+      fail("stakingToken must be a token address or the name of a deployment");
+    }
+
+    const rewardRate = pool.rewardRate === undefined ? "0" : String(pool.rewardRate);
+    if (!/^\d+(\.\d{1,18})?$/.test(rewardRate)) {
+      fail("rewardRate must be an amount of tokens per second, with at most 18 decimals");
+    }
+    const rewarded = !/^0+(\.0+)?$/.test(rewardRate);
+    if (rewarded && !(Number.isInteger(pool.duration) && pool.duration > 0)) {
+      fail("duration must be a whole number of seconds greater than zero when rewardRate is set");
+    }
+    if (!rewarded && pool.duration !== undefined) {
+      fail("duration is only used with a rewardRate");
+    }
+
+    return {
+      name: pool.name || `Pool ${index + 1}`,
+      stakingToken: pool.stakingToken,
+      rewardToken: pool.rewardToken || pool.stakingToken,
+      owner: pool.owner || null,
+      rewardRate,
+      duration: rewarded ? pool.duration : 0,
+    };
+  });
+
+  return { pools };
+}
+
+/**
+ * Parses and validates a pool config written as JSON or YAML.
+ *
+ * @param {string} text The pool config
+ * @param {"json" | "yaml"} format
+ */
+function parsePoolConfig(text, format) {
+  return validatePoolConfig(parseConfig(text, format, PoolConfigError));
+}
+
+/**
+ * Reads a pool config file; files ending in .yaml or .yml are parsed as YAML, any other as JSON.
+ */
+function loadPoolConfig(file) {
+  return validatePoolConfig(loadConfigFile(file, PoolConfigError));
+}
+
+/**
+ * Resolves a token given as an address, or as the name of a deployment recorded in the network's
+ * manifest (such as MockToken or RewardToken), to a checksummed address.
+ */
+function resolveToken(hre, token) {
+  if (hre.ethers.isAddress(token)) {
+    return hre.ethers.getAddress(token);
+  }
+  const deployment = readManifest(hre.network.name).contracts[token];
+  if (!deployment) {
+    throw new PoolConfigError(`"${token}" is neither an address nor a deployment recorded in ${getManifestPath(hre.network.name)}`);
+  }
+  return deployment.address;
+}
+
+/**
+ * Resolves the tokens and owners of validated pools to addresses, and their reward rates to the
+ * smallest token unit per second. Pools without an owner are owned by `defaultOwner`.
+ *
+ * @returns {object[]} The pools, each with `rewardRate` and `reward` (rewardRate * duration) as BigInts
+ */
+function resolvePools(hre, pools, defaultOwner) {
+  return pools.map((pool) => {
+    if (pool.owner !== null && !hre.ethers.isAddress(pool.owner)) {
+      throw new PoolConfigError(`${pool.name}: invalid owner address "${pool.owner}"`);
+    }
+    const rewardRate = hre.ethers.parseUnits(pool.rewardRate, 18);
+    return {
+      ...pool,
+      stakingToken: resolveToken(hre, pool.stakingToken),
+      rewardToken: resolveToken(hre, pool.rewardToken),
+      owner: hre.ethers.getAddress(pool.owner || defaultOwner),
+      rewardRate,
+      reward: rewardRate * BigInt(pool.duration),
+    };
+  });
+}
+
+/**
+ * Reads the pools in a factory's registry, or only those of a staking token, with their live state:
+ * total staked, and the reward rate and period end of their primary reward token. Amounts are
+ * formatted in whole tokens.
+ *
+ * @returns {Promise<object[]>} The pools, oldest first
+ */
+async function listPools(hre, factory, stakingToken) {
+  const addresses = stakingToken ? await factory.getPoolsByToken(stakingToken) : await factory.getPools();
+  const { formatUnits } = hre.ethers;
+
+  return Promise.all(
+    addresses.map(async (address) => {
+      const pool = await hre.ethers.getContractAt("StakingContract", address);
+      const [token, rewardTokens, totalStaked, paused] = await Promise.all([
+        pool.stakingToken(),
+        pool.getRewardTokens(),
+        pool.totalStaked(),
+        pool.paused(),
+      ]);
+      const [rewardRate, { periodFinish }] = await Promise.all([
+        pool.getRewardRate(rewardTokens[0]),
+        pool.rewardData(rewardTokens[0]),
+      ]);
+      return {
+        pool: address,
+        stakingToken: token,
+        rewardToken: rewardTokens[0],
+        rewardTokens: [...rewardTokens],
+        totalStaked: formatUnits(totalStaked, 18),
+        rewardRate: formatUnits(rewardRate, 18),
+        periodFinish: Number(periodFinish),
+        paused,
+      };
+    })
+  );
+}
+
+module.exports = {
+  PoolConfigError,
+  validatePoolConfig,
+  parsePoolConfig,
+  loadPoolConfig,
+  resolvePools,
+  listPools,
+};
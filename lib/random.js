@@ -0,0 +1,29 @@
+// Seeded pseudo-random generator, so that randomized runs (the randomized tests, scenarios with
+// random amounts) can be reproduced from their seed
+
+/**
+ * Returns a deterministic pseudo-random generator (mulberry32) for a seed.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    // Amounts with random low digits, so the contract's rounding is exercised
+    amount: (maxTokens) => BigInt(Math.floor(next() * maxTokens * 1e6) + 1) * 10n ** 12n + BigInt(Math.floor(next() * 1e6)),
+    // A bigint from min to max, in steps of a millionth of the range
+    between: (min, max) => min + ((max - min) * BigInt(Math.floor(next() * 1000001))) / 1000000n,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability,
+  };
+}
+
+module.exports = {
+  createRandom,
+};
@@ -0,0 +1,626 @@
+// Off-chain reward calculator that mirrors the StakingContract reward accounting with BigInts,
+// rounding exactly like the contract, so rewards can be projected without RPC calls
+const { emissionBetween } = require("./emissions");
+
+const PRECISION = 10n ** 18n;
+const MULTIPLIER_BASE = 10000n;
+const SECONDS_PER_DAY = 86400n;
+const MAX_EMISSION_EPOCHS = 16;
+
+/**
+ * Returns the state of a new pool paying rewards in `rewardToken`, as the constructor leaves it.
+ * Without a reward token, the pool starts without any, for replaying a deployment's
+ * RewardTokenAdded events.
+ */
+function createPool(rewardToken) {
+  const pool = {
+    totalStaked: 0n,
+    totalWeight: 0n,
+    rewardTokens: [],
+    rewardData: {},
+    accounts: {},
+  };
+  if (rewardToken) {
+    addRewardToken(pool, rewardToken);
+  }
+  return pool;
+}
+
+/**
+ * Registers a reward token, like addRewardToken.
+ */
+function addRewardToken(pool, token) {
+  const key = token.toLowerCase();
+  if (pool.rewardData[key]) {
+    throw new Error("Reward token already added");
+  }
+  pool.rewardTokens.push(key);
+  pool.rewardData[key] = {
+    rewardRate: 0n,
+    periodFinish: 0n,
+    lastUpdateTime: 0n,
+    rewardPerTokenStored: 0n,
+    rewardReserve: 0n,
+    schedule: [],
+    appliedEpochs: 0,
+  };
+}
+
+/**
+ * Returns the position of an account, creating an empty one on first use.
+ */
+function getAccount(pool, account) {
+  const key = account.toLowerCase();
+  if (!pool.accounts[key]) {
+    pool.accounts[key] = {
+      stakedBalance: 0n,
+      rewardWeight: 0n,
+      locks: [],
+      rewards: {},
+      userRewardPerTokenPaid: {},
+    };
+  }
+  return pool.accounts[key];
+}
+
+/**
+ * Returns the reward data of a registered reward token.
+ */
+function getRewardData(pool, token) {
+  const data = pool.rewardData[token.toLowerCase()];
+  if (!data) {
+    throw new Error("Not a reward token");
+  }
+  return data;
+}
+
+/**
+ * Mirrors lastTimeRewardApplicable(token) at timestamp `now`.
+ */
+function lastTimeRewardApplicable(pool, token, now) {
+  const { periodFinish } = getRewardData(pool, token);
+  return BigInt(now) < periodFinish ? BigInt(now) : periodFinish;
+}
+
+/**
+ * Mirrors the contract's _startedEpochs(token) at timestamp `now`.
+ */
+function startedEpochs(pool, token, now) {
+  const { schedule, appliedEpochs } = getRewardData(pool, token);
+  let count = appliedEpochs;
+  while (count < schedule.length && schedule[count].startTime <= BigInt(now)) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Mirrors getRewardRate(token) at timestamp `now`.
+ */
+function currentRewardRate(pool, token, now) {
+  const data = getRewardData(pool, token);
+  const started = startedEpochs(pool, token, now);
+  return started > data.appliedEpochs ? data.schedule[started - 1].rewardRate : data.rewardRate;
+}
+
+/**
+ * Mirrors the contract's _pendingDistribution(token) at timestamp `now`.
+ */
+function pendingDistribution(pool, token, now) {
+  if (pool.totalWeight === 0n) {
+    return 0n;
+  }
+  const data = getRewardData(pool, token);
+  const distribution = emissionBetween(
+    data.rewardRate,
+    data.schedule.slice(data.appliedEpochs),
+    data.lastUpdateTime,
+    lastTimeRewardApplicable(pool, token, now)
+  );
+  return distribution < data.rewardReserve ? distribution : data.rewardReserve;
+}
+
+/**
+ * Mirrors rewardPerToken(token) at timestamp `now`.
+ */
+function rewardPerToken(pool, token, now) {
+  const data = getRewardData(pool, token);
+  if (pool.totalWeight === 0n) {
+    return data.rewardPerTokenStored;
+  }
+  return data.rewardPerTokenStored + (pendingDistribution(pool, token, now) * PRECISION) / pool.totalWeight;
+}
+
+/**
+ * Mirrors earned(account, token) at timestamp `now`.
+ */
+function earned(pool, account, token, now) {
+  const key = token.toLowerCase();
+  const position = getAccount(pool, account);
+  const paid = position.userRewardPerTokenPaid[key] || 0n;
+  const newlyEarned = (position.rewardWeight * (rewardPerToken(pool, token, now) - paid)) / PRECISION;
+  return newlyEarned + (position.rewards[key] || 0n);
+}
+
+/**
+ * Mirrors getEstimatedDailyRewards(account, token) at timestamp `now`.
+ */
+function getEstimatedDailyRewards(pool, account, token, now) {
+  const { rewardWeight } = getAccount(pool, account);
+  if (pool.totalWeight === 0n || rewardWeight === 0n) {
+    return 0n;
+  }
+  const userShare = (rewardWeight * PRECISION) / pool.totalWeight;
+  return (currentRewardRate(pool, token, now) * SECONDS_PER_DAY * userShare) / PRECISION;
+}
+
+/**
+ * Mirrors _updateReward(account) at timestamp `now`, including the release of expired locks.
+ * Pass a null account to only update the global values.
+ */
+function updateReward(pool, account, now) {
+  for (const token of pool.rewardTokens) {
+    const data = pool.rewardData[token];
+    const rewardPerTokenStored = rewardPerToken(pool, token, now);
+    data.rewardReserve -= pendingDistribution(pool, token, now);
+    data.rewardPerTokenStored = rewardPerTokenStored;
+    data.lastUpdateTime = lastTimeRewardApplicable(pool, token, now);
+    data.rewardRate = currentRewardRate(pool, token, now);
+    data.appliedEpochs = startedEpochs(pool, token, now);
+
+    if (account) {
+      const position = getAccount(pool, account);
+      position.rewards[token] = earned(pool, account, token, now);
+      position.userRewardPerTokenPaid[token] = data.rewardPerTokenStored;
+    }
+  }
+
+  if (account) {
+    const position = getAccount(pool, account);
+    position.locks = position.locks.filter((lock) => {
+      if (lock.unlockTime > BigInt(now)) {
+        return true;
+      }
+      const boost = (lock.amount * lock.multiplier) / MULTIPLIER_BASE - lock.amount;
+      position.rewardWeight -= boost;
+      pool.totalWeight -= boost;
+      return false;
+    });
+  }
+}
+
+/**
+ * Mirrors the contract's _endEmissionSchedule(token), once the rewards are up to date.
+ */
+function endEmissionSchedule(data) {
+  if (data.appliedEpochs < data.schedule.length) {
+    throw new Error("Emission schedule pending");
+  }
+  data.schedule = [];
+  data.appliedEpochs = 0;
+}
+
+/**
+ * Throws if epochs of a token's emission schedule have not started at timestamp `now`.
+ */
+function requireNoPendingEpochs(pool, token, now) {
+  if (startedEpochs(pool, token, now) < getRewardData(pool, token).schedule.length) {
+    throw new Error("Emission schedule pending");
+  }
+}
+
+/**
+ * Adds a stake with the given reward weight to an account.
+ */
+function addStake(pool, position, amount, weight) {
+  pool.totalStaked += amount;
+  position.stakedBalance += amount;
+  pool.totalWeight += weight;
+  position.rewardWeight += weight;
+}
+
+/**
+ * Applies a pool action at its `timestamp` (the block timestamp of its transaction), the way
+ * the matching contract function updates the reward accounting.
+ *
+ * Supported actions (amounts are BigInts, timestamps and durations in seconds):
+ * - { type: "stake", account, amount }
+ * - { type: "stakeLocked", account, amount, lockDuration, multiplier } (multiplier in basis points)
+ * - { type: "unstake", account, amount } (requestUnstake)
+ * - { type: "transfer", from, to, amount } (a receipt transfer, through transferStake)
+ * - { type: "claim", account, token } (claimReward, or claimAll without a token)
+ * - { type: "compound", account, stakingToken }
+ * - { type: "emergencyWithdraw", account }
+ * - { type: "releaseExpiredLocks", account }
+ * - { type: "addRewardToken", token }
+ * - { type: "fundRewards", token, amount }
+ * - { type: "notifyRewardAmount", token, reward, duration }
+ * - { type: "setRewardRate", token, rewardRate } (executeRewardRate)
+ * - { type: "setEmissionSchedule", token, epochs } (epochs of { startTime, rewardRate })
+ * - { type: "cancelEmissionSchedule", token }
+ *
+ * Actions the contract would reject throw with the contract's revert message, leaving the pool unchanged.
+ * The rate change delay is not modelled, since it does not affect the accounting.
+ *
+ * @returns {object} For claim, compound and emergencyWithdraw, the amounts paid out, compounded
+ * or forfeited per reward token; otherwise an empty object.
+ */
+function applyAction(pool, action) {
+  const now = BigInt(action.timestamp);
+  const amount = action.amount === undefined ? undefined : BigInt(action.amount);
+
+  switch (action.type) {
+    case "stake":
+    case "stakeLocked": {
+      if (amount === 0n) {
+        throw new Error("Cannot stake 0");
+      }
+      if (action.type === "stakeLocked" && !action.multiplier) {
+        throw new Error("Unsupported lock duration");
+      }
+      updateReward(pool, action.account, now);
+      const position = getAccount(pool, action.account);
+      if (action.type === "stake") {
+        addStake(pool, position, amount, amount);
+        return {};
+      }
+      const multiplier = BigInt(action.multiplier);
+      position.locks.push({ amount, unlockTime: now + BigInt(action.lockDuration), multiplier });
+      addStake(pool, position, amount, (amount * multiplier) / MULTIPLIER_BASE);
+      return {};
+    }
+
+    case "unstake": {
+      const position = getAccount(pool, action.account);
+      if (amount === 0n) {
+        throw new Error("Cannot unstake 0");
+      }
+      if (position.stakedBalance < amount) {
+        throw new Error("Not enough staked tokens");
+      }
+      // Locks that have expired by now are released by the reward update
+      const locked = position.locks.reduce((total, lock) => (lock.unlockTime > now ? total + lock.amount : total), 0n);
+      if (position.stakedBalance - locked < amount) {
+        throw new Error("Tokens are locked");
+      }
+      updateReward(pool, action.account, now);
+      addStake(pool, position, -amount, -amount);
+      return {};
+    }
+
+    case "transfer": {
+      const from = getAccount(pool, action.from);
+      if (!action.to || BigInt(action.to) === 0n) {
+        throw new Error("Transfer to the zero address");
+      }
+      if (from.stakedBalance < amount) {
+        throw new Error("Not enough staked tokens");
+      }
+      const locked = from.locks.reduce((total, lock) => (lock.unlockTime > now ? total + lock.amount : total), 0n);
+      if (from.stakedBalance - locked < amount) {
+        throw new Error("Tokens are locked");
+      }
+      updateReward(pool, action.from, now);
+      updateReward(pool, action.to, now);
+      // The totals do not change: the stake only moves between the accounts
+      addStake(pool, from, -amount, -amount);
+      addStake(pool, getAccount(pool, action.to), amount, amount);
+      return {};
+    }
+
+    case "claim": {
+      const tokens = action.token ? [action.token.toLowerCase()] : pool.rewardTokens;
+      tokens.forEach((token) => getRewardData(pool, token));
+      updateReward(pool, action.account, now);
+      const position = getAccount(pool, action.account);
+      const claimed = {};
+      for (const token of tokens) {
+        claimed[token] = position.rewards[token];
+        position.rewards[token] = 0n;
+      }
+      return claimed;
+    }
+
+    case "compound": {
+      const token = action.stakingToken.toLowerCase();
+      if (!pool.rewardData[token]) {
+        throw new Error("Staking token is not a reward token");
+      }
+      const compounded = earned(pool, action.account, token, now);
+      if (compounded === 0n) {
+        throw new Error("No rewards to compound");
+      }
+      updateReward(pool, action.account, now);
+      const position = getAccount(pool, action.account);
+      position.rewards[token] = 0n;
+      addStake(pool, position, compounded, compounded);
+      return { [token]: compounded };
+    }
+
+    case "emergencyWithdraw": {
+      // No reward update: rewards accrued since the account's last update go to the remaining stakers
+      const position = getAccount(pool, action.account);
+      if (position.stakedBalance === 0n) {
+        throw new Error("Nothing staked");
+      }
+      const forfeited = {};
+      for (const token of pool.rewardTokens) {
+        forfeited[token] = position.rewards[token] || 0n;
+        pool.rewardData[token].rewardReserve += forfeited[token];
+        position.rewards[token] = 0n;
+      }
+      pool.totalStaked -= position.stakedBalance;
+      position.stakedBalance = 0n;
+      pool.totalWeight -= position.rewardWeight;
+      position.rewardWeight = 0n;
+      position.locks = [];
+      return forfeited;
+    }
+
+    case "releaseExpiredLocks":
+      updateReward(pool, action.account, now);
+      return {};
+
+    case "addRewardToken":
+      addRewardToken(pool, action.token);
+      return {};
+
+    case "fundRewards": {
+      const data = getRewardData(pool, action.token);
+      if (amount === 0n) {
+        throw new Error("Cannot fund 0");
+      }
+      updateReward(pool, null, now);
+      data.rewardReserve += amount;
+      return {};
+    }
+
+    case "notifyRewardAmount": {
+      const data = getRewardData(pool, action.token);
+      const reward = BigInt(action.reward);
+      const duration = BigInt(action.duration);
+      if (reward === 0n) {
+        throw new Error("Cannot notify 0");
+      }
+      if (duration === 0n) {
+        throw new Error("Duration must be greater than zero");
+      }
+      requireNoPendingEpochs(pool, action.token, now);
+
+      // Roll the undistributed part of the running period into the new rate
+      const rewardReserve = data.rewardReserve - pendingDistribution(pool, action.token, now) + reward;
+      const leftover = now >= data.periodFinish ? 0n : (data.periodFinish - now) * currentRewardRate(pool, action.token, now);
+      const rewardRate = (reward + leftover) / duration;
+      if (rewardRate === 0n) {
+        throw new Error("Reward rate must be greater than zero");
+      }
+      if (rewardRate * duration > rewardReserve) {
+        throw new Error("Reward exceeds reserve");
+      }
+
+      updateReward(pool, null, now);
+      endEmissionSchedule(data);
+      data.rewardReserve = rewardReserve;
+      data.rewardRate = rewardRate;
+      data.lastUpdateTime = now;
+      data.periodFinish = now + duration;
+      return {};
+    }
+
+    case "setRewardRate": {
+      const data = getRewardData(pool, action.token);
+      const rewardRate = BigInt(action.rewardRate);
+      if (now >= data.periodFinish) {
+        throw new Error("No active reward period");
+      }
+      if (rewardRate === 0n) {
+        throw new Error("Reward rate must be greater than zero");
+      }
+      const rewardReserve = data.rewardReserve - pendingDistribution(pool, action.token, now);
+      if (rewardRate * (data.periodFinish - now) > rewardReserve) {
+        throw new Error("Reward exceeds reserve");
+      }
+      requireNoPendingEpochs(pool, action.token, now);
+      updateReward(pool, null, now);
+      endEmissionSchedule(data);
+      data.rewardRate = rewardRate;
+      return {};
+    }
+
+    case "setEmissionSchedule": {
+      const data = getRewardData(pool, action.token);
+      const epochs = action.epochs.map(({ startTime, rewardRate }) => ({
+        startTime: BigInt(startTime),
+        rewardRate: BigInt(rewardRate),
+      }));
+      if (epochs.length === 0 || epochs.length > MAX_EMISSION_EPOCHS) {
+        throw new Error("Invalid number of epochs");
+      }
+      requireNoPendingEpochs(pool, action.token, now);
+      if (now >= data.periodFinish) {
+        throw new Error("No active reward period");
+      }
+      if (epochs[0].startTime < now) {
+        throw new Error("Schedule starts before rate change delay");
+      }
+      if (epochs[epochs.length - 1].startTime >= data.periodFinish) {
+        throw new Error("Epoch starts after period finish");
+      }
+      epochs.forEach((epoch, i) => {
+        if (i > 0 && epoch.startTime <= epochs[i - 1].startTime) {
+          throw new Error("Epochs not in order");
+        }
+        if (epoch.rewardRate === 0n) {
+          throw new Error("Reward rate must be greater than zero");
+        }
+      });
+      const rewardReserve = data.rewardReserve - pendingDistribution(pool, action.token, now);
+      const rewardRate = currentRewardRate(pool, action.token, now);
+      if (emissionBetween(rewardRate, epochs, now, data.periodFinish) > rewardReserve) {
+        throw new Error("Reward exceeds reserve");
+      }
+
+      updateReward(pool, null, now);
+      data.schedule = epochs;
+      data.appliedEpochs = 0;
+      return {};
+    }
+
+    case "cancelEmissionSchedule": {
+      const data = getRewardData(pool, action.token);
+      if (startedEpochs(pool, action.token, now) === data.schedule.length) {
+        throw new Error("No pending emission epochs");
+      }
+      updateReward(pool, null, now);
+      data.schedule = data.schedule.slice(0, data.appliedEpochs);
+      return {};
+    }
+
+    default:
+      throw new Error(`Unknown pool action "${action.type}"`);
+  }
+}
+
+/**
+ * Replays actions in order on a new pool and returns the pool.
+ * Pass `options.rewardToken` to start with the constructor's reward token (see createPool),
+ * and `options.until` (a timestamp) to skip the actions after it.
+ */
+function replay(actions, options = {}) {
+  const pool = createPool(options.rewardToken);
+  for (const action of actions) {
+    if (options.until !== undefined && BigInt(action.timestamp) > BigInt(options.until)) {
+      break;
+    }
+    applyAction(pool, action);
+  }
+  return pool;
+}
+
+/**
+ * Returns what every account has earned in every reward token at timestamp `now`, as earned() would.
+ *
+ * @returns {Array<{ account: string, token: string, earned: bigint, estimatedDailyRewards: bigint }>}
+ */
+function earningsAt(pool, now) {
+  const earnings = [];
+  for (const account of Object.keys(pool.accounts)) {
+    for (const token of pool.rewardTokens) {
+      earnings.push({
+        account,
+        token,
+        earned: earned(pool, account, token, now),
+        estimatedDailyRewards: getEstimatedDailyRewards(pool, account, token, now),
+      });
+    }
+  }
+  return earnings;
+}
+
+/**
+ * Converts events indexed by lib/indexer (oldest first) to pool actions for replay.
+ *
+ * The result is exact as long as every transaction that updates rewards emitted an event.
+ * A claim with nothing to claim, or a releaseExpiredLocks call that released nothing, updates
+ * an account's rewards without a trace in the logs. That shifts later results by rounding, and
+ * changes how much a later emergencyWithdraw of the account forfeits.
+ *
+ * @param {Array<object>} events The `events` of an indexer store
+ * @param {string} stakingToken The address of the pool's staking token, needed to replay compounding
+ */
+function actionsFromEvents(events, stakingToken) {
+  const actions = [];
+  events.forEach((entry, index) => {
+    const { event, args, timestamp, transactionHash } = entry;
+    const next = events[index + 1];
+    const nextInTransaction = next && next.transactionHash === transactionHash ? next.event : null;
+    const previous = events[index - 1];
+    const previousInTransaction = previous && previous.transactionHash === transactionHash ? previous.event : null;
+
+    switch (event) {
+      case "RewardTokenAdded":
+        actions.push({ type: "addRewardToken", timestamp, token: args.rewardToken });
+        break;
+      case "Staked":
+        if (nextInTransaction === "StakedLocked") {
+          const locked = next.args;
+          actions.push({
+            type: "stakeLocked",
+            timestamp,
+            account: args.user,
+            amount: BigInt(args.amount),
+            lockDuration: BigInt(locked.unlockTime) - BigInt(timestamp),
+            multiplier: BigInt(locked.multiplier),
+          });
+        } else if (nextInTransaction === "Compounded") {
+          actions.push({ type: "compound", timestamp, account: args.user, stakingToken });
+        } else {
+          actions.push({ type: "stake", timestamp, account: args.user, amount: BigInt(args.amount) });
+        }
+        break;
+      case "UnstakeRequested":
+        actions.push({ type: "unstake", timestamp, account: args.user, amount: BigInt(args.amount) });
+        break;
+      case "StakeTransferred":
+        actions.push({ type: "transfer", timestamp, from: args.from, to: args.to, amount: BigInt(args.amount) });
+        break;
+      case "RewardClaimed":
+        actions.push({ type: "claim", timestamp, account: args.user, token: args.rewardToken });
+        break;
+      case "EmergencyWithdrawn":
+        actions.push({ type: "emergencyWithdraw", timestamp, account: args.user });
+        break;
+      case "LockReleased":
+        actions.push({ type: "releaseExpiredLocks", timestamp, account: args.user });
+        break;
+      case "RewardsFunded":
+        actions.push({ type: "fundRewards", timestamp, token: args.rewardToken, amount: BigInt(args.amount) });
+        break;
+      case "RewardAdded":
+        actions.push({
+          type: "notifyRewardAmount",
+          timestamp,
+          token: args.rewardToken,
+          reward: BigInt(args.reward),
+          duration: BigInt(args.duration),
+        });
+        break;
+      case "RewardRateUpdated":
+        // notifyRewardAmount also emits RewardRateUpdated, right after RewardAdded
+        if (previousInTransaction !== "RewardAdded") {
+          actions.push({ type: "setRewardRate", timestamp, token: args.rewardToken, rewardRate: BigInt(args.newRate) });
+        }
+        break;
+      case "EmissionEpochScheduled": {
+        // setEmissionSchedule emits one event per epoch, starting from epoch 0
+        const epoch = { startTime: BigInt(args.startTime), rewardRate: BigInt(args.rewardRate) };
+        if (BigInt(args.epoch) === 0n) {
+          actions.push({ type: "setEmissionSchedule", timestamp, token: args.rewardToken, epochs: [epoch] });
+        } else {
+          actions[actions.length - 1].epochs.push(epoch);
+        }
+        break;
+      }
+      case "EmissionScheduleCancelled":
+        actions.push({ type: "cancelEmissionSchedule", timestamp, token: args.rewardToken });
+        break;
+      default:
+        // The other events do not affect the reward accounting
+        break;
+    }
+  });
+  return actions;
+}
+
+module.exports = {
+  createPool,
+  applyAction,
+  replay,
+  earningsAt,
+  actionsFromEvents,
+  lastTimeRewardApplicable,
+  rewardPerToken,
+  currentRewardRate,
+  earned,
+  getEstimatedDailyRewards,
+};
@@ -0,0 +1,16 @@
+// Names of the access control roles of the staking contract and the factory, for labelling role hashes
+const ROLE_NAMES = ["RATE_MANAGER_ROLE", "PAUSER_ROLE", "FUNDER_ROLE", "POOL_CREATOR_ROLE"];
+
+/**
+ * Returns the name of a role of the staking contract or the factory, or its hash for an unknown role.
+ */
+function roleName(hre, role) {
+  if (role === hre.ethers.ZeroHash) {
+    return "DEFAULT_ADMIN_ROLE";
+  }
+  return ROLE_NAMES.find((name) => hre.ethers.id(name) === role) || role;
+}
+
+module.exports = {
+  roleName,
+};
@@ -0,0 +1,468 @@
+// Scenario runner: scripted multi-account simulations of a staking pool on a local Hardhat network,
+// with a report of every account's balances and rewards at each checkpoint
+const { parseConfig, loadConfigFile } = require("./config");
+const { createRandom } = require("./random");
+
+const DAY = 86400;
+
+const POOL_DEFAULTS = {
+  initialSupply: "1000000",
+  rewardAmount: "86400",
+  rewardDays: 100,
+  cooldownDays: 7,
+  rateChangeDelayDays: 2,
+};
+
+// The options each action accepts, besides `action` itself
+const ACTIONS = {
+  mint: ["accounts", "amount"],
+  approve: ["accounts", "amount"],
+  stake: ["accounts", "amount", "lockDays"],
+  unstake: ["accounts", "amount"],
+  withdraw: ["accounts"],
+  claim: ["accounts"],
+  compound: ["accounts"],
+  fund: ["amount", "days"],
+  proposeRate: ["rate"],
+  executeRate: [],
+  advance: ["days", "hours", "seconds"],
+  checkpoint: ["label"],
+};
+
+/**
+ * An invalid scenario, or a step that failed while running it.
+ */
+class ScenarioError extends Error {}
+
+/**
+ * Returns true if a value is a whole or decimal token amount, such as "1000" or "0.5".
+ */
+function isTokenAmount(value) {
+  return (typeof value === "string" || typeof value === "number") && /^\d+(\.\d+)?$/.test(String(value));
+}
+
+/**
+ * Validates an amount option: a token amount, a `{ min, max }` range to draw a random amount
+ * from, or one of the `keywords` the action accepts.
+ */
+function validateAmount(amount, keywords, fail) {
+  if (isTokenAmount(amount) || keywords.includes(amount)) {
+    return;
+  }
+  if (amount && typeof amount === "object" && isTokenAmount(amount.min) && isTokenAmount(amount.max)) {
+    if (Number(amount.min) > Number(amount.max)) {
+      fail(`amount.min must not be greater than amount.max`);
+    }
+    return;
+  }
+  const expected = ["a token amount", "{ min, max }", ...keywords.map((keyword) => `"${keyword}"`)];
+  fail(`amount must be ${expected.join(" or ")}`);
+}
+
+/**
+ * Validates an accounts option: "all", a signer index, a list of signer indexes, or a
+ * `{ from, to }` range of signer indexes.
+ */
+function validateAccounts(accounts, fail) {
+  const isIndex = (value) => Number.isInteger(value) && value >= 0;
+  if (accounts === "all" || isIndex(accounts)) {
+    return;
+  }
+  if (Array.isArray(accounts) && accounts.length > 0 && accounts.every(isIndex)) {
+    return;
+  }
+  if (accounts && typeof accounts === "object" && isIndex(accounts.from) && isIndex(accounts.to) && accounts.from <= accounts.to) {
+    return;
+  }
+  fail(`accounts must be "all", a signer index, a list of signer indexes or { from, to }`);
+}
+
+/**
+ * Checks a scenario and fills in its defaults. Throws a ScenarioError naming the first invalid step.
+ *
+ * @param {object} scenario The parsed scenario file
+ * @returns {{ name: string, seed: number, accounts: number, pool: object, steps: object[] }}
+ */
+function validateScenario(scenario) {
+  if (!scenario || typeof scenario !== "object" || !Array.isArray(scenario.steps)) {
+    throw new ScenarioError("A scenario must be an object with a list of steps");
+  }
+  if (!Number.isInteger(scenario.accounts) || scenario.accounts < 1) {
+    throw new ScenarioError("accounts must be the number of staking accounts, at least 1");
+  }
+
+  const pool = { ...POOL_DEFAULTS, ...scenario.pool };
+  for (const key of Object.keys(pool)) {
+    if (!(key in POOL_DEFAULTS)) {
+      throw new ScenarioError(`Unknown pool option "${key}": expected ${Object.keys(POOL_DEFAULTS).join(", ")}`);
+    }
+  }
+  if (!/^\d+$/.test(String(pool.initialSupply))) {
+    throw new ScenarioError("pool.initialSupply must be a whole number of tokens");
+  }
+  if (!isTokenAmount(pool.rewardAmount)) {
+    throw new ScenarioError("pool.rewardAmount must be a token amount");
+  }
+  for (const key of ["rewardDays", "cooldownDays", "rateChangeDelayDays"]) {
+    if (typeof pool[key] !== "number" || pool[key] < 0) {
+      throw new ScenarioError(`pool.${key} must be a number of days`);
+    }
+  }
+
+  scenario.steps.forEach((step, index) => {
+    const fail = (message) => {
+      throw new ScenarioError(`Step ${index + 1} (${step && step.action}): ${message}`);
+    };
+    if (!step || !ACTIONS[step.action]) {
+      throw new ScenarioError(`Step ${index + 1}: unknown action "${step && step.action}": expected ${Object.keys(ACTIONS).join(", ")}`);
+    }
+    for (const key of Object.keys(step)) {
+      if (key !== "action" && !ACTIONS[step.action].includes(key)) {
+        fail(`unknown option "${key}"`);
+      }
+    }
+
+    if (ACTIONS[step.action].includes("accounts")) {
+      validateAccounts(step.accounts, fail);
+    }
+    if (["mint", "stake", "fund"].includes(step.action)) {
+      validateAmount(step.amount, [], fail);
+    } else if (step.action === "approve" && step.amount !== undefined) {
+      validateAmount(step.amount, ["max"], fail);
+    } else if (step.action === "unstake") {
+      validateAmount(step.amount, ["all"], fail);
+    }
+
+    if (step.action === "stake" && step.lockDays !== undefined && !(Number.isInteger(step.lockDays) && step.lockDays > 0)) {
+      fail("lockDays must be a whole number of days");
+    }
+    if (step.action === "fund" && !(typeof step.days === "number" && step.days > 0)) {
+      fail("days must be a number of days greater than zero");
+    }
+    if (step.action === "proposeRate" && !isTokenAmount(step.rate)) {
+      fail("rate must be an amount of tokens per second");
+    }
+    if (step.action === "advance") {
+      const units = ["days", "hours", "seconds"].filter((unit) => step[unit] !== undefined);
+      if (units.length === 0 || units.some((unit) => typeof step[unit] !== "number" || step[unit] <= 0)) {
+        fail("set days, hours or seconds to a number greater than zero");
+      }
+    }
+    if (step.action === "checkpoint" && step.label !== undefined && typeof step.label !== "string") {
+      fail("label must be a string");
+    }
+  });
+
+  return {
+    name: scenario.name || "Scenario",
+    seed: Number.isInteger(scenario.seed) ? scenario.seed : 1,
+    accounts: scenario.accounts,
+    pool,
+    steps: scenario.steps,
+  };
+}
+
+/**
+ * Parses and validates a scenario written as JSON or YAML.
+ *
+ * @param {string} text The scenario
+ * @param {"json" | "yaml"} format
+ */
+function parseScenario(text, format) {
+  return validateScenario(parseConfig(text, format, ScenarioError));
+}
+
+/**
+ * Reads a scenario file; files ending in .yaml or .yml are parsed as YAML, any other as JSON.
+ */
+function loadScenario(file) {
+  return validateScenario(loadConfigFile(file, ScenarioError));
+}
+
+/**
+ * Returns the signer indexes an accounts option selects. "all" selects the scenario's staking
+ * accounts, signers 1 to `accounts`; signer 0 deploys and runs the pool.
+ */
+function resolveAccounts(accounts, count) {
+  if (accounts === "all") {
+    return Array.from({ length: count }, (_, index) => index + 1);
+  }
+  if (Number.isInteger(accounts)) {
+    return [accounts];
+  }
+  if (Array.isArray(accounts)) {
+    return accounts;
+  }
+  return Array.from({ length: accounts.to - accounts.from + 1 }, (_, index) => accounts.from + index);
+}
+
+/**
+ * Deploys a MockToken and a StakingContract paying rewards in it, configured from the
+ * scenario's pool options, and starts the first reward period if `rewardAmount` is not zero.
+ */
+async function deployPool(hre, pool, deployer) {
+  const { ethers } = hre;
+  const MockToken = await ethers.getContractFactory("MockToken", deployer);
+  const token = await MockToken.deploy("Quantlink Token", "QNTL", BigInt(pool.initialSupply));
+  await token.waitForDeployment();
+  const tokenAddress = await token.getAddress();
+
+  const StakingContract = await ethers.getContractFactory("StakingContract", deployer);
+  const stakingContract = await StakingContract.deploy(tokenAddress, tokenAddress);
+  await stakingContract.waitForDeployment();
+
+  const cooldownPeriod = BigInt(Math.round(pool.cooldownDays * DAY));
+  if (cooldownPeriod !== (await stakingContract.cooldownPeriod())) {
+    await (await stakingContract.setCooldownPeriod(cooldownPeriod)).wait();
+  }
+  const rateChangeDelay = BigInt(Math.round(pool.rateChangeDelayDays * DAY));
+  if (rateChangeDelay !== (await stakingContract.rateChangeDelay())) {
+    await (await stakingContract.setRateChangeDelay(rateChangeDelay)).wait();
+  }
+
+  const reward = ethers.parseUnits(String(pool.rewardAmount), 18);
+  if (reward > 0n) {
+    await (await token.approve(await stakingContract.getAddress(), reward)).wait();
+    await (await stakingContract.notifyRewardAmount(tokenAddress, reward, BigInt(Math.round(pool.rewardDays * DAY)))).wait();
+  }
+
+  return { stakingContract, token };
+}
+
+/**
+ * Runs a scenario against the current Hardhat network, which must be a local one that can
+ * move time forward (the in-process hardhat network or a `hardhat node`).
+ *
+ * Unless `options.stakingContract` is given, the runner deploys a fresh pool first, so that runs
+ * are reproducible. Random amounts are drawn from the scenario's seed. A step that reverts stops
+ * the run with a ScenarioError naming the step and the account.
+ *
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} scenario A scenario returned by loadScenario, parseScenario or validateScenario
+ * @param {object} options
+ * @param {import("ethers").Contract} [options.stakingContract] An existing pool to run against; its
+ * staking token must be a MockToken owned by signer 0 for mint steps
+ * @param {(message: string) => void} [options.log] Receives a line per step
+ * @returns {Promise<{ name: string, seed: number, contract: string, token: string, checkpoints: object[] }>}
+ */
+async function runScenario(hre, scenario, options = {}) {
+  const { ethers } = hre;
+  const log = options.log || (() => {});
+  const format = (amount) => ethers.formatUnits(amount, 18);
+  const random = createRandom(scenario.seed);
+
+  const signers = await ethers.getSigners();
+  if (scenario.accounts >= signers.length) {
+    throw new ScenarioError(`The scenario needs ${scenario.accounts + 1} signers, the network has ${signers.length}`);
+  }
+  const [operator] = signers;
+
+  let { stakingContract } = options;
+  let token;
+  if (stakingContract) {
+    stakingContract = stakingContract.connect(operator);
+    token = await ethers.getContractAt("MockToken", await stakingContract.stakingToken(), operator);
+  } else {
+    ({ stakingContract, token } = await deployPool(hre, scenario.pool, operator));
+  }
+  const poolAddress = await stakingContract.getAddress();
+  const tokenAddress = await token.getAddress();
+  log(`Pool ${poolAddress}, staking token ${tokenAddress}`);
+
+  const rewardTokens = await Promise.all(
+    (await stakingContract.getRewardTokens()).map(async (address) => {
+      const contract = await ethers.getContractAt("MockToken", address);
+      return { address, contract, symbol: await contract.symbol() };
+    })
+  );
+  const startTime = (await ethers.provider.getBlock("latest")).timestamp;
+
+  // Rewards each account claimed or compounded during the run, from the pool's events
+  const claimed = new Map();
+  const compounded = new Map();
+  const track = (receipt) => {
+    for (const entry of receipt.logs) {
+      const event = entry.address === poolAddress ? stakingContract.interface.parseLog(entry) : null;
+      if (event && event.name === "RewardClaimed") {
+        const key = `${event.args.user}:${event.args.rewardToken}`;
+        claimed.set(key, (claimed.get(key) || 0n) + event.args.reward);
+      } else if (event && event.name === "Compounded") {
+        compounded.set(event.args.user, (compounded.get(event.args.user) || 0n) + event.args.amount);
+      }
+    }
+  };
+
+  const send = async (step, index, account, transaction) => {
+    try {
+      track(await (await transaction()).wait());
+    } catch (error) {
+      const reason = error.reason || error.shortMessage || error.message;
+      throw new ScenarioError(`Step ${index + 1} (${step.action}) failed${account === null ? "" : ` for account ${account}`}: ${reason}`);
+    }
+  };
+
+  const drawAmount = (amount) => {
+    if (typeof amount === "object") {
+      return random.between(ethers.parseUnits(String(amount.min), 18), ethers.parseUnits(String(amount.max), 18));
+    }
+    return ethers.parseUnits(String(amount), 18);
+  };
+
+  const checkpoint = async (label, stepNumber) => {
+    const block = await ethers.provider.getBlock("latest");
+    const blockTag = block.number;
+    const [totalStaked, totalWeight, totalUnbonding] = await Promise.all([
+      stakingContract.totalStaked({ blockTag }),
+      stakingContract.totalWeight({ blockTag }),
+      stakingContract.totalUnbonding({ blockTag }),
+    ]);
+    const rewards = await Promise.all(
+      rewardTokens.map(async ({ address, symbol }) => ({
+        token: address,
+        symbol,
+        rewardRate: format(await stakingContract.getRewardRate(address, { blockTag })),
+        rewardReserve: format((await stakingContract.rewardData(address, { blockTag })).rewardReserve),
+      }))
+    );
+
+    const accounts = [];
+    for (let account = 1; account <= scenario.accounts; account++) {
+      const { address } = signers[account];
+      const [info, walletBalance] = await Promise.all([
+        stakingContract.getUserInfo(address, { blockTag }),
+        token.balanceOf(address, { blockTag }),
+      ]);
+      accounts.push({
+        account,
+        address,
+        walletBalance: format(walletBalance),
+        stakedBalance: format(info.stakedBalance),
+        lockedBalance: format(info.lockedBalance),
+        unbondingBalance: format(info.unbondingBalance),
+        withdrawableBalance: format(info.withdrawableBalance),
+        compounded: format(compounded.get(address) || 0n),
+        rewards: info.rewards.map((reward, i) => ({
+          token: reward.token,
+          symbol: rewardTokens[i].symbol,
+          earned: format(reward.earned),
+          claimed: format(claimed.get(`${address}:${reward.token}`) || 0n),
+        })),
+      });
+    }
+
+    return {
+      label,
+      step: stepNumber,
+      blockNumber: block.number,
+      timestamp: block.timestamp,
+      elapsed: block.timestamp - startTime,
+      pool: { totalStaked: format(totalStaked), totalWeight: format(totalWeight), totalUnbonding: format(totalUnbonding), rewards },
+      accounts,
+    };
+  };
+
+  const checkpoints = [];
+  for (const [index, step] of scenario.steps.entries()) {
+    const accounts = step.accounts === undefined ? [] : resolveAccounts(step.accounts, scenario.accounts);
+    for (const account of accounts) {
+      if (account >= signers.length) {
+        throw new ScenarioError(`Step ${index + 1} (${step.action}): account ${account} is not a signer of this network`);
+      }
+    }
+    const asAccount = (account) => stakingContract.connect(signers[account]);
+
+    switch (step.action) {
+      case "mint":
+        for (const account of accounts) {
+          const amount = drawAmount(step.amount);
+          await send(step, index, account, () => token.mint(signers[account].address, amount));
+        }
+        break;
+      case "approve":
+        for (const account of accounts) {
+          const amount = step.amount === undefined || step.amount === "max" ? ethers.MaxUint256 : drawAmount(step.amount);
+          await send(step, index, account, () => token.connect(signers[account]).approve(poolAddress, amount));
+        }
+        break;
+      case "stake":
+        for (const account of accounts) {
+          const amount = drawAmount(step.amount);
+          await send(step, index, account, () =>
+            step.lockDays ? asAccount(account).stakeLocked(amount, BigInt(step.lockDays * DAY)) : asAccount(account).stake(amount)
+          );
+        }
+        break;
+      case "unstake":
+        for (const account of accounts) {
+          const { address } = signers[account];
+          // "all" requests the whole unlocked stake, and skips accounts that have none
+          const amount =
+            step.amount === "all"
+              ? (await stakingContract.stakedBalances(address)) - (await stakingContract.lockedBalanceOf(address))
+              : drawAmount(step.amount);
+          if (amount > 0n || step.amount !== "all") {
+            await send(step, index, account, () => asAccount(account).requestUnstake(amount));
+          }
+        }
+        break;
+      case "withdraw":
+        // Accounts with nothing withdrawable yet are skipped
+        for (const account of accounts) {
+          if ((await stakingContract.withdrawableBalanceOf(signers[account].address)) > 0n) {
+            await send(step, index, account, () => asAccount(account).withdraw());
+          }
+        }
+        break;
+      case "claim":
+        for (const account of accounts) {
+          await send(step, index, account, () => asAccount(account).claimAll());
+        }
+        break;
+      case "compound":
+        for (const account of accounts) {
+          await send(step, index, account, () => asAccount(account).compound());
+        }
+        break;
+      case "fund": {
+        const amount = drawAmount(step.amount);
+        await send(step, index, null, () => token.approve(poolAddress, amount));
+        await send(step, index, null, () => stakingContract.notifyRewardAmount(tokenAddress, amount, BigInt(Math.round(step.days * DAY))));
+        break;
+      }
+      case "proposeRate": {
+        const rate = ethers.parseUnits(String(step.rate), 18);
+        await send(step, index, null, () => stakingContract.proposeRewardRate(tokenAddress, rate));
+        break;
+      }
+      case "executeRate":
+        await send(step, index, null, () => stakingContract.executeRewardRate(tokenAddress));
+        break;
+      case "advance": {
+        const seconds = Math.round((step.days || 0) * DAY + (step.hours || 0) * 3600 + (step.seconds || 0));
+        await hre.network.provider.send("evm_increaseTime", [seconds]);
+        await hre.network.provider.send("evm_mine", []);
+        break;
+      }
+      case "checkpoint":
+        checkpoints.push(await checkpoint(step.label || `Checkpoint ${checkpoints.length + 1}`, index + 1));
+        break;
+    }
+    log(`Step ${index + 1}: ${step.action}${accounts.length > 0 ? ` (accounts ${accounts.join(", ")})` : ""}`);
+  }
+
+  // Always report the final state
+  const last = scenario.steps[scenario.steps.length - 1];
+  if (!last || last.action !== "checkpoint") {
+    checkpoints.push(await checkpoint("End", scenario.steps.length));
+  }
+
+  return { name: scenario.name, seed: scenario.seed, contract: poolAddress, token: tokenAddress, checkpoints };
+}
+
+module.exports = {
+  ScenarioError,
+  validateScenario,
+  parseScenario,
+  loadScenario,
+  runScenario,
+};
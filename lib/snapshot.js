@@ -0,0 +1,198 @@
+// Merkle snapshots of a staking pool: the staked balance and earned rewards of every staker at a block,
+// committed to by a Merkle root with a proof per account, under snapshots/<network>-<contract>-<block>.json
+const fs = require("fs");
+const path = require("path");
+const indexer = require("./indexer");
+
+const SNAPSHOTS_DIR = path.join(__dirname, "..", "snapshots");
+const SNAPSHOT_VERSION = 1;
+const LEAF_ENCODING = ["address", "uint256", "uint256[]"];
+
+/**
+ * Returns the default path of the snapshot of a staking contract at a block on a network.
+ */
+function getSnapshotPath(networkName, contractAddress, blockNumber) {
+  return path.join(SNAPSHOTS_DIR, `${networkName}-${contractAddress.toLowerCase()}-${blockNumber}.json`);
+}
+
+/**
+ * Reads a snapshot file.
+ */
+function readSnapshot(snapshotPath) {
+  return JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+}
+
+/**
+ * Writes a snapshot file, creating its directory if needed.
+ */
+function writeSnapshot(snapshotPath, snapshot) {
+  fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+  fs.writeFileSync(snapshotPath, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+/**
+ * Returns the Merkle leaf of a snapshot entry: keccak256(bytes.concat(keccak256(abi.encode(account,
+ * stakedBalance, earned)))), with `earned` in the order of the snapshot's reward tokens. Hashing twice
+ * keeps a leaf from being passed off as an inner node, and matches StakingSnapshotVerifier.leaf.
+ */
+function hashEntry(hre, { account, stakedBalance, earned }) {
+  const encoded = hre.ethers.AbiCoder.defaultAbiCoder().encode(LEAF_ENCODING, [account, stakedBalance, earned]);
+  return hre.ethers.keccak256(hre.ethers.keccak256(encoded));
+}
+
+/**
+ * Hashes a pair of nodes in sorted order, like OpenZeppelin's MerkleProof, so that proofs need no
+ * left or right flags.
+ */
+function hashPair(hre, a, b) {
+  const pair = BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+  return hre.ethers.solidityPackedKeccak256(["bytes32", "bytes32"], pair);
+}
+
+/**
+ * Builds a Merkle tree over the given leaves and returns its layers, leaves first and root last.
+ * The leaves are sorted, so the root does not depend on their order; a node without a sibling is
+ * carried up to the next layer unchanged.
+ */
+function buildMerkleTree(hre, leaves) {
+  if (leaves.length === 0) {
+    throw new Error("Cannot build a Merkle tree without leaves");
+  }
+  const layers = [[...leaves].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0))];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(hre, layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+}
+
+/**
+ * Returns the proof of a leaf in a tree built by buildMerkleTree: the sibling of the leaf and of each
+ * of its ancestors that has one.
+ */
+function getMerkleProof(layers, leaf) {
+  let index = layers[0].indexOf(leaf);
+  if (index === -1) {
+    throw new Error(`Leaf ${leaf} is not part of the tree`);
+  }
+
+  const proof = [];
+  for (const layer of layers.slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+/**
+ * Returns true if the proof leads from the leaf to the root, exactly like OpenZeppelin's MerkleProof.verify.
+ */
+function verifyMerkleProof(hre, root, leaf, proof) {
+  const computed = proof.reduce((node, sibling) => hashPair(hre, node, sibling), leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Returns the Merkle root over every entry of a snapshot, to check that a snapshot file was not altered.
+ */
+function computeSnapshotRoot(hre, snapshot) {
+  const layers = buildMerkleTree(hre, snapshot.accounts.map((entry) => hashEntry(hre, entry)));
+  return layers[layers.length - 1][0];
+}
+
+/**
+ * Returns the entry of an account in a snapshot, or undefined if the account is not part of it.
+ */
+function findEntry(snapshot, account) {
+  return snapshot.accounts.find((entry) => entry.account.toLowerCase() === account.toLowerCase());
+}
+
+/**
+ * Returns true if an account's entry, with its proof, is committed to by the root: the snapshot's own,
+ * or one published elsewhere, such as in a migration contract.
+ */
+function verifyEntry(hre, root, entry) {
+  return verifyMerkleProof(hre, root, hashEntry(hre, entry), entry.proof);
+}
+
+/**
+ * Freezes the state of a staking pool at a block: the staked balance and earned rewards of every
+ * account that staked or received stake receipts up to the block, read from the pool at that block.
+ * Accounts are enumerated from the event index, which must cover the block.
+ *
+ * Accounts with no stake and nothing left to claim at the block are left out. Amounts are in the
+ * tokens' smallest unit, as decimal strings, and `earned` follows the order of `rewardTokens`.
+ *
+ * @returns {Promise<object>} The snapshot, with its Merkle root and a proof in every entry
+ */
+async function takeSnapshot(hre, stakingContract, store, blockNumber) {
+  if (store.lastIndexedBlock === null || store.lastIndexedBlock < blockNumber) {
+    throw new Error(`The event index only covers blocks up to ${store.lastIndexedBlock}, not block ${blockNumber}`);
+  }
+  if (blockNumber < store.startBlock) {
+    throw new Error(`Block ${blockNumber} is before the first indexed block ${store.startBlock}`);
+  }
+
+  const provider = hre.ethers.provider;
+  const block = await provider.getBlock(blockNumber);
+  const blockTag = blockNumber;
+  const accounts = indexer.getAccounts({ events: store.events.filter((event) => event.blockNumber <= blockNumber) });
+  const [rewardTokens, totalStaked] = await Promise.all([
+    stakingContract.getRewardTokens({ blockTag }),
+    stakingContract.totalStaked({ blockTag }),
+  ]);
+
+  const entries = [];
+  for (const account of accounts) {
+    const [stakedBalance, ...earned] = await Promise.all([
+      stakingContract.stakedBalances(account, { blockTag }),
+      ...rewardTokens.map((token) => stakingContract.earned(account, token, { blockTag })),
+    ]);
+    if (stakedBalance === 0n && earned.every((amount) => amount === 0n)) {
+      continue;
+    }
+    entries.push({ account, stakedBalance: stakedBalance.toString(), earned: earned.map((amount) => amount.toString()) });
+  }
+  if (entries.length === 0) {
+    throw new Error(`No account has a stake or rewards at block ${blockNumber}`);
+  }
+
+  const leaves = entries.map((entry) => hashEntry(hre, entry));
+  const layers = buildMerkleTree(hre, leaves);
+  const { chainId } = await provider.getNetwork();
+
+  return {
+    version: SNAPSHOT_VERSION,
+    chainId: Number(chainId),
+    contract: await stakingContract.getAddress(),
+    blockNumber,
+    blockHash: block.hash,
+    timestamp: block.timestamp,
+    rewardTokens: [...rewardTokens],
+    totalStaked: totalStaked.toString(),
+    leafEncoding: `keccak256(bytes.concat(keccak256(abi.encode(${LEAF_ENCODING.join(", ")}))))`,
+    root: layers[layers.length - 1][0],
+    accounts: entries.map((entry, i) => ({ ...entry, proof: getMerkleProof(layers, leaves[i]) })),
+  };
+}
+
+module.exports = {
+  getSnapshotPath,
+  readSnapshot,
+  writeSnapshot,
+  hashEntry,
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof,
+  computeSnapshotRoot,
+  findEntry,
+  verifyEntry,
+  takeSnapshot,
+};
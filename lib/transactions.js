@@ -0,0 +1,318 @@
+// Transaction helper shared by the qlk tasks and the scripts: preflight checks of token balances and
+// allowances, simulation with readable revert reasons, fee estimates, and sending with configurable
+// confirmations and fee-bumped replacements of stuck transactions
+const { roleName } = require("./roles");
+
+const DEFAULT_REPLACE_AFTER = 180;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+// Nodes only accept a replacement that raises the fees by at least 10%. Bumping by 20% clears that
+// with room to spare, and keeps up with a base fee that rose while the transaction was stuck
+const FEE_BUMP_PERCENT = 20n;
+// The gas a staking call uses depends on the block's timestamp (lock releases, emission epochs, reward
+// updates per token), so the limit leaves room above an estimate made against the pending block
+const GAS_LIMIT_MARGIN_PERCENT = 20n;
+const MAX_REPLACEMENTS = 3;
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Custom errors that calls may revert with but that are not part of the called contract's ABI,
+// such as the token's errors in a call to the pool
+const COMMON_ERRORS = [
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AccessControlEnforcedDefaultAdminDelay(uint48 schedule)",
+  "error EnforcedPause()",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC2612ExpiredSignature(uint256 deadline)",
+  "error ERC2612InvalidSigner(address signer, address owner)",
+  "error OwnableUnauthorizedAccount(address account)",
+];
+
+/**
+ * A transaction that would revert, cannot pay for itself, or could not be mined.
+ */
+class TransactionError extends Error {}
+
+/**
+ * Returns the number of confirmations to wait for: the CONFIRMATIONS environment variable if set,
+ * otherwise 1 on local networks, where blocks are only mined for new transactions, and `fallback`
+ * on other networks.
+ */
+function getConfirmations(hre, fallback = 1) {
+  if (process.env.CONFIRMATIONS !== undefined) {
+    const confirmations = Number(process.env.CONFIRMATIONS);
+    if (!Number.isInteger(confirmations) || confirmations < 1) {
+      throw new TransactionError(`CONFIRMATIONS must be a whole number of blocks, at least 1, not "${process.env.CONFIRMATIONS}"`);
+    }
+    return confirmations;
+  }
+  return LOCAL_NETWORKS.includes(hre.network.name) ? 1 : fallback;
+}
+
+/**
+ * Reads the decimals and symbol of an ERC20 token, to format its amounts with.
+ *
+ * @returns {Promise<{ decimals: bigint, symbol: string }>}
+ */
+async function readTokenUnits(token) {
+  const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+  return { decimals, symbol };
+}
+
+/**
+ * Returns readable messages for well-known custom errors, keyed by error name. Token amounts are
+ * formatted with the token's units when they are known, and in its smallest unit otherwise.
+ */
+function errorMessages(hre, units) {
+  const date = (seconds) => new Date(Number(seconds) * 1000).toISOString();
+  const amount = (value) => (units ? `${hre.ethers.formatUnits(value, units.decimals)} ${units.symbol}` : `${value} base units`);
+  return {
+    ERC20InsufficientAllowance: ([spender, allowance, needed]) =>
+      `${spender} may only spend ${amount(allowance)}, but ${amount(needed)} are needed. Approve more first`,
+    ERC20InsufficientBalance: ([sender, balance, needed]) => `${sender} holds ${amount(balance)}, but ${amount(needed)} are needed`,
+    ERC2612ExpiredSignature: ([deadline]) => `The permit expired at ${date(deadline)}`,
+    ERC2612InvalidSigner: ([signer, owner]) => `The permit was signed by ${signer}, not by the token owner ${owner}`,
+    AccessControlUnauthorizedAccount: ([account, role]) => `${account} is missing the role ${roleName(hre, role)}`,
+    AccessControlInvalidDefaultAdmin: ([account]) => `${account} is not the pending admin`,
+    AccessControlEnforcedDefaultAdminDelay: ([schedule]) => `The admin transfer can only be accepted after ${date(schedule)}`,
+    OwnableUnauthorizedAccount: ([account]) => `${account} is not the owner`,
+    EnforcedPause: () => "The staking contract is paused",
+    ExpectedPause: () => "The staking contract is not paused",
+    ReentrancyGuardReentrantCall: () => "Reentrant call",
+  };
+}
+
+/**
+ * Finds the revert data of a failed call in an error from ethers or the Hardhat network, which
+ * nest it at different depths.
+ */
+function findRevertData(error) {
+  for (let current = error; current; current = current.error || (current.info && current.info.error)) {
+    if (typeof current.data === "string" && current.data.startsWith("0x") && current.data.length >= 10) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === "string") {
+      return current.data.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns whether an error is a call that reverted, rather than a failure to reach the node or of the request.
+ */
+function isRevert(error) {
+  return error.code === "CALL_EXCEPTION" || Boolean(error.revert || error.reason || findRevertData(error));
+}
+
+/**
+ * Turns the error of a reverted call into a readable message: the require reason, a description of
+ * a custom error of the contract or of a token, or the error's own message as a last resort.
+ *
+ * @param {object} hre The Hardhat runtime environment
+ * @param {Error} error The error of the call
+ * @param {{ decimals: bigint, symbol: string } | null} [units] The units of the token the call moves, if known
+ */
+function describeRevert(hre, error, units = null) {
+  const messages = errorMessages(hre, units);
+  const describe = (name, args) => (messages[name] ? messages[name]([...args]) : `${name}(${[...args].join(", ")})`);
+
+  // Require reasons and panics, and custom errors of the called contract, are decoded by ethers
+  if (error.revert && error.revert.name !== "Error" && error.revert.name !== "Panic") {
+    return describe(error.revert.name, error.revert.args);
+  }
+  if (error.reason) {
+    return error.reason;
+  }
+
+  const data = findRevertData(error);
+  if (data) {
+    const parsed = new hre.ethers.Interface([...COMMON_ERRORS, "error Error(string reason)"]).parseError(data);
+    if (parsed) {
+      return parsed.name === "Error" ? parsed.args[0] : describe(parsed.name, parsed.args);
+    }
+    return `unknown custom error ${data.slice(0, 10)}`;
+  }
+  return error.shortMessage || error.message;
+}
+
+/**
+ * Checks that an account holds `amount` of a token and, when a spender is given, that the spender may
+ * transfer that much of it, so that a transaction pulling the tokens does not revert.
+ *
+ * @param {object} hre The Hardhat runtime environment
+ * @param {import("ethers").Contract} token The ERC20 token
+ * @param {string} owner The account the tokens are pulled from
+ * @param {string | null} spender The contract pulling them, or null to only check the balance
+ * @param {bigint} amount The amount, in the token's smallest unit
+ */
+async function checkTokenFunds(hre, token, owner, spender, amount) {
+  const [{ decimals, symbol }, balance] = await Promise.all([readTokenUnits(token), token.balanceOf(owner)]);
+  const format = (value) => hre.ethers.formatUnits(value, decimals);
+  if (balance < amount) {
+    throw new TransactionError(`${owner} holds ${format(balance)} ${symbol}, but ${format(amount)} ${symbol} are needed`);
+  }
+  if (spender) {
+    const allowance = await token.allowance(owner, spender);
+    if (allowance < amount) {
+      throw new TransactionError(
+        `${owner} has approved ${spender} for ${format(allowance)} ${symbol}, but ${format(amount)} ${symbol} are needed. Approve at least that much first`
+      );
+    }
+  }
+}
+
+/**
+ * Returns the fees to send a transaction with: EIP-1559 fees where the network supports them, or a
+ * legacy gas price, and the most the transaction can cost with the given gas limit.
+ */
+async function estimateFees(hre, gasLimit) {
+  const { maxFeePerGas, maxPriorityFeePerGas, gasPrice } = await hre.ethers.provider.getFeeData();
+  const fees = maxFeePerGas !== null ? { maxFeePerGas, maxPriorityFeePerGas } : { gasPrice };
+  return { fees, maxCost: gasLimit * (maxFeePerGas ?? gasPrice) };
+}
+
+/**
+ * Returns the fees raised by FEE_BUMP_PERCENT, and by at least 1 wei each.
+ */
+function bumpFees(fees) {
+  const bumped = {};
+  for (const [key, value] of Object.entries(fees)) {
+    bumped[key] = value + (value * FEE_BUMP_PERCENT) / 100n + 1n;
+  }
+  return bumped;
+}
+
+/**
+ * Formats fees in gwei, for example "max fee 1.5 gwei, priority fee 1.0 gwei".
+ */
+function formatFees(hre, fees) {
+  const gwei = (value) => `${hre.ethers.formatUnits(value, "gwei")} gwei`;
+  return fees.gasPrice !== undefined
+    ? `gas price ${gwei(fees.gasPrice)}`
+    : `max fee ${gwei(fees.maxFeePerGas)}, priority fee ${gwei(fees.maxPriorityFeePerGas)}`;
+}
+
+/**
+ * Sends a contract call, or only simulates it when `dryRun` is set.
+ *
+ * The call is simulated and its gas estimated in the pending block, the earliest it can be mined in, so
+ * that a call that would revert fails with a readable TransactionError before anything is sent. The
+ * estimated gas and fee are logged, and the gas limit is the estimate plus 20%, for the replacements
+ * too. Once sent, a transaction that is not mined within `replaceAfter` seconds is replaced by the same
+ * call with the same nonce and fees raised by 20%, up to three times; whichever of them is mined counts.
+ * The helper then waits for `confirmations` blocks.
+ *
+ * @param {object} hre The Hardhat runtime environment
+ * @param {Function} method A method of a contract connected to the signer, such as stakingContract.stake
+ * @param {Array} args The arguments of the call
+ * @param {{ dryRun?: boolean, confirmations?: number, replaceAfter?: number, pollInterval?: number,
+ *   token?: import("ethers").Contract, log?: (message: string) => void }} options `replaceAfter` is in
+ *   seconds, 0 to never replace; `pollInterval` is in milliseconds; `token` is the ERC20 token the call
+ *   moves, whose units describe its balance and allowance errors
+ * @returns {Promise<object>} For a dry run, `{ dryRun, gasEstimate, maxCost }`; otherwise also the hash
+ * and block of the mined transaction, its gas used and fee paid, and how many times it was replaced
+ */
+async function sendTransaction(hre, method, args, options = {}) {
+  const { formatEther } = hre.ethers;
+  const log = options.log || (() => {});
+  const confirmations = options.confirmations ?? 1;
+  const replaceAfter = options.replaceAfter ?? DEFAULT_REPLACE_AFTER;
+  const pollInterval = options.pollInterval ?? DEFAULT_POLL_INTERVAL_MS;
+
+  let gasEstimate;
+  try {
+    await method.staticCall(...args, { blockTag: "pending" });
+    gasEstimate = await method.estimateGas(...args, { blockTag: "pending" });
+  } catch (error) {
+    if (!isRevert(error)) {
+      throw new TransactionError(`Could not simulate the transaction: ${error.shortMessage || error.message}`);
+    }
+    const units = options.token ? await readTokenUnits(options.token) : null;
+    throw new TransactionError(`Transaction would revert: ${describeRevert(hre, error, units)}`);
+  }
+  const gasLimit = (gasEstimate * (100n + GAS_LIMIT_MARGIN_PERCENT)) / 100n;
+  const { fees, maxCost } = await estimateFees(hre, gasLimit);
+  log(`Estimated gas: ${gasEstimate} (limit ${gasLimit}) at ${formatFees(hre, fees)}, costing at most ${formatEther(maxCost)} ETH`);
+
+  if (options.dryRun) {
+    log(`Dry run: transaction would succeed (estimated gas: ${gasEstimate})`);
+    return { dryRun: true, gasEstimate: gasEstimate.toString(), maxCost: formatEther(maxCost) };
+  }
+
+  const provider = hre.ethers.provider;
+  let currentFees = fees;
+  const sent = [await method(...args, { gasLimit, ...fees })];
+  const { nonce, from } = sent[0];
+  log(`Transaction hash: ${sent[0].hash}`);
+  log("Waiting for transaction confirmation...");
+
+  // Wait for one of the sent transactions to be mined, replacing the latest one while it is stuck
+  let receipt = null;
+  let sentAt = Date.now();
+  const findReceipt = async () => {
+    for (const tx of sent) {
+      const found = await provider.getTransactionReceipt(tx.hash);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  };
+  for (;;) {
+    receipt = await findReceipt();
+    if (receipt) {
+      break;
+    }
+    // The nonce is used once any transaction with it is mined, ours included if that happened since the
+    // receipts were read, so look for them once more before giving up
+    if ((await provider.getTransactionCount(from, "latest")) > nonce) {
+      receipt = await findReceipt();
+      if (receipt) {
+        break;
+      }
+      throw new TransactionError(`Nonce ${nonce} of ${from} was used by another transaction than ${sent.map((tx) => tx.hash).join(", ")}`);
+    }
+
+    if (replaceAfter > 0 && sent.length <= MAX_REPLACEMENTS && Date.now() - sentAt >= replaceAfter * 1000) {
+      currentFees = bumpFees(currentFees);
+      log(`Not mined after ${replaceAfter} seconds, replacing it with ${formatFees(hre, currentFees)}...`);
+      try {
+        sent.push(await method(...args, { nonce, gasLimit, ...currentFees }));
+        log(`Replacement transaction hash: ${sent[sent.length - 1].hash}`);
+      } catch (error) {
+        // The transaction may have been mined in the meantime, which the next poll finds out
+        log(`Could not replace the transaction: ${error.shortMessage || error.message}`);
+      }
+      sentAt = Date.now();
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+  }
+
+  if (receipt.status !== 1) {
+    throw new TransactionError(`Transaction ${receipt.hash} reverted in block ${receipt.blockNumber}`);
+  }
+  if (confirmations > 1) {
+    log(`Mined in block ${receipt.blockNumber}, waiting for ${confirmations} confirmations...`);
+    await provider.waitForTransaction(receipt.hash, confirmations);
+  }
+  const fee = receipt.gasUsed * receipt.gasPrice;
+  log(`Transaction confirmed! Gas used: ${receipt.gasUsed}, fee: ${formatEther(fee)} ETH`);
+
+  return {
+    dryRun: false,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    fee: formatEther(fee),
+    replacements: sent.length - 1,
+  };
+}
+
+module.exports = {
+  TransactionError,
+  getConfirmations,
+  describeRevert,
+  checkTokenFunds,
+  estimateFees,
+  sendTransaction,
+};
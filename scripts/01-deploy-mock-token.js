@@ -1,5 +1,7 @@
 // Script to deploy the MockToken contract
 const hre = require("hardhat");
+const { deployOrReuse, getManifestPath } = require("../lib/deployments");
+const { getConfirmations } = require("../lib/transactions");
 
 async function main() {
   console.log("Deploying MockToken contract...");
@@ -9,21 +11,28 @@ async function main() {
   const symbol = "QNTL";
   const initialSupply = 1000000; // 1 million tokens
 
-  // Deploy the contract
-  const MockToken = await hre.ethers.getContractFactory("MockToken");
-  const mockToken = await MockToken.deploy(name, symbol, initialSupply);
-
-  await mockToken.waitForDeployment();
+  // Deploy the contract, unless a matching deployment is already recorded
+  const { contract: mockToken, deployment, deployed } = await deployOrReuse(hre, "MockToken", [
+    name,
+    symbol,
+    initialSupply,
+  ]);
+
+  const address = deployment.address;
+  if (!deployed) {
+    console.log(`MockToken already deployed at: ${address} (block ${deployment.blockNumber}), skipping`);
+    return address;
+  }
 
-  const address = await mockToken.getAddress();
   console.log(`MockToken deployed to: ${address}`);
   console.log(`Token Name: ${name}`);
   console.log(`Token Symbol: ${symbol}`);
   console.log(`Initial Supply: ${initialSupply} ${symbol}`);
+  console.log(`Deployment recorded in ${getManifestPath(hre.network.name)}`);
 
   // Wait for a few block confirmations
   console.log("Waiting for block confirmations...");
-  await mockToken.deploymentTransaction().wait(5);
+  await mockToken.deploymentTransaction().wait(getConfirmations(hre, 5));
   console.log("Confirmed!");
 
   // Verify the contract on Etherscan if not on a local network
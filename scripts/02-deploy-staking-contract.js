@@ -1,43 +1,62 @@
 // Script to deploy the StakingContract
 const hre = require("hardhat");
+const { deployOrReuse, getDeploymentAddress, getManifestPath, readManifest } = require("../lib/deployments");
+const { getConfirmations, sendTransaction } = require("../lib/transactions");
 
 async function main() {
   console.log("Deploying StakingContract...");
 
-  // Get the token address from command line arguments or use a default
-  const tokenAddress = process.env.TOKEN_ADDRESS;
-  if (!tokenAddress) {
-    console.error("Please set the TOKEN_ADDRESS environment variable");
-    process.exit(1);
-  }
+  // Get the token address from the deployment manifest
+  // The staking token is also the primary reward token
+  const tokenAddress = getDeploymentAddress(hre, "MockToken");
+  const constructorArgs = [tokenAddress, tokenAddress];
 
-  // Set the reward rate (tokens per second)
-  // 0.01 tokens per second = 864 tokens per day
-  const rewardRate = hre.ethers.parseUnits("0.01", 18);
+  // Deploy the contract, unless a matching deployment is already recorded
+  const { contract: stakingContract, deployment, deployed } = await deployOrReuse(hre, "StakingContract", constructorArgs);
 
-  // Deploy the contract
-  const StakingContract = await hre.ethers.getContractFactory("StakingContract");
-  const stakingContract = await StakingContract.deploy(tokenAddress, rewardRate);
+  // Deploy the read-only lens the qlk tasks read the pool through; one lens serves every pool
+  const lens = await deployOrReuse(hre, "StakingLens", []);
+  console.log(`StakingLens ${lens.deployed ? "deployed to" : "already deployed at"}: ${lens.deployment.address}`);
 
-  await stakingContract.waitForDeployment();
+  const address = deployment.address;
+  if (!deployed) {
+    console.log(`StakingContract already deployed at: ${address} (block ${deployment.blockNumber}), skipping`);
+    return address;
+  }
 
-  const address = await stakingContract.getAddress();
   console.log(`StakingContract deployed to: ${address}`);
   console.log(`Using token at: ${tokenAddress}`);
-  console.log(`Reward rate: ${hre.ethers.formatUnits(rewardRate, 18)} tokens per second`);
+  console.log(`Deployment recorded in ${getManifestPath(hre.network.name)}`);
 
   // Wait for a few block confirmations
   console.log("Waiting for block confirmations...");
-  await stakingContract.deploymentTransaction().wait(5);
+  await stakingContract.deploymentTransaction().wait(getConfirmations(hre, 5));
   console.log("Confirmed!");
 
+  // Add the separate reward token as a second reward token, if one has been deployed
+  const rewardTokenDeployment = readManifest(hre.network.name).contracts.RewardToken;
+  if (rewardTokenDeployment) {
+    console.log(`Adding reward token at: ${rewardTokenDeployment.address}`);
+    await sendTransaction(hre, stakingContract.addRewardToken, [rewardTokenDeployment.address], {
+      confirmations: getConfirmations(hre),
+      log: console.log,
+    });
+  }
+
+  // Show the reward tokens and the pool's balance of each
+  for (const rewardTokenAddress of await stakingContract.getRewardTokens()) {
+    const rewardToken = await hre.ethers.getContractAt("MockToken", rewardTokenAddress);
+    const balance = await rewardToken.balanceOf(address);
+    console.log(`Reward token: ${rewardTokenAddress} (${await rewardToken.symbol()}), pool balance: ${hre.ethers.formatUnits(balance, 18)}`);
+  }
+
   // Verify the contract on Etherscan if not on a local network
   if (network.name !== "hardhat" && network.name !== "localhost") {
     console.log("Verifying contract on Etherscan...");
     try {
       await hre.run("verify:verify", {
         address: address,
-        constructorArguments: [tokenAddress, rewardRate],
+        constructorArguments: constructorArgs,
       });
       console.log("Contract verified on Etherscan!");
     } catch (error) {
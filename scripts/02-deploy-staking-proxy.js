@@ -0,0 +1,83 @@
+// Script to deploy the StakingContractUpgradeable behind a transparent proxy, in place of the StakingContract
+const hre = require("hardhat");
+const { deployOrReuse, deployProxyOrReuse, getDeploymentAddress, getManifestPath, readManifest } = require("../lib/deployments");
+const { getConfirmations, sendTransaction } = require("../lib/transactions");
+
+async function main() {
+  console.log("Deploying StakingContractUpgradeable behind a proxy...");
+
+  // Get the token address from the deployment manifest
+  // The staking token is also the primary reward token
+  const tokenAddress = getDeploymentAddress(hre, "MockToken");
+  const initializerArgs = [tokenAddress, tokenAddress];
+
+  // Deploy the implementation, the ProxyAdmin and the proxy, unless a matching proxy is already recorded.
+  // The proxy is recorded as the StakingContract, so the qlk tasks and the other scripts use it
+  const { contract: stakingContract, deployment, deployed } = await deployProxyOrReuse(
+    hre,
+    "StakingContractUpgradeable",
+    initializerArgs,
+    { name: "StakingContract" }
+  );
+
+  // Deploy the read-only lens the qlk tasks read the pool through; one lens serves every pool
+  const lens = await deployOrReuse(hre, "StakingLens", []);
+  console.log(`StakingLens ${lens.deployed ? "deployed to" : "already deployed at"}: ${lens.deployment.address}`);
+
+  const address = deployment.address;
+  if (!deployed) {
+    console.log(`StakingContract proxy already deployed at: ${address} (block ${deployment.blockNumber}), skipping`);
+    console.log(`Implementation: ${deployment.implementation}`);
+    console.log("Use scripts/04-upgrade-staking-contract.js to upgrade it");
+    return address;
+  }
+
+  console.log(`StakingContract proxy deployed to: ${address}`);
+  console.log(`Implementation: ${deployment.implementation}`);
+  console.log(`ProxyAdmin: ${deployment.proxyAdmin}`);
+  console.log(`Using token at: ${tokenAddress}`);
+  console.log(`Deployment recorded in ${getManifestPath(hre.network.name)}`);
+
+  // Wait for a few block confirmations
+  console.log("Waiting for block confirmations...");
+  await stakingContract.deploymentTransaction().wait(getConfirmations(hre, 5));
+  console.log("Confirmed!");
+
+  // Add the separate reward token as a second reward token, if one has been deployed
+  const rewardTokenDeployment = readManifest(hre.network.name).contracts.RewardToken;
+  if (rewardTokenDeployment) {
+    console.log(`Adding reward token at: ${rewardTokenDeployment.address}`);
+    await sendTransaction(hre, stakingContract.addRewardToken, [rewardTokenDeployment.address], {
+      confirmations: getConfirmations(hre),
+      log: console.log,
+    });
+  }
+
+  // Show the reward tokens and the pool's balance of each
+  for (const rewardTokenAddress of await stakingContract.getRewardTokens()) {
+    const rewardToken = await hre.ethers.getContractAt("MockToken", rewardTokenAddress);
+    const balance = await rewardToken.balanceOf(address);
+    console.log(`Reward token: ${rewardTokenAddress} (${await rewardToken.symbol()}), pool balance: ${hre.ethers.formatUnits(balance, 18)}`);
+  }
+
+  // Verify the implementation, and link the proxy to it, on Etherscan if not on a local network
+  if (network.name !== "hardhat" && network.name !== "localhost") {
+    console.log("Verifying contracts on Etherscan...");
+    try {
+      await hre.run("verify:verify", { address });
+      console.log("Contracts verified on Etherscan!");
+    } catch (error) {
+      console.error("Error verifying contracts:", error);
+    }
+  }
+
+  return address;
+}
+
+// Execute the deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
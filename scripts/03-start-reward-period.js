@@ -0,0 +1,56 @@
+// Script to fund the StakingContract and start a reward period for its primary reward token
+const hre = require("hardhat");
+const { getDeploymentAddress } = require("../lib/deployments");
+const { checkTokenFunds, getConfirmations, sendTransaction } = require("../lib/transactions");
+
+async function main() {
+  // Get the contract address from the deployment manifest
+  const stakingContractAddress = getDeploymentAddress(hre, "StakingContract");
+
+  // Reward period parameters
+  // 25920 tokens over 30 days = 0.01 tokens per second (864 tokens per day)
+  const reward = hre.ethers.parseUnits("25920", 18);
+  const duration = 30 * 86400;
+
+  const stakingContract = await hre.ethers.getContractAt("StakingContract", stakingContractAddress);
+  const tokenAddress = await stakingContract.rewardTokens(0);
+  const token = await hre.ethers.getContractAt("MockToken", tokenAddress);
+  const symbol = await token.symbol();
+
+  // Skip if a reward period is already running, so the pipeline can be re-run safely
+  const { periodFinish } = await stakingContract.rewardData(tokenAddress);
+  const latestBlock = await hre.ethers.provider.getBlock("latest");
+  if (BigInt(latestBlock.timestamp) < periodFinish) {
+    console.log(`A reward period is already running until ${new Date(Number(periodFinish) * 1000).toISOString()}, skipping`);
+    console.log("Use `npx hardhat qlk fund --amount <tokens> --duration <seconds>` to top it up");
+    console.log("Add `--token <address>` to start a period for another reward token");
+    return;
+  }
+
+  console.log(`Starting a reward period of ${duration / 86400} days with ${hre.ethers.formatUnits(reward, 18)} ${symbol}...`);
+
+  // Check that the funder holds the rewards before sending anything
+  const [funder] = await hre.ethers.getSigners();
+  await checkTokenFunds(hre, token, funder.address, null, reward);
+  const options = { confirmations: getConfirmations(hre), log: console.log };
+
+  // Approve the staking contract to pull the reward tokens
+  console.log("Approving reward tokens...");
+  await sendTransaction(hre, token.approve, [stakingContractAddress, reward], options);
+
+  // Deposit the rewards and start the period
+  console.log("Starting the reward period...");
+  await sendTransaction(hre, stakingContract.notifyRewardAmount, [tokenAddress, reward, duration], options);
+
+  const { rewardRate, periodFinish: newPeriodFinish } = await stakingContract.rewardData(tokenAddress);
+  console.log(`Reward rate: ${hre.ethers.formatUnits(rewardRate, 18)} ${symbol} per second`);
+  console.log(`Reward period ends at: ${new Date(Number(newPeriodFinish) * 1000).toISOString()}`);
+}
+
+// Execute the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
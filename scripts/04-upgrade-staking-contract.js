@@ -0,0 +1,43 @@
+// Script to upgrade the StakingContract proxy to a new implementation
+const hre = require("hardhat");
+const { getManifestPath, upgradeProxy } = require("../lib/deployments");
+
+async function main() {
+  // The contract of the new implementation; set UPGRADE_CONTRACT to upgrade to another contract
+  const contractName = process.env.UPGRADE_CONTRACT || "StakingContractUpgradeable";
+
+  // Validates the storage layout against the current implementation, then upgrades.
+  // An incompatible layout throws before any transaction is sent
+  console.log(`Validating the storage layout of ${contractName}...`);
+  const { deployment, upgraded } = await upgradeProxy(hre, "StakingContract", contractName);
+
+  if (!upgraded) {
+    console.log(`StakingContract proxy at ${deployment.address} already runs the current ${contractName}, skipping`);
+    return;
+  }
+
+  const previous = deployment.upgrades[deployment.upgrades.length - 1];
+  console.log(`StakingContract proxy at ${deployment.address} upgraded`);
+  console.log(`Previous implementation: ${previous.implementation} (${previous.contractName})`);
+  console.log(`New implementation: ${deployment.implementation} (${contractName})`);
+  console.log(`Upgrade recorded in ${getManifestPath(hre.network.name)}`);
+
+  // Verify the new implementation on Etherscan if not on a local network
+  if (network.name !== "hardhat" && network.name !== "localhost") {
+    console.log("Verifying the new implementation on Etherscan...");
+    try {
+      await hre.run("verify:verify", { address: deployment.address });
+      console.log("Contracts verified on Etherscan!");
+    } catch (error) {
+      console.error("Error verifying contracts:", error);
+    }
+  }
+}
+
+// Execute the upgrade
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+// Script to deploy the stake receipt token (for example stQNTL) and attach it to the StakingContract
+const hre = require("hardhat");
+const { deployOrReuse, getDeploymentAddress, getManifestPath } = require("../lib/deployments");
+const { getConfirmations, sendTransaction } = require("../lib/transactions");
+
+async function main() {
+  // Get the staking contract address from the deployment manifest
+  const stakingContractAddress = getDeploymentAddress(hre, "StakingContract");
+  const stakingContract = await hre.ethers.getContractAt("StakingContract", stakingContractAddress);
+
+  // A pool takes a single receipt token, which cannot be replaced
+  const attached = await stakingContract.receiptToken();
+  if (attached !== hre.ethers.ZeroAddress) {
+    console.log(`StakingContract ${stakingContractAddress} already has a receipt token at: ${attached}, skipping`);
+    return attached;
+  }
+
+  // Deploy the receipt token, unless a matching deployment is already recorded
+  console.log("Deploying StakeReceiptToken...");
+  const { contract: receiptToken, deployment, deployed } = await deployOrReuse(hre, "StakeReceiptToken", [stakingContractAddress]);
+  console.log(`StakeReceiptToken ${deployed ? "deployed to" : "already deployed at"}: ${deployment.address}`);
+  console.log(`Deployment recorded in ${getManifestPath(hre.network.name)}`);
+
+  // Attach it to the pool (admin only); existing stakers hold their receipts straight away
+  console.log("Attaching the receipt token to the staking contract...");
+  await sendTransaction(hre, stakingContract.setReceiptToken, [deployment.address], {
+    confirmations: getConfirmations(hre),
+    log: console.log,
+  });
+  console.log(`Receipt token attached: ${await receiptToken.symbol()}, supply ${hre.ethers.formatUnits(await receiptToken.totalSupply(), 18)}`);
+
+  return deployment.address;
+}
+
+// Execute the deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
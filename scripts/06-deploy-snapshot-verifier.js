@@ -0,0 +1,38 @@
+// Script to deploy the StakingSnapshotVerifier, which checks proofs of the snapshots written by qlk snapshot
+const hre = require("hardhat");
+const { network } = hre;
+const { deployOrReuse, getManifestPath } = require("../lib/deployments");
+
+async function main() {
+  // The verifier holds no state, so one deployment serves every snapshot on the network
+  console.log("Deploying StakingSnapshotVerifier...");
+  const { deployment, deployed } = await deployOrReuse(hre, "StakingSnapshotVerifier", []);
+  const address = deployment.address;
+  if (!deployed) {
+    console.log(`StakingSnapshotVerifier already deployed at: ${address} (block ${deployment.blockNumber}), skipping`);
+    return address;
+  }
+  console.log(`StakingSnapshotVerifier deployed to: ${address}`);
+  console.log(`Deployment recorded in ${getManifestPath(network.name)}`);
+
+  // Verify the contract on Etherscan if not on a local network
+  if (network.name !== "hardhat" && network.name !== "localhost") {
+    console.log("Verifying contract on Etherscan...");
+    try {
+      await hre.run("verify:verify", { address, constructorArguments: [] });
+      console.log("Contract verified on Etherscan!");
+    } catch (error) {
+      console.error("Error verifying contract:", error);
+    }
+  }
+
+  return address;
+}
+
+// Execute the deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
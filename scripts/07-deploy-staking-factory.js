@@ -0,0 +1,46 @@
+// Script to deploy the StakingFactory, which deploys and registers staking pools, with the implementation its pools run
+const hre = require("hardhat");
+const { network } = hre;
+const { deployOrReuse, getManifestPath } = require("../lib/deployments");
+
+async function main() {
+  // Every pool of the factory is a minimal proxy of this implementation, whose own initializers are disabled
+  console.log("Deploying the StakingContractUpgradeable implementation of the factory's pools...");
+  const implementation = await deployOrReuse(hre, "StakingContractUpgradeable", [], { name: "StakingPoolImplementation" });
+  const implementationAddress = implementation.deployment.address;
+  console.log(`Implementation ${implementation.deployed ? "deployed to" : "already deployed at"}: ${implementationAddress}`);
+
+  console.log("Deploying StakingFactory...");
+  const constructorArgs = [implementationAddress];
+  const { deployment, deployed } = await deployOrReuse(hre, "StakingFactory", constructorArgs);
+  const address = deployment.address;
+  if (!deployed) {
+    console.log(`StakingFactory already deployed at: ${address} (block ${deployment.blockNumber}), skipping`);
+    return address;
+  }
+  console.log(`StakingFactory deployed to: ${address}`);
+  console.log(`Deployment recorded in ${getManifestPath(network.name)}`);
+  console.log("Create pools with: npx hardhat qlk create-pools --file <pools.yaml>");
+
+  // Verify the contracts on Etherscan if not on a local network
+  if (network.name !== "hardhat" && network.name !== "localhost") {
+    console.log("Verifying contracts on Etherscan...");
+    try {
+      await hre.run("verify:verify", { address: implementationAddress, constructorArguments: [] });
+      await hre.run("verify:verify", { address, constructorArguments: constructorArgs });
+      console.log("Contracts verified on Etherscan!");
+    } catch (error) {
+      console.error("Error verifying contracts:", error);
+    }
+  }
+
+  return address;
+}
+
+// Execute the deployment
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,44 +1,84 @@
-// Script to set up environment variables for local testing
-const fs = require('fs');
-const path = require('path');
-const { ethers } = require('hardhat');
+// Script to set up the contracts for local testing
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployOrReuse, deployProxyOrReuse, getManifestPath } = require("../lib/deployments");
+const { sendTransaction } = require("../lib/transactions");
 
 async function main() {
   console.log("Setting up environment for local testing...");
 
   // Deploy MockToken
   console.log("Deploying MockToken...");
-  const MockToken = await ethers.getContractFactory("MockToken");
-  const mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
-  await mockToken.waitForDeployment();
-  const tokenAddress = await mockToken.getAddress();
-  console.log(`MockToken deployed to: ${tokenAddress}`);
-
-  // Deploy StakingContract
-  console.log("Deploying StakingContract...");
-  const rewardRate = ethers.parseUnits("0.01", 18);
-  const StakingContract = await ethers.getContractFactory("StakingContract");
-  const stakingContract = await StakingContract.deploy(tokenAddress, rewardRate);
-  await stakingContract.waitForDeployment();
-  const stakingContractAddress = await stakingContract.getAddress();
-  console.log(`StakingContract deployed to: ${stakingContractAddress}`);
-
-  // Transfer some tokens to the staking contract for rewards
-  console.log("Transferring tokens to the staking contract for rewards...");
-  await mockToken.transfer(stakingContractAddress, ethers.parseUnits("100000", 18));
-  console.log("Tokens transferred!");
-
-  // Create or update .env.local file
-  const envPath = path.join(__dirname, '..', '.env.local');
-  const envContent = `# Local testing environment variables
-TOKEN_ADDRESS=${tokenAddress}
-STAKING_CONTRACT_ADDRESS=${stakingContractAddress}
-`;
-
-  fs.writeFileSync(envPath, envContent);
-  console.log(`Environment variables saved to ${envPath}`);
-  console.log("\nTo use these variables for local testing, run:");
-  console.log("source .env.local");
+  const token = await deployOrReuse(hre, "MockToken", ["Quantlink Token", "QNTL", 1000000]);
+  const tokenAddress = token.deployment.address;
+  console.log(`MockToken ${token.deployed ? "deployed to" : "already deployed at"}: ${tokenAddress}`);
+
+  // Deploy a second MockToken to pay rewards in a separate asset
+  console.log("Deploying RewardToken...");
+  const rewardToken = await deployOrReuse(hre, "MockToken", ["Quantlink Reward Token", "QRWD", 1000000], {
+    name: "RewardToken",
+  });
+  const rewardTokenAddress = rewardToken.deployment.address;
+  console.log(`RewardToken ${rewardToken.deployed ? "deployed to" : "already deployed at"}: ${rewardTokenAddress}`);
+
+  // Deploy StakingContract, with the staking token as the primary reward token
+  // With STAKING_PROXY=true, deploy StakingContractUpgradeable behind a proxy instead, recorded as the StakingContract
+  const useProxy = process.env.STAKING_PROXY === "true";
+  console.log(`Deploying StakingContract${useProxy ? " behind a proxy" : ""}...`);
+  const staking = useProxy
+    ? await deployProxyOrReuse(hre, "StakingContractUpgradeable", [tokenAddress, tokenAddress], { name: "StakingContract" })
+    : await deployOrReuse(hre, "StakingContract", [tokenAddress, tokenAddress]);
+  const stakingContractAddress = staking.deployment.address;
+  console.log(`StakingContract ${staking.deployed ? "deployed to" : "already deployed at"}: ${stakingContractAddress}`);
+  if (useProxy) {
+    console.log(`Implementation: ${staking.deployment.implementation}`);
+  }
+
+  // Deploy the read-only lens the qlk tasks read the pool through
+  console.log("Deploying StakingLens...");
+  const lens = await deployOrReuse(hre, "StakingLens", []);
+  console.log(`StakingLens ${lens.deployed ? "deployed to" : "already deployed at"}: ${lens.deployment.address}`);
+
+  // Deploy the verifier of the proofs in pool snapshots
+  console.log("Deploying StakingSnapshotVerifier...");
+  const verifier = await deployOrReuse(hre, "StakingSnapshotVerifier", []);
+  console.log(`StakingSnapshotVerifier ${verifier.deployed ? "deployed to" : "already deployed at"}: ${verifier.deployment.address}`);
+
+  // Deploy the factory of further pools, with the implementation they run
+  console.log("Deploying StakingFactory...");
+  const implementation = await deployOrReuse(hre, "StakingContractUpgradeable", [], { name: "StakingPoolImplementation" });
+  const factory = await deployOrReuse(hre, "StakingFactory", [implementation.deployment.address]);
+  console.log(`StakingFactory ${factory.deployed ? "deployed to" : "already deployed at"}: ${factory.deployment.address}`);
+
+  // Deploy the stake receipt token and attach it to a newly deployed staking contract
+  console.log("Deploying StakeReceiptToken...");
+  const receiptToken = await deployOrReuse(hre, "StakeReceiptToken", [stakingContractAddress]);
+  console.log(`StakeReceiptToken ${receiptToken.deployed ? "deployed to" : "already deployed at"}: ${receiptToken.deployment.address}`);
+  if ((await staking.contract.receiptToken()) === ethers.ZeroAddress) {
+    await sendTransaction(hre, staking.contract.setReceiptToken, [receiptToken.deployment.address]);
+    console.log(`Receipt token attached: ${await receiptToken.contract.symbol()}`);
+  }
+
+  // Add the reward token and start a reward period for both tokens, only when the staking contract was just deployed
+  // 86400 tokens over 100 days = 0.01 tokens per second
+  if (staking.deployed) {
+    console.log("Adding the reward token...");
+    await sendTransaction(hre, staking.contract.addRewardToken, [rewardTokenAddress]);
+
+    const rewardFunding = ethers.parseUnits("86400", 18);
+    const rewardsDuration = 100 * 86400;
+    for (const { contract } of [token, rewardToken]) {
+      const symbol = await contract.symbol();
+      console.log(`Starting a ${symbol} reward period...`);
+      await sendTransaction(hre, contract.approve, [stakingContractAddress, rewardFunding]);
+      await sendTransaction(hre, staking.contract.notifyRewardAmount, [await contract.getAddress(), rewardFunding, rewardsDuration]);
+      console.log(`Reward period started: ${ethers.formatUnits(rewardFunding, 18)} ${symbol} over ${rewardsDuration / 86400} days`);
+    }
+  }
+
+  console.log(`Deployments recorded in ${getManifestPath(hre.network.name)}`);
+  console.log("The qlk tasks resolve these addresses automatically, for example:");
+  console.log("npx hardhat qlk status --network localhost");
 }
 
 // Execute the script
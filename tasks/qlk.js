@@ -0,0 +1,2075 @@
+// Hardhat tasks for interacting with the StakingContract
+const fs = require("fs");
+const { scope, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest, getManifestPath } = require("../lib/deployments");
+const { signPermit } = require("../lib/permit");
+const indexer = require("../lib/indexer");
+const { createApiServer } = require("../lib/api");
+const emissions = require("../lib/emissions");
+const scenarios = require("../lib/scenario");
+const snapshots = require("../lib/snapshot");
+const monitors = require("../lib/monitor");
+const { runKeeperRound } = require("../lib/keeper");
+const poolConfigs = require("../lib/pools");
+const transactions = require("../lib/transactions");
+
+const qlk = scope("qlk", "Interact with the Quantlink staking contracts");
+
+/**
+ * Resolves the account a task should act as.
+ * Accepts either an index into the configured signers or an address.
+ */
+async function resolveSigner(hre, account) {
+  if (hre.ethers.isAddress(account)) {
+    return hre.ethers.getSigner(account);
+  }
+
+  const index = Number(account);
+  const signers = await hre.ethers.getSigners();
+  if (!Number.isInteger(index) || index < 0 || index >= signers.length) {
+    throw new HardhatPluginError("qlk", `Invalid account "${account}": expected an address or a signer index below ${signers.length}`);
+  }
+  return signers[index];
+}
+
+/**
+ * Resolves the address of the account a read-only task reports on.
+ * Accepts either an index into the configured signers or any address.
+ */
+async function resolveAccountAddress(hre, account) {
+  if (hre.ethers.isAddress(account)) {
+    return hre.ethers.getAddress(account);
+  }
+  return (await resolveSigner(hre, account)).address;
+}
+
+/**
+ * Returns the staking contract (and its token) connected to the given signer.
+ * The staking contract address defaults to the one recorded in the network's deployment manifest,
+ * and the token address is read from the staking contract itself.
+ */
+async function getContracts(hre, contractAddress, signer) {
+  const deployment = readManifest(hre.network.name).contracts.StakingContract;
+  const stakingContractAddress = contractAddress || (deployment && deployment.address);
+  if (!stakingContractAddress) {
+    throw new HardhatPluginError(
+      "qlk",
+      `No StakingContract deployment recorded in ${getManifestPath(hre.network.name)}. Deploy one or pass --contract`
+    );
+  }
+
+  const stakingContract = await hre.ethers.getContractAt("StakingContract", stakingContractAddress, signer);
+  const tokenAddress = await stakingContract.stakingToken();
+  const token = await hre.ethers.getContractAt("MockToken", tokenAddress, signer);
+
+  return { stakingContract, token };
+}
+
+/**
+ * Returns the StakingLens recorded in the network's deployment manifest, connected to the given signer.
+ * Tasks that show the pool or account state read it through the lens in a single call.
+ */
+async function getLens(hre, signer) {
+  const deployment = readManifest(hre.network.name).contracts.StakingLens;
+  if (!deployment) {
+    throw new HardhatPluginError(
+      "qlk",
+      `No StakingLens deployment recorded in ${getManifestPath(hre.network.name)}. Run scripts/02-deploy-staking-contract.js to deploy one`
+    );
+  }
+  return hre.ethers.getContractAt("StakingLens", deployment.address, signer);
+}
+
+/**
+ * Returns the reward tokens of the staking contract, primary reward token first.
+ * Each entry holds the token contract connected to the given signer and its symbol.
+ */
+async function getRewardTokens(hre, stakingContract, signer) {
+  const addresses = await stakingContract.getRewardTokens();
+  return Promise.all(
+    addresses.map(async (address) => {
+      const contract = await hre.ethers.getContractAt("MockToken", address, signer);
+      return { address, contract, symbol: await contract.symbol() };
+    })
+  );
+}
+
+/**
+ * Resolves the reward token a task should act on.
+ * Defaults to the primary reward token when no address is given.
+ */
+async function resolveRewardToken(hre, stakingContract, signer, tokenAddress) {
+  const rewardTokens = await getRewardTokens(hre, stakingContract, signer);
+  if (!tokenAddress) {
+    return rewardTokens[0];
+  }
+
+  const rewardToken = rewardTokens.find((candidate) => candidate.address.toLowerCase() === tokenAddress.toLowerCase());
+  if (!rewardToken) {
+    throw new HardhatPluginError(
+      "qlk",
+      `${tokenAddress} is not a reward token of this pool. Reward tokens: ${rewardTokens.map((t) => t.address).join(", ")}`
+    );
+  }
+  return rewardToken;
+}
+
+/**
+ * Throws if the staking contract is paused, for tasks whose transaction would be rejected while paused.
+ */
+async function assertNotPaused(stakingContract) {
+  if (await stakingContract.paused()) {
+    throw new HardhatPluginError("qlk", "The staking contract is paused. Staking and claiming are disabled; qlk emergency-withdraw is still available");
+  }
+}
+
+/**
+ * Creates the output helpers for a task run.
+ * Progress messages are suppressed in JSON mode, where only the final result is printed.
+ * Errors a long-running task recovers from go to standard error in both modes.
+ */
+function createReporter(json) {
+  return {
+    log(message) {
+      if (!json) {
+        console.log(message);
+      }
+    },
+    result(data) {
+      if (json) {
+        console.log(JSON.stringify(data, null, 2));
+      }
+      return data;
+    },
+    error(message) {
+      console.error(message);
+    },
+  };
+}
+
+/**
+ * Formats a reward multiplier in basis points, for example 15000 as "1.5x".
+ */
+function formatMultiplier(multiplier) {
+  return `${Number(multiplier) / 10000}x`;
+}
+
+/**
+ * Formats a rate in basis points as a percentage, for example 1250 as "12.5%".
+ */
+function formatBps(bps) {
+  return `${Number(bps) / 100}%`;
+}
+
+/**
+ * Formats a number of seconds as days, hours, minutes and seconds, for example "6d 23h 59m 10s".
+ */
+function formatDuration(seconds) {
+  const total = Number(seconds);
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return `${days}d ${hours}h ${minutes}m ${total % 60}s`;
+}
+
+/**
+ * Formats a unix timestamp as an ISO date.
+ */
+function formatTimestamp(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+/**
+ * Logs an account's pending withdrawals with the cooldown time left on each,
+ * and returns them in a JSON-friendly form.
+ */
+async function reportPendingWithdrawals(hre, stakingContract, account, reporter) {
+  const requests = await stakingContract.pendingWithdrawals(account);
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+
+  if (requests.length === 0) {
+    reporter.log("No pending withdrawals.");
+  }
+  return requests.map((request, index) => {
+    const remaining = request.releaseTime > BigInt(timestamp) ? request.releaseTime - BigInt(timestamp) : 0n;
+    reporter.log(
+      `Pending withdrawal #${index}: ${hre.ethers.formatUnits(request.amount, 18)} tokens, ` +
+      (remaining > 0n ? `cooldown ends in ${formatDuration(remaining)}` : "ready to withdraw")
+    );
+    return {
+      index,
+      amount: hre.ethers.formatUnits(request.amount, 18),
+      releaseTime: Number(request.releaseTime),
+      remainingCooldown: Number(remaining),
+    };
+  });
+}
+
+/**
+ * Sends a contract call through the shared transaction helper, or only simulates it and estimates its
+ * fee when --dry-run is set. The task's arguments set the confirmations to wait for and when a stuck
+ * transaction is replaced; `dryRun` overrides --dry-run, for approvals a dry run cannot do without.
+ * A call that would revert fails with a readable reason before anything is sent, with the amounts of
+ * `token`, the token the call moves, in its units.
+ */
+async function sendOrSimulate(hre, method, callArgs, { args, dryRun = args.dryRun, token, reporter }) {
+  try {
+    return await transactions.sendTransaction(hre, method, callArgs, {
+      dryRun,
+      confirmations: args.confirmations ?? transactions.getConfirmations(hre),
+      replaceAfter: args.replaceAfter,
+      token,
+      log: (message) => reporter.log(message),
+    });
+  } catch (error) {
+    if (error instanceof transactions.TransactionError) {
+      throw new HardhatPluginError("qlk", error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks that an account holds enough of a token, and has approved the spender for it if one is given,
+ * before sending a transaction that pulls the tokens.
+ */
+async function requireTokenFunds(hre, token, owner, spender, amount) {
+  try {
+    await transactions.checkTokenFunds(hre, token, owner, spender, amount);
+  } catch (error) {
+    if (error instanceof transactions.TransactionError) {
+      throw new HardhatPluginError("qlk", error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Registers a task in the qlk scope with the options shared by every task.
+ */
+function qlkTask(name, description, { amount, transaction } = {}) {
+  const definition = qlk
+    .task(name, description)
+    .addOptionalParam("account", "Signer index or address to act as", "0")
+    .addOptionalParam("contract", "StakingContract address (defaults to the deployment manifest)")
+    .addFlag("json", "Print the result as JSON");
+
+  if (amount !== undefined) {
+    definition.addOptionalParam("amount", "Amount of tokens (in whole tokens)", amount, types.string);
+  }
+  if (transaction) {
+    definition
+      .addFlag("dryRun", "Simulate the transaction and estimate its fee without sending it")
+      .addOptionalParam("confirmations", "Blocks to wait for once mined (defaults to $CONFIRMATIONS, or 1)", undefined, types.int)
+      .addOptionalParam("replaceAfter", "Seconds before a transaction that is not mined is replaced with 20% higher fees (0 to never)", 180, types.int);
+  }
+
+  return definition;
+}
+
+qlkTask("approve", "Approve the staking contract to spend tokens", { amount: "1000", transaction: true })
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract, token } = await getContracts(hre, args.contract, signer);
+    const stakingContractAddress = await stakingContract.getAddress();
+    const amount = hre.ethers.parseUnits(args.amount, 18);
+
+    reporter.log(`Approving ${hre.ethers.formatUnits(amount, 18)} tokens for staking contract...`);
+
+    // Approve the staking contract to spend tokens
+    const tx = await sendOrSimulate(hre, token.approve, [stakingContractAddress, amount], { args, reporter });
+
+    // Check the allowance
+    const allowance = await token.allowance(signer.address, stakingContractAddress);
+    reporter.log(`Allowance for staking contract: ${hre.ethers.formatUnits(allowance, 18)} tokens`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      amount: hre.ethers.formatUnits(amount, 18),
+      allowance: hre.ethers.formatUnits(allowance, 18),
+    });
+  });
+
+qlkTask("stake", "Stake tokens, optionally locked for a boosted reward weight", { amount: "100", transaction: true })
+  .addOptionalParam("lockDays", "Lock the stake for this many days (for example 30, 90 or 180)", undefined, types.int)
+  .addFlag("permit", "Approve with a signed EIP-2612 permit in the same transaction instead of a prior approval")
+  .addOptionalParam("deadline", "Minutes until the signed permit expires", 30, types.int)
+  .addOptionalParam("for", "Signer index or address to stake on behalf of, paying with your tokens")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract, token } = await getContracts(hre, args.contract, signer);
+    const amount = hre.ethers.parseUnits(args.amount, 18);
+    await assertNotPaused(stakingContract);
+    if (args.permit && args.lockDays !== undefined) {
+      throw new HardhatPluginError("qlk", "--permit cannot be combined with --lock-days; approve first to stake locked");
+    }
+    if (args.for !== undefined && (args.permit || args.lockDays !== undefined)) {
+      throw new HardhatPluginError("qlk", "--for only stakes unlocked tokens with a prior approval; it cannot be combined with --permit or --lock-days");
+    }
+    const beneficiary = args.for === undefined ? signer.address : await resolveAccountAddress(hre, args.for);
+
+    // The tokens come from the signer, through a prior approval unless a permit is signed below
+    await requireTokenFunds(hre, token, signer.address, args.permit ? null : await stakingContract.getAddress(), amount);
+
+    // Stake tokens, with a permit, locked or for another account when requested
+    let tx;
+    if (args.for !== undefined) {
+      reporter.log(`Staking ${hre.ethers.formatUnits(amount, 18)} tokens for ${beneficiary}...`);
+      tx = await sendOrSimulate(hre, stakingContract.stakeFor, [beneficiary, amount], { args, token, reporter });
+    } else if (args.permit) {
+      const latestBlock = await hre.ethers.provider.getBlock("latest");
+      const deadline = BigInt(latestBlock.timestamp + args.deadline * 60);
+      const { v, r, s, nonce } = await signPermit(hre, token, signer, await stakingContract.getAddress(), amount, deadline);
+
+      reporter.log(`Signed a permit for ${hre.ethers.formatUnits(amount, 18)} tokens (nonce ${nonce}, expires in ${args.deadline} minutes)`);
+      reporter.log(`Staking ${hre.ethers.formatUnits(amount, 18)} tokens with the permit...`);
+      tx = await sendOrSimulate(hre, stakingContract.stakeWithPermit, [amount, deadline, v, r, s], { args, token, reporter });
+    } else if (args.lockDays !== undefined) {
+      const lockDuration = args.lockDays * 86400;
+      const multiplier = await stakingContract.lockMultipliers(lockDuration);
+      if (multiplier === 0n) {
+        throw new HardhatPluginError("qlk", `A ${args.lockDays} day lock is not supported by this pool`);
+      }
+
+      reporter.log(`Staking ${hre.ethers.formatUnits(amount, 18)} tokens locked for ${args.lockDays} days (${formatMultiplier(multiplier)})...`);
+      tx = await sendOrSimulate(hre, stakingContract.stakeLocked, [amount, lockDuration], { args, token, reporter });
+    } else {
+      reporter.log(`Staking ${hre.ethers.formatUnits(amount, 18)} tokens...`);
+      tx = await sendOrSimulate(hre, stakingContract.stake, [amount], { args, token, reporter });
+    }
+
+    // Check the staked balance of the beneficiary and the total staked
+    const stakedBalance = await stakingContract.getStakedBalance(beneficiary);
+    reporter.log(`${beneficiary === signer.address ? "Your" : "Beneficiary"} staked balance: ${hre.ethers.formatUnits(stakedBalance, 18)} tokens`);
+    const totalStaked = await stakingContract.getTotalStaked();
+    reporter.log(`Total staked in contract: ${hre.ethers.formatUnits(totalStaked, 18)} tokens`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      beneficiary,
+      amount: hre.ethers.formatUnits(amount, 18),
+      lockDays: args.lockDays === undefined ? null : args.lockDays,
+      permit: args.permit,
+      stakedBalance: hre.ethers.formatUnits(stakedBalance, 18),
+      totalStaked: hre.ethers.formatUnits(totalStaked, 18),
+    });
+  });
+
+qlkTask("unstake", "Request to unstake tokens, starting the cooldown before they can be withdrawn", {
+  amount: "50",
+  transaction: true,
+})
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const amount = hre.ethers.parseUnits(args.amount, 18);
+
+    const cooldownPeriod = await stakingContract.cooldownPeriod();
+    reporter.log(`Unstaking ${hre.ethers.formatUnits(amount, 18)} tokens (cooldown: ${formatDuration(cooldownPeriod)})...`);
+
+    // Check if the user has enough staked tokens
+    const stakedBalance = await stakingContract.getStakedBalance(signer.address);
+    reporter.log(`Your current staked balance: ${hre.ethers.formatUnits(stakedBalance, 18)} tokens`);
+    if (stakedBalance < amount) {
+      throw new HardhatPluginError("qlk", `You don't have enough staked tokens. You only have ${hre.ethers.formatUnits(stakedBalance, 18)} tokens staked.`);
+    }
+
+    // Locked tokens cannot be unstaked before their lock expires
+    const lockedBalance = await stakingContract.lockedBalanceOf(signer.address);
+    if (stakedBalance - lockedBalance < amount) {
+      throw new HardhatPluginError("qlk", `${hre.ethers.formatUnits(lockedBalance, 18)} of your staked tokens are still locked. Run qlk locks to see when they unlock.`);
+    }
+
+    // Request to unstake tokens
+    const tx = await sendOrSimulate(hre, stakingContract.requestUnstake, [amount], { args, reporter });
+
+    // Check the updated staked balance and the total staked
+    const newStakedBalance = await stakingContract.getStakedBalance(signer.address);
+    reporter.log(`Your new staked balance: ${hre.ethers.formatUnits(newStakedBalance, 18)} tokens`);
+    const totalStaked = await stakingContract.getTotalStaked();
+    reporter.log(`Total staked in contract: ${hre.ethers.formatUnits(totalStaked, 18)} tokens`);
+
+    // Show the remaining cooldown of every pending withdrawal
+    const pendingWithdrawals = await reportPendingWithdrawals(hre, stakingContract, signer.address, reporter);
+    reporter.log("Run qlk withdraw once the cooldown has ended.");
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      amount: hre.ethers.formatUnits(amount, 18),
+      stakedBalance: hre.ethers.formatUnits(newStakedBalance, 18),
+      totalStaked: hre.ethers.formatUnits(totalStaked, 18),
+      cooldownPeriod: Number(cooldownPeriod),
+      pendingWithdrawals,
+    });
+  });
+
+qlkTask("withdraw", "Withdraw unstaked tokens whose cooldown has ended", { transaction: true })
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+
+    const withdrawable = await stakingContract.withdrawableBalanceOf(signer.address);
+    if (withdrawable === 0n) {
+      reporter.log("Nothing to withdraw yet.");
+      const pendingWithdrawals = await reportPendingWithdrawals(hre, stakingContract, signer.address, reporter);
+      return reporter.result({ account: signer.address, withdrawn: "0", pendingWithdrawals });
+    }
+
+    reporter.log(`Withdrawing ${hre.ethers.formatUnits(withdrawable, 18)} tokens...`);
+
+    // Withdraw every request whose cooldown has ended
+    const tx = await sendOrSimulate(hre, stakingContract.withdraw, [], { args, reporter });
+
+    // Show the requests that are still in cooldown
+    const pendingWithdrawals = await reportPendingWithdrawals(hre, stakingContract, signer.address, reporter);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      withdrawn: hre.ethers.formatUnits(withdrawable, 18),
+      pendingWithdrawals,
+    });
+  });
+
+qlkTask("rewards", "Show earned rewards and the estimated daily rewards per reward token")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const lens = await getLens(hre, signer);
+
+    const [pool, [user]] = await lens.getPoolAndUsersInfo(stakingContract, [signer.address]);
+    const rewardTokens = await getRewardTokens(hre, stakingContract, signer);
+
+    reporter.log(`Your staked balance: ${hre.ethers.formatUnits(user.stakedBalance, 18)} tokens`);
+    // Rewards are distributed over the boosted reward weight rather than the staked amount
+    reporter.log(`Your reward weight: ${hre.ethers.formatUnits(user.rewardWeight, 18)}`);
+
+    const rewards = user.rewards.map((reward, i) => {
+      const { rewardRate, aprBps } = pool.rewards[i];
+      const { symbol } = rewardTokens[i];
+
+      reporter.log(`\n${symbol} (${reward.token})`);
+      reporter.log(`  Your earned rewards: ${hre.ethers.formatUnits(reward.earned, 18)} ${symbol}`);
+      reporter.log(`  Current reward rate: ${hre.ethers.formatUnits(rewardRate, 18)} ${symbol} per second`);
+      reporter.log(`  Current APR: ${formatBps(aprBps)} (unlocked stake)`);
+      if (user.rewardWeight > 0) {
+        reporter.log(`  Estimated daily rewards: ${hre.ethers.formatUnits(reward.estimatedDailyRewards, 18)} ${symbol}`);
+      }
+
+      return {
+        token: reward.token,
+        symbol,
+        earned: hre.ethers.formatUnits(reward.earned, 18),
+        rewardRate: hre.ethers.formatUnits(rewardRate, 18),
+        aprBps: Number(aprBps),
+        estimatedDailyRewards: hre.ethers.formatUnits(reward.estimatedDailyRewards, 18),
+      };
+    });
+
+    return reporter.result({
+      account: signer.address,
+      stakedBalance: hre.ethers.formatUnits(user.stakedBalance, 18),
+      rewardWeight: hre.ethers.formatUnits(user.rewardWeight, 18),
+      rewards,
+    });
+  });
+
+qlkTask("claim", "Claim earned rewards in every reward token, or in a single one with --token", { transaction: true })
+  .addOptionalParam("token", "Reward token to claim (defaults to all reward tokens)")
+  .addOptionalParam("to", "Signer index or address to pay the rewards to, such as a cold wallet")
+  .addOptionalParam("for", "Signer index or address of an account that approved you as its operator")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    await assertNotPaused(stakingContract);
+    if ((args.to !== undefined || args.for !== undefined) && args.token) {
+      throw new HardhatPluginError("qlk", "--to and --for claim every reward token; they cannot be combined with --token");
+    }
+    if (args.to !== undefined && args.for !== undefined) {
+      throw new HardhatPluginError("qlk", "Operators always pay an account's rewards to the account itself; --to cannot be combined with --for");
+    }
+
+    const account = args.for === undefined ? signer.address : await resolveAccountAddress(hre, args.for);
+    if (args.for !== undefined && !(await stakingContract.operators(account, signer.address))) {
+      throw new HardhatPluginError("qlk", `${signer.address} is not an approved operator of ${account}. Run qlk operator from that account first.`);
+    }
+    const recipient = args.to === undefined ? account : await resolveAccountAddress(hre, args.to);
+    const subject = account === signer.address ? "Your" : "Account";
+    const rewardTokens = args.token
+      ? [await resolveRewardToken(hre, stakingContract, signer, args.token)]
+      : await getRewardTokens(hre, stakingContract, signer);
+
+    const earnedBefore = [];
+    for (const rewardToken of rewardTokens) {
+      const earned = await stakingContract.earned(account, rewardToken.address);
+      reporter.log(`${subject} earned rewards: ${hre.ethers.formatUnits(earned, 18)} ${rewardToken.symbol}`);
+      earnedBefore.push(earned);
+    }
+
+    // Check if there are rewards to claim
+    if (earnedBefore.every((earned) => earned === 0n)) {
+      reporter.log("No rewards to claim.");
+      return reporter.result({ account, recipient, rewards: [] });
+    }
+
+    reporter.log(recipient === signer.address ? "Claiming rewards..." : `Claiming rewards to ${recipient}...`);
+
+    // Claim a single reward token, every reward token at once, to another address or as an operator
+    let tx;
+    if (args.for !== undefined) {
+      tx = await sendOrSimulate(hre, stakingContract.claimFor, [account], { args, reporter });
+    } else if (args.to !== undefined) {
+      tx = await sendOrSimulate(hre, stakingContract.claimRewardTo, [recipient], { args, reporter });
+    } else if (args.token) {
+      tx = await sendOrSimulate(hre, stakingContract.claimReward, [rewardTokens[0].address], { args, reporter });
+    } else {
+      tx = await sendOrSimulate(hre, stakingContract.claimAll, [], { args, reporter });
+    }
+
+    // Check the new earned rewards (should be 0 unless this was a dry run)
+    const rewards = [];
+    for (const [i, rewardToken] of rewardTokens.entries()) {
+      const newEarned = await stakingContract.earned(account, rewardToken.address);
+      reporter.log(`${subject} new earned rewards: ${hre.ethers.formatUnits(newEarned, 18)} ${rewardToken.symbol}`);
+      rewards.push({
+        token: rewardToken.address,
+        symbol: rewardToken.symbol,
+        claimed: hre.ethers.formatUnits(earnedBefore[i], 18),
+        earned: hre.ethers.formatUnits(newEarned, 18),
+      });
+    }
+
+    return reporter.result({
+      account,
+      ...tx,
+      recipient,
+      rewards,
+    });
+  });
+
+qlkTask("compound", "Add your staking token rewards to your stake", { transaction: true })
+  .addOptionalParam("for", "Signer index or address of an account that approved you as its operator")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract, token } = await getContracts(hre, args.contract, signer);
+    await assertNotPaused(stakingContract);
+    const tokenAddress = await token.getAddress();
+
+    if (!(await stakingContract.isRewardToken(tokenAddress))) {
+      throw new HardhatPluginError("qlk", "This pool does not pay rewards in the staking token, so there is nothing to compound");
+    }
+
+    const account = args.for === undefined ? signer.address : await resolveAccountAddress(hre, args.for);
+    if (args.for !== undefined && !(await stakingContract.operators(account, signer.address)) && !(await stakingContract.autoCompound(account))) {
+      throw new HardhatPluginError("qlk", `${account} has neither approved ${signer.address} as its operator nor enabled auto-compound`);
+    }
+    const subject = account === signer.address ? "Your" : "Account";
+
+    const earned = await stakingContract.earned(account, tokenAddress);
+    reporter.log(`${subject} earned rewards: ${hre.ethers.formatUnits(earned, 18)} tokens`);
+    if (earned === 0n) {
+      reporter.log("No rewards to compound.");
+      return reporter.result({ account, compounded: "0" });
+    }
+
+    reporter.log("Compounding rewards...");
+
+    // Move the rewards into the stake, without claiming and staking them again
+    const tx =
+      args.for === undefined
+        ? await sendOrSimulate(hre, stakingContract.compound, [], { args, reporter })
+        : await sendOrSimulate(hre, stakingContract.compoundFor, [account], { args, reporter });
+
+    const stakedBalance = await stakingContract.getStakedBalance(account);
+    reporter.log(`${subject} staked balance: ${hre.ethers.formatUnits(stakedBalance, 18)} tokens`);
+
+    return reporter.result({
+      account,
+      ...tx,
+      compounded: hre.ethers.formatUnits(earned, 18),
+      stakedBalance: hre.ethers.formatUnits(stakedBalance, 18),
+    });
+  });
+
+qlkTask("auto-compound", "Opt in to (or out of) having your rewards compounded by a keeper", { transaction: true })
+  .addFlag("disable", "Opt out instead of opting in")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const enabled = !args.disable;
+
+    reporter.log(`${enabled ? "Enabling" : "Disabling"} auto-compound for ${signer.address}...`);
+    const tx = await sendOrSimulate(hre, stakingContract.setAutoCompound, [enabled], { args, reporter });
+
+    const autoCompound = await stakingContract.autoCompound(signer.address);
+    reporter.log(`Auto-compound: ${autoCompound ? "enabled" : "disabled"}`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      autoCompound,
+    });
+  });
+
+qlkTask("operator", "Approve (or revoke) an operator that can claim and compound your rewards, but never unstake", {
+  transaction: true,
+})
+  .addParam("operator", "Signer index or address of the operator")
+  .addFlag("revoke", "Revoke the operator instead of approving it")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const operator = await resolveAccountAddress(hre, args.operator);
+    const approved = !args.revoke;
+    if (operator === signer.address) {
+      throw new HardhatPluginError("qlk", "You cannot approve yourself as an operator");
+    }
+
+    reporter.log(`${approved ? "Approving" : "Revoking"} operator ${operator} for ${signer.address}...`);
+    const tx = await sendOrSimulate(hre, stakingContract.setOperator, [operator, approved], { args, reporter });
+
+    const isOperator = await stakingContract.operators(signer.address, operator);
+    reporter.log(`Operator: ${isOperator ? "approved" : "not approved"}`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      operator,
+      approved: isOperator,
+    });
+  });
+
+qlkTask("transfer-stake", "Transfer stake receipts, moving unlocked stake and its future rewards to another account", {
+  amount: "50",
+  transaction: true,
+})
+  .addParam("to", "Signer index or address of the receiver")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const to = await resolveAccountAddress(hre, args.to);
+    const amount = hre.ethers.parseUnits(args.amount, 18);
+    await assertNotPaused(stakingContract);
+
+    const receiptTokenAddress = await stakingContract.receiptToken();
+    if (receiptTokenAddress === hre.ethers.ZeroAddress) {
+      throw new HardhatPluginError("qlk", "This pool has no receipt token. Run scripts/05-deploy-receipt-token.js to deploy one");
+    }
+    const receiptToken = await hre.ethers.getContractAt("StakeReceiptToken", receiptTokenAddress, signer);
+    const symbol = await receiptToken.symbol();
+    if (to === signer.address) {
+      throw new HardhatPluginError("qlk", "You cannot transfer stake receipts to yourself");
+    }
+
+    // Only unlocked stake can be transferred, like unstaking
+    const [stakedBalance, lockedBalance] = await Promise.all([
+      stakingContract.getStakedBalance(signer.address),
+      stakingContract.lockedBalanceOf(signer.address),
+    ]);
+    if (stakedBalance - lockedBalance < amount) {
+      throw new HardhatPluginError(
+        "qlk",
+        `You can only transfer your ${hre.ethers.formatUnits(stakedBalance - lockedBalance, 18)} unlocked ${symbol}. Run qlk locks to see when locked tokens unlock.`
+      );
+    }
+
+    reporter.log(`Transferring ${hre.ethers.formatUnits(amount, 18)} ${symbol} to ${to}...`);
+    const tx = await sendOrSimulate(hre, receiptToken.transfer, [to, amount], { args, reporter });
+
+    const [balance, receiverBalance] = await Promise.all([receiptToken.balanceOf(signer.address), receiptToken.balanceOf(to)]);
+    reporter.log(`Your ${symbol} balance: ${hre.ethers.formatUnits(balance, 18)}`);
+    reporter.log(`Receiver's ${symbol} balance: ${hre.ethers.formatUnits(receiverBalance, 18)}`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      receiptToken: receiptTokenAddress,
+      symbol,
+      to,
+      amount: hre.ethers.formatUnits(amount, 18),
+      balance: hre.ethers.formatUnits(balance, 18),
+      receiverBalance: hre.ethers.formatUnits(receiverBalance, 18),
+    });
+  });
+
+qlkTask("keeper", "Auto-compound opted-in accounts whenever their pending rewards reach a threshold", { transaction: true })
+  .addParam("accounts", "Comma-separated addresses of the accounts to compound for")
+  .addOptionalParam("threshold", "Minimum pending rewards to compound (in whole tokens)", "1", types.string)
+  .addOptionalParam("interval", "Seconds between rounds", 60, types.int)
+  .addFlag("once", "Run a single round and exit")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract, token } = await getContracts(hre, args.contract, signer);
+    const lens = await getLens(hre, signer);
+    const tokenAddress = await token.getAddress();
+    const threshold = hre.ethers.parseUnits(args.threshold, 18);
+
+    const accounts = args.accounts.split(",").map((account) => account.trim()).filter((account) => account !== "");
+    const invalid = accounts.filter((account) => !hre.ethers.isAddress(account));
+    if (accounts.length === 0 || invalid.length > 0) {
+      throw new HardhatPluginError("qlk", `Invalid --accounts: expected comma-separated addresses${invalid.length > 0 ? `, got ${invalid.join(", ")}` : ""}`);
+    }
+    if (!(await stakingContract.isRewardToken(tokenAddress))) {
+      throw new HardhatPluginError("qlk", "This pool does not pay rewards in the staking token, so there is nothing to compound");
+    }
+
+    reporter.log(`Keeper ${signer.address} watching ${accounts.length} account(s), threshold ${args.threshold} tokens`);
+
+    for (;;) {
+      reporter.log(`\n[${new Date().toISOString()}] Checking pending rewards...`);
+
+      // A failed round, such as an RPC error, is reported and retried at the next interval
+      let results = [];
+      let failure;
+      try {
+        ({ results } = await runKeeperRound(hre, stakingContract, lens, tokenAddress, accounts, threshold, {
+          send: (method, callArgs) => sendOrSimulate(hre, method, callArgs, { args, reporter }),
+          log: (message) => reporter.log(message),
+        }));
+      } catch (error) {
+        if (args.once) {
+          throw error;
+        }
+        failure = error.shortMessage || error.message;
+        reporter.error(`[${new Date().toISOString()}] Keeper round failed, retrying: ${failure}`);
+      }
+
+      if (args.once) {
+        return reporter.result({ keeper: signer.address, results });
+      }
+      reporter.result({ keeper: signer.address, timestamp: Date.now(), results, ...(failure && { error: failure }) });
+      await new Promise((resolve) => setTimeout(resolve, args.interval * 1000));
+    }
+  });
+
+qlkTask("monitor", "Watch the pool's events and state, and raise alerts on the configured rules")
+  .addOptionalParam("rules", "Rules file, as JSON or YAML (.yaml, .yml); rules it leaves out keep their defaults")
+  .addOptionalParam("webhook", "URL to POST every alert to, as JSON")
+  .addOptionalParam("interval", "Seconds between rounds", 15, types.int)
+  .addOptionalParam("fromBlock", "Block to start from when there is no checkpoint yet (defaults to new blocks only)", undefined, types.int)
+  .addOptionalParam("chunkSize", "Number of blocks to scan per log query", 2000, types.int)
+  .addFlag("once", "Run a single round and exit")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const { stakingContract } = await getContracts(hre, args.contract);
+    let rules;
+    try {
+      rules = args.rules ? monitors.loadRules(args.rules) : monitors.validateRules();
+    } catch (error) {
+      throw new HardhatPluginError("qlk", `${args.rules}: ${error.message}`);
+    }
+
+    // In JSON mode every alert is printed as a JSON line, and nothing else goes to standard output.
+    // Alerts the webhook did not take are kept in the checkpoint and only sent again in a later round
+    const deliver = async (alert, retry) => {
+      if (!retry) {
+        console.log(args.json ? JSON.stringify(alert) : monitors.formatAlert(alert));
+      }
+      if (args.webhook) {
+        await monitors.sendWebhook(args.webhook, alert);
+      }
+    };
+
+    reporter.log(`Monitoring ${await stakingContract.getAddress()} with rules ${JSON.stringify(rules)}`);
+    for (;;) {
+      let round;
+      try {
+        round = await monitors.runMonitorRound(hre, stakingContract, rules, {
+          fromBlock: args.fromBlock,
+          chunkSize: args.chunkSize,
+          deliver,
+        });
+      } catch (error) {
+        if (args.once) {
+          throw error;
+        }
+        reporter.error(`[${new Date().toISOString()}] Monitoring round failed, retrying: ${error.shortMessage || error.message}`);
+      }
+
+      if (round) {
+        if (round.reset) {
+          reporter.log("The checkpoint was written for another chain, contract or checkpoint version, so it was started over");
+        }
+        reporter.log(`[${new Date().toISOString()}] Checked blocks ${round.fromBlock}-${round.toBlock}: ${round.alerts.length} alert(s)`);
+        if (round.undelivered.length > 0) {
+          const { error } = round.undelivered[round.undelivered.length - 1];
+          reporter.error(`${round.undelivered.length} alert(s) not yet taken by the webhook, retrying in later rounds: ${error}`);
+        }
+        for (const { alert, error, attempts } of round.dropped) {
+          reporter.error(`Gave up sending alert ${alert.id} to the webhook after ${attempts} attempt(s): ${error}`);
+        }
+      }
+
+      if (args.once) {
+        return round;
+      }
+      await new Promise((resolve) => setTimeout(resolve, args.interval * 1000));
+    }
+  });
+
+qlkTask("fund", "Start or top up a reward period, or only add to the reward reserve (funder only)", {
+  amount: "1000",
+  transaction: true,
+})
+  .addOptionalParam("duration", "Reward period duration in seconds (omit to only add to the reserve)", undefined, types.int)
+  .addOptionalParam("token", "Reward token to fund (defaults to the primary reward token)")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const stakingContractAddress = await stakingContract.getAddress();
+    const rewardToken = await resolveRewardToken(hre, stakingContract, signer, args.token);
+    const { symbol } = rewardToken;
+    const amount = hre.ethers.parseUnits(args.amount, 18);
+
+    if (args.duration !== undefined) {
+      reporter.log(`Depositing ${hre.ethers.formatUnits(amount, 18)} ${symbol} for a ${args.duration} second reward period...`);
+    } else {
+      reporter.log(`Funding ${symbol} reward reserve with ${hre.ethers.formatUnits(amount, 18)} ${symbol}...`);
+    }
+
+    // Approve the staking contract to pull the reward tokens if needed
+    await requireTokenFunds(hre, rewardToken.contract, signer.address, null, amount);
+    const allowance = await rewardToken.contract.allowance(signer.address, stakingContractAddress);
+    if (allowance < amount) {
+      if (args.dryRun) {
+        throw new HardhatPluginError("qlk", "Dry run needs an existing allowance for the funding amount. Run qlk approve first");
+      }
+      reporter.log("Approving reward tokens...");
+      await sendOrSimulate(hre, rewardToken.contract.approve, [stakingContractAddress, amount], { args, dryRun: false, reporter });
+    }
+
+    // Start or top up a reward period, or only fund the reward reserve
+    const tx = args.duration !== undefined
+      ? await sendOrSimulate(hre, stakingContract.notifyRewardAmount, [rewardToken.address, amount, args.duration], { args, token: rewardToken.contract, reporter })
+      : await sendOrSimulate(hre, stakingContract.fundRewards, [rewardToken.address, amount], { args, token: rewardToken.contract, reporter });
+
+    const [{ rewardReserve, periodFinish }, rewardRate, rewardRunway] = await Promise.all([
+      stakingContract.rewardData(rewardToken.address),
+      stakingContract.getRewardRate(rewardToken.address),
+      stakingContract.rewardRunway(rewardToken.address),
+    ]);
+    reporter.log(`Reward reserve: ${hre.ethers.formatUnits(rewardReserve, 18)} ${symbol}`);
+    reporter.log(`Reward rate: ${hre.ethers.formatUnits(rewardRate, 18)} ${symbol} per second`);
+    reporter.log(`Reward period ends at: ${new Date(Number(periodFinish) * 1000).toISOString()}`);
+    reporter.log(`Reward runway: ${rewardRunway} seconds (${Number(rewardRunway) / 86400} days)`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      token: rewardToken.address,
+      symbol,
+      amount: hre.ethers.formatUnits(amount, 18),
+      rewardReserve: hre.ethers.formatUnits(rewardReserve, 18),
+      rewardRate: hre.ethers.formatUnits(rewardRate, 18),
+      periodFinish: Number(periodFinish),
+      rewardRunway: rewardRunway.toString(),
+    });
+  });
+
+/**
+ * Returns the pending reward rate change of a reward token, or null if none is pending.
+ */
+async function getPendingRateChange(hre, stakingContract, rewardToken) {
+  const [{ rewardRate, executableAt }, currentRate, { timestamp }] = await Promise.all([
+    stakingContract.pendingRateChanges(rewardToken.address),
+    stakingContract.getRewardRate(rewardToken.address),
+    hre.ethers.provider.getBlock("latest"),
+  ]);
+  if (executableAt === 0n) {
+    return null;
+  }
+  return {
+    token: rewardToken.address,
+    symbol: rewardToken.symbol,
+    currentRate: hre.ethers.formatUnits(currentRate, 18),
+    proposedRate: hre.ethers.formatUnits(rewardRate, 18),
+    executableAt: Number(executableAt),
+    ready: BigInt(timestamp) >= executableAt,
+  };
+}
+
+/**
+ * Resolves the reward token of a rate change task and its pending change, failing if none is pending.
+ */
+async function requirePendingRateChange(hre, stakingContract, signer, tokenAddress) {
+  const rewardToken = await resolveRewardToken(hre, stakingContract, signer, tokenAddress);
+  const pending = await getPendingRateChange(hre, stakingContract, rewardToken);
+  if (!pending) {
+    throw new HardhatPluginError("qlk", `No reward rate change is pending for ${rewardToken.symbol}. Propose one with qlk propose-rate`);
+  }
+  return { rewardToken, pending };
+}
+
+qlkTask("propose-rate", "Queue a new reward rate, executable once the rate change delay has passed (rate manager only)", {
+  transaction: true,
+})
+  .addParam("rate", "New reward rate (in whole tokens per second)", undefined, types.string)
+  .addOptionalParam("token", "Reward token to change the rate of (defaults to the primary reward token)")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const rewardToken = await resolveRewardToken(hre, stakingContract, signer, args.token);
+    const rewardRate = hre.ethers.parseUnits(args.rate, 18);
+
+    const existing = await getPendingRateChange(hre, stakingContract, rewardToken);
+    if (existing) {
+      throw new HardhatPluginError(
+        "qlk",
+        `A rate change to ${existing.proposedRate} ${rewardToken.symbol} per second is already pending. Cancel it first with qlk cancel-rate`
+      );
+    }
+
+    const delay = await stakingContract.rateChangeDelay();
+    reporter.log(`Proposing a ${rewardToken.symbol} reward rate of ${hre.ethers.formatUnits(rewardRate, 18)} per second...`);
+    const tx = await sendOrSimulate(hre, stakingContract.proposeRewardRate, [rewardToken.address, rewardRate], { args, reporter });
+
+    const pending = args.dryRun ? null : await getPendingRateChange(hre, stakingContract, rewardToken);
+    if (pending) {
+      reporter.log(`Executable from ${formatTimestamp(pending.executableAt)} (after ${formatDuration(delay)}) with qlk execute-rate`);
+    }
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      token: rewardToken.address,
+      symbol: rewardToken.symbol,
+      proposedRate: hre.ethers.formatUnits(rewardRate, 18),
+      delay: Number(delay),
+      executableAt: pending && pending.executableAt,
+    });
+  });
+
+qlkTask("pending-rates", "List the queued reward rate changes")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+
+    const delay = await stakingContract.rateChangeDelay();
+    reporter.log(`Rate change delay: ${formatDuration(delay)}`);
+
+    const changes = [];
+    for (const rewardToken of await getRewardTokens(hre, stakingContract, signer)) {
+      const pending = await getPendingRateChange(hre, stakingContract, rewardToken);
+      if (pending) {
+        reporter.log(`\n${pending.symbol} (${pending.token})`);
+        reporter.log(`  Current rate: ${pending.currentRate} ${pending.symbol} per second`);
+        reporter.log(`  Proposed rate: ${pending.proposedRate} ${pending.symbol} per second`);
+        reporter.log(`  Executable from: ${formatTimestamp(pending.executableAt)}${pending.ready ? " (ready)" : ""}`);
+        changes.push(pending);
+      }
+    }
+    if (changes.length === 0) {
+      reporter.log("No reward rate changes are pending.");
+    }
+
+    return reporter.result({ delay: Number(delay), changes });
+  });
+
+qlkTask("execute-rate", "Apply a queued reward rate change once its delay has passed (rate manager only)", {
+  transaction: true,
+})
+  .addOptionalParam("token", "Reward token of the change (defaults to the primary reward token)")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const { rewardToken, pending } = await requirePendingRateChange(hre, stakingContract, signer, args.token);
+
+    if (!pending.ready) {
+      throw new HardhatPluginError("qlk", `The rate change cannot be executed before ${formatTimestamp(pending.executableAt)}`);
+    }
+
+    reporter.log(`Changing the ${rewardToken.symbol} reward rate from ${pending.currentRate} to ${pending.proposedRate} per second...`);
+    const tx = await sendOrSimulate(hre, stakingContract.executeRewardRate, [rewardToken.address], { args, reporter });
+
+    const rewardRate = await stakingContract.getRewardRate(rewardToken.address);
+    reporter.log(`Reward rate: ${hre.ethers.formatUnits(rewardRate, 18)} ${rewardToken.symbol} per second`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      token: rewardToken.address,
+      symbol: rewardToken.symbol,
+      rewardRate: hre.ethers.formatUnits(rewardRate, 18),
+    });
+  });
+
+qlkTask("cancel-rate", "Drop a queued reward rate change (rate manager only)", { transaction: true })
+  .addOptionalParam("token", "Reward token of the change (defaults to the primary reward token)")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const { rewardToken, pending } = await requirePendingRateChange(hre, stakingContract, signer, args.token);
+
+    reporter.log(`Cancelling the ${rewardToken.symbol} rate change to ${pending.proposedRate} per second...`);
+    const tx = await sendOrSimulate(hre, stakingContract.cancelRewardRate, [rewardToken.address], { args, reporter });
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      token: rewardToken.address,
+      symbol: rewardToken.symbol,
+      cancelledRate: pending.proposedRate,
+    });
+  });
+
+/**
+ * Returns the emission state of a reward token at the latest block: its schedule, the current
+ * rate, and the reserve left once the rewards distributed since the last update are taken out.
+ */
+async function getEmissionState(hre, stakingContract, rewardToken) {
+  const [[schedule, currentEpoch], data, rewardRate, totalWeight, { timestamp }] = await Promise.all([
+    stakingContract.getEmissionSchedule(rewardToken.address),
+    stakingContract.rewardData(rewardToken.address),
+    stakingContract.getRewardRate(rewardToken.address),
+    stakingContract.totalWeight(),
+    hre.ethers.provider.getBlock("latest"),
+  ]);
+  const now = BigInt(timestamp);
+  const epochs = schedule.map(({ startTime, rewardRate: epochRate }) => ({ startTime, rewardRate: epochRate }));
+
+  // Mirror _pendingDistribution: epochs that started after the last update apply from their start time
+  let { rewardReserve } = data;
+  if (totalWeight > 0n) {
+    const end = now < data.periodFinish ? now : data.periodFinish;
+    const unapplied = epochs.filter((epoch) => epoch.startTime > data.lastUpdateTime);
+    const distributed = emissions.emissionBetween(data.rewardRate, unapplied, data.lastUpdateTime, end);
+    rewardReserve -= distributed < rewardReserve ? distributed : rewardReserve;
+  }
+
+  return {
+    now,
+    epochs,
+    currentEpoch: Number(currentEpoch),
+    rewardRate,
+    periodFinish: data.periodFinish,
+    rewardReserve,
+  };
+}
+
+/**
+ * Builds the decay curve described by the task arguments, for a reward token in the given emission state.
+ */
+async function buildDecayCurve(hre, stakingContract, state, args) {
+  if (!(args.epochDays > 0)) {
+    throw new HardhatPluginError("qlk", "--epoch-days must be greater than zero");
+  }
+  if (state.now >= state.periodFinish) {
+    throw new HardhatPluginError("qlk", "No reward period is running. Start one with qlk fund --duration first");
+  }
+
+  const epochDuration = BigInt(Math.round(args.epochDays * 86400));
+  const startTime = args.start !== undefined ? BigInt(args.start) : state.now + epochDuration;
+  const [delay, maxEpochs] = await Promise.all([stakingContract.rateChangeDelay(), stakingContract.MAX_EMISSION_EPOCHS()]);
+  if (startTime < state.now + delay) {
+    throw new HardhatPluginError(
+      "qlk",
+      `The first epoch cannot start before the rate change delay of ${formatDuration(delay)} has passed. Pass a later --start`
+    );
+  }
+  if (startTime >= state.periodFinish) {
+    throw new HardhatPluginError("qlk", `The reward period ends at ${formatTimestamp(state.periodFinish)}, before the first epoch would start`);
+  }
+
+  // By default the curve covers the rest of the period, and its first epoch makes the first cut
+  const fitting = (state.periodFinish - startTime - 1n) / epochDuration + 1n;
+  const count = args.epochs !== undefined ? args.epochs : Number(fitting < maxEpochs ? fitting : maxEpochs);
+  const decayBps = BigInt(args.decayBps);
+  const rewardRate = args.rate !== undefined
+    ? hre.ethers.parseUnits(args.rate, 18)
+    : (state.rewardRate * (10000n - decayBps)) / 10000n;
+
+  try {
+    return emissions.buildDecaySchedule({ startTime, rewardRate, epochDuration, decayBps, count });
+  } catch (error) {
+    throw new HardhatPluginError("qlk", error.message);
+  }
+}
+
+/**
+ * Logs the cumulative emissions of a reward token from now until the end of its reward period,
+ * following `epochs`, and returns them in a JSON-friendly form.
+ */
+function reportEmissions(hre, rewardToken, state, epochs, stepDays, reporter) {
+  if (!(stepDays > 0)) {
+    throw new HardhatPluginError("qlk", "--step-days must be greater than zero");
+  }
+  if (state.now >= state.periodFinish) {
+    reporter.log("No reward period is running, so nothing is emitted.");
+    return [];
+  }
+
+  const rows = emissions.previewEmissions({
+    rewardRate: state.rewardRate,
+    epochs: epochs.filter((epoch) => epoch.startTime > state.now),
+    periodFinish: state.periodFinish,
+    rewardReserve: state.rewardReserve,
+    from: state.now,
+    step: BigInt(Math.round(stepDays * 86400)),
+  });
+
+  const { symbol } = rewardToken;
+  reporter.log(`\nCumulative ${symbol} emissions (reserve: ${hre.ethers.formatUnits(state.rewardReserve, 18)} ${symbol}):`);
+  return rows.map((row) => {
+    reporter.log(
+      `  ${formatTimestamp(row.timestamp)}  ${hre.ethers.formatUnits(row.cumulative, 18)} ${symbol}` +
+      (row.reserveExhausted
+        ? " (reserve exhausted)"
+        : row.timestamp === state.periodFinish
+          ? " (period ends)"
+          : `, then ${hre.ethers.formatUnits(row.rewardRate, 18)} per second`)
+    );
+    return {
+      timestamp: Number(row.timestamp),
+      rewardRate: hre.ethers.formatUnits(row.rewardRate, 18),
+      cumulative: hre.ethers.formatUnits(row.cumulative, 18),
+      reserveExhausted: row.reserveExhausted,
+    };
+  });
+}
+
+/**
+ * Logs the epochs of an emission schedule, and returns them in a JSON-friendly form.
+ */
+function reportSchedule(hre, rewardToken, epochs, currentEpoch, reporter) {
+  return epochs.map((epoch, index) => {
+    const status = index < currentEpoch - 1 ? "ended" : index === currentEpoch - 1 ? "current" : "pending";
+    reporter.log(
+      `  #${index} from ${formatTimestamp(epoch.startTime)}: ` +
+      `${hre.ethers.formatUnits(epoch.rewardRate, 18)} ${rewardToken.symbol} per second (${status})`
+    );
+    return { index, startTime: Number(epoch.startTime), rewardRate: hre.ethers.formatUnits(epoch.rewardRate, 18), status };
+  });
+}
+
+/**
+ * Registers an emission schedule task, with the options describing a decay curve.
+ */
+function scheduleTask(name, description, options) {
+  return qlkTask(name, description, options)
+    .addOptionalParam("token", "Reward token of the schedule (defaults to the primary reward token)")
+    .addOptionalParam("epochDays", "Length of each epoch of a decay curve, in days", undefined, types.float)
+    .addOptionalParam("decayBps", "Reward rate cut at each epoch of the curve, in basis points (5000 halves it)", 5000, types.int)
+    .addOptionalParam(
+      "epochs",
+      "Number of epochs of the curve (defaults to as many as start before the period ends, up to the contract's maximum)",
+      undefined,
+      types.int
+    )
+    .addOptionalParam(
+      "rate",
+      "Reward rate of the curve's first epoch, in whole tokens per second (defaults to the current rate after one cut)",
+      undefined,
+      types.string
+    )
+    .addOptionalParam("start", "Unix timestamp of the curve's first epoch (defaults to one epoch from now)", undefined, types.int)
+    .addOptionalParam("stepDays", "Days between the rows of the emissions preview", 7, types.float);
+}
+
+scheduleTask("emissions", "Show a reward token's emission schedule and preview its cumulative emissions, or those of a decay curve with --epoch-days")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const rewardToken = await resolveRewardToken(hre, stakingContract, signer, args.token);
+    const state = await getEmissionState(hre, stakingContract, rewardToken);
+
+    reporter.log(`Reward token: ${rewardToken.address} (${rewardToken.symbol})`);
+    reporter.log(`Current reward rate: ${hre.ethers.formatUnits(state.rewardRate, 18)} ${rewardToken.symbol} per second`);
+    reporter.log(`Reward period ends at: ${formatTimestamp(state.periodFinish)}`);
+
+    let epochs = state.epochs;
+    let currentEpoch = state.currentEpoch;
+    if (args.epochDays !== undefined) {
+      // Preview the curve as if it replaced the epochs that have not started
+      epochs = await buildDecayCurve(hre, stakingContract, state, args);
+      currentEpoch = 0;
+      reporter.log("Decay curve (not scheduled, see qlk set-schedule):");
+    } else {
+      reporter.log(epochs.length === 0 ? "No emission schedule: the current rate applies until the period ends." : "Emission schedule:");
+    }
+    const schedule = reportSchedule(hre, rewardToken, epochs, currentEpoch, reporter);
+    const preview = reportEmissions(hre, rewardToken, state, epochs, args.stepDays, reporter);
+
+    return reporter.result({
+      token: rewardToken.address,
+      symbol: rewardToken.symbol,
+      timestamp: Number(state.now),
+      rewardRate: hre.ethers.formatUnits(state.rewardRate, 18),
+      periodFinish: Number(state.periodFinish),
+      rewardReserve: hre.ethers.formatUnits(state.rewardReserve, 18),
+      scheduled: args.epochDays === undefined,
+      currentEpoch,
+      epochs: schedule,
+      preview,
+    });
+  });
+
+scheduleTask("set-schedule", "Schedule a decaying reward rate, such as a halving every --epoch-days (rate manager only)", {
+  transaction: true,
+})
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const rewardToken = await resolveRewardToken(hre, stakingContract, signer, args.token);
+    const state = await getEmissionState(hre, stakingContract, rewardToken);
+
+    if (args.epochDays === undefined) {
+      throw new HardhatPluginError("qlk", "Pass --epoch-days to describe the decay curve to schedule");
+    }
+    if (state.epochs.length > state.currentEpoch) {
+      throw new HardhatPluginError("qlk", `${rewardToken.symbol} already has epochs waiting to start. Cancel them first with qlk cancel-schedule`);
+    }
+
+    const epochs = await buildDecayCurve(hre, stakingContract, state, args);
+    reporter.log(`Scheduling ${epochs.length} ${rewardToken.symbol} emission epochs:`);
+    const schedule = reportSchedule(hre, rewardToken, epochs, 0, reporter);
+    const preview = reportEmissions(hre, rewardToken, state, epochs, args.stepDays, reporter);
+
+    const tx = await sendOrSimulate(hre, stakingContract.setEmissionSchedule, [rewardToken.address, epochs], { args, reporter });
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      token: rewardToken.address,
+      symbol: rewardToken.symbol,
+      epochs: schedule,
+      preview,
+    });
+  });
+
+qlkTask("cancel-schedule", "Drop the emission epochs of a reward token that have not started (rate manager only)", {
+  transaction: true,
+})
+  .addOptionalParam("token", "Reward token of the schedule (defaults to the primary reward token)")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+    const rewardToken = await resolveRewardToken(hre, stakingContract, signer, args.token);
+    const { epochs, currentEpoch } = await getEmissionState(hre, stakingContract, rewardToken);
+
+    const pending = epochs.length - currentEpoch;
+    if (pending === 0) {
+      throw new HardhatPluginError("qlk", `${rewardToken.symbol} has no emission epochs waiting to start`);
+    }
+
+    reporter.log(`Cancelling ${pending} pending ${rewardToken.symbol} emission epochs...`);
+    const tx = await sendOrSimulate(hre, stakingContract.cancelEmissionSchedule, [rewardToken.address], { args, reporter });
+
+    const rewardRate = await stakingContract.getRewardRate(rewardToken.address);
+    reporter.log(`Reward rate for the rest of the period: ${hre.ethers.formatUnits(rewardRate, 18)} ${rewardToken.symbol} per second`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      token: rewardToken.address,
+      symbol: rewardToken.symbol,
+      cancelledEpochs: pending,
+      rewardRate: hre.ethers.formatUnits(rewardRate, 18),
+    });
+  });
+
+qlkTask("add-reward-token", "Register an additional reward token (admin only)", { transaction: true })
+  .addParam("token", "Address of the reward token to add")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+
+    if (!hre.ethers.isAddress(args.token)) {
+      throw new HardhatPluginError("qlk", `Invalid token address "${args.token}"`);
+    }
+    if ((await hre.ethers.provider.getCode(args.token)) === "0x") {
+      throw new HardhatPluginError("qlk", `No contract deployed at ${args.token}`);
+    }
+
+    reporter.log(`Adding reward token ${args.token}...`);
+
+    // Register the reward token; a reward period still has to be started with qlk fund --token
+    const tx = await sendOrSimulate(hre, stakingContract.addRewardToken, [args.token], { args, reporter });
+
+    const rewardTokens = await stakingContract.getRewardTokens();
+    reporter.log(`Reward tokens: ${rewardTokens.join(", ")}`);
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      token: args.token,
+      rewardTokens: [...rewardTokens],
+    });
+  });
+
+qlkTask("emergency-withdraw", "Take out the whole stake immediately, forfeiting pending rewards", { transaction: true })
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+
+    const stakedBalance = await stakingContract.getStakedBalance(signer.address);
+    if (stakedBalance === 0n) {
+      throw new HardhatPluginError("qlk", "You don't have any staked tokens.");
+    }
+
+    // Show what is given up: locks are ignored and pending rewards return to the reward reserves
+    reporter.log(`Withdrawing your whole stake of ${hre.ethers.formatUnits(stakedBalance, 18)} tokens, ignoring locks and the cooldown...`);
+    const forfeited = [];
+    for (const rewardToken of await getRewardTokens(hre, stakingContract, signer)) {
+      const earned = await stakingContract.earned(signer.address, rewardToken.address);
+      reporter.log(`Forfeiting ${hre.ethers.formatUnits(earned, 18)} ${rewardToken.symbol} of rewards`);
+      forfeited.push({ token: rewardToken.address, symbol: rewardToken.symbol, amount: hre.ethers.formatUnits(earned, 18) });
+    }
+
+    const tx = await sendOrSimulate(hre, stakingContract.emergencyWithdraw, [], { args, reporter });
+
+    return reporter.result({
+      account: signer.address,
+      ...tx,
+      withdrawn: hre.ethers.formatUnits(stakedBalance, 18),
+      forfeited,
+    });
+  });
+
+/**
+ * Registers a task that pauses or unpauses the staking contract and reports the resulting state.
+ */
+function pauseTask(name, description, paused) {
+  return qlkTask(name, description, { transaction: true })
+    .setAction(async (args, hre) => {
+      const reporter = createReporter(args.json);
+      const signer = await resolveSigner(hre, args.account);
+      const { stakingContract } = await getContracts(hre, args.contract, signer);
+
+      let tx = {};
+      if ((await stakingContract.paused()) === paused) {
+        reporter.log(`The staking contract is already ${paused ? "paused" : "unpaused"}.`);
+      } else {
+        reporter.log(`${paused ? "Pausing" : "Unpausing"} the staking contract...`);
+        tx = await sendOrSimulate(hre, paused ? stakingContract.pause : stakingContract.unpause, [], { args, reporter });
+      }
+
+      const state = await stakingContract.paused();
+      reporter.log(`Paused: ${state}`);
+      reporter.log(state ? "Staking and claiming are disabled." : "Staking and claiming are enabled.");
+
+      return reporter.result({
+        account: signer.address,
+        ...tx,
+        paused: state,
+      });
+    });
+}
+
+pauseTask("pause", "Pause staking and reward claims (pauser only)", true);
+pauseTask("unpause", "Resume staking and reward claims (pauser only)", false);
+
+qlkTask("locks", "List the account's lock positions")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+
+    const [positions, stakedBalance, lockedBalance, rewardWeight] = await Promise.all([
+      stakingContract.getLockPositions(signer.address),
+      stakingContract.getStakedBalance(signer.address),
+      stakingContract.lockedBalanceOf(signer.address),
+      stakingContract.rewardWeights(signer.address),
+    ]);
+    const latestBlock = await hre.ethers.provider.getBlock("latest");
+
+    reporter.log(`Account: ${signer.address}`);
+    if (positions.length === 0) {
+      reporter.log("No lock positions.");
+    }
+    const locks = positions.map((position, index) => {
+      const unlocked = position.unlockTime <= BigInt(latestBlock.timestamp);
+      reporter.log(
+        `#${index}: ${hre.ethers.formatUnits(position.amount, 18)} tokens, ${formatMultiplier(position.multiplier)}, ` +
+        `${unlocked ? "unlocked since" : "unlocks at"} ${new Date(Number(position.unlockTime) * 1000).toISOString()}`
+      );
+      return {
+        index,
+        amount: hre.ethers.formatUnits(position.amount, 18),
+        unlockTime: Number(position.unlockTime),
+        multiplier: Number(position.multiplier),
+        unlocked,
+      };
+    });
+
+    reporter.log(`Your staked balance: ${hre.ethers.formatUnits(stakedBalance, 18)} tokens`);
+    reporter.log(`Still locked: ${hre.ethers.formatUnits(lockedBalance, 18)} tokens`);
+    reporter.log(`Your reward weight: ${hre.ethers.formatUnits(rewardWeight, 18)}`);
+
+    return reporter.result({
+      account: signer.address,
+      stakedBalance: hre.ethers.formatUnits(stakedBalance, 18),
+      lockedBalance: hre.ethers.formatUnits(lockedBalance, 18),
+      rewardWeight: hre.ethers.formatUnits(rewardWeight, 18),
+      locks,
+    });
+  });
+
+qlkTask("status", "Show the pool state and the account's position")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract, token } = await getContracts(hre, args.contract, signer);
+    const lens = await getLens(hre, signer);
+    const stakingContractAddress = await stakingContract.getAddress();
+
+    const [symbol, balance, allowance, [pool, [user]], rewardTokens, receiptToken] = await Promise.all([
+      token.symbol(),
+      token.balanceOf(signer.address),
+      token.allowance(signer.address, stakingContractAddress),
+      lens.getPoolAndUsersInfo(stakingContractAddress, [signer.address]),
+      getRewardTokens(hre, stakingContract, signer),
+      stakingContract.receiptToken(),
+    ]);
+
+    reporter.log(`Staking contract: ${stakingContractAddress}${pool.paused ? " (paused)" : ""}`);
+    reporter.log(`Token: ${await token.getAddress()} (${symbol})`);
+    if (receiptToken !== hre.ethers.ZeroAddress) {
+      reporter.log(`Receipt token: ${receiptToken} (st${symbol})`);
+    }
+    reporter.log(`Account: ${signer.address}`);
+    reporter.log(`Wallet balance: ${hre.ethers.formatUnits(balance, 18)} ${symbol}`);
+    reporter.log(`Allowance for staking contract: ${hre.ethers.formatUnits(allowance, 18)} ${symbol}`);
+    reporter.log(`Your staked balance: ${hre.ethers.formatUnits(user.stakedBalance, 18)} ${symbol}`);
+    reporter.log(`Your locked balance: ${hre.ethers.formatUnits(user.lockedBalance, 18)} ${symbol}`);
+    reporter.log(`Your reward weight: ${hre.ethers.formatUnits(user.rewardWeight, 18)}`);
+    reporter.log(`Auto-compound: ${user.autoCompound ? "enabled" : "disabled"}`);
+    reporter.log(`Your unbonding balance: ${hre.ethers.formatUnits(user.unbondingBalance, 18)} ${symbol} (withdrawable now: ${hre.ethers.formatUnits(user.withdrawableBalance, 18)})`);
+    reporter.log(`Total staked in contract: ${hre.ethers.formatUnits(pool.totalStaked, 18)} ${symbol}`);
+    reporter.log(`Total reward weight: ${hre.ethers.formatUnits(pool.totalWeight, 18)}`);
+    reporter.log(`Total unbonding: ${hre.ethers.formatUnits(pool.totalUnbonding, 18)} ${symbol}`);
+
+    const rewards = [];
+    for (const [i, rewardToken] of rewardTokens.entries()) {
+      const { rewardRate, periodFinish, rewardReserve, runway, aprBps } = pool.rewards[i];
+      const rewardBalance = await rewardToken.contract.balanceOf(signer.address);
+      const { earned } = user.rewards[i];
+      const rewardSymbol = rewardToken.symbol;
+
+      reporter.log(`\nReward token: ${rewardToken.address} (${rewardSymbol})`);
+      reporter.log(`  Wallet balance: ${hre.ethers.formatUnits(rewardBalance, 18)} ${rewardSymbol}`);
+      reporter.log(`  Your earned rewards: ${hre.ethers.formatUnits(earned, 18)} ${rewardSymbol}`);
+      reporter.log(`  Current reward rate: ${hre.ethers.formatUnits(rewardRate, 18)} ${rewardSymbol} per second`);
+      reporter.log(`  Current APR: ${formatBps(aprBps)} (unlocked stake)`);
+      reporter.log(`  Reward period ends at: ${new Date(Number(periodFinish) * 1000).toISOString()}`);
+      reporter.log(`  Reward reserve: ${hre.ethers.formatUnits(rewardReserve, 18)} ${rewardSymbol}`);
+      reporter.log(`  Reward runway: ${runway} seconds (${Number(runway) / 86400} days)`);
+
+      rewards.push({
+        token: rewardToken.address,
+        symbol: rewardSymbol,
+        balance: hre.ethers.formatUnits(rewardBalance, 18),
+        earned: hre.ethers.formatUnits(earned, 18),
+        rewardRate: hre.ethers.formatUnits(rewardRate, 18),
+        aprBps: Number(aprBps),
+        periodFinish: Number(periodFinish),
+        rewardReserve: hre.ethers.formatUnits(rewardReserve, 18),
+        rewardRunway: runway.toString(),
+      });
+    }
+
+    return reporter.result({
+      contract: stakingContractAddress,
+      paused: pool.paused,
+      token: await token.getAddress(),
+      symbol,
+      receiptToken: receiptToken === hre.ethers.ZeroAddress ? null : receiptToken,
+      account: signer.address,
+      balance: hre.ethers.formatUnits(balance, 18),
+      allowance: hre.ethers.formatUnits(allowance, 18),
+      stakedBalance: hre.ethers.formatUnits(user.stakedBalance, 18),
+      lockedBalance: hre.ethers.formatUnits(user.lockedBalance, 18),
+      rewardWeight: hre.ethers.formatUnits(user.rewardWeight, 18),
+      unbondingBalance: hre.ethers.formatUnits(user.unbondingBalance, 18),
+      withdrawableBalance: hre.ethers.formatUnits(user.withdrawableBalance, 18),
+      autoCompound: user.autoCompound,
+      totalStaked: hre.ethers.formatUnits(pool.totalStaked, 18),
+      totalWeight: hre.ethers.formatUnits(pool.totalWeight, 18),
+      totalUnbonding: hre.ethers.formatUnits(pool.totalUnbonding, 18),
+      rewards,
+    });
+  });
+
+/**
+ * Registers a task that reads the event index, with the options shared by the index tasks.
+ */
+function indexTask(name, description) {
+  return qlkTask(name, description)
+    .addOptionalParam("fromBlock", "Block to start indexing from when building a new index", undefined, types.int)
+    .addOptionalParam("chunkSize", "Number of blocks to scan per log query", 2000, types.int)
+    .addFlag("offline", "Use the local index as it is, without scanning new blocks");
+}
+
+/**
+ * Brings the local event index of the staking contract up to date (unless --offline is set)
+ * and returns it.
+ */
+async function loadIndex(hre, stakingContract, args, reporter) {
+  const storePath = indexer.getStorePath(hre.network.name, await stakingContract.getAddress());
+  if (args.offline) {
+    const store = indexer.readStore(storePath, await stakingContract.getAddress());
+    if (store.lastIndexedBlock === null) {
+      throw new HardhatPluginError("qlk", `No index found at ${storePath}. Run qlk index first or drop --offline`);
+    }
+    return { store, storePath, newEvents: 0, reset: false };
+  }
+
+  const sync = await indexer.syncIndex(hre, stakingContract, {
+    fromBlock: args.fromBlock,
+    chunkSize: args.chunkSize,
+    onChunk: ({ fromBlock, toBlock, events }) => reporter.log(`Scanned blocks ${fromBlock}-${toBlock}: ${events} events`),
+  });
+  if (sync.reset) {
+    reporter.log("The index was written for another chain, contract or index version, so it was rebuilt");
+  }
+  return sync;
+}
+
+indexTask("index", "Index the staking contract's events into a local store for history queries and exports")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract, signer);
+
+    const { store, storePath, newEvents } = await loadIndex(hre, stakingContract, args, reporter);
+    const accounts = indexer.getAccounts(store);
+
+    reporter.log(`Index: ${storePath}`);
+    reporter.log(`Indexed blocks ${store.startBlock}-${store.lastIndexedBlock} (${newEvents} new events)`);
+    reporter.log(`Events: ${store.events.length}, stakers: ${accounts.length}`);
+
+    return reporter.result({
+      contract: store.contract,
+      index: storePath,
+      startBlock: store.startBlock,
+      lastIndexedBlock: store.lastIndexedBlock,
+      events: store.events.length,
+      newEvents,
+      stakers: accounts.length,
+    });
+  });
+
+indexTask("history", "Show the account's stake history and total claimed rewards from the event index")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const account = await resolveAccountAddress(hre, args.account);
+    const { stakingContract } = await getContracts(hre, args.contract);
+
+    const { store } = await loadIndex(hre, stakingContract, args, reporter);
+    const history = indexer.getStakeHistory(store, account).map((entry) => ({
+      blockNumber: entry.blockNumber,
+      date: formatTimestamp(entry.timestamp),
+      transactionHash: entry.transactionHash,
+      event: entry.event,
+      amount: hre.ethers.formatUnits(entry.amount, 18),
+      stakedBalance: hre.ethers.formatUnits(entry.stakedBalance, 18),
+    }));
+    const claims = indexer.getClaimTotals(store, account).map((total) => ({
+      rewardToken: total.rewardToken,
+      amount: hre.ethers.formatUnits(total.amount, 18),
+      claims: total.claims,
+    }));
+
+    reporter.log(`Stake history of ${account} (up to block ${store.lastIndexedBlock}):`);
+    if (history.length === 0) {
+      reporter.log("  No staking activity");
+    }
+    for (const entry of history) {
+      reporter.log(`  ${entry.date} block ${entry.blockNumber}: ${entry.event} ${entry.amount} tokens, staked balance ${entry.stakedBalance}`);
+    }
+
+    reporter.log("Total claimed:");
+    if (claims.length === 0) {
+      reporter.log("  Nothing claimed");
+    }
+    for (const total of claims) {
+      reporter.log(`  ${total.amount} of ${total.rewardToken} in ${total.claims} claims`);
+    }
+
+    return reporter.result({ account, lastIndexedBlock: store.lastIndexedBlock, history, claims });
+  });
+
+/**
+ * Returns the reward rate changes of an index up to its last indexed block, including the emission
+ * epochs that started by then.
+ */
+async function getIndexedRateTimeline(hre, store, rewardToken) {
+  const block = store.lastIndexedBlock === null ? null : await hre.ethers.provider.getBlock(store.lastIndexedBlock);
+  return indexer.getRateTimeline(store, rewardToken, block ? block.timestamp : 0);
+}
+
+/**
+ * Formats a reward rate change of the index for output. Changes from an emission epoch have no block
+ * number, and the transaction that scheduled them.
+ */
+function formatRateChange(hre, change) {
+  return {
+    blockNumber: change.blockNumber,
+    date: formatTimestamp(change.timestamp),
+    transactionHash: change.transactionHash,
+    rewardToken: change.rewardToken,
+    rewardRate: hre.ethers.formatUnits(change.rewardRate, 18),
+    epoch: change.epoch,
+  };
+}
+
+indexTask("rates", "Show the timeline of reward rate changes from the event index")
+  .addOptionalParam("token", "Only show the changes of this reward token")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const { stakingContract } = await getContracts(hre, args.contract);
+
+    const { store } = await loadIndex(hre, stakingContract, args, reporter);
+    const rates = (await getIndexedRateTimeline(hre, store, args.token)).map((change) => formatRateChange(hre, change));
+
+    reporter.log(`Reward rate changes (up to block ${store.lastIndexedBlock}):`);
+    if (rates.length === 0) {
+      reporter.log("  No rate changes");
+    }
+    for (const change of rates) {
+      const source = change.epoch === null ? `block ${change.blockNumber}` : `epoch ${change.epoch} of the schedule set in ${change.transactionHash}`;
+      reporter.log(`  ${change.date} ${source}: ${change.rewardToken} at ${change.rewardRate} tokens per second`);
+    }
+
+    return reporter.result({ lastIndexedBlock: store.lastIndexedBlock, rates });
+  });
+
+indexTask("export", "Export indexed events, stake histories, claim totals or rate changes as CSV or JSON")
+  .addOptionalParam("data", "What to export: events, history, claims or rates", "events")
+  .addOptionalParam("format", "Output format: csv or json", "json")
+  .addOptionalParam("out", "File to write the export to (defaults to standard output)")
+  .setAction(async (args, hre) => {
+    if (!["events", "history", "claims", "rates"].includes(args.data)) {
+      throw new HardhatPluginError("qlk", `Unknown export data "${args.data}": expected events, history, claims or rates`);
+    }
+    if (!["csv", "json"].includes(args.format)) {
+      throw new HardhatPluginError("qlk", `Unknown export format "${args.format}": expected csv or json`);
+    }
+
+    // Progress messages would end up in the export when writing to standard output
+    const reporter = createReporter(args.json || !args.out);
+    const { stakingContract } = await getContracts(hre, args.contract);
+    const { store } = await loadIndex(hre, stakingContract, args, reporter);
+
+    let rows;
+    if (args.data === "events") {
+      rows = store.events.map((event) => ({
+        blockNumber: event.blockNumber,
+        date: formatTimestamp(event.timestamp),
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        event: event.event,
+        args: args.format === "csv" ? JSON.stringify(event.args) : event.args,
+      }));
+    } else if (args.data === "history") {
+      rows = indexer.getAccounts(store).flatMap((account) =>
+        indexer.getStakeHistory(store, account).map((entry) => ({
+          account,
+          blockNumber: entry.blockNumber,
+          date: formatTimestamp(entry.timestamp),
+          transactionHash: entry.transactionHash,
+          event: entry.event,
+          amount: hre.ethers.formatUnits(entry.amount, 18),
+          stakedBalance: hre.ethers.formatUnits(entry.stakedBalance, 18),
+        }))
+      );
+    } else if (args.data === "claims") {
+      rows = indexer.getClaimTotals(store).map((total) => ({
+        account: total.account,
+        rewardToken: total.rewardToken,
+        amount: hre.ethers.formatUnits(total.amount, 18),
+        claims: total.claims,
+      }));
+    } else {
+      rows = (await getIndexedRateTimeline(hre, store)).map((change) => formatRateChange(hre, change));
+    }
+
+    const output =
+      args.format === "csv"
+        ? indexer.toCsv(rows)
+        : `${JSON.stringify({ contract: store.contract, chainId: store.chainId, lastIndexedBlock: store.lastIndexedBlock, [args.data]: rows }, null, 2)}\n`;
+
+    const result = { data: args.data, format: args.format, rows: rows.length, out: args.out || null };
+    if (!args.out) {
+      process.stdout.write(output);
+      return result;
+    }
+
+    fs.writeFileSync(args.out, output);
+    reporter.log(`Exported ${rows.length} ${args.data} rows to ${args.out}`);
+    return reporter.result(result);
+  });
+
+indexTask("snapshot", "Freeze every staker's staked balance and earned rewards at a block into a Merkle snapshot")
+  .addOptionalParam("block", "Block to snapshot (defaults to the latest block)", undefined, types.int)
+  .addOptionalParam("out", "File to write the snapshot to (defaults to snapshots/<network>-<contract>-<block>.json)")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const { stakingContract } = await getContracts(hre, args.contract);
+    const blockNumber = args.block === undefined ? await hre.ethers.provider.getBlockNumber() : args.block;
+
+    const { store } = await loadIndex(hre, stakingContract, args, reporter);
+    let result;
+    try {
+      result = await snapshots.takeSnapshot(hre, stakingContract, store, blockNumber);
+    } catch (error) {
+      throw new HardhatPluginError("qlk", error.message);
+    }
+    const out = args.out || snapshots.getSnapshotPath(hre.network.name, result.contract, blockNumber);
+    snapshots.writeSnapshot(out, result);
+
+    reporter.log(`Snapshot of ${result.contract} at block ${blockNumber} (${formatTimestamp(result.timestamp)})`);
+    reporter.log(`Accounts: ${result.accounts.length}, total staked: ${hre.ethers.formatUnits(result.totalStaked, 18)} tokens`);
+    reporter.log(`Merkle root: ${result.root}`);
+    reporter.log(`Snapshot written to ${out}`);
+
+    return reporter.result({
+      contract: result.contract,
+      blockNumber,
+      timestamp: result.timestamp,
+      accounts: result.accounts.length,
+      totalStaked: hre.ethers.formatUnits(result.totalStaked, 18),
+      root: result.root,
+      out,
+    });
+  });
+
+qlkTask("verify-snapshot", "Check the account's Merkle proof in a snapshot written by qlk snapshot")
+  .addParam("file", "The snapshot file")
+  .addOptionalParam("root", "Merkle root to check against, such as one published on chain (defaults to the snapshot's root)")
+  .addFlag("onchain", "Also check the proof with the StakingSnapshotVerifier recorded in the deployment manifest")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const account = await resolveAccountAddress(hre, args.account);
+    if (!fs.existsSync(args.file)) {
+      throw new HardhatPluginError("qlk", `Snapshot file not found: ${args.file}`);
+    }
+    const snapshot = snapshots.readSnapshot(args.file);
+    const root = args.root || snapshot.root;
+
+    // The root must commit to every entry of the file, or the file was edited after it was written
+    if (snapshots.computeSnapshotRoot(hre, snapshot) !== snapshot.root) {
+      throw new HardhatPluginError("qlk", `The entries of ${args.file} do not match its Merkle root ${snapshot.root}`);
+    }
+    const entry = snapshots.findEntry(snapshot, account);
+    if (!entry) {
+      throw new HardhatPluginError("qlk", `${account} is not part of the snapshot at block ${snapshot.blockNumber}`);
+    }
+
+    reporter.log(`Snapshot of ${snapshot.contract} at block ${snapshot.blockNumber}, root ${root}`);
+    reporter.log(`Account: ${account}`);
+    reporter.log(`Staked balance: ${hre.ethers.formatUnits(entry.stakedBalance, 18)} tokens`);
+    for (const [i, rewardToken] of snapshot.rewardTokens.entries()) {
+      reporter.log(`Earned rewards: ${hre.ethers.formatUnits(entry.earned[i], 18)} of ${rewardToken}`);
+    }
+
+    const valid = snapshots.verifyEntry(hre, root, entry);
+    reporter.log(`Proof: ${valid ? "valid" : "invalid"}`);
+
+    let validOnchain = null;
+    if (args.onchain) {
+      const deployment = readManifest(hre.network.name).contracts.StakingSnapshotVerifier;
+      if (!deployment) {
+        throw new HardhatPluginError(
+          "qlk",
+          `No StakingSnapshotVerifier deployment recorded in ${getManifestPath(hre.network.name)}. Run scripts/06-deploy-snapshot-verifier.js to deploy one`
+        );
+      }
+      const verifier = await hre.ethers.getContractAt("StakingSnapshotVerifier", deployment.address);
+      validOnchain = await verifier.verify(root, entry.proof, entry.account, entry.stakedBalance, entry.earned);
+      reporter.log(`Proof checked by ${deployment.address}: ${validOnchain ? "valid" : "invalid"}`);
+    }
+
+    if (!valid || validOnchain === false) {
+      throw new HardhatPluginError("qlk", `The proof of ${account} does not lead to the root ${root}`);
+    }
+
+    return reporter.result({
+      contract: snapshot.contract,
+      blockNumber: snapshot.blockNumber,
+      root,
+      account,
+      stakedBalance: hre.ethers.formatUnits(entry.stakedBalance, 18),
+      earned: snapshot.rewardTokens.map((rewardToken, i) => ({ rewardToken, amount: hre.ethers.formatUnits(entry.earned[i], 18) })),
+      proof: entry.proof,
+      valid,
+      validOnchain,
+    });
+  });
+
+/**
+ * Prints a scenario checkpoint: the pool totals and a row per account.
+ */
+function reportCheckpoint(checkpoint, reporter) {
+  const { pool } = checkpoint;
+  reporter.log(`\n${checkpoint.label} (after step ${checkpoint.step}, ${formatDuration(checkpoint.elapsed)} in, block ${checkpoint.blockNumber})`);
+  reporter.log(`  Total staked: ${pool.totalStaked}, total weight: ${pool.totalWeight}, total unbonding: ${pool.totalUnbonding}`);
+  for (const reward of pool.rewards) {
+    reporter.log(`  ${reward.symbol}: ${reward.rewardRate} per second, reserve ${reward.rewardReserve}`);
+  }
+
+  const columns = ["Account", "Wallet", "Staked", "Locked", "Unbonding", "Compounded"];
+  for (const reward of pool.rewards) {
+    columns.push(`Earned ${reward.symbol}`, `Claimed ${reward.symbol}`);
+  }
+  const rows = checkpoint.accounts.map((account) => [
+    String(account.account),
+    account.walletBalance,
+    account.stakedBalance,
+    account.lockedBalance,
+    account.unbondingBalance,
+    account.compounded,
+    ...account.rewards.flatMap((reward) => [reward.earned, reward.claimed]),
+  ]);
+  const widths = columns.map((column, i) => Math.max(column.length, ...rows.map((row) => row[i].length)));
+  for (const row of [columns, ...rows]) {
+    reporter.log(`  ${row.map((cell, i) => cell.padStart(widths[i])).join("  ")}`);
+  }
+}
+
+qlkTask("scenario", "Run a scripted multi-account scenario on a local network and report balances and rewards at checkpoints")
+  .addParam("file", "Scenario file, as JSON or YAML (.yaml, .yml)")
+  .addOptionalParam("out", "File to write the JSON report to")
+  .setAction(async (args, hre) => {
+    if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+      throw new HardhatPluginError("qlk", `Scenarios move time forward, so they only run on the hardhat or localhost network, not "${hre.network.name}"`);
+    }
+
+    const reporter = createReporter(args.json);
+    let scenario;
+    try {
+      scenario = scenarios.loadScenario(args.file);
+    } catch (error) {
+      throw new HardhatPluginError("qlk", `${args.file}: ${error.message}`);
+    }
+
+    // Runs against a fresh pool, unless one is given with --contract
+    const { stakingContract } = args.contract ? await getContracts(hre, args.contract) : {};
+
+    reporter.log(`Running "${scenario.name}" with ${scenario.accounts} accounts (seed ${scenario.seed})...`);
+    let report;
+    try {
+      report = await scenarios.runScenario(hre, scenario, { stakingContract, log: (message) => reporter.log(message) });
+    } catch (error) {
+      if (error instanceof scenarios.ScenarioError) {
+        throw new HardhatPluginError("qlk", error.message);
+      }
+      throw error;
+    }
+
+    for (const checkpoint of report.checkpoints) {
+      reportCheckpoint(checkpoint, reporter);
+    }
+
+    if (args.out) {
+      fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+      reporter.log(`\nReport written to ${args.out}`);
+    }
+    return reporter.result(report);
+  });
+
+qlkTask("serve", "Serve read-only pool and account stats over HTTP")
+  .addOptionalParam("port", "Port to listen on", 8080, types.int)
+  .addOptionalParam("host", "Host to listen on", "127.0.0.1")
+  .setAction(async (args, hre) => {
+    const { stakingContract } = await getContracts(hre, args.contract);
+    const server = createApiServer(hre, stakingContract, {
+      loadEvents: async () => (await indexer.syncIndex(hre, stakingContract)).store,
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(args.port, args.host, resolve);
+    });
+    console.log(`Serving ${await stakingContract.getAddress()} on http://${args.host}:${server.address().port}`);
+    console.log("Routes: /pool, /accounts/:address, /events?offset=0&limit=50&event=Staked&account=0x...");
+    console.log("Press Ctrl+C to stop");
+
+    // Serve until the process is stopped
+    await new Promise(() => {});
+  });
+
+/**
+ * Returns the StakingFactory connected to the given signer.
+ * The factory address defaults to the one recorded in the network's deployment manifest.
+ */
+async function getFactory(hre, factoryAddress, signer) {
+  const deployment = readManifest(hre.network.name).contracts.StakingFactory;
+  const address = factoryAddress || (deployment && deployment.address);
+  if (!address) {
+    throw new HardhatPluginError(
+      "qlk",
+      `No StakingFactory deployment recorded in ${getManifestPath(hre.network.name)}. Run scripts/07-deploy-staking-factory.js or pass --factory`
+    );
+  }
+  return hre.ethers.getContractAt("StakingFactory", address, signer);
+}
+
+/**
+ * Registers a task that works with the StakingFactory, with the options shared by the factory tasks.
+ */
+function factoryTask(name, description, options) {
+  return qlkTask(name, description, options)
+    .addOptionalParam("factory", "StakingFactory address (defaults to the deployment manifest)");
+}
+
+factoryTask("create-pools", "Deploy the staking pools of a config file through the factory and start their first reward period", {
+  transaction: true,
+})
+  .addParam("file", "Pool config file, as JSON or YAML (.yaml, .yml)")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const signer = await resolveSigner(hre, args.account);
+    const factory = await getFactory(hre, args.factory, signer);
+    const factoryAddress = await factory.getAddress();
+
+    let pools;
+    try {
+      pools = poolConfigs.resolvePools(hre, poolConfigs.loadPoolConfig(args.file).pools, signer.address);
+    } catch (error) {
+      throw new HardhatPluginError("qlk", `${args.file}: ${error.message}`);
+    }
+    if (!(await factory.hasRole(await factory.POOL_CREATOR_ROLE(), signer.address))) {
+      throw new HardhatPluginError("qlk", `${signer.address} is not a pool creator of the factory; its admin grants the POOL_CREATOR_ROLE`);
+    }
+
+    const results = [];
+    for (const pool of pools) {
+      for (const token of [pool.stakingToken, pool.rewardToken]) {
+        if ((await hre.ethers.provider.getCode(token)) === "0x") {
+          throw new HardhatPluginError("qlk", `${pool.name}: no contract deployed at ${token}`);
+        }
+      }
+      const stakingToken = await hre.ethers.getContractAt("MockToken", pool.stakingToken, signer);
+      const rewardToken = await hre.ethers.getContractAt("MockToken", pool.rewardToken, signer);
+      const [stakingSymbol, rewardSymbol] = await Promise.all([stakingToken.symbol(), rewardToken.symbol()]);
+      reporter.log(`\nCreating ${pool.name}: stake ${stakingSymbol}, earn ${rewardSymbol}, owned by ${pool.owner}`);
+
+      // The factory pulls the rewards of the first period from the caller
+      if (pool.reward > 0n) {
+        const reward = hre.ethers.formatUnits(pool.reward, 18);
+        reporter.log(`First reward period: ${hre.ethers.formatUnits(pool.rewardRate, 18)} ${rewardSymbol} per second for ${formatDuration(pool.duration)} (${reward} ${rewardSymbol})`);
+        if ((await rewardToken.balanceOf(signer.address)) < pool.reward) {
+          throw new HardhatPluginError("qlk", `${pool.name}: the first reward period needs ${reward} ${rewardSymbol}, more than ${signer.address} holds`);
+        }
+        if ((await rewardToken.allowance(signer.address, factoryAddress)) < pool.reward) {
+          if (args.dryRun) {
+            throw new HardhatPluginError("qlk", `${pool.name}: dry run needs an existing allowance of ${reward} ${rewardSymbol} for the factory`);
+          }
+          reporter.log("Approving reward tokens...");
+          await sendOrSimulate(hre, rewardToken.approve, [factoryAddress, pool.reward], { args, dryRun: false, reporter });
+        }
+      } else {
+        reporter.log("No reward period: the owner starts one with qlk fund");
+      }
+
+      const createArgs = [pool.stakingToken, pool.rewardToken, pool.owner, pool.rewardRate, pool.duration];
+      const tx = await sendOrSimulate(hre, factory.createPool, createArgs, { args, token: rewardToken, reporter });
+
+      // Read the new pool from the PoolCreated event, or predict it in a dry run
+      let address;
+      if (args.dryRun) {
+        address = await factory.createPool.staticCall(...createArgs);
+      } else {
+        const receipt = await hre.ethers.provider.getTransactionReceipt(tx.txHash);
+        const created = receipt.logs.map((log) => factory.interface.parseLog(log)).find((log) => log && log.name === "PoolCreated");
+        address = created.args.pool;
+      }
+      reporter.log(`Pool${args.dryRun ? " would be deployed to" : ":"} ${address}`);
+
+      // The factory offers the admin role to the owner, who accepts it from the next block on
+      let adminAccepted = false;
+      if (!args.dryRun && pool.owner === signer.address) {
+        reporter.log("Accepting the admin role of the pool...");
+        const stakingContract = await hre.ethers.getContractAt("StakingContract", address, signer);
+        await sendOrSimulate(hre, stakingContract.acceptDefaultAdminTransfer, [], { args, dryRun: false, reporter });
+        adminAccepted = true;
+      } else if (!args.dryRun) {
+        reporter.log(`The owner has to accept the admin role by calling acceptDefaultAdminTransfer on ${address}`);
+      }
+
+      results.push({
+        name: pool.name,
+        pool: address,
+        ...tx,
+        stakingToken: pool.stakingToken,
+        rewardToken: pool.rewardToken,
+        owner: pool.owner,
+        rewardRate: hre.ethers.formatUnits(pool.rewardRate, 18),
+        duration: pool.duration,
+        adminAccepted,
+      });
+    }
+
+    reporter.log(`\n${results.length} pool(s) ${args.dryRun ? "simulated" : "created"}. List them with qlk pools`);
+    return reporter.result({ account: signer.address, factory: factoryAddress, pools: results });
+  });
+
+factoryTask("pools", "List the factory's pools with their total staked and reward rate")
+  .addOptionalParam("token", "Only list the pools of this staking token")
+  .setAction(async (args, hre) => {
+    const reporter = createReporter(args.json);
+    const factory = await getFactory(hre, args.factory);
+    if (args.token && !hre.ethers.isAddress(args.token)) {
+      throw new HardhatPluginError("qlk", `Invalid token address "${args.token}"`);
+    }
+
+    const pools = await poolConfigs.listPools(hre, factory, args.token);
+    if (pools.length === 0) {
+      reporter.log(args.token ? `The factory has no pools for ${args.token}` : "The factory has no pools yet. Create some with qlk create-pools");
+      return reporter.result({ factory: await factory.getAddress(), pools });
+    }
+
+    // One row per pool, with the symbols of its tokens
+    const symbols = new Map();
+    const symbolOf = async (address) => {
+      if (!symbols.has(address)) {
+        symbols.set(address, await (await hre.ethers.getContractAt("MockToken", address)).symbol());
+      }
+      return symbols.get(address);
+    };
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    const columns = ["Pool", "Stake", "Total staked", "Reward rate/s", "Period ends", "Status"];
+    const rows = [];
+    for (const pool of pools) {
+      const ended = pool.periodFinish <= timestamp;
+      rows.push([
+        pool.pool,
+        await symbolOf(pool.stakingToken),
+        pool.totalStaked,
+        `${pool.rewardRate} ${await symbolOf(pool.rewardToken)}`,
+        pool.periodFinish === 0 ? "not started" : formatTimestamp(pool.periodFinish),
+        pool.paused ? "paused" : ended ? "no rewards" : "active",
+      ]);
+    }
+    const widths = columns.map((column, i) => Math.max(column.length, ...rows.map((row) => row[i].length)));
+    for (const row of [columns, ...rows]) {
+      reporter.log(row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd());
+    }
+
+    return reporter.result({ factory: await factory.getAddress(), pools });
+  });
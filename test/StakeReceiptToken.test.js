@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("StakeReceiptToken", function () {
+  let mockToken;
+  let rewardToken;
+  let stakingContract;
+  let receiptToken;
+  let owner;
+  let user1;
+  let user2;
+  let user3;
+  let reward;
+  const day = 86400n;
+  const rewardRate = ethers.parseUnits("0.01", 18); // 0.01 reward tokens per second
+  const stakeAmount = ethers.parseUnits("300", 18);
+
+  beforeEach(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    rewardToken = await MockToken.deploy("Quantlink Reward Token", "QRWD", 1000000);
+    reward = await rewardToken.getAddress();
+
+    // The pool pays its rewards in a separate token, so claims do not mix with the staked tokens
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(await mockToken.getAddress(), reward);
+    const pool = await stakingContract.getAddress();
+
+    const StakeReceiptToken = await ethers.getContractFactory("StakeReceiptToken");
+    receiptToken = await StakeReceiptToken.deploy(pool);
+    await stakingContract.setReceiptToken(await receiptToken.getAddress());
+
+    for (const user of [user1, user2, user3]) {
+      await mockToken.transfer(user.address, ethers.parseUnits("10000", 18));
+      await mockToken.connect(user).approve(pool, ethers.MaxUint256);
+    }
+    await mockToken.approve(pool, ethers.MaxUint256);
+
+    // 0.01 reward tokens per second for 100 days
+    await rewardToken.approve(pool, rewardRate * 100n * day);
+    await stakingContract.notifyRewardAmount(reward, rewardRate * 100n * day, 100n * day);
+  });
+
+  /**
+   * Returns what an account has claimed and still has to claim of the reward token.
+   */
+  async function totalRewards(user) {
+    return (await rewardToken.balanceOf(user.address)) + (await stakingContract.earned(user.address, reward));
+  }
+
+  describe("Token", function () {
+    it("Should be named after the staking token", async function () {
+      expect(await receiptToken.name()).to.equal("Staked Quantlink Token");
+      expect(await receiptToken.symbol()).to.equal("stQNTL");
+      expect(await receiptToken.decimals()).to.equal(18);
+      expect(await receiptToken.pool()).to.equal(await stakingContract.getAddress());
+    });
+
+    it("Should mirror the staked balances of the pool", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.connect(user2).stakeLocked(stakeAmount, 30n * day);
+
+      expect(await receiptToken.balanceOf(user1.address)).to.equal(stakeAmount);
+      // Locked stake is included, though it cannot be transferred
+      expect(await receiptToken.balanceOf(user2.address)).to.equal(stakeAmount);
+      expect(await receiptToken.totalSupply()).to.equal(await stakingContract.totalStaked());
+      expect(await receiptToken.totalSupply()).to.equal(2n * stakeAmount);
+    });
+
+    it("Should mint receipts on staking and burn them on unstaking", async function () {
+      await expect(stakingContract.connect(user1).stake(stakeAmount))
+        .to.emit(receiptToken, "Transfer")
+        .withArgs(ethers.ZeroAddress, user1.address, stakeAmount);
+      await expect(stakingContract.connect(user2).stakeLocked(stakeAmount, 30n * day))
+        .to.emit(receiptToken, "Transfer")
+        .withArgs(ethers.ZeroAddress, user2.address, stakeAmount);
+      // Stakes for another account mint the beneficiary's receipts
+      await expect(stakingContract.stakeFor(user3.address, stakeAmount))
+        .to.emit(receiptToken, "Transfer")
+        .withArgs(ethers.ZeroAddress, user3.address, stakeAmount);
+
+      await expect(stakingContract.connect(user1).requestUnstake(stakeAmount / 3n))
+        .to.emit(receiptToken, "Transfer")
+        .withArgs(user1.address, ethers.ZeroAddress, stakeAmount / 3n);
+      await expect(stakingContract.connect(user2).emergencyWithdraw())
+        .to.emit(receiptToken, "Transfer")
+        .withArgs(user2.address, ethers.ZeroAddress, stakeAmount);
+
+      expect(await receiptToken.balanceOf(user1.address)).to.equal(stakeAmount - stakeAmount / 3n);
+      expect(await receiptToken.balanceOf(user2.address)).to.equal(0);
+      expect(await receiptToken.totalSupply()).to.equal(2n * stakeAmount - stakeAmount / 3n);
+    });
+  });
+
+  describe("Transfers", function () {
+    it("Should move the stake and its reward weight to the receiver", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      const amount = ethers.parseUnits("100", 18);
+
+      await expect(receiptToken.connect(user1).transfer(user2.address, amount))
+        .to.emit(receiptToken, "Transfer")
+        .withArgs(user1.address, user2.address, amount)
+        .and.to.emit(stakingContract, "StakeTransferred")
+        .withArgs(user1.address, user2.address, amount);
+
+      expect(await stakingContract.stakedBalances(user1.address)).to.equal(stakeAmount - amount);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal(stakeAmount - amount);
+      expect(await stakingContract.stakedBalances(user2.address)).to.equal(amount);
+      expect(await stakingContract.rewardWeights(user2.address)).to.equal(amount);
+      // The stake only moved: the totals and the pool's tokens are unchanged
+      expect(await stakingContract.totalStaked()).to.equal(stakeAmount);
+      expect(await stakingContract.totalWeight()).to.equal(stakeAmount);
+      expect(await mockToken.balanceOf(await stakingContract.getAddress())).to.equal(stakeAmount);
+    });
+
+    it("Should keep the rewards accrued before a transfer with the sender", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await time.increase(10n * day);
+
+      await receiptToken.connect(user1).transfer(user2.address, stakeAmount);
+      const earnedAtTransfer = await stakingContract.earned(user1.address, reward);
+      expect(earnedAtTransfer).to.be.closeTo(rewardRate * 10n * day, rewardRate * 2n);
+      expect(await stakingContract.earned(user2.address, reward)).to.equal(0);
+
+      // From then on, the receiver earns everything and the sender nothing more
+      await time.increase(5n * day);
+      expect(await stakingContract.earned(user1.address, reward)).to.equal(earnedAtTransfer);
+      expect(await stakingContract.earned(user2.address, reward)).to.be.closeTo(rewardRate * 5n * day, rewardRate);
+
+      await stakingContract.connect(user1).claimReward(reward);
+      expect(await rewardToken.balanceOf(user1.address)).to.equal(earnedAtTransfer);
+    });
+
+    it("Should neither lose nor duplicate rewards across transfers and claims of several holders", async function () {
+      const firstStake = await (await stakingContract.connect(user1).stake(stakeAmount)).wait();
+      const { timestamp: start } = await ethers.provider.getBlock(firstStake.blockNumber);
+      await stakingContract.connect(user2).stake(stakeAmount / 3n);
+
+      await time.increase(3n * day);
+      await receiptToken.connect(user1).transfer(user2.address, ethers.parseUnits("50", 18));
+      await time.increase(2n * day);
+      await receiptToken.connect(user2).transfer(user3.address, ethers.parseUnits("120", 18));
+      await stakingContract.connect(user2).claimAll();
+      await time.increase(day);
+      await stakingContract.connect(user3).claimReward(reward);
+      await receiptToken.connect(user3).transfer(user1.address, ethers.parseUnits("20", 18));
+      await time.increase(4n * day);
+      await receiptToken.connect(user1).transfer(user3.address, ethers.parseUnits("200", 18));
+      await stakingContract.connect(user1).claimAll();
+      await time.increase(day);
+      await stakingContract.connect(user3).requestUnstake(ethers.parseUnits("100", 18));
+      await time.increase(day);
+
+      // Everything emitted since the first stake is claimed or still pending, with only rounding dust lost
+      const { timestamp: end } = await ethers.provider.getBlock("latest");
+      const emitted = rewardRate * BigInt(end - start);
+      let distributed = 0n;
+      for (const user of [user1, user2, user3]) {
+        const total = await totalRewards(user);
+        expect(total).to.be.greaterThan(0);
+        distributed += total;
+      }
+      expect(distributed).to.be.lessThanOrEqual(emitted);
+      expect(distributed).to.be.closeTo(emitted, 1000n);
+
+      // The balances add up to the staked total, less what was unstaked
+      expect(
+        (await receiptToken.balanceOf(user1.address)) +
+          (await receiptToken.balanceOf(user2.address)) +
+          (await receiptToken.balanceOf(user3.address))
+      ).to.equal(await receiptToken.totalSupply());
+      expect(await receiptToken.totalSupply()).to.equal(stakeAmount + stakeAmount / 3n - ethers.parseUnits("100", 18));
+    });
+
+    it("Should only transfer unlocked stake", async function () {
+      const locked = ethers.parseUnits("100", 18);
+      const unlocked = ethers.parseUnits("50", 18);
+      await stakingContract.connect(user1).stakeLocked(locked, 30n * day);
+      await stakingContract.connect(user1).stake(unlocked);
+
+      await expect(receiptToken.connect(user1).transfer(user2.address, unlocked + 1n)).to.be.revertedWith("Tokens are locked");
+      await expect(receiptToken.connect(user1).transfer(user2.address, locked + unlocked + 1n)).to.be.revertedWith(
+        "Not enough staked tokens"
+      );
+      await receiptToken.connect(user1).transfer(user2.address, unlocked);
+
+      // Expired locks are released by the transfer, and their stake can be moved
+      await time.increase(30n * day);
+      await receiptToken.connect(user1).transfer(user2.address, locked);
+      expect(await stakingContract.stakedBalances(user1.address)).to.equal(0);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal(0);
+      expect(await stakingContract.getLockPositions(user1.address)).to.have.lengthOf(0);
+      expect(await stakingContract.rewardWeights(user2.address)).to.equal(locked + unlocked);
+      expect(await stakingContract.totalWeight()).to.equal(locked + unlocked);
+    });
+
+    it("Should let the receiver unstake and withdraw the received stake", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await receiptToken.connect(user1).transfer(user2.address, stakeAmount);
+      const balance = await mockToken.balanceOf(user2.address);
+
+      await expect(stakingContract.connect(user1).requestUnstake(1n)).to.be.revertedWith("Not enough staked tokens");
+      await stakingContract.connect(user2).requestUnstake(stakeAmount);
+      await time.increase(await stakingContract.cooldownPeriod());
+      await stakingContract.connect(user2).withdraw();
+
+      expect(await mockToken.balanceOf(user2.address)).to.equal(balance + stakeAmount);
+      expect(await receiptToken.totalSupply()).to.equal(0);
+    });
+
+    it("Should spend allowances in transferFrom", async function () {
+      const amount = ethers.parseUnits("100", 18);
+      await stakingContract.connect(user1).stake(stakeAmount);
+
+      await expect(receiptToken.connect(user1).approve(user3.address, amount))
+        .to.emit(receiptToken, "Approval")
+        .withArgs(user1.address, user3.address, amount);
+      await expect(receiptToken.connect(user3).transferFrom(user1.address, user2.address, amount + 1n)).to.be.revertedWith(
+        "Insufficient allowance"
+      );
+      await expect(receiptToken.connect(user3).transferFrom(user1.address, user2.address, amount))
+        .to.emit(receiptToken, "Transfer")
+        .withArgs(user1.address, user2.address, amount);
+      expect(await receiptToken.allowance(user1.address, user3.address)).to.equal(0);
+      expect(await receiptToken.balanceOf(user2.address)).to.equal(amount);
+
+      // An infinite allowance is never spent
+      await receiptToken.connect(user1).approve(user3.address, ethers.MaxUint256);
+      await receiptToken.connect(user3).transferFrom(user1.address, user3.address, amount);
+      expect(await receiptToken.allowance(user1.address, user3.address)).to.equal(ethers.MaxUint256);
+      await expect(receiptToken.connect(user1).approve(ethers.ZeroAddress, amount)).to.be.revertedWith("Approve to the zero address");
+    });
+
+    it("Should reject transfers to the zero address and while the pool is paused", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await expect(receiptToken.connect(user1).transfer(ethers.ZeroAddress, 1n)).to.be.revertedWith("Transfer to the zero address");
+
+      await stakingContract.pause();
+      await expect(receiptToken.connect(user1).transfer(user2.address, 1n)).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+      await stakingContract.unpause();
+      await receiptToken.connect(user1).transfer(user2.address, 1n);
+    });
+
+    it("Should only let the receipt token move stake, and only the pool report mints and burns", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await expect(stakingContract.connect(user1).transferStake(user1.address, user2.address, 1n)).to.be.revertedWith(
+        "Only the receipt token"
+      );
+      await expect(receiptToken.connect(user1).notifyTransfer(ethers.ZeroAddress, user1.address, 1n)).to.be.revertedWith(
+        "Only the pool"
+      );
+    });
+  });
+
+  describe("Attaching", function () {
+    it("Should be attached once, by the admin, to the pool it was deployed for", async function () {
+      const StakingContract = await ethers.getContractFactory("StakingContract");
+      const other = await StakingContract.deploy(await mockToken.getAddress(), reward);
+      const StakeReceiptToken = await ethers.getContractFactory("StakeReceiptToken");
+      const otherReceipt = await StakeReceiptToken.deploy(await other.getAddress());
+
+      await expect(StakeReceiptToken.deploy(ethers.ZeroAddress)).to.be.revertedWith("Pool cannot be zero address");
+      await expect(stakingContract.setReceiptToken(await otherReceipt.getAddress())).to.be.revertedWith("Receipt token already set");
+      await expect(other.setReceiptToken(await receiptToken.getAddress())).to.be.revertedWith("Receipt token of another pool");
+      await expect(other.connect(user1).setReceiptToken(await otherReceipt.getAddress())).to.be.revertedWithCustomError(
+        other,
+        "AccessControlUnauthorizedAccount"
+      );
+
+      // Until it is attached, balances can be read but not transferred
+      await mockToken.connect(user1).approve(await other.getAddress(), stakeAmount);
+      await other.connect(user1).stake(stakeAmount);
+      expect(await otherReceipt.balanceOf(user1.address)).to.equal(stakeAmount);
+      await expect(otherReceipt.connect(user1).transfer(user2.address, 1n)).to.be.revertedWith("Only the receipt token");
+
+      // Attaching it gives existing stakers their receipts straight away
+      await expect(other.setReceiptToken(await otherReceipt.getAddress()))
+        .to.emit(other, "ReceiptTokenSet")
+        .withArgs(await otherReceipt.getAddress());
+      expect(await other.receiptToken()).to.equal(await otherReceipt.getAddress());
+      await otherReceipt.connect(user1).transfer(user2.address, 1n);
+      expect(await otherReceipt.balanceOf(user2.address)).to.equal(1n);
+    });
+  });
+});
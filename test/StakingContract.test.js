@@ -1,15 +1,21 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const hre = require("hardhat");
+const { signPermit } = require("../lib/permit");
 
 describe("StakingContract", function () {
   let mockToken;
+  let token;
   let stakingContract;
   let owner;
   let user1;
   let user2;
   const initialSupply = 1000000; // 1 million tokens
   const rewardRate = ethers.parseUnits("0.01", 18); // 0.01 tokens per second
+  const rewardsDuration = 100n * 86400n; // 100 days
+  const cooldownPeriod = 7n * 86400n; // 7 days
 
   beforeEach(async function () {
     // Get signers
@@ -19,24 +25,53 @@ describe("StakingContract", function () {
     const MockToken = await ethers.getContractFactory("MockToken");
     mockToken = await MockToken.deploy("Quantlink Token", "QNTL", initialSupply);
     await mockToken.waitForDeployment();
+    token = await mockToken.getAddress();
 
-    // Deploy StakingContract
+    // Deploy StakingContract, paying rewards in the staking token
     const StakingContract = await ethers.getContractFactory("StakingContract");
-    stakingContract = await StakingContract.deploy(await mockToken.getAddress(), rewardRate);
+    stakingContract = await StakingContract.deploy(token, token);
     await stakingContract.waitForDeployment();
 
     // Transfer some tokens to users for testing
     await mockToken.transfer(user1.address, ethers.parseUnits("10000", 18));
     await mockToken.transfer(user2.address, ethers.parseUnits("10000", 18));
 
-    // Transfer some tokens to the staking contract for rewards
-    await mockToken.transfer(await stakingContract.getAddress(), ethers.parseUnits("100000", 18));
+    // Start a reward period paying 0.01 tokens per second
+    const rewardFunding = rewardRate * rewardsDuration;
+    await mockToken.approve(await stakingContract.getAddress(), rewardFunding);
+    await stakingContract.notifyRewardAmount(token, rewardFunding, rewardsDuration);
   });
 
+  /**
+   * Deploys a separate pool, stakes for the given users and then starts a reward period,
+   * so that no emissions are lost to a pool with nothing staked.
+   */
+  async function deployPoolWithPeriod(reward, duration, stakes = []) {
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    const pool = await StakingContract.deploy(token, token);
+    for (const [user, amount] of stakes) {
+      await mockToken.connect(user).approve(await pool.getAddress(), amount);
+      await pool.connect(user).stake(amount);
+    }
+    await mockToken.approve(await pool.getAddress(), reward);
+    await pool.notifyRewardAmount(token, reward, duration);
+    return pool;
+  }
+
+  /**
+   * Requests to unstake, waits for the cooldown and withdraws.
+   */
+  async function unstakeAndWithdraw(pool, user, amount) {
+    await pool.connect(user).requestUnstake(amount);
+    await time.increase(await pool.cooldownPeriod());
+    await pool.connect(user).withdraw();
+  }
+
   describe("Deployment", function () {
     it("Should set the correct token and reward rate", async function () {
-      expect(await stakingContract.stakingToken()).to.equal(await mockToken.getAddress());
-      expect(await stakingContract.rewardRate()).to.equal(rewardRate);
+      expect(await stakingContract.stakingToken()).to.equal(token);
+      expect(await stakingContract.getRewardTokens()).to.deep.equal([token]);
+      expect(await stakingContract.getRewardRate(token)).to.equal(rewardRate);
     });
 
     it("Should assign the total supply of tokens to the owner", async function () {
@@ -95,7 +130,7 @@ describe("StakingContract", function () {
       const unstakeAmount = ethers.parseUnits("500", 18);
 
       // Unstake tokens
-      await stakingContract.connect(user1).unstake(unstakeAmount);
+      await stakingContract.connect(user1).requestUnstake(unstakeAmount);
 
       // Check staked balance
       expect(await stakingContract.getStakedBalance(user1.address)).to.equal(
@@ -109,7 +144,7 @@ describe("StakingContract", function () {
     });
 
     it("Should not allow unstaking zero tokens", async function () {
-      await expect(stakingContract.connect(user1).unstake(0)).to.be.revertedWith("Cannot unstake 0");
+      await expect(stakingContract.connect(user1).requestUnstake(0)).to.be.revertedWith("Cannot unstake 0");
     });
 
     it("Should not allow unstaking more than staked", async function () {
@@ -117,10 +152,101 @@ describe("StakingContract", function () {
       const unstakeAmount = stakedBalance + 1n;
 
       // Try to unstake more than staked
-      await expect(stakingContract.connect(user1).unstake(unstakeAmount)).to.be.revertedWith(
+      await expect(stakingContract.connect(user1).requestUnstake(unstakeAmount)).to.be.revertedWith(
         "Not enough staked tokens"
       );
     });
+
+    it("Should hold unstaked tokens until the cooldown has passed", async function () {
+      const unstakeAmount = ethers.parseUnits("500", 18);
+      const initialBalance = await mockToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).requestUnstake(unstakeAmount))
+        .to.emit(stakingContract, "UnstakeRequested")
+        .withArgs(user1.address, unstakeAmount, anyValue);
+
+      const [request] = await stakingContract.pendingWithdrawals(user1.address);
+      expect(request.amount).to.equal(unstakeAmount);
+      expect(request.releaseTime).to.equal(BigInt(await time.latest()) + cooldownPeriod);
+      expect(await stakingContract.unbondingBalances(user1.address)).to.equal(unstakeAmount);
+      expect(await stakingContract.totalUnbonding()).to.equal(unstakeAmount);
+
+      // Nothing can be withdrawn before the cooldown ends
+      await time.increase(cooldownPeriod - 10n);
+      expect(await stakingContract.withdrawableBalanceOf(user1.address)).to.equal(0);
+      await expect(stakingContract.connect(user1).withdraw()).to.be.revertedWith("Nothing to withdraw");
+
+      await time.increase(10n);
+      expect(await stakingContract.withdrawableBalanceOf(user1.address)).to.equal(unstakeAmount);
+      await expect(stakingContract.connect(user1).withdraw())
+        .to.emit(stakingContract, "Withdrawn")
+        .withArgs(user1.address, unstakeAmount);
+
+      expect(await mockToken.balanceOf(user1.address)).to.equal(initialBalance + unstakeAmount);
+      expect(await stakingContract.pendingWithdrawals(user1.address)).to.have.lengthOf(0);
+      expect(await stakingContract.unbondingBalances(user1.address)).to.equal(0);
+      expect(await stakingContract.totalUnbonding()).to.equal(0);
+    });
+
+    it("Should only withdraw the requests whose cooldown has passed", async function () {
+      const unstakeAmount = ethers.parseUnits("100", 18);
+      await stakingContract.connect(user1).requestUnstake(unstakeAmount);
+      await time.increase(cooldownPeriod / 2n);
+      await stakingContract.connect(user1).requestUnstake(unstakeAmount * 2n);
+      await time.increase(cooldownPeriod / 2n);
+
+      await expect(stakingContract.connect(user1).withdraw())
+        .to.emit(stakingContract, "Withdrawn")
+        .withArgs(user1.address, unstakeAmount);
+
+      const pending = await stakingContract.pendingWithdrawals(user1.address);
+      expect(pending).to.have.lengthOf(1);
+      expect(pending[0].amount).to.equal(unstakeAmount * 2n);
+      expect(await stakingContract.unbondingBalances(user1.address)).to.equal(unstakeAmount * 2n);
+    });
+
+    it("Should stop reward accrual on the amount in cooldown", async function () {
+      await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("1000", 18));
+      const earned = await stakingContract.earned(user1.address, token);
+
+      await time.increase(86400);
+      expect(await stakingContract.earned(user1.address, token)).to.equal(earned);
+    });
+
+    it("Should limit the number of pending withdrawals", async function () {
+      const maxRequests = await stakingContract.MAX_UNSTAKE_REQUESTS();
+      for (let i = 0n; i < maxRequests; i++) {
+        await stakingContract.connect(user1).requestUnstake(1n);
+      }
+
+      await expect(stakingContract.connect(user1).requestUnstake(1n)).to.be.revertedWith(
+        "Too many pending withdrawals"
+      );
+    });
+
+    it("Should only allow the admin to set the cooldown period", async function () {
+      expect(await stakingContract.cooldownPeriod()).to.equal(cooldownPeriod);
+
+      await expect(stakingContract.connect(user1).setCooldownPeriod(0))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.DEFAULT_ADMIN_ROLE());
+      await expect(stakingContract.setCooldownPeriod(31n * 86400n)).to.be.revertedWith("Cooldown period too long");
+    });
+
+    it("Should keep the release time of pending requests when the cooldown changes", async function () {
+      const unstakeAmount = ethers.parseUnits("100", 18);
+      await stakingContract.connect(user1).requestUnstake(unstakeAmount);
+
+      await expect(stakingContract.setCooldownPeriod(0)).to.emit(stakingContract, "CooldownPeriodUpdated").withArgs(0);
+      await expect(stakingContract.connect(user1).withdraw()).to.be.revertedWith("Nothing to withdraw");
+
+      // New requests can be withdrawn immediately
+      await stakingContract.connect(user1).requestUnstake(unstakeAmount);
+      await expect(stakingContract.connect(user1).withdraw())
+        .to.emit(stakingContract, "Withdrawn")
+        .withArgs(user1.address, unstakeAmount);
+      expect(await stakingContract.pendingWithdrawals(user1.address)).to.have.lengthOf(1);
+    });
   });
 
   describe("Rewards", function () {
@@ -136,7 +262,7 @@ describe("StakingContract", function () {
       await time.increase(86400); // 1 day in seconds
 
       // Check earned rewards
-      const earned = await stakingContract.earned(user1.address);
+      const earned = await stakingContract.earned(user1.address, token);
 
       // Expected rewards: rewardRate * time
       const expectedRewards = rewardRate * 86400n;
@@ -153,7 +279,7 @@ describe("StakingContract", function () {
       const initialBalance = await mockToken.balanceOf(user1.address);
 
       // Claim rewards
-      await stakingContract.connect(user1).claimReward();
+      await stakingContract.connect(user1).claimReward(token);
 
       // Check new balance
       const newBalance = await mockToken.balanceOf(user1.address);
@@ -162,7 +288,7 @@ describe("StakingContract", function () {
       expect(newBalance).to.be.gt(initialBalance);
 
       // Earned rewards should be reset
-      expect(await stakingContract.earned(user1.address)).to.equal(0);
+      expect(await stakingContract.earned(user1.address, token)).to.equal(0);
     });
 
     it("Should distribute rewards correctly between multiple stakers", async function () {
@@ -175,8 +301,8 @@ describe("StakingContract", function () {
       await time.increase(86400); // 1 day in seconds
 
       // Check earned rewards for both users
-      const earned1 = await stakingContract.earned(user1.address);
-      const earned2 = await stakingContract.earned(user2.address);
+      const earned1 = await stakingContract.earned(user1.address, token);
+      const earned2 = await stakingContract.earned(user2.address, token);
 
       // Both users should have earned approximately the same amount
       expect(earned1).to.be.closeTo(earned2, ethers.parseUnits("0.1", 18));
@@ -187,4 +313,1457 @@ describe("StakingContract", function () {
       expect(totalEarned).to.be.closeTo(expectedTotalRewards, ethers.parseUnits("0.1", 18));
     });
   });
+
+  describe("Reward reserve", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+
+    it("Should record funded rewards in the reserve", async function () {
+      const amount = ethers.parseUnits("500", 18);
+      await mockToken.approve(await stakingContract.getAddress(), amount);
+
+      await expect(stakingContract.fundRewards(token, amount))
+        .to.emit(stakingContract, "RewardsFunded")
+        .withArgs(token, owner.address, amount);
+
+      expect((await stakingContract.rewardData(token)).rewardReserve).to.equal(rewardRate * rewardsDuration + amount);
+    });
+
+    it("Should only allow funders to fund rewards", async function () {
+      const amount = ethers.parseUnits("500", 18);
+      await mockToken.connect(user1).approve(await stakingContract.getAddress(), amount);
+
+      await expect(stakingContract.connect(user1).fundRewards(token, amount))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.FUNDER_ROLE());
+    });
+
+    it("Should not allow funding zero tokens", async function () {
+      await expect(stakingContract.fundRewards(token, 0)).to.be.revertedWith("Cannot fund 0");
+    });
+
+    it("Should not count plain transfers as rewards", async function () {
+      await mockToken.transfer(await stakingContract.getAddress(), ethers.parseUnits("500", 18));
+      expect((await stakingContract.rewardData(token)).rewardReserve).to.equal(rewardRate * rewardsDuration);
+    });
+
+    it("Should report the runway at the current reward rate", async function () {
+      const { periodFinish } = await stakingContract.rewardData(token);
+      expect(await stakingContract.rewardRunway(token)).to.equal(periodFinish - BigInt(await time.latest()));
+
+      await mockToken.connect(user1).approve(await stakingContract.getAddress(), stakeAmount);
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await time.increase(1000);
+      expect(await stakingContract.rewardRunway(token)).to.equal(periodFinish - BigInt(await time.latest()));
+    });
+
+    it("Should stop accruing rewards once the reserve is exhausted", async function () {
+      // Deploy a pool with only 10 tokens of rewards (1000 seconds at the current rate)
+      const funding = ethers.parseUnits("10", 18);
+      const smallPool = await deployPoolWithPeriod(funding, 1000, [[user1, stakeAmount]]);
+      await time.increase(5000);
+
+      expect(await smallPool.earned(user1.address, token)).to.be.lte(funding);
+      expect(await smallPool.earned(user1.address, token)).to.be.closeTo(funding, ethers.parseUnits("0.0001", 18));
+      expect(await smallPool.rewardRunway(token)).to.equal(0);
+
+      // Claiming pays out the reserve and nothing more
+      const balanceBefore = await mockToken.balanceOf(user1.address);
+      await smallPool.connect(user1).claimReward(token);
+      expect((await mockToken.balanceOf(user1.address)) - balanceBefore).to.be.lte(funding);
+      expect((await smallPool.rewardData(token)).rewardReserve).to.equal(0);
+
+      // No more rewards accrue until the pool is funded again
+      await time.increase(1000);
+      expect(await smallPool.earned(user1.address, token)).to.equal(0);
+    });
+
+    it("Should not pay rewards for the time the reserve was empty after refunding", async function () {
+      const funding = ethers.parseUnits("10", 18);
+      const smallPool = await deployPoolWithPeriod(funding, 1000, [[user1, stakeAmount]]);
+      await mockToken.approve(await smallPool.getAddress(), funding);
+      await time.increase(5000);
+      await smallPool.fundRewards(token, funding);
+
+      // Only the first funding has been distributed, the new funding starts accruing from now
+      expect(await smallPool.earned(user1.address, token)).to.be.lte(funding);
+      expect((await smallPool.rewardData(token)).rewardReserve).to.equal(funding);
+    });
+
+    it("Should always let stakers withdraw their full principal", async function () {
+      const funding = ethers.parseUnits("10", 18);
+      const smallPool = await deployPoolWithPeriod(funding, 1000);
+      const poolAddress = await smallPool.getAddress();
+
+      const user1Balance = await mockToken.balanceOf(user1.address);
+      const user2Balance = await mockToken.balanceOf(user2.address);
+      await mockToken.connect(user1).approve(poolAddress, stakeAmount);
+      await smallPool.connect(user1).stake(stakeAmount);
+      await mockToken.connect(user2).approve(poolAddress, stakeAmount * 2n);
+      await smallPool.connect(user2).stake(stakeAmount * 2n);
+
+      // Run well past the point where the reserve is exhausted, with an early claimer
+      await time.increase(600);
+      await smallPool.connect(user1).claimReward(token);
+      await time.increase(10000);
+      await smallPool.connect(user1).claimReward(token);
+      await smallPool.connect(user2).claimReward(token);
+
+      // Both stakers can withdraw everything they deposited
+      await unstakeAndWithdraw(smallPool, user1, stakeAmount);
+      await unstakeAndWithdraw(smallPool, user2, stakeAmount * 2n);
+      expect(await smallPool.getTotalStaked()).to.equal(0);
+
+      // Total rewards paid never exceed the funded reserve
+      const user1Rewards = (await mockToken.balanceOf(user1.address)) - user1Balance;
+      const user2Rewards = (await mockToken.balanceOf(user2.address)) - user2Balance;
+      expect(user1Rewards).to.be.gt(0);
+      expect(user2Rewards).to.be.gt(0);
+      expect(user1Rewards + user2Rewards).to.be.lte(funding);
+      expect(await mockToken.balanceOf(poolAddress)).to.equal(funding - user1Rewards - user2Rewards);
+    });
+  });
+
+  describe("Reward periods", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+    const reward = ethers.parseUnits("864", 18);
+    const duration = 86400n;
+
+    let pool;
+
+    beforeEach(async function () {
+      const StakingContract = await ethers.getContractFactory("StakingContract");
+      pool = await StakingContract.deploy(token, token);
+      await mockToken.approve(await pool.getAddress(), reward * 10n);
+    });
+
+    it("Should not distribute rewards before a period is started", async function () {
+      await mockToken.connect(user1).approve(await pool.getAddress(), stakeAmount);
+      await pool.connect(user1).stake(stakeAmount);
+      await time.increase(1000);
+
+      expect(await pool.getRewardRate(token)).to.equal(0);
+      expect(await pool.earned(user1.address, token)).to.equal(0);
+      expect(await pool.rewardRunway(token)).to.equal(0);
+    });
+
+    it("Should derive the reward rate and period end from the deposit", async function () {
+      await expect(pool.notifyRewardAmount(token, reward, duration))
+        .to.emit(pool, "RewardAdded")
+        .and.to.emit(pool, "RewardRateUpdated")
+        .withArgs(token, reward / duration);
+
+      const startedAt = BigInt(await time.latest());
+      expect(await pool.getRewardRate(token)).to.equal(reward / duration);
+      expect((await pool.rewardData(token)).periodFinish).to.equal(startedAt + duration);
+      expect((await pool.rewardData(token)).rewardReserve).to.equal(reward);
+    });
+
+    it("Should only allow funders to start a period", async function () {
+      await expect(pool.connect(user1).notifyRewardAmount(token, reward, duration))
+        .to.be.revertedWithCustomError(pool, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await pool.FUNDER_ROLE());
+    });
+
+    it("Should reject a zero reward or duration", async function () {
+      await expect(pool.notifyRewardAmount(token, 0, duration)).to.be.revertedWith("Cannot notify 0");
+      await expect(pool.notifyRewardAmount(token, reward, 0)).to.be.revertedWith("Duration must be greater than zero");
+    });
+
+    it("Should stop emissions at the end of the period", async function () {
+      await mockToken.connect(user1).approve(await pool.getAddress(), stakeAmount);
+      await pool.connect(user1).stake(stakeAmount);
+      await pool.notifyRewardAmount(token, reward, duration);
+
+      await time.increase(duration + 1000n);
+      const { periodFinish } = await pool.rewardData(token);
+      expect(await pool.lastTimeRewardApplicable(token)).to.equal(periodFinish);
+
+      // rewardPerToken is clamped at the end of the period
+      const rewardPerTokenAtFinish = await pool.rewardPerToken(token);
+      await time.increase(86400);
+      expect(await pool.rewardPerToken(token)).to.equal(rewardPerTokenAtFinish);
+
+      // The whole deposit has been distributed, and nothing more
+      const earned = await pool.earned(user1.address, token);
+      expect(earned).to.be.lte(reward);
+      expect(earned).to.be.closeTo(reward, ethers.parseUnits("0.0001", 18));
+      expect(await pool.rewardRunway(token)).to.equal(0);
+    });
+
+    it("Should roll the leftover into the new rate when topping up mid-period", async function () {
+      await mockToken.connect(user1).approve(await pool.getAddress(), stakeAmount);
+      await pool.connect(user1).stake(stakeAmount);
+      await pool.notifyRewardAmount(token, reward, duration);
+      const initialRate = await pool.getRewardRate(token);
+
+      await time.increase(duration / 2n - 1n);
+      await pool.notifyRewardAmount(token, reward, duration);
+      const toppedUpAt = BigInt(await time.latest());
+
+      // Half of the first period is left over and rolled into the new one
+      const leftover = (duration / 2n) * initialRate;
+      expect(await pool.getRewardRate(token)).to.equal((reward + leftover) / duration);
+      expect((await pool.rewardData(token)).periodFinish).to.equal(toppedUpAt + duration);
+
+      // Everything deposited is eventually distributed
+      await time.increase(duration);
+      expect(await pool.earned(user1.address, token)).to.be.closeTo(reward * 2n, ethers.parseUnits("0.0001", 18));
+    });
+
+    it("Should start a fresh rate after the previous period has expired", async function () {
+      await pool.notifyRewardAmount(token, reward, duration);
+      await time.increase(duration * 2n);
+
+      await pool.notifyRewardAmount(token, reward * 2n, duration * 4n);
+      expect(await pool.getRewardRate(token)).to.equal((reward * 2n) / (duration * 4n));
+      expect((await pool.rewardData(token)).periodFinish).to.equal(BigInt(await time.latest()) + duration * 4n);
+    });
+
+    it("Should split rewards across period rollover between stakers", async function () {
+      await mockToken.connect(user1).approve(await pool.getAddress(), stakeAmount);
+      await pool.connect(user1).stake(stakeAmount);
+      await pool.notifyRewardAmount(token, reward, duration);
+
+      // User1 earns the whole first period alone
+      await time.increase(duration + 100n);
+      await mockToken.connect(user2).approve(await pool.getAddress(), stakeAmount);
+      await pool.connect(user2).stake(stakeAmount);
+
+      // Both users share the second period equally
+      await pool.notifyRewardAmount(token, reward, duration);
+      await time.increase(duration + 100n);
+
+      const precision = ethers.parseUnits("0.01", 18);
+      expect(await pool.earned(user1.address, token)).to.be.closeTo(reward + reward / 2n, precision);
+      expect(await pool.earned(user2.address, token)).to.be.closeTo(reward / 2n, precision);
+    });
+
+    it("Should only apply rate changes during a period and within the reserve", async function () {
+      await pool.setRateChangeDelay(0);
+      await pool.proposeRewardRate(token, 1);
+      await expect(pool.executeRewardRate(token)).to.be.revertedWith("No active reward period");
+      await pool.cancelRewardRate(token);
+
+      await pool.notifyRewardAmount(token, reward, duration);
+      await pool.proposeRewardRate(token, reward);
+      await expect(pool.executeRewardRate(token)).to.be.revertedWith("Reward exceeds reserve");
+      await pool.cancelRewardRate(token);
+
+      const newRate = reward / duration / 2n;
+      await pool.proposeRewardRate(token, newRate);
+      await expect(pool.executeRewardRate(token)).to.emit(pool, "RewardRateUpdated").withArgs(token, newRate);
+      expect(await pool.getRewardRate(token)).to.equal(newRate);
+
+      await pool.proposeRewardRate(token, newRate);
+      await time.increase(duration);
+      await expect(pool.executeRewardRate(token)).to.be.revertedWith("No active reward period");
+    });
+  });
+
+  describe("Multiple reward tokens", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+    const reward = ethers.parseUnits("864", 18);
+    const duration = 86400n;
+
+    let rewardToken;
+    let rewardTokenAddress;
+    let pool;
+
+    beforeEach(async function () {
+      // Pay rewards in a separate token, and in the staking token as a second reward token
+      const MockToken = await ethers.getContractFactory("MockToken");
+      rewardToken = await MockToken.deploy("Reward Token", "RWD", initialSupply);
+      rewardTokenAddress = await rewardToken.getAddress();
+
+      const StakingContract = await ethers.getContractFactory("StakingContract");
+      pool = await StakingContract.deploy(token, rewardTokenAddress);
+      await pool.addRewardToken(token);
+
+      await rewardToken.approve(await pool.getAddress(), reward * 10n);
+      await mockToken.approve(await pool.getAddress(), reward * 10n);
+    });
+
+    it("Should use the constructor reward token as the primary reward token", async function () {
+      expect(await pool.rewardTokens(0)).to.equal(rewardTokenAddress);
+      expect(await pool.getRewardTokens()).to.deep.equal([rewardTokenAddress, token]);
+      expect(await pool.isRewardToken(rewardTokenAddress)).to.equal(true);
+    });
+
+    it("Should only allow the admin to add reward tokens", async function () {
+      await expect(pool.connect(user1).addRewardToken(user1.address))
+        .to.be.revertedWithCustomError(pool, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await pool.DEFAULT_ADMIN_ROLE());
+    });
+
+    it("Should reject invalid or duplicate reward tokens", async function () {
+      await expect(pool.addRewardToken(ethers.ZeroAddress)).to.be.revertedWith(
+        "Reward token cannot be zero address"
+      );
+      await expect(pool.addRewardToken(token)).to.be.revertedWith("Reward token already added");
+    });
+
+    it("Should limit the number of reward tokens", async function () {
+      const maxRewardTokens = await pool.MAX_REWARD_TOKENS();
+      const signers = await ethers.getSigners();
+      for (let i = 2n; i < maxRewardTokens; i++) {
+        await expect(pool.addRewardToken(signers[i].address))
+          .to.emit(pool, "RewardTokenAdded")
+          .withArgs(signers[i].address);
+      }
+
+      await expect(pool.addRewardToken(signers[Number(maxRewardTokens)].address)).to.be.revertedWith(
+        "Too many reward tokens"
+      );
+    });
+
+    it("Should reject operations on tokens that are not reward tokens", async function () {
+      await expect(pool.notifyRewardAmount(user1.address, reward, duration)).to.be.revertedWith("Not a reward token");
+      await expect(pool.fundRewards(user1.address, reward)).to.be.revertedWith("Not a reward token");
+      await expect(pool.connect(user1).claimReward(user1.address)).to.be.revertedWith("Not a reward token");
+    });
+
+    it("Should accrue each reward token at its own rate", async function () {
+      await mockToken.connect(user1).approve(await pool.getAddress(), stakeAmount);
+      await pool.connect(user1).stake(stakeAmount);
+
+      // The staking token pays half as much over twice as long
+      await pool.notifyRewardAmount(rewardTokenAddress, reward, duration);
+      await pool.notifyRewardAmount(token, reward / 2n, duration * 2n);
+      expect(await pool.getRewardRate(rewardTokenAddress)).to.equal(reward / duration);
+      expect(await pool.getRewardRate(token)).to.equal(reward / 2n / (duration * 2n));
+
+      await time.increase(duration);
+      const precision = ethers.parseUnits("0.01", 18);
+      expect(await pool.earned(user1.address, rewardTokenAddress)).to.be.closeTo(reward, precision);
+      expect(await pool.earned(user1.address, token)).to.be.closeTo(reward / 4n, precision);
+    });
+
+    it("Should keep the reserves of each reward token separate", async function () {
+      await pool.notifyRewardAmount(rewardTokenAddress, reward, duration);
+      await pool.fundRewards(token, reward / 2n);
+
+      expect((await pool.rewardData(rewardTokenAddress)).rewardReserve).to.equal(reward);
+      expect((await pool.rewardData(token)).rewardReserve).to.equal(reward / 2n);
+      expect(await pool.rewardRunway(token)).to.equal(0);
+    });
+
+    it("Should pay a single reward token with claimReward", async function () {
+      await mockToken.connect(user1).approve(await pool.getAddress(), stakeAmount);
+      await pool.connect(user1).stake(stakeAmount);
+      await pool.notifyRewardAmount(rewardTokenAddress, reward, duration);
+      await pool.notifyRewardAmount(token, reward, duration);
+      await time.increase(duration);
+
+      const stakingTokenBalance = await mockToken.balanceOf(user1.address);
+      await expect(pool.connect(user1).claimReward(rewardTokenAddress)).to.emit(pool, "RewardClaimed");
+
+      expect(await rewardToken.balanceOf(user1.address)).to.be.closeTo(reward, ethers.parseUnits("0.01", 18));
+      expect(await mockToken.balanceOf(user1.address)).to.equal(stakingTokenBalance);
+      expect(await pool.earned(user1.address, rewardTokenAddress)).to.equal(0);
+      expect(await pool.earned(user1.address, token)).to.be.gt(0);
+    });
+
+    it("Should pay every reward token with claimAll", async function () {
+      await mockToken.connect(user1).approve(await pool.getAddress(), stakeAmount);
+      await pool.connect(user1).stake(stakeAmount);
+      await pool.notifyRewardAmount(rewardTokenAddress, reward, duration);
+      await pool.notifyRewardAmount(token, reward, duration);
+      await time.increase(duration + 100n);
+
+      const earnedReward = await pool.earned(user1.address, rewardTokenAddress);
+      const earnedStakingToken = await pool.earned(user1.address, token);
+      const stakingTokenBalance = await mockToken.balanceOf(user1.address);
+
+      await expect(pool.connect(user1).claimAll())
+        .to.emit(pool, "RewardClaimed")
+        .withArgs(user1.address, rewardTokenAddress, earnedReward)
+        .and.to.emit(pool, "RewardClaimed")
+        .withArgs(user1.address, token, earnedStakingToken);
+
+      expect(await rewardToken.balanceOf(user1.address)).to.equal(earnedReward);
+      expect((await mockToken.balanceOf(user1.address)) - stakingTokenBalance).to.equal(earnedStakingToken);
+      expect(await pool.earned(user1.address, rewardTokenAddress)).to.equal(0);
+      expect(await pool.earned(user1.address, token)).to.equal(0);
+
+      // Principal stays withdrawable after the staking token rewards are paid
+      await unstakeAndWithdraw(pool, user1, stakeAmount);
+      expect(await pool.getTotalStaked()).to.equal(0);
+      expect(await mockToken.balanceOf(await pool.getAddress())).to.be.lt(reward);
+    });
+  });
+
+  describe("Lock positions", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+    const day = 86400n;
+
+    beforeEach(async function () {
+      await mockToken.connect(user1).approve(await stakingContract.getAddress(), stakeAmount * 10n);
+      await mockToken.connect(user2).approve(await stakingContract.getAddress(), stakeAmount * 10n);
+    });
+
+    it("Should enable 30, 90 and 180 day locks by default", async function () {
+      expect(await stakingContract.lockMultipliers(30n * day)).to.equal(12500);
+      expect(await stakingContract.lockMultipliers(90n * day)).to.equal(15000);
+      expect(await stakingContract.lockMultipliers(180n * day)).to.equal(20000);
+      expect(await stakingContract.lockMultipliers(60n * day)).to.equal(0);
+    });
+
+    it("Should record a lock position with a boosted reward weight", async function () {
+      await expect(stakingContract.connect(user1).stakeLocked(stakeAmount, 90n * day))
+        .to.emit(stakingContract, "StakedLocked")
+        .withArgs(user1.address, stakeAmount, 90n * day, anyValue, 15000);
+
+      const [position] = await stakingContract.getLockPositions(user1.address);
+      expect(position.amount).to.equal(stakeAmount);
+      expect(position.unlockTime).to.equal(BigInt(await time.latest()) + 90n * day);
+      expect(position.multiplier).to.equal(15000);
+      expect((await stakingContract.getLockPosition(user1.address, 0)).amount).to.equal(stakeAmount);
+
+      expect(await stakingContract.getStakedBalance(user1.address)).to.equal(stakeAmount);
+      expect(await stakingContract.lockedBalanceOf(user1.address)).to.equal(stakeAmount);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal((stakeAmount * 3n) / 2n);
+      expect(await stakingContract.totalWeight()).to.equal((stakeAmount * 3n) / 2n);
+    });
+
+    it("Should reject unsupported lock durations", async function () {
+      await expect(stakingContract.connect(user1).stakeLocked(stakeAmount, 60n * day)).to.be.revertedWith(
+        "Unsupported lock duration"
+      );
+      await expect(stakingContract.connect(user1).stakeLocked(0, 30n * day)).to.be.revertedWith("Cannot stake 0");
+      await expect(stakingContract.getLockPosition(user1.address, 0)).to.be.revertedWith("Invalid lock position");
+    });
+
+    it("Should limit the number of lock positions", async function () {
+      const maxPositions = await stakingContract.MAX_LOCK_POSITIONS();
+      for (let i = 0n; i < maxPositions; i++) {
+        await stakingContract.connect(user1).stakeLocked(1n, 30n * day);
+      }
+
+      await expect(stakingContract.connect(user1).stakeLocked(1n, 30n * day)).to.be.revertedWith(
+        "Too many lock positions"
+      );
+    });
+
+    it("Should refuse to unstake locked tokens until the lock expires", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.connect(user1).stakeLocked(stakeAmount, 30n * day);
+
+      // Only the unlocked stake can be withdrawn
+      await expect(stakingContract.connect(user1).requestUnstake(stakeAmount + 1n)).to.be.revertedWith(
+        "Tokens are locked"
+      );
+      await stakingContract.connect(user1).requestUnstake(stakeAmount);
+
+      await time.increase(30n * day - 10n);
+      await expect(stakingContract.connect(user1).requestUnstake(stakeAmount)).to.be.revertedWith("Tokens are locked");
+
+      // Once expired, the position is released and can be unstaked
+      await time.increase(10n);
+      await expect(stakingContract.connect(user1).requestUnstake(stakeAmount))
+        .to.emit(stakingContract, "LockReleased")
+        .and.to.emit(stakingContract, "UnstakeRequested")
+        .withArgs(user1.address, stakeAmount, anyValue);
+
+      expect(await stakingContract.getStakedBalance(user1.address)).to.equal(0);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal(0);
+      expect(await stakingContract.totalWeight()).to.equal(0);
+      expect(await stakingContract.getLockPositions(user1.address)).to.have.lengthOf(0);
+    });
+
+    it("Should distribute rewards over the boosted total weight", async function () {
+      // User2 locks for 180 days with a 2x multiplier
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.connect(user2).stakeLocked(stakeAmount, 180n * day);
+      expect(await stakingContract.totalWeight()).to.equal(stakeAmount * 3n);
+
+      const earned1Before = await stakingContract.earned(user1.address, token);
+      await time.increase(day);
+
+      const earned1 = (await stakingContract.earned(user1.address, token)) - earned1Before;
+      const earned2 = await stakingContract.earned(user2.address, token);
+      const precision = ethers.parseUnits("0.01", 18);
+      expect(earned1).to.be.closeTo((rewardRate * day) / 3n, precision);
+      expect(earned2).to.be.closeTo((rewardRate * day * 2n) / 3n, precision);
+      expect(await stakingContract.getEstimatedDailyRewards(user2.address, token)).to.be.closeTo(
+        (rewardRate * day * 2n) / 3n,
+        precision
+      );
+    });
+
+    it("Should let anyone release expired positions", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.connect(user2).stakeLocked(stakeAmount, 30n * day);
+      const { unlockTime } = await stakingContract.getLockPosition(user2.address, 0);
+      await time.increase(30n * day);
+
+      await expect(stakingContract.connect(user1).releaseExpiredLocks(user2.address))
+        .to.emit(stakingContract, "LockReleased")
+        .withArgs(user2.address, stakeAmount, unlockTime);
+
+      // The released stake counts without a multiplier again
+      expect(await stakingContract.rewardWeights(user2.address)).to.equal(stakeAmount);
+      expect(await stakingContract.totalWeight()).to.equal(stakeAmount * 2n);
+      expect(await stakingContract.lockedBalanceOf(user2.address)).to.equal(0);
+
+      const earned1Before = await stakingContract.earned(user1.address, token);
+      const earned2Before = await stakingContract.earned(user2.address, token);
+      await time.increase(day);
+      const earned1 = (await stakingContract.earned(user1.address, token)) - earned1Before;
+      const earned2 = (await stakingContract.earned(user2.address, token)) - earned2Before;
+      expect(earned1).to.be.closeTo(earned2, ethers.parseUnits("0.01", 18));
+    });
+
+    it("Should only allow the admin to set lock multipliers", async function () {
+      await expect(stakingContract.connect(user1).setLockMultiplier(60n * day, 14000))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await stakingContract.DEFAULT_ADMIN_ROLE());
+
+      await expect(stakingContract.setLockMultiplier(0, 14000)).to.be.revertedWith(
+        "Lock duration must be greater than zero"
+      );
+      await expect(stakingContract.setLockMultiplier(60n * day, 9999)).to.be.revertedWith("Invalid lock multiplier");
+      await expect(stakingContract.setLockMultiplier(60n * day, 30001)).to.be.revertedWith("Invalid lock multiplier");
+    });
+
+    it("Should keep the multiplier of existing positions when it changes", async function () {
+      await stakingContract.connect(user1).stakeLocked(stakeAmount, 30n * day);
+
+      await expect(stakingContract.setLockMultiplier(30n * day, 0))
+        .to.emit(stakingContract, "LockMultiplierUpdated")
+        .withArgs(30n * day, 0);
+      await expect(stakingContract.connect(user1).stakeLocked(stakeAmount, 30n * day)).to.be.revertedWith(
+        "Unsupported lock duration"
+      );
+
+      expect((await stakingContract.getLockPosition(user1.address, 0)).multiplier).to.equal(12500);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal((stakeAmount * 5n) / 4n);
+    });
+  });
+
+  describe("Access control", function () {
+    const day = 86400n;
+    let adminRole;
+    let rateManagerRole;
+    let pauserRole;
+    let funderRole;
+
+    beforeEach(async function () {
+      adminRole = await stakingContract.DEFAULT_ADMIN_ROLE();
+      rateManagerRole = await stakingContract.RATE_MANAGER_ROLE();
+      pauserRole = await stakingContract.PAUSER_ROLE();
+      funderRole = await stakingContract.FUNDER_ROLE();
+    });
+
+    it("Should give the deployer every role", async function () {
+      for (const role of [adminRole, rateManagerRole, pauserRole, funderRole]) {
+        expect(await stakingContract.hasRole(role, owner.address)).to.equal(true);
+        expect(await stakingContract.hasRole(role, user1.address)).to.equal(false);
+      }
+      expect(await stakingContract.defaultAdmin()).to.equal(owner.address);
+      expect(await stakingContract.owner()).to.equal(owner.address);
+      expect(await stakingContract.rateChangeDelay()).to.equal(2n * day);
+    });
+
+    it("Should only let each role call its own functions", async function () {
+      await stakingContract.grantRole(pauserRole, user1.address);
+
+      await expect(stakingContract.connect(user1).pause()).to.emit(stakingContract, "Paused");
+      await expect(stakingContract.connect(user1).proposeRewardRate(token, rewardRate))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, rateManagerRole);
+      await expect(stakingContract.connect(user1).grantRole(funderRole, user2.address))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, adminRole);
+
+      await stakingContract.revokeRole(pauserRole, user1.address);
+      await expect(stakingContract.connect(user1).unpause())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, pauserRole);
+    });
+
+    it("Should queue a rate change until its delay has passed", async function () {
+      const newRate = rewardRate / 2n;
+      const tx = stakingContract.proposeRewardRate(token, newRate);
+      const executableAt = BigInt(await time.latest()) + 1n + 2n * day;
+      await expect(tx).to.emit(stakingContract, "RewardRateChangeProposed").withArgs(token, newRate, executableAt);
+
+      const pending = await stakingContract.pendingRateChanges(token);
+      expect(pending.rewardRate).to.equal(newRate);
+      expect(pending.executableAt).to.equal(executableAt);
+      expect(await stakingContract.getRewardRate(token)).to.equal(rewardRate);
+
+      await expect(stakingContract.executeRewardRate(token)).to.be.revertedWith("Rate change delay not passed");
+      await expect(stakingContract.proposeRewardRate(token, newRate)).to.be.revertedWith("Rate change already pending");
+
+      await time.increaseTo(executableAt);
+      await expect(stakingContract.executeRewardRate(token))
+        .to.emit(stakingContract, "RewardRateUpdated")
+        .withArgs(token, newRate);
+      expect(await stakingContract.getRewardRate(token)).to.equal(newRate);
+      expect((await stakingContract.pendingRateChanges(token)).executableAt).to.equal(0);
+      await expect(stakingContract.executeRewardRate(token)).to.be.revertedWith("No pending rate change");
+    });
+
+    it("Should let rate managers cancel a pending change", async function () {
+      await expect(stakingContract.cancelRewardRate(token)).to.be.revertedWith("No pending rate change");
+      await stakingContract.proposeRewardRate(token, rewardRate * 2n);
+
+      await expect(stakingContract.connect(user1).cancelRewardRate(token))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, rateManagerRole);
+      await expect(stakingContract.cancelRewardRate(token))
+        .to.emit(stakingContract, "RewardRateChangeCancelled")
+        .withArgs(token, rewardRate * 2n);
+
+      await time.increase(2n * day);
+      await expect(stakingContract.executeRewardRate(token)).to.be.revertedWith("No pending rate change");
+      expect(await stakingContract.getRewardRate(token)).to.equal(rewardRate);
+    });
+
+    it("Should validate proposed rates", async function () {
+      await expect(stakingContract.proposeRewardRate(user1.address, rewardRate)).to.be.revertedWith("Not a reward token");
+      await expect(stakingContract.proposeRewardRate(token, 0)).to.be.revertedWith(
+        "Reward rate must be greater than zero"
+      );
+    });
+
+    it("Should only let the admin change the rate change delay", async function () {
+      await stakingContract.proposeRewardRate(token, rewardRate / 2n);
+
+      await expect(stakingContract.connect(user1).setRateChangeDelay(0))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, adminRole);
+      await expect(stakingContract.setRateChangeDelay(31n * day)).to.be.revertedWith("Rate change delay too long");
+      await expect(stakingContract.setRateChangeDelay(0)).to.emit(stakingContract, "RateChangeDelayUpdated").withArgs(0);
+
+      // The pending change keeps the delay it was proposed with
+      await expect(stakingContract.executeRewardRate(token)).to.be.revertedWith("Rate change delay not passed");
+    });
+
+    it("Should transfer the admin role in two steps", async function () {
+      await expect(stakingContract.connect(user1).beginDefaultAdminTransfer(user1.address))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, adminRole);
+      await expect(stakingContract.grantRole(adminRole, user1.address)).to.be.revertedWithCustomError(
+        stakingContract,
+        "AccessControlEnforcedDefaultAdminRules"
+      );
+
+      await stakingContract.beginDefaultAdminTransfer(user1.address);
+      expect((await stakingContract.pendingDefaultAdmin()).newAdmin).to.equal(user1.address);
+      expect(await stakingContract.hasRole(adminRole, user1.address)).to.equal(false);
+
+      await expect(stakingContract.connect(user2).acceptDefaultAdminTransfer())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlInvalidDefaultAdmin")
+        .withArgs(user2.address);
+
+      await stakingContract.connect(user1).acceptDefaultAdminTransfer();
+      expect(await stakingContract.defaultAdmin()).to.equal(user1.address);
+      expect(await stakingContract.hasRole(adminRole, owner.address)).to.equal(false);
+      await expect(stakingContract.setCooldownPeriod(0)).to.be.revertedWithCustomError(
+        stakingContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(stakingContract.connect(user1).setCooldownPeriod(0)).to.emit(stakingContract, "CooldownPeriodUpdated");
+    });
+  });
+
+  describe("Emission schedule", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+    const day = 86400n;
+    let start;
+
+    /**
+     * Returns a halving schedule of `count` epochs of `epochLength` seconds, starting at `start`.
+     */
+    function halvings(count, epochLength = 10n * day) {
+      return Array.from({ length: count }, (_, i) => ({
+        startTime: start + BigInt(i) * epochLength,
+        rewardRate: rewardRate / 2n ** BigInt(i + 1),
+      }));
+    }
+
+    beforeEach(async function () {
+      await mockToken.connect(user1).approve(await stakingContract.getAddress(), stakeAmount);
+      await stakingContract.connect(user1).stake(stakeAmount);
+      // The first epoch starts once the 2 day rate change delay has passed
+      start = BigInt(await time.latest()) + 10n * day;
+    });
+
+    it("Should integrate rewards across epochs without any transaction", async function () {
+      const epochs = halvings(3);
+      const tx = stakingContract.setEmissionSchedule(token, epochs);
+      for (const [i, epoch] of epochs.entries()) {
+        await expect(tx)
+          .to.emit(stakingContract, "EmissionEpochScheduled")
+          .withArgs(token, i, epoch.startTime, epoch.rewardRate);
+      }
+      const scheduledAt = BigInt(await time.latest());
+      const earnedBefore = await stakingContract.earned(user1.address, token);
+
+      // Five days into the third epoch, with no transaction since the schedule was set
+      await time.increaseTo(start + 25n * day);
+      const expected =
+        earnedBefore +
+        rewardRate * (start - scheduledAt) +
+        (rewardRate / 2n) * 10n * day +
+        (rewardRate / 4n) * 10n * day +
+        (rewardRate / 8n) * 5n * day;
+      expect(await stakingContract.earned(user1.address, token)).to.equal(expected);
+      expect(await stakingContract.getRewardRate(token)).to.equal(rewardRate / 8n);
+      // The stored rate only changes on the next update
+      expect((await stakingContract.rewardData(token)).rewardRate).to.equal(rewardRate);
+
+      await stakingContract.connect(user1).claimReward(token);
+      const claimedAt = BigInt(await time.latest());
+      expect((await stakingContract.rewardData(token)).rewardRate).to.equal(rewardRate / 8n);
+      expect(await stakingContract.rewards(user1.address, token)).to.equal(0);
+      await time.increase(day);
+      expect(await stakingContract.earned(user1.address, token)).to.equal(
+        (rewardRate / 8n) * (BigInt(await time.latest()) - claimedAt)
+      );
+    });
+
+    it("Should return the schedule and the current epoch", async function () {
+      let [epochs, currentEpoch] = await stakingContract.getEmissionSchedule(token);
+      expect(epochs).to.have.lengthOf(0);
+      expect(currentEpoch).to.equal(0);
+
+      await stakingContract.setEmissionSchedule(token, halvings(2));
+      [epochs, currentEpoch] = await stakingContract.getEmissionSchedule(token);
+      expect(epochs.map((epoch) => [epoch.startTime, epoch.rewardRate])).to.deep.equal(
+        halvings(2).map((epoch) => [epoch.startTime, epoch.rewardRate])
+      );
+      expect(currentEpoch).to.equal(0);
+
+      await time.increaseTo(start);
+      expect((await stakingContract.getEmissionSchedule(token)).currentEpoch).to.equal(1);
+      // 0.005 tokens per second is 15,768% of 1000 staked tokens a year
+      expect(await stakingContract.getAprBps(token)).to.equal(1576800);
+      expect(await stakingContract.getEstimatedDailyRewards(user1.address, token)).to.equal((rewardRate / 2n) * day);
+
+      await time.increaseTo(start + 10n * day);
+      expect((await stakingContract.getEmissionSchedule(token)).currentEpoch).to.equal(2);
+      expect(await stakingContract.getRewardRate(token)).to.equal(rewardRate / 4n);
+    });
+
+    it("Should spend the reserve at the scheduled rates", async function () {
+      await stakingContract.setEmissionSchedule(token, halvings(2));
+      const scheduledAt = BigInt(await time.latest());
+      const { periodFinish, rewardReserve } = await stakingContract.rewardData(token);
+
+      // Halving leaves part of the reserve, so the runway lasts until the period ends
+      await time.increaseTo(start + day);
+      expect(await stakingContract.rewardRunway(token)).to.equal(periodFinish - BigInt(await time.latest()));
+
+      await time.increaseTo(periodFinish);
+      await stakingContract.connect(user1).claimReward(token);
+      const distributed =
+        rewardRate * (start - scheduledAt) + (rewardRate / 2n) * 10n * day + (rewardRate / 4n) * (periodFinish - start - 10n * day);
+      expect((await stakingContract.rewardData(token)).rewardReserve).to.equal(rewardReserve - distributed);
+      expect(await stakingContract.rewardRunway(token)).to.equal(0);
+    });
+
+    it("Should validate emission schedules", async function () {
+      const rateManagerRole = await stakingContract.RATE_MANAGER_ROLE();
+      await expect(stakingContract.connect(user1).setEmissionSchedule(token, halvings(1)))
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, rateManagerRole);
+      await expect(stakingContract.setEmissionSchedule(user1.address, halvings(1))).to.be.revertedWith("Not a reward token");
+      await expect(stakingContract.setEmissionSchedule(token, [])).to.be.revertedWith("Invalid number of epochs");
+      await expect(stakingContract.setEmissionSchedule(token, halvings(17, day))).to.be.revertedWith(
+        "Invalid number of epochs"
+      );
+
+      start = BigInt(await time.latest()) + day;
+      await expect(stakingContract.setEmissionSchedule(token, halvings(1))).to.be.revertedWith(
+        "Schedule starts before rate change delay"
+      );
+      start += 9n * day;
+      const [first, second] = halvings(2);
+      await expect(stakingContract.setEmissionSchedule(token, [second, first])).to.be.revertedWith("Epochs not in order");
+      await expect(stakingContract.setEmissionSchedule(token, [first, { ...second, startTime: first.startTime }])).to.be.revertedWith(
+        "Epochs not in order"
+      );
+      await expect(stakingContract.setEmissionSchedule(token, [{ ...first, rewardRate: 0 }])).to.be.revertedWith(
+        "Reward rate must be greater than zero"
+      );
+      await expect(stakingContract.setEmissionSchedule(token, halvings(2, rewardsDuration))).to.be.revertedWith(
+        "Epoch starts after period finish"
+      );
+      await expect(stakingContract.setEmissionSchedule(token, [{ ...first, rewardRate: rewardRate * 2n }])).to.be.revertedWith(
+        "Reward exceeds reserve"
+      );
+
+      await time.increase(rewardsDuration);
+      await expect(stakingContract.setEmissionSchedule(token, halvings(1))).to.be.revertedWith("No active reward period");
+    });
+
+    it("Should not set the rate in another way while epochs are pending", async function () {
+      await stakingContract.setEmissionSchedule(token, halvings(2));
+      await stakingContract.proposeRewardRate(token, rewardRate / 2n);
+      await time.increase(2n * day);
+
+      await expect(stakingContract.setEmissionSchedule(token, halvings(2))).to.be.revertedWith("Emission schedule pending");
+      await expect(stakingContract.executeRewardRate(token)).to.be.revertedWith("Emission schedule pending");
+      await mockToken.approve(await stakingContract.getAddress(), rewardRate * day);
+      await expect(stakingContract.notifyRewardAmount(token, rewardRate * day, day)).to.be.revertedWith(
+        "Emission schedule pending"
+      );
+
+      // Once every epoch has started, a rate change replaces the schedule
+      await time.increaseTo(start + 10n * day);
+      await expect(stakingContract.executeRewardRate(token)).to.emit(stakingContract, "RewardRateUpdated");
+      const [epochs, currentEpoch] = await stakingContract.getEmissionSchedule(token);
+      expect(epochs).to.have.lengthOf(0);
+      expect(currentEpoch).to.equal(0);
+      expect(await stakingContract.getRewardRate(token)).to.equal(rewardRate / 2n);
+    });
+
+    it("Should cancel the epochs that have not started", async function () {
+      await expect(stakingContract.cancelEmissionSchedule(token)).to.be.revertedWith("No pending emission epochs");
+      await stakingContract.setEmissionSchedule(token, halvings(3));
+      await time.increaseTo(start);
+
+      await expect(stakingContract.connect(user1).cancelEmissionSchedule(token)).to.be.revertedWithCustomError(
+        stakingContract,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(stakingContract.cancelEmissionSchedule(token))
+        .to.emit(stakingContract, "EmissionScheduleCancelled")
+        .withArgs(token, 2);
+
+      const [epochs, currentEpoch] = await stakingContract.getEmissionSchedule(token);
+      expect(epochs).to.have.lengthOf(1);
+      expect(currentEpoch).to.equal(1);
+      await time.increase(20n * day);
+      expect(await stakingContract.getRewardRate(token)).to.equal(rewardRate / 2n);
+      await expect(stakingContract.cancelEmissionSchedule(token)).to.be.revertedWith("No pending emission epochs");
+    });
+  });
+
+  describe("Pausing", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+
+    beforeEach(async function () {
+      await mockToken.connect(user1).approve(await stakingContract.getAddress(), stakeAmount * 10n);
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await time.increase(86400);
+    });
+
+    it("Should only allow pausers to pause and unpause", async function () {
+      const pauserRole = await stakingContract.PAUSER_ROLE();
+      await expect(stakingContract.connect(user1).pause())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, pauserRole);
+
+      await expect(stakingContract.pause()).to.emit(stakingContract, "Paused").withArgs(owner.address);
+      expect(await stakingContract.paused()).to.equal(true);
+
+      await expect(stakingContract.connect(user1).unpause())
+        .to.be.revertedWithCustomError(stakingContract, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, pauserRole);
+      await expect(stakingContract.unpause()).to.emit(stakingContract, "Unpaused").withArgs(owner.address);
+      expect(await stakingContract.paused()).to.equal(false);
+    });
+
+    it("Should not pause or unpause twice", async function () {
+      await expect(stakingContract.unpause()).to.be.revertedWithCustomError(stakingContract, "ExpectedPause");
+      await stakingContract.pause();
+      await expect(stakingContract.pause()).to.be.revertedWithCustomError(stakingContract, "EnforcedPause");
+    });
+
+    it("Should block staking and claiming while paused", async function () {
+      await stakingContract.pause();
+
+      await expect(stakingContract.connect(user1).stake(stakeAmount)).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+      await expect(stakingContract.connect(user1).stakeLocked(stakeAmount, 30n * 86400n)).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+      await expect(stakingContract.connect(user1).claimReward(token)).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+      await expect(stakingContract.connect(user1).claimAll()).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+    });
+
+    it("Should allow staking and claiming again after unpausing", async function () {
+      await stakingContract.pause();
+      await stakingContract.unpause();
+
+      await expect(stakingContract.connect(user1).stake(stakeAmount)).to.emit(stakingContract, "Staked");
+      await expect(stakingContract.connect(user1).stakeLocked(stakeAmount, 30n * 86400n)).to.emit(
+        stakingContract,
+        "StakedLocked"
+      );
+      await expect(stakingContract.connect(user1).claimReward(token)).to.emit(stakingContract, "RewardClaimed");
+      await time.increase(100);
+      await expect(stakingContract.connect(user1).claimAll()).to.emit(stakingContract, "RewardClaimed");
+    });
+
+    it("Should keep unstaking and withdrawing available while paused", async function () {
+      await stakingContract.pause();
+
+      await expect(stakingContract.connect(user1).requestUnstake(stakeAmount)).to.emit(
+        stakingContract,
+        "UnstakeRequested"
+      );
+      await time.increase(cooldownPeriod);
+      await expect(stakingContract.connect(user1).withdraw())
+        .to.emit(stakingContract, "Withdrawn")
+        .withArgs(user1.address, stakeAmount);
+      await expect(stakingContract.releaseExpiredLocks(user1.address)).not.to.be.reverted;
+    });
+
+    it("Should keep reward management available while paused", async function () {
+      await stakingContract.pause();
+      const amount = ethers.parseUnits("100", 18);
+      await mockToken.approve(await stakingContract.getAddress(), amount * 2n);
+
+      await expect(stakingContract.fundRewards(token, amount)).to.emit(stakingContract, "RewardsFunded");
+      await expect(stakingContract.notifyRewardAmount(token, amount, rewardsDuration)).to.emit(
+        stakingContract,
+        "RewardAdded"
+      );
+      await stakingContract.proposeRewardRate(token, rewardRate / 2n);
+      await time.increase(2n * 86400n);
+      await expect(stakingContract.executeRewardRate(token)).to.emit(stakingContract, "RewardRateUpdated");
+    });
+
+    it("Should keep accruing rewards while paused", async function () {
+      const earnedBefore = await stakingContract.earned(user1.address, token);
+      await stakingContract.pause();
+      await time.increase(86400);
+
+      expect(await stakingContract.earned(user1.address, token)).to.be.gt(earnedBefore);
+    });
+  });
+
+  describe("Emergency withdraw", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+
+    beforeEach(async function () {
+      await mockToken.connect(user1).approve(await stakingContract.getAddress(), stakeAmount * 10n);
+      await mockToken.connect(user2).approve(await stakingContract.getAddress(), stakeAmount * 10n);
+    });
+
+    it("Should return the whole stake and forfeit pending rewards to the reserve", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await time.increase(86400);
+      await stakingContract.connect(user1).stake(stakeAmount);
+
+      const pending = await stakingContract.rewards(user1.address, token);
+      const reserveBefore = (await stakingContract.rewardData(token)).rewardReserve;
+      const balanceBefore = await mockToken.balanceOf(user1.address);
+
+      await expect(stakingContract.connect(user1).emergencyWithdraw())
+        .to.emit(stakingContract, "RewardForfeited")
+        .withArgs(user1.address, token, pending)
+        .and.to.emit(stakingContract, "EmergencyWithdrawn")
+        .withArgs(user1.address, stakeAmount * 2n);
+
+      expect(await mockToken.balanceOf(user1.address)).to.equal(balanceBefore + stakeAmount * 2n);
+      expect((await stakingContract.rewardData(token)).rewardReserve).to.equal(reserveBefore + pending);
+      expect(await stakingContract.getStakedBalance(user1.address)).to.equal(0);
+      expect(await stakingContract.getTotalStaked()).to.equal(0);
+      expect(await stakingContract.totalWeight()).to.equal(0);
+      expect(await stakingContract.earned(user1.address, token)).to.equal(0);
+    });
+
+    it("Should work while paused", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.pause();
+
+      await expect(stakingContract.connect(user1).emergencyWithdraw())
+        .to.emit(stakingContract, "EmergencyWithdrawn")
+        .withArgs(user1.address, stakeAmount);
+    });
+
+    it("Should ignore locks", async function () {
+      await stakingContract.connect(user1).stakeLocked(stakeAmount, 180n * 86400n);
+
+      await expect(stakingContract.connect(user1).emergencyWithdraw())
+        .to.emit(stakingContract, "EmergencyWithdrawn")
+        .withArgs(user1.address, stakeAmount);
+
+      expect(await stakingContract.getLockPositions(user1.address)).to.have.lengthOf(0);
+      expect(await stakingContract.lockedBalanceOf(user1.address)).to.equal(0);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal(0);
+    });
+
+    it("Should leave pending withdrawals withdrawable", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.connect(user1).requestUnstake(stakeAmount / 2n);
+      await stakingContract.connect(user1).emergencyWithdraw();
+
+      expect(await stakingContract.unbondingBalances(user1.address)).to.equal(stakeAmount / 2n);
+      await time.increase(cooldownPeriod);
+      await expect(stakingContract.connect(user1).withdraw())
+        .to.emit(stakingContract, "Withdrawn")
+        .withArgs(user1.address, stakeAmount / 2n);
+    });
+
+    it("Should give the unrecorded share of the leaving staker to the remaining stakers", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.connect(user2).stake(stakeAmount);
+      await time.increase(86400);
+      await stakingContract.connect(user1).emergencyWithdraw();
+
+      // No reward calculation runs on emergency withdrawal, so the rewards since the last update
+      // all go to user2, who then earns the whole rate
+      const earned = await stakingContract.earned(user2.address, token);
+      expect(earned).to.be.closeTo(rewardRate * 86400n, ethers.parseUnits("0.1", 18));
+      await time.increase(86400);
+      expect((await stakingContract.earned(user2.address, token)) - earned).to.be.closeTo(
+        rewardRate * 86400n,
+        ethers.parseUnits("0.1", 18)
+      );
+    });
+
+    it("Should revert if nothing is staked", async function () {
+      await expect(stakingContract.connect(user1).emergencyWithdraw()).to.be.revertedWith("Nothing staked");
+    });
+  });
+
+  describe("Compounding", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+
+    beforeEach(async function () {
+      await mockToken.connect(user1).approve(await stakingContract.getAddress(), stakeAmount);
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await time.increase(86400);
+    });
+
+    it("Should move rewards into the stake without a token transfer", async function () {
+      const walletBalance = await mockToken.balanceOf(user1.address);
+      const contractBalance = await mockToken.balanceOf(await stakingContract.getAddress());
+
+      const tx = await stakingContract.connect(user1).compound();
+      const compounded = stakeAmount + rewardRate * 86400n;
+      const precision = ethers.parseUnits("0.1", 18);
+      await expect(tx).to.emit(stakingContract, "Compounded");
+
+      const stakedBalance = await stakingContract.getStakedBalance(user1.address);
+      expect(stakedBalance).to.be.closeTo(compounded, precision);
+      expect(await stakingContract.getTotalStaked()).to.equal(stakedBalance);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal(stakedBalance);
+      expect(await stakingContract.earned(user1.address, token)).to.equal(0);
+
+      expect(await mockToken.balanceOf(user1.address)).to.equal(walletBalance);
+      expect(await mockToken.balanceOf(await stakingContract.getAddress())).to.equal(contractBalance);
+    });
+
+    it("Should earn rewards on the compounded amount", async function () {
+      await stakingContract.connect(user1).compound();
+      const stakedBalance = await stakingContract.getStakedBalance(user1.address);
+
+      // User2 stakes the same amount as user1 now has staked
+      await mockToken.connect(user2).approve(await stakingContract.getAddress(), stakedBalance);
+      await stakingContract.connect(user2).stake(stakedBalance);
+      const earned1Before = await stakingContract.earned(user1.address, token);
+      await time.increase(86400);
+
+      const earned1 = (await stakingContract.earned(user1.address, token)) - earned1Before;
+      expect(earned1).to.be.closeTo(await stakingContract.earned(user2.address, token), ethers.parseUnits("0.1", 18));
+    });
+
+    it("Should keep the reserve and the contract balance consistent", async function () {
+      await stakingContract.connect(user1).compound();
+      await stakingContract.connect(user1).requestUnstake(await stakingContract.getStakedBalance(user1.address));
+      await time.increase(cooldownPeriod);
+      await stakingContract.connect(user1).withdraw();
+
+      // Only the undistributed reserve, the rewards accrued since compounding and rounding dust are left
+      const { rewardReserve } = await stakingContract.rewardData(token);
+      const unclaimed = await stakingContract.rewards(user1.address, token);
+      const contractBalance = await mockToken.balanceOf(await stakingContract.getAddress());
+      expect(contractBalance).to.be.gte(rewardReserve + unclaimed);
+      expect(contractBalance).to.be.closeTo(rewardReserve + unclaimed, 1000000n);
+    });
+
+    it("Should revert without rewards to compound", async function () {
+      await expect(stakingContract.connect(user2).compound()).to.be.revertedWith("No rewards to compound");
+    });
+
+    it("Should require the staking token to be a reward token", async function () {
+      const MockToken = await ethers.getContractFactory("MockToken");
+      const rewardToken = await MockToken.deploy("Reward Token", "RWD", initialSupply);
+      const StakingContract = await ethers.getContractFactory("StakingContract");
+      const pool = await StakingContract.deploy(token, await rewardToken.getAddress());
+
+      await expect(pool.connect(user1).compound()).to.be.revertedWith("Staking token is not a reward token");
+    });
+
+    it("Should not compound while paused", async function () {
+      await stakingContract.pause();
+      await expect(stakingContract.connect(user1).compound()).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+    });
+
+    it("Should only let others compound for users who opted in", async function () {
+      await expect(stakingContract.connect(user2).compoundFor(user1.address)).to.be.revertedWith(
+        "Auto-compound not enabled"
+      );
+
+      await expect(stakingContract.connect(user1).setAutoCompound(true))
+        .to.emit(stakingContract, "AutoCompoundSet")
+        .withArgs(user1.address, true);
+      await expect(stakingContract.connect(user2).compoundFor(user1.address))
+        .to.emit(stakingContract, "Compounded")
+        .withArgs(user1.address, user2.address, anyValue);
+      expect(await stakingContract.getStakedBalance(user1.address)).to.be.gt(stakeAmount);
+      expect(await stakingContract.getStakedBalance(user2.address)).to.equal(0);
+
+      await stakingContract.connect(user1).setAutoCompound(false);
+      await expect(stakingContract.connect(user2).compoundFor(user1.address)).to.be.revertedWith(
+        "Auto-compound not enabled"
+      );
+    });
+  });
+
+  describe("Staking with permit", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+
+    async function permitDeadline() {
+      return BigInt(await time.latest()) + 3600n;
+    }
+
+    it("Should stake in a single transaction without a prior approval", async function () {
+      const stakingContractAddress = await stakingContract.getAddress();
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(hre, mockToken, user1, stakingContractAddress, stakeAmount, deadline);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(stakeAmount, deadline, v, r, s))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(user1.address, stakeAmount);
+
+      expect(await stakingContract.getStakedBalance(user1.address)).to.equal(stakeAmount);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal(stakeAmount);
+      expect(await mockToken.allowance(user1.address, stakingContractAddress)).to.equal(0);
+      expect(await mockToken.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should reject a permit whose deadline has passed", async function () {
+      const deadline = BigInt(await time.latest()) + 60n;
+      const { v, r, s } = await signPermit(
+        hre,
+        mockToken,
+        user1,
+        await stakingContract.getAddress(),
+        stakeAmount,
+        deadline
+      );
+      await time.increase(120);
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(stakeAmount, deadline, v, r, s))
+        .to.be.revertedWithCustomError(mockToken, "ERC2612ExpiredSignature")
+        .withArgs(deadline);
+    });
+
+    it("Should reject a replayed permit", async function () {
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(
+        hre,
+        mockToken,
+        user1,
+        await stakingContract.getAddress(),
+        stakeAmount,
+        deadline
+      );
+      await stakingContract.connect(user1).stakeWithPermit(stakeAmount, deadline, v, r, s);
+
+      // The nonce was used, so the same signature no longer recovers to the user
+      await expect(
+        stakingContract.connect(user1).stakeWithPermit(stakeAmount, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(mockToken, "ERC2612InvalidSigner");
+      expect(await stakingContract.getStakedBalance(user1.address)).to.equal(stakeAmount);
+    });
+
+    it("Should reject a permit signed by another account", async function () {
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(
+        hre,
+        mockToken,
+        user2,
+        await stakingContract.getAddress(),
+        stakeAmount,
+        deadline
+      );
+
+      await expect(stakingContract.connect(user1).stakeWithPermit(stakeAmount, deadline, v, r, s))
+        .to.be.revertedWithCustomError(mockToken, "ERC2612InvalidSigner")
+        .withArgs(anyValue, user1.address);
+      expect(await stakingContract.getStakedBalance(user2.address)).to.equal(0);
+    });
+
+    it("Should reject a permit for a different amount", async function () {
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(
+        hre,
+        mockToken,
+        user1,
+        await stakingContract.getAddress(),
+        stakeAmount,
+        deadline
+      );
+
+      await expect(
+        stakingContract.connect(user1).stakeWithPermit(stakeAmount * 2n, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(mockToken, "ERC2612InvalidSigner");
+    });
+
+    it("Should not allow staking with a permit while paused", async function () {
+      const deadline = await permitDeadline();
+      const { v, r, s } = await signPermit(
+        hre,
+        mockToken,
+        user1,
+        await stakingContract.getAddress(),
+        stakeAmount,
+        deadline
+      );
+      await stakingContract.pause();
+
+      await expect(
+        stakingContract.connect(user1).stakeWithPermit(stakeAmount, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(stakingContract, "EnforcedPause");
+    });
+  });
+
+  describe("Delegation", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+    let pool;
+    let coldWallet;
+
+    beforeEach(async function () {
+      [, , , coldWallet] = await ethers.getSigners();
+      pool = await stakingContract.getAddress();
+    });
+
+    it("Should stake the caller's tokens for the beneficiary", async function () {
+      const ownerBalance = await mockToken.balanceOf(owner.address);
+      const userBalance = await mockToken.balanceOf(user1.address);
+      await mockToken.approve(pool, stakeAmount);
+
+      await expect(stakingContract.stakeFor(user1.address, stakeAmount))
+        .to.emit(stakingContract, "Staked")
+        .withArgs(user1.address, stakeAmount)
+        .and.to.emit(stakingContract, "StakedFor")
+        .withArgs(user1.address, owner.address, stakeAmount);
+
+      expect(await stakingContract.getStakedBalance(user1.address)).to.equal(stakeAmount);
+      expect(await stakingContract.rewardWeights(user1.address)).to.equal(stakeAmount);
+      expect(await stakingContract.getStakedBalance(owner.address)).to.equal(0);
+      expect(await mockToken.balanceOf(owner.address)).to.equal(ownerBalance - stakeAmount);
+      expect(await mockToken.balanceOf(user1.address)).to.equal(userBalance);
+
+      // The beneficiary earns the rewards of the stake
+      await time.increase(86400);
+      expect(await stakingContract.earned(user1.address, token)).to.be.closeTo(rewardRate * 86400n, ethers.parseUnits("0.1", 18));
+      expect(await stakingContract.earned(owner.address, token)).to.equal(0);
+    });
+
+    it("Should validate stakes for another account", async function () {
+      await mockToken.approve(pool, stakeAmount);
+      await expect(stakingContract.stakeFor(user1.address, 0)).to.be.revertedWith("Cannot stake 0");
+      await expect(stakingContract.stakeFor(ethers.ZeroAddress, stakeAmount)).to.be.revertedWith("Invalid beneficiary");
+      // The payer, not the beneficiary, must have approved the tokens
+      await expect(stakingContract.connect(user2).stakeFor(user1.address, stakeAmount)).to.be.revertedWithCustomError(
+        mockToken,
+        "ERC20InsufficientAllowance"
+      );
+
+      await stakingContract.pause();
+      await expect(stakingContract.stakeFor(user1.address, stakeAmount)).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+    });
+
+    it("Should not let the payer or an operator move the beneficiary's principal", async function () {
+      await mockToken.approve(pool, stakeAmount);
+      await stakingContract.stakeFor(user1.address, stakeAmount);
+      await stakingContract.connect(user1).setOperator(user2.address, true);
+
+      for (const other of [owner, user2]) {
+        await expect(stakingContract.connect(other).requestUnstake(stakeAmount)).to.be.revertedWith("Not enough staked tokens");
+        await expect(stakingContract.connect(other).withdraw()).to.be.revertedWith("Nothing to withdraw");
+        await expect(stakingContract.connect(other).emergencyWithdraw()).to.be.revertedWith("Nothing staked");
+      }
+
+      // Once the beneficiary unstakes, only the beneficiary can withdraw
+      await stakingContract.connect(user1).requestUnstake(stakeAmount);
+      await time.increase(cooldownPeriod);
+      for (const other of [owner, user2]) {
+        await expect(stakingContract.connect(other).withdraw()).to.be.revertedWith("Nothing to withdraw");
+      }
+      const balance = await mockToken.balanceOf(user1.address);
+      await stakingContract.connect(user1).withdraw();
+      expect(await mockToken.balanceOf(user1.address)).to.equal(balance + stakeAmount);
+    });
+
+    it("Should claim every reward token to another address", async function () {
+      const MockToken = await ethers.getContractFactory("MockToken");
+      const rewardToken = await MockToken.deploy("Reward Token", "RWD", initialSupply);
+      const reward = await rewardToken.getAddress();
+      await stakingContract.addRewardToken(reward);
+      await rewardToken.approve(pool, rewardRate * rewardsDuration);
+      await stakingContract.notifyRewardAmount(reward, rewardRate * rewardsDuration, rewardsDuration);
+
+      await mockToken.connect(user1).approve(pool, stakeAmount);
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await time.increase(86400);
+
+      const walletBalance = await mockToken.balanceOf(user1.address);
+      const tx = await stakingContract.connect(user1).claimRewardTo(coldWallet.address);
+      const receipt = await tx.wait();
+      const claims = receipt.logs
+        .map((log) => stakingContract.interface.parseLog(log))
+        .filter((event) => event && event.name === "RewardClaimedTo");
+      expect(claims.map((event) => event.args.rewardToken)).to.deep.equal([token, reward]);
+      for (const event of claims) {
+        expect(event.args.user).to.equal(user1.address);
+        expect(event.args.recipient).to.equal(coldWallet.address);
+        expect(event.args.caller).to.equal(user1.address);
+      }
+      await expect(tx).to.emit(stakingContract, "RewardClaimed").withArgs(user1.address, token, claims[0].args.reward);
+
+      expect(await mockToken.balanceOf(coldWallet.address)).to.equal(claims[0].args.reward);
+      expect(await rewardToken.balanceOf(coldWallet.address)).to.equal(claims[1].args.reward);
+      expect(await mockToken.balanceOf(user1.address)).to.equal(walletBalance);
+      expect(await stakingContract.earned(user1.address, token)).to.equal(0);
+      expect(await stakingContract.earned(user1.address, reward)).to.equal(0);
+
+      await expect(stakingContract.connect(user1).claimRewardTo(ethers.ZeroAddress)).to.be.revertedWith("Invalid recipient");
+    });
+
+    it("Should not emit RewardClaimedTo for a plain claim", async function () {
+      await mockToken.connect(user1).approve(pool, stakeAmount);
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await time.increase(86400);
+
+      await expect(stakingContract.connect(user1).claimAll()).to.not.emit(stakingContract, "RewardClaimedTo");
+    });
+
+    it("Should only let approved operators claim and compound for an account", async function () {
+      await mockToken.connect(user1).approve(pool, stakeAmount);
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await time.increase(86400);
+
+      await expect(stakingContract.connect(user2).claimFor(user1.address)).to.be.revertedWith("Not an approved operator");
+      await expect(stakingContract.connect(user2).compoundFor(user1.address)).to.be.revertedWith("Auto-compound not enabled");
+
+      await expect(stakingContract.connect(user1).setOperator(user2.address, true))
+        .to.emit(stakingContract, "OperatorSet")
+        .withArgs(user1.address, user2.address, true);
+      expect(await stakingContract.operators(user1.address, user2.address)).to.equal(true);
+
+      // Claimed rewards go to the account, not the operator
+      const walletBalance = await mockToken.balanceOf(user1.address);
+      const operatorBalance = await mockToken.balanceOf(user2.address);
+      const tx = await stakingContract.connect(user2).claimFor(user1.address);
+      await expect(tx)
+        .to.emit(stakingContract, "RewardClaimedTo")
+        .withArgs(user1.address, token, user1.address, user2.address, anyValue);
+      expect(await mockToken.balanceOf(user1.address)).to.be.gt(walletBalance);
+      expect(await mockToken.balanceOf(user2.address)).to.equal(operatorBalance);
+
+      // Operators compound without the account opting in to auto-compound
+      await time.increase(86400);
+      await expect(stakingContract.connect(user2).compoundFor(user1.address))
+        .to.emit(stakingContract, "Compounded")
+        .withArgs(user1.address, user2.address, anyValue);
+      expect(await stakingContract.getStakedBalance(user1.address)).to.be.gt(stakeAmount);
+
+      await stakingContract.connect(user1).setOperator(user2.address, false);
+      await time.increase(86400);
+      await expect(stakingContract.connect(user2).claimFor(user1.address)).to.be.revertedWith("Not an approved operator");
+      await expect(stakingContract.connect(user2).compoundFor(user1.address)).to.be.revertedWith("Auto-compound not enabled");
+    });
+
+    it("Should reject invalid operators and operator claims while paused", async function () {
+      await expect(stakingContract.connect(user1).setOperator(ethers.ZeroAddress, true)).to.be.revertedWith("Invalid operator");
+      await expect(stakingContract.connect(user1).setOperator(user1.address, true)).to.be.revertedWith("Invalid operator");
+
+      await stakingContract.connect(user1).setOperator(user2.address, true);
+      await stakingContract.pause();
+      await expect(stakingContract.connect(user2).claimFor(user1.address)).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+      await expect(stakingContract.connect(user1).claimRewardTo(coldWallet.address)).to.be.revertedWithCustomError(
+        stakingContract,
+        "EnforcedPause"
+      );
+    });
+  });
+
+  describe("Pool and account views", function () {
+    const stakeAmount = ethers.parseUnits("1000", 18);
+    const day = 86400n;
+
+    beforeEach(async function () {
+      await mockToken.connect(user1).approve(await stakingContract.getAddress(), stakeAmount * 10n);
+      await mockToken.connect(user2).approve(await stakingContract.getAddress(), stakeAmount * 10n);
+    });
+
+    it("Should report the APR of an unlocked stake in basis points", async function () {
+      expect(await stakingContract.getAprBps(token)).to.equal(0);
+
+      // 0.01 tokens per second is 315,360 tokens a year, or 31,536% of 1000 staked tokens
+      await stakingContract.connect(user1).stake(stakeAmount);
+      expect(await stakingContract.getAprBps(token)).to.equal(3153600);
+
+      // A 90 day lock adds 1.5x its amount to the total reward weight
+      await stakingContract.connect(user2).stakeLocked(stakeAmount, 90n * day);
+      expect(await stakingContract.getAprBps(token)).to.equal((3153600n * 2n) / 5n);
+
+      await time.increase(rewardsDuration);
+      expect(await stakingContract.getAprBps(token)).to.equal(0);
+    });
+
+    it("Should return an account's position and rewards in a single call", async function () {
+      await stakingContract.connect(user1).stake(stakeAmount);
+      await stakingContract.connect(user1).stakeLocked(stakeAmount, 30n * day);
+      await stakingContract.connect(user2).stake(stakeAmount);
+      await stakingContract.connect(user1).setAutoCompound(true);
+      await time.increase(day);
+      await stakingContract.connect(user1).requestUnstake(stakeAmount / 2n);
+      await time.increase(cooldownPeriod);
+      await stakingContract.connect(user1).requestUnstake(stakeAmount / 4n);
+      await time.increase(day);
+
+      const info = await stakingContract.getUserInfo(user1.address);
+      expect(info.stakedBalance).to.equal((stakeAmount * 5n) / 4n);
+      expect(info.lockedBalance).to.equal(stakeAmount);
+      expect(info.rewardWeight).to.equal(await stakingContract.rewardWeights(user1.address));
+      expect(info.unbondingBalance).to.equal((stakeAmount * 3n) / 4n);
+      expect(info.withdrawableBalance).to.equal(stakeAmount / 2n);
+      expect(info.autoCompound).to.equal(true);
+
+      expect(info.rewards).to.have.lengthOf(1);
+      const [reward] = info.rewards;
+      expect(reward.token).to.equal(token);
+      expect(reward.earned).to.equal(await stakingContract.earned(user1.address, token));
+      expect(reward.earned).to.be.greaterThan(0);
+      expect(reward.userRewardPerTokenPaid).to.equal(await stakingContract.userRewardPerTokenPaid(user1.address, token));
+      expect(reward.estimatedDailyRewards).to.equal(await stakingContract.getEstimatedDailyRewards(user1.address, token));
+    });
+
+    it("Should return an empty position for an account that never staked", async function () {
+      const info = await stakingContract.getUserInfo(user2.address);
+      expect(info.stakedBalance).to.equal(0);
+      expect(info.autoCompound).to.equal(false);
+      expect(info.rewards.map((reward) => [reward.token, reward.earned])).to.deep.equal([[token, 0n]]);
+    });
+  });
 });
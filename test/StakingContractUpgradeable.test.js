@@ -0,0 +1,225 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, upgrades } = hre;
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployProxyOrReuse, getManifestPath, readManifest, upgradeProxy } = require("../lib/deployments");
+
+describe("StakingContractUpgradeable", function () {
+  let mockToken;
+  let rewardToken;
+  let token;
+  let proxy;
+  let owner;
+  let user1;
+  let user2;
+  const stakeAmount = ethers.parseUnits("1000", 18);
+  const day = 86400n;
+  const manifestPath = getManifestPath("hardhat");
+  let savedManifest;
+
+  before(function () {
+    // The lib/deployments tests record proxies in the manifest of the hardhat network
+    savedManifest = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, "utf8") : null;
+  });
+
+  after(function () {
+    if (savedManifest === null) {
+      fs.rmSync(manifestPath, { force: true });
+    } else {
+      fs.writeFileSync(manifestPath, savedManifest);
+    }
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    rewardToken = await MockToken.deploy("Quantlink Reward Token", "QRWD", 1000000);
+    token = await mockToken.getAddress();
+
+    const { contract } = await deployProxyOrReuse(hre, "StakingContractUpgradeable", [token, token], { name: "StakingContract" });
+    proxy = contract;
+    const pool = await proxy.getAddress();
+
+    for (const user of [user1, user2]) {
+      await mockToken.transfer(user.address, ethers.parseUnits("10000", 18));
+      await mockToken.connect(user).approve(pool, ethers.MaxUint256);
+    }
+    await mockToken.approve(pool, ethers.MaxUint256);
+    await rewardToken.approve(pool, ethers.MaxUint256);
+
+    // Two reward tokens, each paying 0.01 tokens per second for 100 days
+    await proxy.addRewardToken(await rewardToken.getAddress());
+    await proxy.notifyRewardAmount(token, ethers.parseUnits("86400", 18), 100n * day);
+    await proxy.notifyRewardAmount(rewardToken, ethers.parseUnits("86400", 18), 100n * day);
+  });
+
+  /**
+   * Stakes, locks, unstakes and claims, so that every per-user mapping holds a non-zero value.
+   */
+  async function streamRewards() {
+    await proxy.connect(user1).stake(stakeAmount);
+    await proxy.connect(user2).stakeLocked(stakeAmount, 90n * day);
+    await time.increase(5n * day);
+    await proxy.connect(user1).stake(stakeAmount);
+    await proxy.connect(user1).requestUnstake(stakeAmount / 2n);
+    await proxy.connect(user2).claimAll();
+    await time.increase(day);
+    await proxy.connect(user2).setAutoCompound(true);
+  }
+
+  /**
+   * Returns the per-user state of the pool, and the stored reward state of each reward token.
+   */
+  async function readState(pool) {
+    const rewardTokens = await pool.getRewardTokens();
+    const users = [];
+    for (const user of [user1, user2]) {
+      const account = user.address;
+      const perToken = [];
+      for (const rewardTokenAddress of rewardTokens) {
+        perToken.push([
+          await pool.rewards(account, rewardTokenAddress),
+          await pool.userRewardPerTokenPaid(account, rewardTokenAddress),
+        ]);
+      }
+      users.push({
+        stakedBalance: await pool.stakedBalances(account),
+        rewardWeight: await pool.rewardWeights(account),
+        unbondingBalance: await pool.unbondingBalances(account),
+        lockPositions: (await pool.getLockPositions(account)).map((position) => position.toArray()),
+        autoCompound: await pool.autoCompound(account),
+        perToken,
+      });
+    }
+    const rewardData = [];
+    for (const rewardTokenAddress of rewardTokens) {
+      rewardData.push((await pool.rewardData(rewardTokenAddress)).toArray());
+    }
+    return { rewardTokens, users, rewardData, totalStaked: await pool.totalStaked(), totalWeight: await pool.totalWeight() };
+  }
+
+  describe("Deployment", function () {
+    it("Should initialize the proxy like the constructor of StakingContract", async function () {
+      expect(await proxy.stakingToken()).to.equal(token);
+      expect(await proxy.defaultAdmin()).to.equal(owner.address);
+      for (const role of [await proxy.RATE_MANAGER_ROLE(), await proxy.PAUSER_ROLE(), await proxy.FUNDER_ROLE()]) {
+        expect(await proxy.hasRole(role, owner.address)).to.equal(true);
+      }
+      expect(await proxy.lockMultipliers(90n * day)).to.equal(15000);
+      expect(await proxy.cooldownPeriod()).to.equal(7n * day);
+      expect(await proxy.rateChangeDelay()).to.equal(2n * day);
+    });
+
+    it("Should not be initialized twice, and lock the implementation", async function () {
+      await expect(proxy.initialize(token, token)).to.be.revertedWithCustomError(proxy, "InvalidInitialization");
+
+      const implementation = await ethers.getContractAt(
+        "StakingContractUpgradeable",
+        await upgrades.erc1967.getImplementationAddress(await proxy.getAddress())
+      );
+      await expect(implementation.initialize(token, token)).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should record the proxy and its implementation in the manifest", async function () {
+      const deployment = readManifest("hardhat").contracts.StakingContract;
+      const address = await proxy.getAddress();
+
+      expect(deployment.address).to.equal(address);
+      expect(deployment.contractName).to.equal("StakingContractUpgradeable");
+      expect(deployment.proxyKind).to.equal("transparent");
+      expect(deployment.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(address));
+      expect(deployment.proxyAdmin).to.equal(await upgrades.erc1967.getAdminAddress(address));
+      expect(deployment.initializerArgs).to.deep.equal([token, token]);
+
+      // Deploying again with the same arguments reuses the proxy
+      const again = await deployProxyOrReuse(hre, "StakingContractUpgradeable", [token, token], { name: "StakingContract" });
+      expect(again.deployed).to.equal(false);
+      expect(again.deployment.address).to.equal(address);
+    });
+  });
+
+  describe("Upgrading", function () {
+    it("Should keep balances and rewards intact when upgrading mid-stream", async function () {
+      await streamRewards();
+      const before = await readState(proxy);
+      expect(before.users[0].perToken[0][0]).to.be.greaterThan(0);
+      expect(before.users[0].perToken[1][1]).to.be.greaterThan(0);
+      expect(before.users[1].lockPositions).to.have.lengthOf(1);
+
+      // What both accounts will have earned 10 days from now without an upgrade
+      const later = BigInt(await time.latest()) + 10n * day;
+      const snapshot = await takeSnapshot();
+      await time.increaseTo(later);
+      const expectedEarned = [];
+      for (const user of [user1, user2]) {
+        for (const rewardTokenAddress of before.rewardTokens) {
+          expectedEarned.push(await proxy.earned(user.address, rewardTokenAddress));
+        }
+      }
+      await snapshot.restore();
+
+      const { contract: upgraded, upgraded: didUpgrade } = await upgradeProxy(hre, "StakingContract", "StakingContractV2Mock", {
+        call: { fn: "initializeV2", args: ["v2"] },
+      });
+      expect(didUpgrade).to.equal(true);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.releaseNote()).to.equal("v2");
+      expect(await readState(upgraded)).to.deep.equal(before);
+
+      // Rewards keep accruing exactly as if the pool had not been upgraded
+      await time.increaseTo(later);
+      const earned = [];
+      for (const user of [user1, user2]) {
+        for (const rewardTokenAddress of before.rewardTokens) {
+          earned.push(await upgraded.earned(user.address, rewardTokenAddress));
+        }
+      }
+      expect(earned).to.deep.equal(expectedEarned);
+
+      // And can be claimed through the new implementation
+      const balance = await rewardToken.balanceOf(user1.address);
+      await upgraded.connect(user1).claimReward(rewardToken);
+      expect((await rewardToken.balanceOf(user1.address)) - balance).to.be.greaterThanOrEqual(earned[1]);
+    });
+
+    it("Should record the new implementation and the upgrade history", async function () {
+      const { deployment: initial } = await deployProxyOrReuse(hre, "StakingContractUpgradeable", [token, token], {
+        name: "StakingContract",
+      });
+
+      const { deployment } = await upgradeProxy(hre, "StakingContract", "StakingContractV2Mock");
+      expect(deployment.contractName).to.equal("StakingContractV2Mock");
+      expect(deployment.implementation).to.equal(await upgrades.erc1967.getImplementationAddress(await proxy.getAddress()));
+      expect(deployment.implementation).to.not.equal(initial.implementation);
+      expect(deployment.upgrades).to.have.lengthOf(1);
+      expect(deployment.upgrades[0].implementation).to.equal(initial.implementation);
+      expect(deployment.upgrades[0].contractName).to.equal("StakingContractUpgradeable");
+      expect(readManifest("hardhat").contracts.StakingContract).to.deep.equal(deployment);
+
+      // Upgrading to the implementation the proxy already runs sends nothing
+      const again = await upgradeProxy(hre, "StakingContract", "StakingContractV2Mock");
+      expect(again.upgraded).to.equal(false);
+    });
+
+    it("Should reject an implementation with an incompatible storage layout", async function () {
+      await streamRewards();
+      const before = await readState(proxy);
+      const { implementation } = readManifest("hardhat").contracts.StakingContract;
+
+      await expect(upgradeProxy(hre, "StakingContract", "StakingContractBadLayoutMock")).to.be.rejectedWith(/storage layout is incompatible/);
+
+      // Nothing was upgraded
+      expect(await upgrades.erc1967.getImplementationAddress(await proxy.getAddress())).to.equal(implementation);
+      expect(readManifest("hardhat").contracts.StakingContract.implementation).to.equal(implementation);
+      expect(await readState(proxy)).to.deep.equal(before);
+    });
+
+    it("Should only let the owner of the ProxyAdmin upgrade", async function () {
+      const V2 = await ethers.getContractFactory("StakingContractV2Mock", user1);
+      await expect(upgrades.upgradeProxy(await proxy.getAddress(), V2)).to.be.rejected;
+    });
+  });
+});
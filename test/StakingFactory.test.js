@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const poolConfigs = require("../lib/pools");
+
+const { ethers } = hre;
+
+describe("StakingFactory", function () {
+  let stakingToken;
+  let rewardToken;
+  let implementation;
+  let factory;
+  let deployer, owner, user1;
+  const day = 86400n;
+  const rewardRate = ethers.parseUnits("0.01", 18);
+
+  beforeEach(async function () {
+    [deployer, owner, user1] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    stakingToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    rewardToken = await MockToken.deploy("Quantlink Reward Token", "QRWD", 1000000);
+
+    const StakingContractUpgradeable = await ethers.getContractFactory("StakingContractUpgradeable");
+    implementation = await StakingContractUpgradeable.deploy();
+    const StakingFactory = await ethers.getContractFactory("StakingFactory");
+    factory = await StakingFactory.deploy(await implementation.getAddress());
+
+    await rewardToken.approve(await factory.getAddress(), ethers.MaxUint256);
+    await stakingToken.transfer(user1.address, ethers.parseUnits("10000", 18));
+  });
+
+  /**
+   * Creates a pool through the factory and returns it with the PoolCreated event's arguments.
+   */
+  async function createPool(token, reward, poolOwner, rate, duration) {
+    const tx = await factory.createPool(await token.getAddress(), await reward.getAddress(), poolOwner, rate, duration);
+    const receipt = await tx.wait();
+    const event = receipt.logs.map((log) => factory.interface.parseLog(log)).find((log) => log && log.name === "PoolCreated");
+    return { pool: await ethers.getContractAt("StakingContract", event.args.pool), event, tx };
+  }
+
+  it("Should deploy a pool with its first reward period and register it", async function () {
+    const { pool, event, tx } = await createPool(stakingToken, rewardToken, owner.address, rewardRate, 30n * day);
+    const address = await pool.getAddress();
+    const reward = rewardRate * 30n * day;
+
+    await expect(tx)
+      .to.emit(factory, "PoolCreated")
+      .withArgs(address, await stakingToken.getAddress(), await rewardToken.getAddress(), owner.address, rewardRate, 30n * day);
+    expect(event.args.rewardRate).to.equal(rewardRate);
+
+    expect(await pool.stakingToken()).to.equal(await stakingToken.getAddress());
+    expect(await pool.getRewardTokens()).to.deep.equal([await rewardToken.getAddress()]);
+    expect(await pool.getRewardRate(await rewardToken.getAddress())).to.equal(rewardRate);
+    const { rewardReserve, periodFinish } = await pool.rewardData(await rewardToken.getAddress());
+    expect(rewardReserve).to.equal(reward);
+    expect(periodFinish).to.equal(BigInt((await ethers.provider.getBlock(tx.blockNumber)).timestamp) + 30n * day);
+
+    // The rewards went from the caller into the pool, and the factory keeps nothing
+    expect(await rewardToken.balanceOf(address)).to.equal(reward);
+    expect(await rewardToken.balanceOf(await factory.getAddress())).to.equal(0n);
+
+    expect(await factory.poolCount()).to.equal(1n);
+    expect(await factory.pools(0)).to.equal(address);
+    expect(await factory.getPools()).to.deep.equal([address]);
+    expect(await factory.getPoolsByToken(await stakingToken.getAddress())).to.deep.equal([address]);
+    expect(await factory.isPool(address)).to.equal(true);
+    expect(await factory.isPool(await implementation.getAddress())).to.equal(false);
+  });
+
+  it("Should hand every role of the pool over to its owner", async function () {
+    const { pool } = await createPool(stakingToken, rewardToken, owner.address, rewardRate, 30n * day);
+    const factoryAddress = await factory.getAddress();
+    const roles = [await pool.RATE_MANAGER_ROLE(), await pool.PAUSER_ROLE(), await pool.FUNDER_ROLE()];
+
+    for (const role of roles) {
+      expect(await pool.hasRole(role, owner.address)).to.equal(true);
+      expect(await pool.hasRole(role, factoryAddress)).to.equal(false);
+    }
+    expect((await pool.pendingDefaultAdmin()).newAdmin).to.equal(owner.address);
+    await expect(pool.connect(user1).acceptDefaultAdminTransfer()).to.be.revertedWithCustomError(
+      pool,
+      "AccessControlInvalidDefaultAdmin"
+    );
+
+    await pool.connect(owner).acceptDefaultAdminTransfer();
+    expect(await pool.defaultAdmin()).to.equal(owner.address);
+    expect(await pool.hasRole(ethers.ZeroHash, factoryAddress)).to.equal(false);
+
+    // The owner runs the pool, and the deployer of the factory has no say in it
+    await pool.connect(owner).addRewardToken(await stakingToken.getAddress());
+    await pool.connect(owner).pause();
+    await expect(pool.connect(deployer).unpause()).to.be.revertedWithCustomError(pool, "AccessControlUnauthorizedAccount");
+  });
+
+  it("Should deploy pools that stake and pay rewards like a StakingContract", async function () {
+    const { pool } = await createPool(stakingToken, rewardToken, owner.address, rewardRate, 30n * day);
+    const address = await pool.getAddress();
+    await stakingToken.connect(user1).approve(address, ethers.MaxUint256);
+    await pool.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await time.increase(day);
+
+    await pool.connect(user1).claimAll();
+    const claimed = await rewardToken.balanceOf(user1.address);
+    // A day of rewards, to within the few seconds between the transactions
+    expect(claimed).to.be.closeTo(rewardRate * day, rewardRate * 5n);
+    expect(await pool.totalStaked()).to.equal(ethers.parseUnits("1000", 18));
+
+    // Neither the implementation nor a pool can be initialized again
+    await expect(implementation.initialize(await stakingToken.getAddress(), await rewardToken.getAddress())).to.be.revertedWithCustomError(
+      implementation,
+      "InvalidInitialization"
+    );
+    const clone = await ethers.getContractAt("StakingContractUpgradeable", address);
+    await expect(clone.initialize(await stakingToken.getAddress(), await rewardToken.getAddress())).to.be.revertedWithCustomError(
+      clone,
+      "InvalidInitialization"
+    );
+  });
+
+  it("Should keep a registry of independent pools per staking token", async function () {
+    const first = await createPool(stakingToken, rewardToken, owner.address, rewardRate, 30n * day);
+    // A pool without a reward period, paying in its staking token
+    const second = await createPool(stakingToken, stakingToken, user1.address, 0n, 30n * day);
+    const third = await createPool(rewardToken, stakingToken, owner.address, 0n, 0n);
+    const [a, b, c] = await Promise.all([first, second, third].map(({ pool }) => pool.getAddress()));
+
+    expect(new Set([a, b, c]).size).to.equal(3);
+    expect(await factory.getPools()).to.deep.equal([a, b, c]);
+    expect(await factory.getPoolsByToken(await stakingToken.getAddress())).to.deep.equal([a, b]);
+    expect(await factory.getPoolsByToken(await rewardToken.getAddress())).to.deep.equal([c]);
+    expect(await factory.getPoolsByToken(user1.address)).to.deep.equal([]);
+
+    expect(second.event.args.duration).to.equal(0n);
+    expect((await second.pool.rewardData(await stakingToken.getAddress())).periodFinish).to.equal(0n);
+    expect((await second.pool.pendingDefaultAdmin()).newAdmin).to.equal(user1.address);
+
+    // The pools read live through the library, oldest first
+    const pools = await poolConfigs.listPools(hre, factory);
+    expect(pools.map((pool) => pool.pool)).to.deep.equal([a, b, c]);
+    expect(pools[0]).to.include({ rewardRate: "0.01", totalStaked: "0.0", paused: false });
+    expect(pools[1].rewardRate).to.equal("0.0");
+    expect((await poolConfigs.listPools(hre, factory, await rewardToken.getAddress())).map((pool) => pool.pool)).to.deep.equal([c]);
+  });
+
+  it("Should reject invalid pools and implementations", async function () {
+    const token = await stakingToken.getAddress();
+    const reward = await rewardToken.getAddress();
+    await expect(factory.createPool(token, reward, ethers.ZeroAddress, rewardRate, day)).to.be.revertedWith("Owner cannot be zero address");
+    await expect(factory.createPool(token, reward, owner.address, rewardRate, 0)).to.be.revertedWith("Duration must be greater than zero");
+    await expect(factory.createPool(ethers.ZeroAddress, reward, owner.address, 0, 0)).to.be.revertedWith("Staking token cannot be zero address");
+
+    // Only pool creators can create pools
+    const creatorRole = await factory.POOL_CREATOR_ROLE();
+    expect(await factory.hasRole(creatorRole, deployer.address)).to.equal(true);
+    await expect(factory.connect(user1).createPool(token, reward, user1.address, 0, 0))
+      .to.be.revertedWithCustomError(factory, "AccessControlUnauthorizedAccount")
+      .withArgs(user1.address, creatorRole);
+    await expect(factory.connect(user1).grantRole(creatorRole, user1.address)).to.be.revertedWithCustomError(
+      factory,
+      "AccessControlUnauthorizedAccount"
+    );
+    await factory.grantRole(creatorRole, user1.address);
+
+    // The caller funds the first reward period
+    await expect(factory.connect(user1).createPool(token, reward, owner.address, rewardRate, day)).to.be.revertedWithCustomError(
+      rewardToken,
+      "ERC20InsufficientAllowance"
+    );
+    expect(await factory.poolCount()).to.equal(0n);
+
+    const StakingFactory = await ethers.getContractFactory("StakingFactory");
+    await expect(StakingFactory.deploy(user1.address)).to.be.revertedWith("Implementation is not a contract");
+  });
+
+  it("Should validate pool configs and resolve their tokens", function () {
+    const config = poolConfigs.parsePoolConfig(
+      [
+        "pools:",
+        "  - name: QNTL campaign",
+        `    stakingToken: "${user1.address}"`,
+        `    rewardToken: "${owner.address}"`,
+        '    rewardRate: "0.005"',
+        "    duration: 86400",
+        `  - stakingToken: "${user1.address}"`,
+      ].join("\n"),
+      "yaml"
+    );
+    expect(config.pools).to.deep.equal([
+      { name: "QNTL campaign", stakingToken: user1.address, rewardToken: owner.address, owner: null, rewardRate: "0.005", duration: 86400 },
+      { name: "Pool 2", stakingToken: user1.address, rewardToken: user1.address, owner: null, rewardRate: "0", duration: 0 },
+    ]);
+
+    const [pool] = poolConfigs.resolvePools(hre, config.pools, deployer.address);
+    expect(pool.owner).to.equal(deployer.address);
+    expect(pool.rewardRate).to.equal(ethers.parseUnits("0.005", 18));
+    expect(pool.reward).to.equal(ethers.parseUnits("432", 18));
+
+    const invalid = (pools) => () => poolConfigs.validatePoolConfig({ pools });
+    expect(invalid([])).to.throw(poolConfigs.PoolConfigError, "list of pools");
+    expect(invalid([{ rewardToken: owner.address }])).to.throw("Pool 1: stakingToken must be");
+    expect(invalid([{ stakingToken: "MockToken", rate: "1" }])).to.throw('unknown option "rate"');
+    expect(invalid([{ stakingToken: "MockToken", rewardRate: "-1" }])).to.throw("rewardRate must be an amount");
+    expect(invalid([{ stakingToken: "MockToken", rewardRate: "0.1" }])).to.throw("duration must be a whole number of seconds");
+    expect(invalid([{ name: "Idle", stakingToken: "MockToken", duration: 60 }])).to.throw("Pool 1 (Idle): duration is only used with a rewardRate");
+    expect(() => poolConfigs.parsePoolConfig("{", "json")).to.throw("Invalid JSON");
+
+    const unknown = poolConfigs.validatePoolConfig({ pools: [{ stakingToken: "NoSuchToken" }] }).pools;
+    expect(() => poolConfigs.resolvePools(hre, unknown, deployer.address)).to.throw('"NoSuchToken" is neither an address nor a deployment');
+    const badOwner = poolConfigs.validatePoolConfig({ pools: [{ stakingToken: user1.address, owner: "0x1234" }] }).pools;
+    expect(() => poolConfigs.resolvePools(hre, badOwner, deployer.address)).to.throw('invalid owner address "0x1234"');
+  });
+});
@@ -0,0 +1,100 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("StakingLens", function () {
+  let mockToken;
+  let rewardToken;
+  let stakingContract;
+  let lens;
+  let user1;
+  let user2;
+  let user3;
+  let token;
+  const stakeAmount = ethers.parseUnits("1000", 18);
+  const day = 86400n;
+
+  beforeEach(async function () {
+    [, user1, user2, user3] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    rewardToken = await MockToken.deploy("Quantlink Reward Token", "QRWD", 1000000);
+    token = await mockToken.getAddress();
+
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(token, token);
+    const pool = await stakingContract.getAddress();
+
+    const StakingLens = await ethers.getContractFactory("StakingLens");
+    lens = await StakingLens.deploy();
+
+    for (const user of [user1, user2]) {
+      await mockToken.transfer(user.address, ethers.parseUnits("10000", 18));
+      await mockToken.connect(user).approve(pool, ethers.MaxUint256);
+    }
+    await mockToken.approve(pool, ethers.MaxUint256);
+    await rewardToken.approve(pool, ethers.MaxUint256);
+
+    // Two reward tokens, each paying 0.01 tokens per second for 100 days
+    await stakingContract.addRewardToken(await rewardToken.getAddress());
+    await stakingContract.notifyRewardAmount(token, ethers.parseUnits("86400", 18), 100n * day);
+    await stakingContract.notifyRewardAmount(rewardToken, ethers.parseUnits("86400", 18), 100n * day);
+
+    await stakingContract.connect(user1).stake(stakeAmount);
+    await stakingContract.connect(user2).stakeLocked(stakeAmount, 90n * day);
+    await stakingContract.connect(user1).requestUnstake(stakeAmount / 4n);
+    await time.increase(day);
+  });
+
+  it("Should return the pool state", async function () {
+    const state = await lens.getPoolState(stakingContract);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+
+    expect(state.pool).to.equal(await stakingContract.getAddress());
+    expect(state.stakingToken).to.equal(token);
+    expect(state.paused).to.equal(false);
+    expect(state.totalStaked).to.equal(await stakingContract.totalStaked());
+    expect(state.totalWeight).to.equal(await stakingContract.totalWeight());
+    expect(state.totalUnbonding).to.equal(stakeAmount / 4n);
+    expect(state.cooldownPeriod).to.equal(await stakingContract.cooldownPeriod());
+    expect(state.timestamp).to.equal(timestamp);
+
+    expect(state.rewards.map((reward) => reward.token)).to.deep.equal(await stakingContract.getRewardTokens());
+    for (const reward of state.rewards) {
+      const { rewardRate, periodFinish, rewardReserve } = await stakingContract.rewardData(reward.token);
+      expect(reward.rewardRate).to.equal(rewardRate);
+      expect(reward.periodFinish).to.equal(periodFinish);
+      expect(reward.rewardReserve).to.equal(rewardReserve);
+      expect(reward.rewardPerToken).to.equal(await stakingContract.rewardPerToken(reward.token));
+      expect(reward.runway).to.equal(await stakingContract.rewardRunway(reward.token));
+      expect(reward.aprBps).to.equal(await stakingContract.getAprBps(reward.token));
+      expect(reward.aprBps).to.be.greaterThan(0);
+    }
+  });
+
+  it("Should return the position of several accounts in order", async function () {
+    const accounts = [user2.address, user3.address, user1.address];
+    const infos = await lens.getUsersInfo(stakingContract, accounts);
+
+    expect(infos).to.have.lengthOf(3);
+    for (const [i, account] of accounts.entries()) {
+      expect(infos[i]).to.deep.equal(await stakingContract.getUserInfo(account));
+    }
+    expect(infos[0].lockedBalance).to.equal(stakeAmount);
+    expect(infos[1].stakedBalance).to.equal(0);
+    expect(infos[2].rewards).to.have.lengthOf(2);
+    expect(infos[2].rewards[1].earned).to.be.greaterThan(0);
+  });
+
+  it("Should return the pool state and the accounts from the same block", async function () {
+    const blockTag = await ethers.provider.getBlockNumber();
+    const [state, infos] = await lens.getPoolAndUsersInfo(stakingContract, [user1.address, user2.address]);
+
+    expect(state).to.deep.equal(await lens.getPoolState(stakingContract, { blockTag }));
+    expect(infos).to.deep.equal(await lens.getUsersInfo(stakingContract, [user1.address, user2.address], { blockTag }));
+
+    const [, none] = await lens.getPoolAndUsersInfo(stakingContract, []);
+    expect(none).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createApiServer } = require("../lib/api");
+const indexer = require("../lib/indexer");
+
+const { ethers } = hre;
+
+describe("HTTP API", function () {
+  let mockToken;
+  let stakingContract;
+  let user1;
+  let user2;
+  let server;
+  let baseUrl;
+  let storePath;
+  const stakeAmount = ethers.parseUnits("1000", 18);
+
+  /**
+   * Starts an API server for a staking contract on a free port.
+   */
+  async function startServer(contract, loadEvents) {
+    const apiServer = createApiServer(hre, contract, { loadEvents });
+    await new Promise((resolve) => apiServer.listen(0, "127.0.0.1", resolve));
+    return apiServer;
+  }
+
+  async function get(pathname) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  beforeEach(async function () {
+    [, user1, user2] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    const token = await mockToken.getAddress();
+
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(token, token);
+    const pool = await stakingContract.getAddress();
+
+    for (const user of [user1, user2]) {
+      await mockToken.transfer(user.address, ethers.parseUnits("10000", 18));
+      await mockToken.connect(user).approve(pool, ethers.MaxUint256);
+    }
+    await mockToken.approve(pool, ethers.MaxUint256);
+    await stakingContract.notifyRewardAmount(token, ethers.parseUnits("86400", 18), 100n * 86400n);
+    await stakingContract.connect(user1).stake(stakeAmount);
+
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "qlk-api-")), "index.json");
+    const fromBlock = (await stakingContract.deploymentTransaction().wait()).blockNumber;
+    server = await startServer(stakingContract, async () => {
+      return (await indexer.syncIndex(hre, stakingContract, { storePath, fromBlock })).store;
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  it("Should serve the pool stats", async function () {
+    const { status, headers, body } = await get("/pool");
+
+    expect(status).to.equal(200);
+    expect(headers.get("content-type")).to.equal("application/json");
+    expect(body.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(body.totalStaked).to.equal("1000.0");
+    expect(body.paused).to.equal(false);
+
+    const [reward] = body.rewards;
+    expect(reward.symbol).to.equal("QNTL");
+    expect(reward.rewardRate).to.equal("0.01");
+    expect(reward.active).to.equal(true);
+    expect(reward.runway).to.be.greaterThan(99 * 86400);
+    // 0.01 tokens per second is 315,360 tokens a year, or 31,536% of the 1000 staked tokens
+    expect(reward.aprBps).to.equal(3153600);
+  });
+
+  it("Should serve an account's stake and rewards", async function () {
+    await time.increase(86400);
+
+    const { status, body } = await get(`/accounts/${user1.address.toLowerCase()}`);
+
+    expect(status).to.equal(200);
+    expect(body.account).to.equal(user1.address);
+    expect(body.stakedBalance).to.equal("1000.0");
+    expect(body.rewards[0].earned).to.equal(ethers.formatUnits(await stakingContract.earned(user1.address, mockToken), 18));
+    expect(body.rewards[0].estimatedDailyRewards).to.equal("864.0");
+  });
+
+  it("Should cache responses until the next block", async function () {
+    const first = await get("/pool");
+    const second = await get("/pool");
+    expect(first.headers.get("x-cache")).to.equal("MISS");
+    expect(second.headers.get("x-cache")).to.equal("HIT");
+    expect(second.body).to.deep.equal(first.body);
+
+    await stakingContract.connect(user2).stake(stakeAmount);
+    const third = await get("/pool");
+    expect(third.headers.get("x-cache")).to.equal("MISS");
+    expect(third.body.totalStaked).to.equal("2000.0");
+  });
+
+  it("Should page through the events, newest first", async function () {
+    await stakingContract.connect(user2).stake(stakeAmount);
+    await stakingContract.connect(user1).requestUnstake(stakeAmount);
+
+    const { body } = await get("/events?limit=2");
+    expect(body.total).to.be.greaterThan(4);
+    expect(body.events.map((event) => event.event)).to.deep.equal(["UnstakeRequested", "Staked"]);
+
+    const nextPage = await get("/events?limit=2&offset=2");
+    expect(nextPage.body.events).to.have.lengthOf(2);
+    expect(nextPage.body.events[0].blockNumber).to.be.lte(body.events[1].blockNumber);
+
+    const filtered = await get(`/events?event=Staked&account=${user2.address}`);
+    expect(filtered.body.total).to.equal(1);
+    expect(filtered.body.events[0].args.user).to.equal(user2.address);
+  });
+
+  it("Should include the receipt transfers of an account in its events", async function () {
+    const StakeReceiptToken = await ethers.getContractFactory("StakeReceiptToken");
+    const receiptToken = await StakeReceiptToken.deploy(await stakingContract.getAddress());
+    await stakingContract.setReceiptToken(await receiptToken.getAddress());
+    await receiptToken.connect(user1).transfer(user2.address, ethers.parseUnits("400", 18));
+
+    // The transfer is an event of the sender and of the receiver, named by from and to rather than user
+    for (const user of [user1, user2]) {
+      const { body } = await get(`/events?event=StakeTransferred&account=${user.address.toLowerCase()}`);
+      expect(body.total).to.equal(1);
+      expect(body.events[0].args).to.include({ from: user1.address, to: user2.address });
+    }
+    const { body } = await get(`/events?account=${user2.address}`);
+    expect(body.events.map((event) => event.event)).to.deep.equal(["StakeTransferred"]);
+  });
+
+  it("Should include the events an account takes part in under any address argument", async function () {
+    // user1 pays for user2's stake, so the StakedFor event names user1 as the payer only
+    await stakingContract.connect(user1).stakeFor(user2.address, stakeAmount);
+
+    const payer = await get(`/events?account=${user1.address}`);
+    expect(payer.body.events.map((event) => event.event)).to.deep.equal(["StakedFor", "Staked"]);
+    expect(payer.body.events[0].args).to.include({ user: user2.address, payer: user1.address });
+    const beneficiary = await get(`/events?account=${user2.address}`);
+    expect(beneficiary.body.events.map((event) => event.event)).to.deep.equal(["StakedFor", "Staked"]);
+
+    // The reward token is an address argument too
+    const token = await get(`/events?event=RewardAdded&account=${await mockToken.getAddress()}`);
+    expect(token.body.total).to.equal(1);
+  });
+
+  it("Should return JSON errors for bad requests", async function () {
+    const badAddress = await get("/accounts/0x1234");
+    expect(badAddress.status).to.equal(400);
+    expect(badAddress.body).to.deep.equal({ error: { code: "INVALID_ADDRESS", message: '"0x1234" is not a valid address' } });
+
+    const badLimit = await get("/events?limit=1000");
+    expect(badLimit.status).to.equal(400);
+    expect(badLimit.body.error.code).to.equal("INVALID_PARAMETER");
+
+    const notFound = await get("/stakers");
+    expect(notFound.status).to.equal(404);
+    expect(notFound.body.error.code).to.equal("NOT_FOUND");
+
+    const post = await fetch(`${baseUrl}/pool`, { method: "POST" });
+    expect(post.status).to.equal(405);
+    expect((await post.json()).error.code).to.equal("METHOD_NOT_ALLOWED");
+  });
+
+  it("Should return a JSON error when the RPC endpoint is unreachable", async function () {
+    // Nothing listens on port 1
+    const provider = new ethers.JsonRpcProvider("http://127.0.0.1:1", undefined, {
+      staticNetwork: ethers.Network.from(31337),
+    });
+    const unreachable = await startServer(stakingContract.connect(provider), async () => ({ events: [] }));
+    try {
+      const response = await fetch(`http://127.0.0.1:${unreachable.address().port}/pool`);
+      expect(response.status).to.equal(503);
+      expect(await response.json()).to.deep.equal({
+        error: { code: "RPC_UNAVAILABLE", message: "The RPC endpoint cannot be reached" },
+      });
+    } finally {
+      provider.destroy();
+      await new Promise((resolve) => unreachable.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { buildDecaySchedule, rateAt, emissionBetween, previewEmissions } = require("../lib/emissions");
+
+describe("Emission schedules", function () {
+  const DAY = 86400n;
+  const rate = 10n ** 16n;
+  const halving = buildDecaySchedule({ startTime: 10n * DAY, rewardRate: rate / 2n, epochDuration: 10n * DAY, decayBps: 5000n, count: 3 });
+
+  it("Should build a decay curve", function () {
+    expect(halving).to.deep.equal([
+      { startTime: 10n * DAY, rewardRate: rate / 2n },
+      { startTime: 20n * DAY, rewardRate: rate / 4n },
+      { startTime: 30n * DAY, rewardRate: rate / 8n },
+    ]);
+
+    // Each cut rounds down, like the contract's integer math
+    const rates = buildDecaySchedule({ startTime: 0n, rewardRate: 1000n, epochDuration: 1n, decayBps: 3333n, count: 3 });
+    expect(rates.map((epoch) => epoch.rewardRate)).to.deep.equal([1000n, 666n, 444n]);
+
+    expect(() => buildDecaySchedule({ startTime: 0n, rewardRate: rate, epochDuration: 0n, decayBps: 5000n, count: 1 })).to.throw(
+      "Epoch duration must be greater than zero"
+    );
+    expect(() => buildDecaySchedule({ startTime: 0n, rewardRate: rate, epochDuration: DAY, decayBps: 10000n, count: 1 })).to.throw(
+      "Decay must be at least 0 and below 10000 basis points"
+    );
+  });
+
+  it("Should integrate emissions across epoch boundaries", function () {
+    expect(rateAt(rate, halving, 0n)).to.equal(rate);
+    expect(rateAt(rate, halving, 20n * DAY)).to.equal(rate / 4n);
+    expect(rateAt(rate, halving, 100n * DAY)).to.equal(rate / 8n);
+
+    expect(emissionBetween(rate, halving, 0n, 5n * DAY)).to.equal(rate * 5n * DAY);
+    expect(emissionBetween(rate, halving, 5n * DAY, 35n * DAY)).to.equal(
+      rate * 5n * DAY + (rate / 2n) * 10n * DAY + (rate / 4n) * 10n * DAY + (rate / 8n) * 5n * DAY
+    );
+    // Splitting the interval does not change the total
+    expect(emissionBetween(rate, halving, 0n, 15n * DAY) + emissionBetween(rate / 2n, halving.slice(1), 15n * DAY, 40n * DAY)).to.equal(
+      emissionBetween(rate, halving, 0n, 40n * DAY)
+    );
+    expect(emissionBetween(rate, halving, 3n * DAY, 3n * DAY)).to.equal(0n);
+  });
+
+  it("Should preview cumulative emissions until the period ends or the reserve runs out", function () {
+    const rows = previewEmissions({
+      rewardRate: rate,
+      epochs: halving,
+      periodFinish: 25n * DAY,
+      rewardReserve: rate * 100n * DAY,
+      from: 0n,
+      step: 10n * DAY,
+    });
+    expect(rows.map((row) => row.timestamp)).to.deep.equal([0n, 10n * DAY, 20n * DAY, 25n * DAY]);
+    expect(rows.map((row) => row.rewardRate)).to.deep.equal([rate, rate / 2n, rate / 4n, 0n]);
+    expect(rows[3].cumulative).to.equal(rate * 10n * DAY + (rate / 2n) * 10n * DAY + (rate / 4n) * 5n * DAY);
+
+    const capped = previewEmissions({
+      rewardRate: rate,
+      epochs: halving,
+      periodFinish: 25n * DAY,
+      rewardReserve: rate * 12n * DAY,
+      from: 0n,
+      step: 10n * DAY,
+    });
+    expect(capped.map((row) => row.reserveExhausted)).to.deep.equal([false, false, true, true]);
+    expect(capped[2].cumulative).to.equal(rate * 12n * DAY);
+    expect(capped[2].rewardRate).to.equal(0n);
+  });
+});
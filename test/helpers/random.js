@@ -0,0 +1,17 @@
+// Seeds for the randomized tests, so that a failing scenario can be reproduced from its seed
+const { createRandom } = require("../../lib/random");
+
+/**
+ * Returns the seeds to run: the one in the given environment variable, or `count` fixed seeds.
+ */
+function getSeeds(envVar, count) {
+  if (process.env[envVar]) {
+    return [Number(process.env[envVar])];
+  }
+  return Array.from({ length: count }, (_, index) => index + 1);
+}
+
+module.exports = {
+  createRandom,
+  getSeeds,
+};
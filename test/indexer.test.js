@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const indexer = require("../lib/indexer");
+
+const { ethers } = hre;
+
+describe("Event indexer", function () {
+  let mockToken;
+  let token;
+  let stakingContract;
+  let owner;
+  let user1;
+  let user2;
+  let storePath;
+  const rewardsDuration = 100n * 86400n; // 100 days
+  const rewardFunding = ethers.parseUnits("86400", 18); // 0.01 tokens per second
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    token = await mockToken.getAddress();
+
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(token, token);
+
+    for (const user of [user1, user2]) {
+      await mockToken.transfer(user.address, ethers.parseUnits("10000", 18));
+      await mockToken.connect(user).approve(await stakingContract.getAddress(), ethers.MaxUint256);
+    }
+    await mockToken.approve(await stakingContract.getAddress(), ethers.MaxUint256);
+    await stakingContract.notifyRewardAmount(token, rewardFunding, rewardsDuration);
+
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "qlk-index-")), "index.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  /**
+   * Indexes the pool's events from its deployment block into the temporary store.
+   */
+  async function sync(options = {}) {
+    const fromBlock = (await stakingContract.deploymentTransaction().wait()).blockNumber;
+    return indexer.syncIndex(hre, stakingContract, { storePath, fromBlock, chunkSize: 3, ...options });
+  }
+
+  it("Should rebuild an account's stake history with its running balance", async function () {
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await stakingContract.connect(user1).stakeLocked(ethers.parseUnits("500", 18), 30n * 86400n);
+    await time.increase(86400);
+    await stakingContract.connect(user1).compound();
+    await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("200", 18));
+    await stakingContract.connect(user2).stake(ethers.parseUnits("300", 18));
+    await stakingContract.stakeFor(user1.address, ethers.parseUnits("100", 18));
+
+    const { store } = await sync();
+    const history = indexer.getStakeHistory(store, user1.address);
+
+    expect(history.map((entry) => entry.event)).to.deep.equal(["Staked", "StakedLocked", "Compounded", "UnstakeRequested", "StakedFor"]);
+    const compounded = history[2].amount;
+    expect(compounded).to.be.gt(0);
+    expect(history[3].stakedBalance).to.equal(ethers.parseUnits("1300", 18) + compounded);
+    expect(history[4].stakedBalance).to.equal(ethers.parseUnits("1400", 18) + compounded);
+    expect(history[4].stakedBalance).to.equal(await stakingContract.getStakedBalance(user1.address));
+    expect(indexer.getAccounts(store)).to.deep.equal([user1.address, user2.address]);
+  });
+
+  it("Should follow stake moved by receipt transfers", async function () {
+    const StakeReceiptToken = await ethers.getContractFactory("StakeReceiptToken");
+    const receiptToken = await StakeReceiptToken.deploy(await stakingContract.getAddress());
+    await stakingContract.setReceiptToken(await receiptToken.getAddress());
+
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await receiptToken.connect(user1).transfer(owner.address, ethers.parseUnits("400", 18));
+    await receiptToken.connect(owner).transfer(user2.address, ethers.parseUnits("150", 18));
+
+    const { store } = await sync();
+    // The receivers never staked, but hold stake
+    expect(indexer.getAccounts(store)).to.deep.equal([user1.address, owner.address, user2.address]);
+
+    const history = indexer.getStakeHistory(store, owner.address);
+    expect(history.map((entry) => entry.event)).to.deep.equal(["StakeTransferred", "StakeTransferred"]);
+    expect(history.map((entry) => entry.stakedBalance)).to.deep.equal([ethers.parseUnits("400", 18), ethers.parseUnits("250", 18)]);
+    expect(indexer.getStakeHistory(store, user1.address).at(-1).stakedBalance).to.equal(ethers.parseUnits("600", 18));
+    expect(indexer.getStakeHistory(store, user2.address).at(-1).stakedBalance).to.equal(
+      await stakingContract.getStakedBalance(user2.address)
+    );
+  });
+
+  it("Should total the claimed rewards per account and reward token", async function () {
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await time.increase(86400);
+    await stakingContract.connect(user1).claimAll();
+    await time.increase(86400);
+    await stakingContract.connect(user1).claimReward(token);
+
+    const { store } = await sync();
+    const [total, ...others] = indexer.getClaimTotals(store, user1.address);
+
+    expect(others).to.be.empty;
+    expect(total.rewardToken).to.equal(token);
+    expect(total.claims).to.equal(2);
+    const claimed = (await mockToken.balanceOf(user1.address)) - ethers.parseUnits("9000", 18);
+    expect(total.amount).to.equal(claimed);
+    expect(indexer.getClaimTotals(store, user2.address)).to.be.empty;
+  });
+
+  it("Should list the reward rate changes in order", async function () {
+    const newRate = ethers.parseUnits("0.005", 18);
+    await stakingContract.proposeRewardRate(token, newRate);
+    await time.increase(2 * 86400);
+    await stakingContract.executeRewardRate(token);
+
+    const { store } = await sync();
+    const rates = indexer.getRateTimeline(store, token);
+
+    expect(rates.map((change) => change.rewardRate)).to.deep.equal([rewardFunding / rewardsDuration, newRate]);
+    expect(rates[1].timestamp).to.be.gt(rates[0].timestamp);
+    expect(indexer.getRateTimeline(store, user1.address)).to.be.empty;
+  });
+
+  it("Should list the rates of emission epochs once they start, without the cancelled ones", async function () {
+    const start = BigInt(await time.latest()) + 3n * 86400n;
+    const rates = [ethers.parseUnits("0.005", 18), ethers.parseUnits("0.0025", 18), ethers.parseUnits("0.001", 18)];
+    const scheduleTx = await stakingContract.setEmissionSchedule(
+      token,
+      rates.map((rewardRate, i) => ({ startTime: start + BigInt(i) * 3n * 86400n, rewardRate }))
+    );
+
+    // Only the first epoch has started; the schedule itself emits no rate change
+    await time.increaseTo(start + 86400n);
+    let { store } = await sync();
+    const started = indexer.getRateTimeline(store, token, await time.latest());
+    expect(started.map((change) => change.rewardRate)).to.deep.equal([rewardFunding / rewardsDuration, rates[0]]);
+    expect(started[1]).to.include({ blockNumber: null, timestamp: Number(start), transactionHash: scheduleTx.hash, epoch: 0 });
+    expect(indexer.getRateTimeline(store, token)).to.have.lengthOf(4);
+
+    // Cancelled epochs never take effect, and later rate changes follow the started ones
+    await stakingContract.cancelEmissionSchedule(token);
+    await stakingContract.notifyRewardAmount(token, rewardFunding, rewardsDuration);
+    ({ store } = await sync());
+    const timeline = indexer.getRateTimeline(store, token);
+    expect(timeline.map((change) => change.epoch)).to.deep.equal([null, 0, null]);
+    expect(timeline[2].rewardRate).to.equal(await stakingContract.getRewardRate(token));
+  });
+
+  it("Should resume from the last indexed block", async function () {
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    const first = await sync();
+    const indexedEvents = first.store.events.length;
+
+    await stakingContract.connect(user2).stake(ethers.parseUnits("300", 18));
+    const second = await sync();
+
+    expect(second.newEvents).to.equal(1);
+    expect(second.reset).to.equal(false);
+    expect(second.store.events).to.have.lengthOf(indexedEvents + 1);
+    expect(second.store.lastIndexedBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(indexer.readStore(storePath, await stakingContract.getAddress()).events).to.have.lengthOf(indexedEvents + 1);
+  });
+
+  it("Should save the store after chunks with events, every few chunks and at the end", async function () {
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await mine(25);
+    await stakingContract.connect(user2).stake(ethers.parseUnits("300", 18));
+    await mine(5);
+
+    // The saved store is never more than 10 single-block chunks behind, and is up to date after chunks with events
+    const chunks = [];
+    const pool = await stakingContract.getAddress();
+    await sync({
+      chunkSize: 1,
+      onChunk: ({ toBlock, events }) => chunks.push({ toBlock, events, saved: indexer.readStore(storePath, pool).lastIndexedBlock }),
+    });
+    for (const { toBlock, events, saved } of chunks) {
+      expect(saved).to.be.within(toBlock - 9, toBlock);
+      if (events > 0) {
+        expect(saved).to.equal(toBlock);
+      }
+    }
+    expect(chunks[chunks.length - 1].saved).to.equal(await ethers.provider.getBlockNumber());
+    expect(new Set(chunks.map((chunk) => chunk.saved)).size).to.be.lessThan(chunks.length / 2);
+  });
+
+  it("Should rebuild the index when the indexed blocks are no longer part of the chain", async function () {
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    const { store } = await sync();
+    indexer.writeStore(storePath, { ...store, lastIndexedBlockHash: ethers.ZeroHash });
+
+    const rebuilt = await sync();
+
+    expect(rebuilt.reset).to.equal(true);
+    expect(rebuilt.store.events).to.deep.equal(store.events);
+  });
+
+  it("Should rebuild an index of another store version or contract", async function () {
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    const { store } = await sync();
+    const pool = await stakingContract.getAddress();
+
+    // The address is compared without its checksum
+    indexer.writeStore(storePath, { ...store, contract: pool.toLowerCase() });
+    expect(indexer.readStore(storePath, pool)).to.deep.equal({ ...store, contract: pool.toLowerCase() });
+    expect((await sync()).reset).to.equal(false);
+
+    for (const stale of [{ ...store, version: 0 }, { ...store, contract: token, events: [] }]) {
+      indexer.writeStore(storePath, stale);
+      expect(indexer.readStore(storePath, pool).lastIndexedBlock).to.equal(null);
+
+      const rebuilt = await sync();
+      expect(rebuilt.reset).to.equal(true);
+      expect(rebuilt.store.contract).to.equal(pool);
+      expect(rebuilt.store.events).to.deep.equal(store.events);
+    }
+  });
+
+  it("Should escape CSV values", function () {
+    const csv = indexer.toCsv([{ event: "Staked", args: '{"user":"0x1","amount":"1"}' }]);
+    expect(csv).to.equal('event,args\nStaked,"{""user"":""0x1"",""amount"":""1""}"\n');
+  });
+});
@@ -0,0 +1,335 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createRandom, getSeeds } = require("./helpers/random");
+
+/**
+ * Stateful fuzzing of the StakingContract accounting: many actors perform random actions with
+ * random time jumps in between, and the accounting invariants are checked after every step.
+ *
+ * A failure reports its seed, step and the actions that led to it. Rerun a single scenario with
+ * INVARIANT_SEED=<seed>, and change the number of steps per scenario with INVARIANT_STEPS.
+ */
+describe("StakingContract invariants", function () {
+  const DAY = 86400;
+  const actorCount = 5;
+  const seeds = getSeeds("INVARIANT_SEED", 5);
+  const steps = Number(process.env.INVARIANT_STEPS || 40);
+  const lockDurations = [30 * DAY, 90 * DAY, 180 * DAY];
+
+  let stakingToken;
+  let rewardToken;
+  let stakingContract;
+  let pool;
+  let owner;
+  let actors;
+  let tokens;
+  let ghost;
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    owner = signers[0];
+    actors = signers.slice(1, actorCount + 1);
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    stakingToken = await MockToken.deploy("Quantlink Token", "QNTL", 10000000);
+    rewardToken = await MockToken.deploy("Quantlink Reward Token", "QRWD", 10000000);
+
+    // Pay rewards in the staking token as well, the case where principal and rewards share a balance
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(await stakingToken.getAddress(), await stakingToken.getAddress());
+    pool = await stakingContract.getAddress();
+    tokens = [await stakingToken.getAddress(), await rewardToken.getAddress()];
+    await stakingContract.addRewardToken(tokens[1]);
+    // Rate changes are executed right after they are proposed
+    await stakingContract.setRateChangeDelay(0);
+
+    for (const actor of actors) {
+      await stakingToken.transfer(actor.address, ethers.parseUnits("100000", 18));
+      await stakingToken.connect(actor).approve(pool, ethers.MaxUint256);
+    }
+    await stakingToken.approve(pool, ethers.MaxUint256);
+    await rewardToken.approve(pool, ethers.MaxUint256);
+
+    // Ghost state, tracked alongside the contract from the emitted events
+    ghost = {
+      emitted: { [tokens[0]]: 0n, [tokens[1]]: 0n },
+      paid: { [tokens[0]]: 0n, [tokens[1]]: 0n },
+      deposited: {},
+      compounded: {},
+      withdrawn: {},
+      claimed: {},
+      initialBalances: {},
+      lastTimestamp: await time.latest(),
+      rewardData: {},
+    };
+    for (const actor of actors) {
+      ghost.deposited[actor.address] = 0n;
+      ghost.compounded[actor.address] = 0n;
+      ghost.withdrawn[actor.address] = 0n;
+      ghost.claimed[actor.address] = { [tokens[0]]: 0n, [tokens[1]]: 0n };
+      ghost.initialBalances[actor.address] = await stakingToken.balanceOf(actor.address);
+    }
+    await recordRewardData();
+  });
+
+  /**
+   * Records the reward rate and period end of every reward token, which apply until the next transaction.
+   */
+  async function recordRewardData() {
+    for (const token of tokens) {
+      const { rewardRate, periodFinish } = await stakingContract.rewardData(token);
+      ghost.rewardData[token] = { rewardRate, periodFinish };
+    }
+  }
+
+  /**
+   * Adds the maximum emission of every reward token up to `timestamp` at the recorded rates.
+   */
+  function accrueEmission(timestamp) {
+    const from = BigInt(ghost.lastTimestamp);
+    const to = BigInt(timestamp);
+    for (const token of tokens) {
+      const { rewardRate, periodFinish } = ghost.rewardData[token];
+      const end = to < periodFinish ? to : periodFinish;
+      if (end > from) {
+        ghost.emitted[token] += (end - from) * rewardRate;
+      }
+    }
+    ghost.lastTimestamp = timestamp;
+  }
+
+  /**
+   * Sends a transaction and updates the ghost state from its events.
+   */
+  async function send(txPromise) {
+    const receipt = await (await txPromise).wait();
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+
+    // Rewards accrue at the old rates until the transaction
+    accrueEmission(timestamp);
+
+    for (const log of receipt.logs) {
+      const parsed = log.address === pool ? stakingContract.interface.parseLog(log) : null;
+      if (!parsed) {
+        continue;
+      }
+      const { args } = parsed;
+      if (parsed.name === "Staked") {
+        ghost.deposited[args.user] += args.amount;
+      } else if (parsed.name === "Compounded") {
+        // The matching Staked event already counted the amount as a deposit
+        ghost.deposited[args.user] -= args.amount;
+        ghost.compounded[args.user] += args.amount;
+        ghost.paid[tokens[0]] += args.amount;
+      } else if (parsed.name === "Withdrawn" || parsed.name === "EmergencyWithdrawn") {
+        ghost.withdrawn[args.user] += args.amount;
+      } else if (parsed.name === "RewardClaimed") {
+        ghost.claimed[args.user][args.rewardToken] += args.reward;
+        ghost.paid[args.rewardToken] += args.reward;
+      }
+    }
+
+    await recordRewardData();
+    return parsedNames(receipt);
+  }
+
+  /**
+   * Returns the names of the staking contract events in a receipt, for the action trace.
+   */
+  function parsedNames(receipt) {
+    return receipt.logs
+      .filter((log) => log.address === pool)
+      .map((log) => stakingContract.interface.parseLog(log))
+      .filter(Boolean)
+      .map((parsed) => parsed.name);
+  }
+
+  /**
+   * Performs one random action and returns its description for the trace,
+   * or null when the chosen action does not apply to the current state.
+   */
+  async function randomAction(random) {
+    const actor = random.pick(actors);
+    const account = actor.address;
+    const actorPool = stakingContract.connect(actor);
+    const now = BigInt((await time.latest()) + 1);
+
+    switch (random.pick(["stake", "stake", "stakeLocked", "unstake", "unstake", "withdraw", "claim", "claimAll", "compound", "rate", "notify", "fund", "emergency", "release"])) {
+      case "stake": {
+        const amount = random.amount(2000);
+        await send(actorPool.stake(amount));
+        return `${account} stake ${amount}`;
+      }
+      case "stakeLocked": {
+        if ((await stakingContract.getLockPositions(account)).length >= 16) {
+          return null;
+        }
+        const amount = random.amount(2000);
+        const lockDuration = random.pick(lockDurations);
+        await send(actorPool.stakeLocked(amount, lockDuration));
+        return `${account} stakeLocked ${amount} for ${lockDuration}s`;
+      }
+      case "unstake": {
+        const positions = await stakingContract.getLockPositions(account);
+        const locked = positions.reduce((total, lock) => (lock.unlockTime > now ? total + lock.amount : total), 0n);
+        const unlocked = (await stakingContract.getStakedBalance(account)) - locked;
+        if (unlocked === 0n || (await stakingContract.pendingWithdrawals(account)).length >= 16) {
+          return null;
+        }
+        const amount = random.chance(0.3) ? unlocked : unlocked / BigInt(random.int(2, 5)) || unlocked;
+        await send(actorPool.requestUnstake(amount));
+        return `${account} requestUnstake ${amount}`;
+      }
+      case "withdraw": {
+        const requests = await stakingContract.pendingWithdrawals(account);
+        if (!requests.some((request) => request.releaseTime <= now)) {
+          return null;
+        }
+        await send(actorPool.withdraw());
+        return `${account} withdraw`;
+      }
+      case "claim": {
+        const token = random.pick(tokens);
+        await send(actorPool.claimReward(token));
+        return `${account} claimReward ${token}`;
+      }
+      case "claimAll":
+        await send(actorPool.claimAll());
+        return `${account} claimAll`;
+      case "compound":
+        if ((await stakingContract.earned(account, tokens[0])) === 0n) {
+          return null;
+        }
+        await send(actorPool.compound());
+        return `${account} compound`;
+      case "rate": {
+        const token = random.pick(tokens);
+        const { periodFinish, rewardReserve } = await stakingContract.rewardData(token);
+        // The change is executed a block after it is proposed
+        if (periodFinish <= now + 2n) {
+          return null;
+        }
+        // Up to the rate the reserve covers, which may be far above or below the current rate
+        const maxRate = rewardReserve / (periodFinish - now) / 2n;
+        const rewardRate = (maxRate * BigInt(random.int(1, 100))) / 100n;
+        if (rewardRate === 0n) {
+          return null;
+        }
+        await send(stakingContract.proposeRewardRate(token, rewardRate));
+        await send(stakingContract.executeRewardRate(token));
+        return `setRewardRate ${token} ${rewardRate}`;
+      }
+      case "notify": {
+        const token = random.pick(tokens);
+        const reward = random.amount(100000);
+        const duration = random.int(1, 60) * DAY;
+        await send(stakingContract.notifyRewardAmount(token, reward, duration));
+        return `notifyRewardAmount ${token} ${reward} over ${duration}s`;
+      }
+      case "fund": {
+        const token = random.pick(tokens);
+        const amount = random.amount(20000);
+        await send(stakingContract.fundRewards(token, amount));
+        return `fundRewards ${token} ${amount}`;
+      }
+      case "emergency":
+        if ((await stakingContract.getStakedBalance(account)) === 0n || !random.chance(0.3)) {
+          return null;
+        }
+        await send(actorPool.emergencyWithdraw());
+        return `${account} emergencyWithdraw`;
+      case "release":
+        await send(stakingContract.releaseExpiredLocks(account));
+        return `releaseExpiredLocks ${account}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Jumps forward in time: mostly by minutes to days, sometimes past lock expiries and period ends.
+   */
+  async function randomTimeJump(random) {
+    const seconds = random.chance(0.1) ? random.int(30, 200) * DAY : random.int(1, 3 * DAY);
+    await time.increase(seconds);
+    accrueEmission(await time.latest());
+    return `increaseTime ${seconds}s`;
+  }
+
+  /**
+   * Checks every accounting invariant at the latest block.
+   */
+  async function checkInvariants() {
+    const sum = (values) => values.reduce((total, value) => total + value, 0n);
+    const perActor = (view) => Promise.all(actors.map((actor) => view(actor.address)));
+
+    const stakedBalances = await perActor((account) => stakingContract.getStakedBalance(account));
+    const rewardWeights = await perActor((account) => stakingContract.rewardWeights(account));
+    const unbondingBalances = await perActor((account) => stakingContract.unbondingBalances(account));
+    const totalStaked = await stakingContract.totalStaked();
+    const totalUnbonding = await stakingContract.totalUnbonding();
+
+    expect(totalStaked, "totalStaked == sum(stakedBalances)").to.equal(sum(stakedBalances));
+    expect(await stakingContract.totalWeight(), "totalWeight == sum(rewardWeights)").to.equal(sum(rewardWeights));
+    expect(totalUnbonding, "totalUnbonding == sum(unbondingBalances)").to.equal(sum(unbondingBalances));
+
+    for (const token of tokens) {
+      const pending = sum(await perActor((account) => stakingContract.earned(account, token)));
+
+      // Rewards paid out (claimed or compounded) plus pending never exceed rate x elapsed time
+      expect(ghost.paid[token] + pending, `paid + pending <= emitted (${token})`).to.be.lte(ghost.emitted[token]);
+
+      // The pool holds the principal, the pending rewards and the undistributed reserve
+      const { rewardReserve } = await stakingContract.rewardData(token);
+      const principal = token === tokens[0] ? totalStaked + totalUnbonding : 0n;
+      const balance = await (token === tokens[0] ? stakingToken : rewardToken).balanceOf(pool);
+      expect(balance, `balance covers principal and pending rewards (${token})`).to.be.gte(principal + pending);
+      expect(balance, `balance covers principal and the reserve (${token})`).to.be.gte(principal + rewardReserve);
+    }
+
+    for (const [index, actor] of actors.entries()) {
+      const account = actor.address;
+      const principal = ghost.deposited[account] + ghost.compounded[account];
+
+      // Every deposited or compounded token is staked, unbonding or withdrawn, and nothing more
+      expect(stakedBalances[index] + unbondingBalances[index] + ghost.withdrawn[account], `principal of ${account}`).to.equal(
+        principal
+      );
+
+      // No user gets more out of the pool than they put in plus what they earned
+      const balance = await stakingToken.balanceOf(account);
+      const received = balance + ghost.deposited[account] - ghost.initialBalances[account];
+      expect(received, `withdrawals of ${account}`).to.be.lte(
+        ghost.withdrawn[account] + ghost.claimed[account][tokens[0]]
+      );
+      expect(ghost.withdrawn[account], `withdrawn by ${account}`).to.be.lte(principal);
+    }
+  }
+
+  for (const seed of seeds) {
+    it(`Should hold the accounting invariants (seed ${seed})`, async function () {
+      const random = createRandom(seed);
+      const trace = [];
+      await send(stakingContract.notifyRewardAmount(tokens[0], ethers.parseUnits("86400", 18), 100n * 86400n));
+      await send(stakingContract.notifyRewardAmount(tokens[1], ethers.parseUnits("8640", 18), 10n * 86400n));
+
+      for (let step = 0; step < steps; step++) {
+        try {
+          if (random.chance(0.3)) {
+            trace.push(await randomTimeJump(random));
+          }
+          const action = await randomAction(random);
+          if (action) {
+            trace.push(action);
+          }
+          await checkInvariants();
+        } catch (error) {
+          const recent = trace.slice(-10).map((entry) => `  ${entry}`).join("\n");
+          error.message = `Seed ${seed}, step ${step} (rerun with INVARIANT_SEED=${seed}): ${error.message}\nLast actions:\n${recent}`;
+          throw error;
+        }
+      }
+    });
+  }
+});
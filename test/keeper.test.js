@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { runKeeperRound } = require("../lib/keeper");
+const transactions = require("../lib/transactions");
+
+const { ethers } = hre;
+
+describe("Auto-compounding keeper", function () {
+  let mockToken;
+  let stakingContract;
+  let lens;
+  let user1, user2, user3, user4;
+  let token;
+  const threshold = ethers.parseUnits("1", 18);
+  const day = 86400n;
+
+  beforeEach(async function () {
+    [, user1, user2, user3, user4] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    token = await mockToken.getAddress();
+
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(token, token);
+    const pool = await stakingContract.getAddress();
+
+    const StakingLens = await ethers.getContractFactory("StakingLens");
+    lens = await StakingLens.deploy();
+
+    for (const user of [user1, user2, user3, user4]) {
+      await mockToken.transfer(user.address, ethers.parseUnits("10000", 18));
+      await mockToken.connect(user).approve(pool, ethers.MaxUint256);
+    }
+    await mockToken.approve(pool, ethers.MaxUint256);
+    await stakingContract.notifyRewardAmount(token, ethers.parseUnits("86400", 18), 100n * day);
+
+    // user3's stake is too small to earn the threshold in a day, and user2 has not opted in
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await stakingContract.connect(user2).stake(ethers.parseUnits("1000", 18));
+    await stakingContract.connect(user3).stake(ethers.parseUnits("1", 18));
+    await stakingContract.connect(user4).stake(ethers.parseUnits("1000", 18));
+    for (const user of [user1, user3, user4]) {
+      await stakingContract.connect(user).setAutoCompound(true);
+    }
+    await time.increase(day);
+  });
+
+  /**
+   * Runs a keeper round over all four accounts and returns the status of each, keyed by address.
+   */
+  async function round(options = {}) {
+    const accounts = [user1, user2, user3, user4].map((user) => user.address);
+    const { paused, results } = await runKeeperRound(hre, stakingContract, lens, token, accounts, threshold, options);
+    return { paused, statuses: Object.fromEntries(results.map((result) => [result.account, result.status])) };
+  }
+
+  it("Should compound opted-in accounts whose pending rewards reach the threshold", async function () {
+    const staked = await stakingContract.getStakedBalance(user1.address);
+    const { paused, statuses } = await round();
+
+    expect(paused).to.equal(false);
+    expect(statuses).to.deep.equal({
+      [user1.address]: "compounded",
+      [user2.address]: "not-opted-in",
+      [user3.address]: "below-threshold",
+      [user4.address]: "compounded",
+    });
+    expect(await stakingContract.getStakedBalance(user1.address)).to.be.greaterThan(staked + threshold);
+    expect(await stakingContract.getStakedBalance(user2.address)).to.equal(ethers.parseUnits("1000", 18));
+    expect(await stakingContract.getStakedBalance(user3.address)).to.equal(ethers.parseUnits("1", 18));
+  });
+
+  it("Should go on with the other accounts when one fails", async function () {
+    // The transaction for user1 fails to send, as with an RPC error
+    const send = async (method, args) => {
+      if (args[0] === user1.address) {
+        throw new Error("nonce too low");
+      }
+      return transactions.sendTransaction(hre, method, args);
+    };
+    const accounts = [user1, user2, user3, user4].map((user) => user.address);
+    const { results } = await runKeeperRound(hre, stakingContract, lens, token, accounts, threshold, { send });
+
+    expect(results[0]).to.include({ account: user1.address, status: "failed", error: "nonce too low" });
+    expect(results[3]).to.include({ account: user4.address, status: "compounded" });
+    expect(await stakingContract.getStakedBalance(user1.address)).to.equal(ethers.parseUnits("1000", 18));
+    expect(await stakingContract.getStakedBalance(user4.address)).to.be.greaterThan(ethers.parseUnits("1000", 18));
+  });
+
+  it("Should skip the round while the staking contract is paused", async function () {
+    await stakingContract.pause();
+    const logs = [];
+    const { paused, statuses } = await round({ log: (message) => logs.push(message) });
+
+    expect(paused).to.equal(true);
+    expect(statuses).to.deep.equal({});
+    expect(logs).to.deep.equal(["The staking contract is paused, skipping this round"]);
+    expect(await stakingContract.getStakedBalance(user1.address)).to.equal(ethers.parseUnits("1000", 18));
+  });
+});
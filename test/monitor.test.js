@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const monitors = require("../lib/monitor");
+
+const { ethers } = hre;
+
+describe("Pool health monitor", function () {
+  let mockToken;
+  let stakingContract;
+  let owner, user1, user2;
+  let token;
+  let checkpointPath;
+  const day = 86400n;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    token = await mockToken.getAddress();
+
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(token, token);
+    const pool = await stakingContract.getAddress();
+
+    for (const user of [user1, user2]) {
+      await mockToken.transfer(user.address, ethers.parseUnits("10000", 18));
+      await mockToken.connect(user).approve(pool, ethers.MaxUint256);
+    }
+    await mockToken.approve(pool, ethers.MaxUint256);
+    await stakingContract.notifyRewardAmount(token, ethers.parseUnits("86400", 18), 100n * day);
+
+    checkpointPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "qlk-monitor-")), "checkpoint.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(checkpointPath), { recursive: true, force: true });
+  });
+
+  /**
+   * Runs a monitoring round against the temporary checkpoint and returns its alerts.
+   */
+  async function round(rules = {}, options = {}) {
+    const result = await monitors.runMonitorRound(hre, stakingContract, monitors.validateRules(rules), { checkpointPath, ...options });
+    return result.alerts;
+  }
+
+  it("Should validate rules and fill in the defaults", function () {
+    expect(monitors.validateRules()).to.deep.equal(monitors.RULE_DEFAULTS);
+    expect(monitors.parseRules("runwayDays: 14\nunstakeBps: false\nroleChanges: false\n", "yaml")).to.deep.equal({
+      ...monitors.RULE_DEFAULTS,
+      runwayDays: 14,
+      unstakeBps: null,
+      roleChanges: false,
+    });
+    expect(monitors.parseRules("", "yaml")).to.deep.equal(monitors.RULE_DEFAULTS);
+    expect(monitors.parseRules('{"unstakeBps": 2500}', "json").unstakeBps).to.equal(2500);
+
+    expect(() => monitors.validateRules({ runway: 7 })).to.throw(monitors.MonitorError, 'Unknown rule "runway"');
+    expect(() => monitors.validateRules({ runwayDays: 0 })).to.throw("runwayDays must be a positive number");
+    expect(() => monitors.validateRules({ unstakeBps: 10001 })).to.throw("unstakeBps must be a whole number");
+    expect(() => monitors.validateRules({ unstakeBps: 12.5 })).to.throw("unstakeBps must be a whole number");
+    expect(() => monitors.validateRules({ rateChanges: "yes" })).to.throw("rateChanges must be true or false");
+    expect(() => monitors.parseRules("[1, 2]", "json")).to.throw("Rules must be an object");
+    expect(() => monitors.parseRules("{", "json")).to.throw("Invalid JSON");
+  });
+
+  it("Should alert on large unstakes, rate changes and role changes", async function () {
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await stakingContract.connect(user2).stake(ethers.parseUnits("100", 18));
+    // 50 of 1100 is below the default 10%, 200 of 1050 is above it
+    await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("50", 18));
+    await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("200", 18));
+    await stakingContract.connect(user2).emergencyWithdraw();
+    await stakingContract.proposeRewardRate(token, ethers.parseUnits("0.02", 18));
+    await stakingContract.grantRole(await stakingContract.PAUSER_ROLE(), user1.address);
+    await stakingContract.beginDefaultAdminTransfer(user2.address);
+
+    const alerts = await round({}, { fromBlock });
+    expect(alerts.map((alert) => [alert.rule, alert.data.event])).to.deep.equal([
+      ["unstakeBps", "UnstakeRequested"],
+      ["unstakeBps", "EmergencyWithdrawn"],
+      ["rateChanges", "RewardRateChangeProposed"],
+      ["roleChanges", "RoleGranted"],
+      ["roleChanges", "DefaultAdminTransferScheduled"],
+    ]);
+    expect(alerts[0].message).to.equal(`${user1.address} requested to unstake 200.0 tokens, 19.04% of the total staked`);
+    expect(alerts[1].data.totalStaked).to.equal(ethers.parseUnits("850", 18).toString());
+    expect(alerts[2].message).to.match(/^Reward rate change to 0\.02 per second queued for 0x/);
+    expect(alerts[3].message).to.equal(`Role PAUSER_ROLE granted to ${user1.address} by ${owner.address}`);
+    expect(alerts[3].severity).to.equal("critical");
+    expect(monitors.formatAlert(alerts[3])).to.equal(`[block ${alerts[3].blockNumber}] CRITICAL roleChanges: ${alerts[3].message}`);
+    expect(new Set(alerts.map((alert) => alert.id)).size).to.equal(alerts.length);
+
+    // Disabled rules and a higher threshold leave only the largest unstake
+    const filtered = await monitors.checkEvents(
+      hre,
+      stakingContract,
+      monitors.validateRules({ unstakeBps: 1500, rateChanges: false, roleChanges: false }),
+      fromBlock,
+      await ethers.provider.getBlockNumber()
+    );
+    expect(filtered.map((alert) => alert.data.event)).to.deep.equal(["UnstakeRequested"]);
+  });
+
+  it("Should not alert twice across rounds and restarts", async function () {
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    // A new checkpoint starts after the latest block, so only later activity is alerted
+    expect(await round()).to.deep.equal([]);
+
+    await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("500", 18));
+    const first = await round();
+    expect(first).to.have.lengthOf(1);
+    expect(await round()).to.deep.equal([]);
+
+    // A restarted monitor resumes from the saved checkpoint
+    const checkpoint = monitors.readCheckpoint(checkpointPath, await stakingContract.getAddress());
+    expect(checkpoint.lastProcessedBlock).to.equal(await ethers.provider.getBlockNumber());
+    await stakingContract.grantRole(await stakingContract.FUNDER_ROLE(), user2.address);
+    const second = await round({}, { fromBlock: 0 });
+    expect(second.map((alert) => alert.data.event)).to.deep.equal(["RoleGranted"]);
+
+    // Events are read in chunks without missing any
+    fs.rmSync(checkpointPath);
+    const rescanned = await round({}, { fromBlock: first[0].blockNumber, chunkSize: 1 });
+    expect(rescanned.map((alert) => alert.id)).to.deep.equal([first[0].id, second[0].id]);
+
+    // A checkpoint from another chain is started over
+    fs.writeFileSync(checkpointPath, JSON.stringify({ ...checkpoint, chainId: 1 }));
+    const result = await monitors.runMonitorRound(hre, stakingContract, monitors.validateRules(), { checkpointPath });
+    expect(result.reset).to.equal(true);
+    expect(result.alerts).to.deep.equal([]);
+
+    // So is a checkpoint of another version or contract
+    await stakingContract.grantRole(await stakingContract.FUNDER_ROLE(), user1.address);
+    for (const stale of [{ ...checkpoint, version: 0 }, { ...checkpoint, contract: token }]) {
+      fs.writeFileSync(checkpointPath, JSON.stringify(stale));
+      expect(monitors.readCheckpoint(checkpointPath, await stakingContract.getAddress()).lastProcessedBlock).to.equal(null);
+      const restarted = await monitors.runMonitorRound(hre, stakingContract, monitors.validateRules(), {
+        checkpointPath,
+        fromBlock: checkpoint.lastProcessedBlock + 1,
+      });
+      expect(restarted.reset).to.equal(true);
+      expect(restarted.alerts.map((alert) => alert.data.event)).to.deep.equal(["RoleGranted", "RoleGranted"]);
+    }
+  });
+
+  it("Should alert once when the reward runway runs short, and when it is resolved", async function () {
+    const { periodFinish } = await stakingContract.rewardData(token);
+    await time.increaseTo(periodFinish - 3n * day);
+
+    const [alert] = await round();
+    expect(alert.rule).to.equal("runwayDays");
+    expect(alert.id).to.equal(`runwayDays:${token}:${alert.blockNumber}`);
+    expect(alert.message).to.match(/stop being distributed in 3\.00 days/);
+    expect(await round()).to.deep.equal([]);
+
+    // Ended reward periods keep the condition, with another message once the runway is 0
+    await time.increaseTo(periodFinish);
+    const ended = await monitors.checkState(hre, stakingContract, monitors.validateRules(), await ethers.provider.getBlockNumber());
+    expect(ended[0].message).to.match(/are no longer distributed/);
+
+    await stakingContract.notifyRewardAmount(token, ethers.parseUnits("86400", 18), 30n * day);
+    const [rateUpdated, resolved] = await round();
+    expect(rateUpdated.data.event).to.equal("RewardRateUpdated");
+    expect(resolved.severity).to.equal("info");
+    expect(resolved.message).to.match(/^Resolved: Rewards in .* stop being distributed in 3\.00 days/);
+    expect(await round()).to.deep.equal([]);
+  });
+
+  it("Should alert when the contract holds fewer tokens than it owes stakers", async function () {
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("400", 18));
+    expect(await round()).to.deep.equal([]);
+
+    // Overwrite the pool's balance in MockToken, whose _balances mapping is its first storage slot
+    const pool = await stakingContract.getAddress();
+    const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [pool, 0]));
+    await setStorageAt(token, slot, ethers.parseUnits("999", 18));
+    expect(await mockToken.balanceOf(pool)).to.equal(ethers.parseUnits("999", 18));
+
+    const [alert] = await round();
+    expect(alert.severity).to.equal("critical");
+    expect(alert.message).to.equal("The contract holds 999.0 staking tokens but owes stakers 1000.0");
+    expect(alert.data.totalUnbonding).to.equal(ethers.parseUnits("400", 18).toString());
+    expect(await round()).to.deep.equal([]);
+
+    // Turning the rule off resolves the condition
+    const [resolved] = await round({ balanceBelowStaked: false });
+    expect(resolved.severity).to.equal("info");
+    expect(resolved.rule).to.equal("balanceBelowStaked");
+  });
+
+  it("Should post alerts to a webhook", async function () {
+    const received = [];
+    let status = 200;
+    const server = http.createServer((request, response) => {
+      let body = "";
+      request.on("data", (chunk) => (body += chunk));
+      request.on("end", () => {
+        received.push({ contentType: request.headers["content-type"], alert: JSON.parse(body) });
+        response.writeHead(status).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/alerts`;
+
+    try {
+      const alert = { id: "a", blockNumber: 1, rule: "roleChanges", severity: "critical", message: "m", data: {} };
+      await monitors.sendWebhook(url, alert);
+      expect(received).to.deep.equal([{ contentType: "application/json", alert }]);
+
+      status = 500;
+      await expect(monitors.sendWebhook(url, alert)).to.be.rejectedWith("Webhook answered 500");
+
+      // Alerts the webhook fails to take are kept in the checkpoint and sent again next round
+      received.length = 0;
+      const retries = [];
+      const deliver = async (alert, retry) => {
+        retries.push(retry);
+        await monitors.sendWebhook(url, alert);
+      };
+      await round({}, { deliver });
+      await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+      await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("500", 18));
+      const failed = await monitors.runMonitorRound(hre, stakingContract, monitors.validateRules(), { checkpointPath, deliver });
+      expect(failed.alerts).to.have.lengthOf(1);
+      expect(failed.undelivered).to.deep.equal([{ alert: failed.alerts[0], error: "Webhook answered 500 Internal Server Error", attempts: 1 }]);
+      expect(monitors.readCheckpoint(checkpointPath, await stakingContract.getAddress()).undelivered).to.have.lengthOf(1);
+
+      status = 200;
+      const retried = await monitors.runMonitorRound(hre, stakingContract, monitors.validateRules(), { checkpointPath, deliver });
+      expect(retried.alerts).to.deep.equal([]);
+      expect(retried.undelivered).to.deep.equal([]);
+      expect(retries).to.deep.equal([false, true]);
+      // The server saw the failed attempt and the retry
+      const [sent] = JSON.parse(JSON.stringify(failed.alerts));
+      expect(received.map((request) => request.alert)).to.deep.equal([sent, sent]);
+      expect(monitors.readCheckpoint(checkpointPath, await stakingContract.getAddress()).undelivered).to.deep.equal([]);
+    } finally {
+      server.close();
+    }
+  });
+
+  it("Should give up on alerts a webhook never takes", async function () {
+    let calls = 0;
+    const deliver = async () => {
+      calls++;
+      throw new Error("connect ECONNREFUSED");
+    };
+    const run = () => monitors.runMonitorRound(hre, stakingContract, monitors.validateRules(), { checkpointPath, deliver });
+    await run();
+
+    // An alert is retried in each round until its last attempt fails
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("500", 18));
+    const [alert] = (await run()).alerts;
+    for (let attempt = 2; attempt < monitors.MAX_DELIVERY_ATTEMPTS; attempt++) {
+      const result = await run();
+      expect(result.undelivered).to.deep.equal([{ alert, error: "connect ECONNREFUSED", attempts: attempt }]);
+      expect(result.dropped).to.deep.equal([]);
+    }
+    const last = await run();
+    expect(last.undelivered).to.deep.equal([]);
+    expect(last.dropped).to.deep.equal([{ alert, error: "connect ECONNREFUSED", attempts: monitors.MAX_DELIVERY_ATTEMPTS }]);
+
+    // A round only retries a few alerts, and only the latest ones are kept
+    const pool = await stakingContract.getAddress();
+    const waiting = Array.from({ length: monitors.MAX_UNDELIVERED + 5 }, (_, index) => ({
+      alert: { ...alert, id: `${index}` },
+      error: "e",
+      attempts: 1,
+    }));
+    fs.writeFileSync(checkpointPath, JSON.stringify({ ...monitors.readCheckpoint(checkpointPath, pool), undelivered: waiting }));
+    calls = 0;
+    const capped = await run();
+    expect(calls).to.equal(monitors.MAX_RETRIES_PER_ROUND);
+    expect(capped.undelivered).to.have.lengthOf(monitors.MAX_UNDELIVERED);
+    expect(capped.dropped.map((entry) => entry.alert.id)).to.deep.equal(["10", "11", "12", "13", "14"]);
+    // The alerts that were not retried go first, so they are retried next
+    expect(capped.undelivered[0].alert.id).to.equal("15");
+    expect(capped.undelivered.slice(-10).map((entry) => entry.attempts)).to.deep.equal(Array(10).fill(2));
+    expect(monitors.readCheckpoint(checkpointPath, pool).undelivered).to.deep.equal(capped.undelivered);
+  });
+});
@@ -0,0 +1,346 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const rewards = require("../lib/rewards");
+const { buildDecaySchedule } = require("../lib/emissions");
+const indexer = require("../lib/indexer");
+const { createRandom, getSeeds } = require("./helpers/random");
+
+const { ethers } = hre;
+
+describe("Reward calculator", function () {
+  const DAY = 86400;
+  const lockDurations = [30 * DAY, 90 * DAY, 180 * DAY];
+  const seeds = getSeeds("REWARDS_SEED", 4);
+  const steps = 30;
+
+  let mockToken;
+  let rewardToken;
+  let stakingContract;
+  let receiptToken;
+  let owner;
+  let users;
+  let tokens;
+  let actions;
+
+  beforeEach(async function () {
+    let user1, user2, user3;
+    [owner, user1, user2, user3] = await ethers.getSigners();
+    users = [user1, user2, user3];
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    rewardToken = await MockToken.deploy("Quantlink Reward Token", "QRWD", 1000000);
+
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(await mockToken.getAddress(), await mockToken.getAddress());
+    const pool = await stakingContract.getAddress();
+    tokens = [await mockToken.getAddress(), await rewardToken.getAddress()];
+
+    for (const user of users) {
+      await mockToken.transfer(user.address, ethers.parseUnits("100000", 18));
+      await mockToken.connect(user).approve(pool, ethers.MaxUint256);
+    }
+    await mockToken.approve(pool, ethers.MaxUint256);
+    await rewardToken.approve(pool, ethers.MaxUint256);
+
+    // Rate changes are executed right after they are proposed
+    await stakingContract.setRateChangeDelay(0);
+
+    // Stake moves between accounts through receipt transfers
+    const StakeReceiptToken = await ethers.getContractFactory("StakeReceiptToken");
+    receiptToken = await StakeReceiptToken.deploy(pool);
+    await stakingContract.setReceiptToken(await receiptToken.getAddress());
+
+    actions = [];
+    await send(stakingContract.addRewardToken(tokens[1]), { type: "addRewardToken", token: tokens[1] });
+  });
+
+  /**
+   * Sends a transaction and records the matching calculator action at its block timestamp.
+   */
+  async function send(txPromise, action) {
+    const receipt = await (await txPromise).wait();
+    const block = await ethers.provider.getBlock(receipt.blockNumber);
+    actions.push({ ...action, timestamp: block.timestamp });
+  }
+
+  /**
+   * Proposes a reward rate and executes it in the next block, recording the execution.
+   */
+  async function setRewardRate(token, rewardRate) {
+    await (await stakingContract.proposeRewardRate(token, rewardRate)).wait();
+    return send(stakingContract.executeRewardRate(token), { type: "setRewardRate", token, rewardRate });
+  }
+
+  /**
+   * Returns true if epochs of a token's emission schedule have not started at timestamp `now`.
+   */
+  async function hasPendingEpochs(token, now) {
+    const [epochs] = await stakingContract.getEmissionSchedule(token);
+    return epochs.some((epoch) => epoch.startTime > BigInt(now));
+  }
+
+  /**
+   * Runs one random step: waits a random time and sends a random pool transaction,
+   * skipping actions the pool would reject.
+   */
+  async function randomStep(random) {
+    await time.increase(random.int(1, 3 * DAY));
+    const user = random.pick(users);
+    const account = user.address;
+    const pool = stakingContract.connect(user);
+    const now = (await time.latest()) + 1;
+
+    switch (random.pick(["stake", "stake", "stakeLocked", "unstake", "claim", "claimAll", "compound", "release", "emergency", "transfer", "notify", "rate", "schedule", "fund"])) {
+      case "stake": {
+        const amount = random.amount(1000);
+        return send(pool.stake(amount), { type: "stake", account, amount });
+      }
+      case "stakeLocked": {
+        const amount = random.amount(1000);
+        const lockDuration = random.pick(lockDurations);
+        const multiplier = await stakingContract.lockMultipliers(lockDuration);
+        return send(pool.stakeLocked(amount, lockDuration), { type: "stakeLocked", account, amount, lockDuration, multiplier });
+      }
+      case "unstake": {
+        const positions = await stakingContract.getLockPositions(account);
+        const locked = positions.reduce((total, lock) => (lock.unlockTime > BigInt(now) ? total + lock.amount : total), 0n);
+        const unlocked = (await stakingContract.getStakedBalance(account)) - locked;
+        if (unlocked === 0n || (await stakingContract.pendingWithdrawals(account)).length >= 16) {
+          return undefined;
+        }
+        const amount = unlocked / BigInt(random.int(1, 4)) || unlocked;
+        return send(pool.requestUnstake(amount), { type: "unstake", account, amount });
+      }
+      case "transfer": {
+        const positions = await stakingContract.getLockPositions(account);
+        const locked = positions.reduce((total, lock) => (lock.unlockTime > BigInt(now) ? total + lock.amount : total), 0n);
+        const unlocked = (await stakingContract.getStakedBalance(account)) - locked;
+        const to = random.pick(users.filter((other) => other !== user)).address;
+        if (unlocked === 0n) {
+          return undefined;
+        }
+        const amount = unlocked / BigInt(random.int(1, 4)) || unlocked;
+        return send(receiptToken.connect(user).transfer(to, amount), { type: "transfer", from: account, to, amount });
+      }
+      case "claim": {
+        const token = random.pick(tokens);
+        return send(pool.claimReward(token), { type: "claim", account, token });
+      }
+      case "claimAll":
+        return send(pool.claimAll(), { type: "claim", account });
+      case "compound":
+        if ((await stakingContract.earned(account, tokens[0])) === 0n) {
+          return undefined;
+        }
+        return send(pool.compound(), { type: "compound", account, stakingToken: tokens[0] });
+      case "release":
+        return send(pool.releaseExpiredLocks(account), { type: "releaseExpiredLocks", account });
+      case "emergency":
+        if ((await stakingContract.getStakedBalance(account)) === 0n) {
+          return undefined;
+        }
+        return send(pool.emergencyWithdraw(), { type: "emergencyWithdraw", account });
+      case "notify": {
+        const token = random.pick(tokens);
+        if (await hasPendingEpochs(token, now)) {
+          return undefined;
+        }
+        const reward = random.amount(50000);
+        const duration = random.int(1, 30) * DAY;
+        return send(stakingContract.notifyRewardAmount(token, reward, duration), {
+          type: "notifyRewardAmount",
+          token,
+          reward,
+          duration,
+        });
+      }
+      case "rate": {
+        const token = random.pick(tokens);
+        const { periodFinish, rewardReserve } = await stakingContract.rewardData(token);
+        // The change is executed a block after it is proposed
+        if (periodFinish <= BigInt(now) + 2n || (await hasPendingEpochs(token, now + 1))) {
+          return undefined;
+        }
+        // Stay well within the reserve, which shrinks slightly until the transaction is mined
+        const rewardRate = (rewardReserve / (periodFinish - BigInt(now)) / 2n) * BigInt(random.int(1, 100)) / 100n;
+        if (rewardRate === 0n) {
+          return undefined;
+        }
+        return setRewardRate(token, rewardRate);
+      }
+      case "schedule": {
+        const token = random.pick(tokens);
+        if (await hasPendingEpochs(token, now)) {
+          return send(stakingContract.cancelEmissionSchedule(token), { type: "cancelEmissionSchedule", token });
+        }
+        // Bring the reserve up to date first, so the schedule can be sized against it
+        await send(pool.releaseExpiredLocks(account), { type: "releaseExpiredLocks", account });
+        const { periodFinish, rewardReserve } = await stakingContract.rewardData(token);
+        const remaining = periodFinish - BigInt(now) - 1n;
+        const count = random.int(1, 4);
+        if (remaining < 8n * BigInt(count)) {
+          return undefined;
+        }
+        // The current rate until the first epoch spends at most a quarter of the reserve,
+        // and the decaying scheduled rates at most half of it
+        const startTime = BigInt(now) + 1n + BigInt(random.int(0, Number(remaining / 4n)));
+        if ((await stakingContract.getRewardRate(token)) * (startTime - BigInt(now)) > rewardReserve / 4n) {
+          return undefined;
+        }
+        const epochs = buildDecaySchedule({
+          startTime,
+          rewardRate: ((rewardReserve / remaining / 2n) * BigInt(random.int(1, 100))) / 100n,
+          epochDuration: (periodFinish - startTime) / BigInt(count),
+          decayBps: random.int(0, 9000),
+          count,
+        }).filter((epoch) => epoch.rewardRate > 0n);
+        if (epochs.length === 0) {
+          return undefined;
+        }
+        return send(stakingContract.setEmissionSchedule(token, epochs), { type: "setEmissionSchedule", token, epochs });
+      }
+      case "fund": {
+        const token = random.pick(tokens);
+        const amount = random.amount(10000);
+        return send(stakingContract.fundRewards(token, amount), { type: "fundRewards", token, amount });
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Asserts that the calculator returns exactly what the pool's views return at the latest block.
+   */
+  async function expectMatchingViews(pool, context) {
+    const blockTag = await ethers.provider.getBlockNumber();
+    const { timestamp } = await ethers.provider.getBlock(blockTag);
+
+    for (const token of tokens) {
+      expect(rewards.rewardPerToken(pool, token, timestamp), `rewardPerToken ${context}`).to.equal(
+        await stakingContract.rewardPerToken(token, { blockTag })
+      );
+      for (const user of users) {
+        expect(rewards.earned(pool, user.address, token, timestamp), `earned ${context}`).to.equal(
+          await stakingContract.earned(user.address, token, { blockTag })
+        );
+        expect(rewards.getEstimatedDailyRewards(pool, user.address, token, timestamp), `daily rewards ${context}`).to.equal(
+          await stakingContract.getEstimatedDailyRewards(user.address, token, { blockTag })
+        );
+      }
+    }
+  }
+
+  for (const seed of seeds) {
+    it(`Should match the contract in a random scenario (seed ${seed})`, async function () {
+      const random = createRandom(seed);
+      const pool = rewards.createPool(tokens[0]);
+      await send(stakingContract.notifyRewardAmount(tokens[0], ethers.parseUnits("86400", 18), 100 * DAY), {
+        type: "notifyRewardAmount",
+        token: tokens[0],
+        reward: ethers.parseUnits("86400", 18),
+        duration: 100 * DAY,
+      });
+
+      for (let step = 0; step < steps; step++) {
+        await randomStep(random);
+        while (actions.length > 0) {
+          rewards.applyAction(pool, actions.shift());
+        }
+        await expectMatchingViews(pool, `after step ${step} (seed ${seed})`);
+      }
+
+      // Project beyond the last transaction, past unreleased lock expiries and period ends
+      await time.increase(random.int(1, 200) * DAY);
+      await expectMatchingViews(pool, `at the projected time (seed ${seed})`);
+    });
+  }
+
+  it("Should report the earnings of every account at a given time", async function () {
+    const random = createRandom(7);
+    await send(stakingContract.notifyRewardAmount(tokens[1], ethers.parseUnits("8640", 18), 10 * DAY), {
+      type: "notifyRewardAmount",
+      token: tokens[1],
+      reward: ethers.parseUnits("8640", 18),
+      duration: 10 * DAY,
+    });
+    for (let step = 0; step < 10; step++) {
+      await randomStep(random);
+    }
+    await time.increase(DAY);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+
+    const pool = rewards.replay(actions, { rewardToken: tokens[0] });
+    for (const { account, token, earned, estimatedDailyRewards } of rewards.earningsAt(pool, timestamp)) {
+      expect(earned).to.equal(await stakingContract.earned(account, token));
+      expect(estimatedDailyRewards).to.equal(await stakingContract.getEstimatedDailyRewards(account, token));
+    }
+
+    // Replaying up to an earlier time ignores the later actions
+    const midpoint = actions[Math.floor(actions.length / 2)].timestamp;
+    const earlier = rewards.replay(actions, { rewardToken: tokens[0], until: midpoint });
+    const replayed = actions.filter((action) => action.timestamp <= midpoint);
+    expect(rewards.earningsAt(earlier, midpoint)).to.deep.equal(
+      rewards.earningsAt(rewards.replay(replayed, { rewardToken: tokens[0] }), midpoint)
+    );
+  });
+
+  it("Should replay the events of an indexed pool", async function () {
+    await send(stakingContract.notifyRewardAmount(tokens[0], ethers.parseUnits("86400", 18), 100 * DAY), {
+      type: "notifyRewardAmount",
+      token: tokens[0],
+      reward: ethers.parseUnits("86400", 18),
+      duration: 100 * DAY,
+    });
+    await stakingContract.connect(users[0]).stake(ethers.parseUnits("100", 18));
+    await stakingContract.connect(users[1]).stakeLocked(ethers.parseUnits("100", 18), 30 * DAY);
+    await time.increase(31 * DAY);
+    await stakingContract.connect(users[1]).claimAll();
+    await stakingContract.connect(users[0]).compound();
+    await receiptToken.connect(users[1]).transfer(users[2].address, ethers.parseUnits("30", 18));
+    await stakingContract.proposeRewardRate(tokens[0], ethers.parseUnits("0.005", 18));
+    await stakingContract.executeRewardRate(tokens[0]);
+    const now = BigInt(await time.latest());
+    await stakingContract.setEmissionSchedule(tokens[0], [
+      { startTime: now + BigInt(DAY), rewardRate: ethers.parseUnits("0.0025", 18) },
+      { startTime: now + BigInt(3 * DAY), rewardRate: ethers.parseUnits("0.00125", 18) },
+    ]);
+    await stakingContract.connect(users[2]).stake(ethers.parseUnits("50", 18));
+    await time.increase(DAY);
+    await stakingContract.connect(users[2]).emergencyWithdraw();
+    await stakingContract.fundRewards(tokens[1], ethers.parseUnits("1000", 18));
+    await stakingContract.notifyRewardAmount(tokens[1], ethers.parseUnits("8640", 18), 10 * DAY);
+    await stakingContract.setEmissionSchedule(tokens[1], [{ startTime: (await time.latest()) + DAY, rewardRate: 1n }]);
+    await time.increase(2 * DAY);
+    await stakingContract.setEmissionSchedule(tokens[1], [{ startTime: (await time.latest()) + 3 * DAY, rewardRate: 2n }]);
+    await stakingContract.cancelEmissionSchedule(tokens[1]);
+    await stakingContract.connect(users[1]).requestUnstake(ethers.parseUnits("40", 18));
+    await stakingContract.connect(users[0]).claimReward(tokens[1]);
+    await time.increase(DAY);
+    await stakingContract.connect(users[0]).emergencyWithdraw();
+    await time.increase(DAY);
+
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "qlk-rewards-")), "index.json");
+    try {
+      const fromBlock = (await stakingContract.deploymentTransaction().wait()).blockNumber;
+      const { store } = await indexer.syncIndex(hre, stakingContract, { storePath, fromBlock });
+      const pool = rewards.replay(rewards.actionsFromEvents(store.events, tokens[0]));
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      for (const user of users) {
+        for (const token of tokens) {
+          expect(rewards.earned(pool, user.address, token, timestamp)).to.equal(
+            await stakingContract.earned(user.address, token)
+          );
+        }
+      }
+    } finally {
+      fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+    }
+  });
+});
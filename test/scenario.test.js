@@ -0,0 +1,104 @@
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { ScenarioError, validateScenario, parseScenario, loadScenario, runScenario } = require("../lib/scenario");
+
+describe("Scenario runner", function () {
+  const scenario = {
+    name: "Two stakers",
+    seed: 7,
+    accounts: 2,
+    pool: { rewardAmount: "8640", rewardDays: 10, rateChangeDelayDays: 0 },
+    steps: [
+      { action: "mint", accounts: "all", amount: "1000" },
+      { action: "approve", accounts: "all" },
+      { action: "stake", accounts: 1, amount: { min: "100", max: "900" } },
+      { action: "stake", accounts: [2], amount: "500", lockDays: 30 },
+      { action: "advance", days: 1 },
+      { action: "checkpoint", label: "Day 1" },
+      { action: "proposeRate", rate: "0.005" },
+      { action: "executeRate" },
+      { action: "unstake", accounts: { from: 1, to: 2 }, amount: "all" },
+      { action: "claim", accounts: "all" },
+      { action: "advance", days: 7 },
+      { action: "withdraw", accounts: "all" },
+    ],
+  };
+
+  it("Should validate scenarios and fill in the pool defaults", function () {
+    const valid = validateScenario(scenario);
+    expect(valid.pool.cooldownDays).to.equal(7);
+    expect(valid.pool.rateChangeDelayDays).to.equal(0);
+
+    const withStep = (step) => ({ ...scenario, steps: [step] });
+    expect(() => validateScenario({ ...scenario, accounts: 0 })).to.throw(ScenarioError, "accounts must be");
+    expect(() => validateScenario(withStep({ action: "jump", days: 1 }))).to.throw('Step 1: unknown action "jump"');
+    expect(() => validateScenario(withStep({ action: "stake", accounts: "some", amount: "1" }))).to.throw(
+      'Step 1 (stake): accounts must be "all"'
+    );
+    expect(() => validateScenario(withStep({ action: "stake", accounts: 1, amount: "all" }))).to.throw(
+      "Step 1 (stake): amount must be a token amount or { min, max }"
+    );
+    expect(() => validateScenario(withStep({ action: "claim", accounts: 1, amount: "1" }))).to.throw('Step 1 (claim): unknown option "amount"');
+    expect(() => validateScenario(withStep({ action: "advance" }))).to.throw("Step 1 (advance): set days, hours or seconds");
+    expect(() => validateScenario({ ...scenario, pool: { rewardRate: "1" } })).to.throw('Unknown pool option "rewardRate"');
+  });
+
+  it("Should read scenarios written as JSON or YAML", function () {
+    const yaml = ["accounts: 1", "steps:", "  - action: advance", "    hours: 2", "  - action: checkpoint"].join("\n");
+    expect(parseScenario(yaml, "yaml").steps).to.deep.equal([{ action: "advance", hours: 2 }, { action: "checkpoint" }]);
+    expect(parseScenario(JSON.stringify(scenario), "json").steps).to.deep.equal(scenario.steps);
+    expect(() => parseScenario("{", "json")).to.throw(ScenarioError, "Invalid JSON");
+
+    const example = loadScenario(path.join(__dirname, "..", "scenarios", "rate-cut-and-exit.yaml"));
+    expect(example.accounts).to.equal(10);
+    expect(example.steps.filter((step) => step.action === "checkpoint")).to.have.lengthOf(3);
+  });
+
+  it("Should run a scenario and report every account at each checkpoint", async function () {
+    const signers = await ethers.getSigners();
+    const report = await runScenario(hre, validateScenario(scenario));
+    const pool = await ethers.getContractAt("StakingContract", report.contract);
+
+    expect(report.checkpoints.map((checkpoint) => checkpoint.label)).to.deep.equal(["Day 1", "End"]);
+    const [day1, end] = report.checkpoints;
+    expect(day1.elapsed).to.be.within(86400, 86400 + 10);
+    expect(day1.pool.rewards[0].rewardRate).to.equal("0.01");
+
+    // The random stake is drawn from the range, the locked one is not unstaked
+    const staked = ethers.parseUnits(day1.accounts[0].stakedBalance, 18);
+    expect(staked).to.be.within(ethers.parseUnits("100", 18), ethers.parseUnits("900", 18));
+    expect(day1.accounts[1].lockedBalance).to.equal("500.0");
+    expect(Number(day1.accounts[0].rewards[0].earned)).to.be.greaterThan(0);
+
+    expect(end.pool.rewards[0].rewardRate).to.equal("0.005");
+    expect(end.accounts[0].stakedBalance).to.equal("0.0");
+    expect(end.accounts[1].stakedBalance).to.equal("500.0");
+    // Account 1 withdrew its whole stake, and claimed its rewards
+    const claimed = ethers.parseUnits(end.accounts[0].rewards[0].claimed, 18);
+    expect(end.accounts[0].walletBalance).to.equal(ethers.formatUnits(ethers.parseUnits("1000", 18) + claimed, 18));
+    for (const [i, account] of end.accounts.entries()) {
+      const info = await pool.getUserInfo(signers[i + 1].address);
+      expect(account.address).to.equal(signers[i + 1].address);
+      expect(account.rewards[0].earned).to.equal(ethers.formatUnits(info.rewards[0].earned, 18));
+      expect(Number(account.rewards[0].claimed)).to.be.greaterThan(0);
+    }
+
+    // The same seed draws the same amounts
+    const again = await runScenario(hre, validateScenario(scenario));
+    expect(again.checkpoints[0].accounts[0].stakedBalance).to.equal(day1.accounts[0].stakedBalance);
+  });
+
+  it("Should stop at a failing step, naming the step and the account", async function () {
+    const failing = validateScenario({
+      accounts: 1,
+      steps: [
+        { action: "mint", accounts: 1, amount: "10" },
+        { action: "approve", accounts: 1 },
+        { action: "stake", accounts: 1, amount: "20" },
+      ],
+    });
+    await expect(runScenario(hre, failing)).to.be.rejectedWith(ScenarioError, "Step 3 (stake) failed for account 1");
+  });
+});
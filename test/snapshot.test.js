@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const indexer = require("../lib/indexer");
+const snapshots = require("../lib/snapshot");
+
+const { ethers } = hre;
+
+describe("Merkle snapshots", function () {
+  let mockToken;
+  let rewardToken;
+  let stakingContract;
+  let receiptToken;
+  let verifier;
+  let users;
+  let storePath;
+  const day = 86400n;
+
+  beforeEach(async function () {
+    let user1, user2, user3, user4;
+    [, user1, user2, user3, user4] = await ethers.getSigners();
+    users = [user1, user2, user3, user4];
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+    rewardToken = await MockToken.deploy("Quantlink Reward Token", "QRWD", 1000000);
+    const token = await mockToken.getAddress();
+
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(token, token);
+    const pool = await stakingContract.getAddress();
+    const StakeReceiptToken = await ethers.getContractFactory("StakeReceiptToken");
+    receiptToken = await StakeReceiptToken.deploy(pool);
+    await stakingContract.setReceiptToken(await receiptToken.getAddress());
+    const StakingSnapshotVerifier = await ethers.getContractFactory("StakingSnapshotVerifier");
+    verifier = await StakingSnapshotVerifier.deploy();
+
+    for (const user of users) {
+      await mockToken.transfer(user.address, ethers.parseUnits("10000", 18));
+      await mockToken.connect(user).approve(pool, ethers.MaxUint256);
+    }
+    await mockToken.approve(pool, ethers.MaxUint256);
+    await rewardToken.approve(pool, ethers.MaxUint256);
+
+    // Rewards in the staking token and in QRWD, 0.01 tokens per second each
+    await stakingContract.addRewardToken(await rewardToken.getAddress());
+    await stakingContract.notifyRewardAmount(token, ethers.parseUnits("86400", 18), 100n * day);
+    await stakingContract.notifyRewardAmount(await rewardToken.getAddress(), ethers.parseUnits("86400", 18), 100n * day);
+
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "qlk-snapshot-")), "index.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  /**
+   * Indexes the pool's events from its deployment block into the temporary store.
+   */
+  async function sync() {
+    const fromBlock = (await stakingContract.deploymentTransaction().wait()).blockNumber;
+    const { store } = await indexer.syncIndex(hre, stakingContract, { storePath, fromBlock });
+    return store;
+  }
+
+  /**
+   * Reads the staked balance and earned rewards of every user at a block, as the snapshot should hold them.
+   */
+  async function readEntries(blockTag) {
+    const rewardTokens = await stakingContract.getRewardTokens();
+    const entries = new Map();
+    for (const user of users) {
+      entries.set(user.address, {
+        stakedBalance: (await stakingContract.stakedBalances(user.address, { blockTag })).toString(),
+        earned: await Promise.all(
+          rewardTokens.map(async (token) => (await stakingContract.earned(user.address, token, { blockTag })).toString())
+        ),
+      });
+    }
+    return entries;
+  }
+
+  it("Should build trees with a valid proof for every leaf, whatever the order of the leaves", async function () {
+    for (let count = 1; count <= 7; count++) {
+      const leaves = Array.from({ length: count }, (_, i) => ethers.id(`leaf ${i}`));
+      const layers = snapshots.buildMerkleTree(hre, leaves);
+      const root = layers[layers.length - 1][0];
+      // The root does not depend on the order of the leaves
+      expect(snapshots.buildMerkleTree(hre, [...leaves].reverse()).at(-1)[0]).to.equal(root);
+
+      for (const leaf of leaves) {
+        const proof = snapshots.getMerkleProof(layers, leaf);
+        expect(snapshots.verifyMerkleProof(hre, root, leaf, proof), `${count} leaves`).to.equal(true);
+        expect(snapshots.verifyMerkleProof(hre, root, ethers.id("other"), proof)).to.equal(false);
+      }
+    }
+    expect(() => snapshots.buildMerkleTree(hre, [])).to.throw("without leaves");
+    expect(() => snapshots.getMerkleProof(snapshots.buildMerkleTree(hre, [ethers.id("a")]), ethers.id("b"))).to.throw("not part of the tree");
+  });
+
+  it("Should freeze every staker's balance and rewards at a past block", async function () {
+    const [user1, user2, user3, user4] = users;
+    await stakingContract.connect(user1).stake(ethers.parseUnits("1000", 18));
+    await stakingContract.connect(user2).stakeLocked(ethers.parseUnits("500", 18), 30n * day);
+    await time.increase(2n * day);
+    await receiptToken.connect(user1).transfer(user3.address, ethers.parseUnits("300", 18));
+    await stakingContract.connect(user4).stake(ethers.parseUnits("200", 18));
+    await time.increase(day);
+    // Leaving with emergencyWithdraw forfeits the rewards, so nothing is left to snapshot
+    await stakingContract.connect(user4).emergencyWithdraw();
+    await stakingContract.connect(user2).claimAll();
+    await time.increase(day);
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const expected = await readEntries(blockNumber);
+
+    // Later activity does not change the snapshot
+    await time.increase(5n * day);
+    await stakingContract.connect(user1).requestUnstake(ethers.parseUnits("700", 18));
+    await stakingContract.connect(user4).stake(ethers.parseUnits("100", 18));
+
+    const snapshot = await snapshots.takeSnapshot(hre, stakingContract, await sync(), blockNumber);
+    expect(snapshot.blockNumber).to.equal(blockNumber);
+    expect(snapshot.timestamp).to.equal((await ethers.provider.getBlock(blockNumber)).timestamp);
+    expect(snapshot.rewardTokens).to.deep.equal([await mockToken.getAddress(), await rewardToken.getAddress()]);
+    expect(snapshot.totalStaked).to.equal(ethers.parseUnits("1500", 18).toString());
+    // The receiver of stake receipts is included, and the account that left is not
+    expect(snapshot.accounts.map((entry) => entry.account)).to.deep.equal([user1.address, user2.address, user3.address]);
+
+    for (const entry of snapshot.accounts) {
+      const { stakedBalance, earned } = expected.get(entry.account);
+      expect(entry.stakedBalance).to.equal(stakedBalance);
+      expect(entry.earned).to.deep.equal(earned);
+      expect(BigInt(entry.earned[1])).to.be.greaterThan(0n);
+    }
+    expect(snapshots.computeSnapshotRoot(hre, snapshot)).to.equal(snapshot.root);
+
+    // The snapshot survives a round trip through its file
+    const snapshotPath = path.join(path.dirname(storePath), "snapshot.json");
+    snapshots.writeSnapshot(snapshotPath, snapshot);
+    expect(snapshots.readSnapshot(snapshotPath)).to.deep.equal(snapshot);
+  });
+
+  it("Should verify each account's proof off-chain and with the verifier contract", async function () {
+    for (const [i, user] of users.entries()) {
+      await stakingContract.connect(user).stake(ethers.parseUnits(String(100 * (i + 1)), 18));
+    }
+    await time.increase(day);
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const snapshot = await snapshots.takeSnapshot(hre, stakingContract, await sync(), blockNumber);
+    expect(snapshot.accounts).to.have.lengthOf(users.length);
+
+    for (const user of users) {
+      const entry = snapshots.findEntry(snapshot, user.address.toLowerCase());
+      expect(snapshots.hashEntry(hre, entry)).to.equal(await verifier.leaf(entry.account, entry.stakedBalance, entry.earned));
+      expect(snapshots.verifyEntry(hre, snapshot.root, entry)).to.equal(true);
+      expect(await verifier.verify(snapshot.root, entry.proof, entry.account, entry.stakedBalance, entry.earned)).to.equal(true);
+
+      // Claiming more than the snapshot holds fails
+      const inflated = { ...entry, stakedBalance: (BigInt(entry.stakedBalance) + 1n).toString() };
+      expect(snapshots.verifyEntry(hre, snapshot.root, inflated)).to.equal(false);
+      expect(await verifier.verify(snapshot.root, entry.proof, entry.account, inflated.stakedBalance, entry.earned)).to.equal(false);
+      // And so does another account presenting this account's entry
+      const other = users.find((candidate) => candidate !== user).address;
+      expect(await verifier.verify(snapshot.root, entry.proof, other, entry.stakedBalance, entry.earned)).to.equal(false);
+    }
+    expect(snapshots.findEntry(snapshot, ethers.ZeroAddress)).to.equal(undefined);
+
+    // An edited file no longer matches its root
+    snapshot.accounts[0].earned[0] = "1";
+    expect(snapshots.computeSnapshotRoot(hre, snapshot)).to.not.equal(snapshot.root);
+  });
+
+  it("Should only snapshot blocks covered by the index with stakers", async function () {
+    const emptyBlock = await ethers.provider.getBlockNumber();
+    await stakingContract.connect(users[0]).stake(ethers.parseUnits("100", 18));
+    const store = await sync();
+
+    await expect(snapshots.takeSnapshot(hre, stakingContract, store, emptyBlock)).to.be.rejectedWith("No account has a stake or rewards");
+    await expect(snapshots.takeSnapshot(hre, stakingContract, store, store.lastIndexedBlock + 1)).to.be.rejectedWith(
+      `The event index only covers blocks up to ${store.lastIndexedBlock}`
+    );
+    await expect(snapshots.takeSnapshot(hre, stakingContract, store, store.startBlock - 1)).to.be.rejectedWith("before the first indexed block");
+  });
+});
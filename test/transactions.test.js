@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const transactions = require("../lib/transactions");
+
+const { ethers } = hre;
+
+describe("Transaction helper", function () {
+  let mockToken;
+  let stakingContract;
+  let owner, user1;
+  let pool;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockToken");
+    mockToken = await MockToken.deploy("Quantlink Token", "QNTL", 1000000);
+
+    const StakingContract = await ethers.getContractFactory("StakingContract");
+    stakingContract = await StakingContract.deploy(await mockToken.getAddress(), await mockToken.getAddress());
+    pool = await stakingContract.getAddress();
+
+    await mockToken.transfer(user1.address, ethers.parseUnits("1000", 18));
+  });
+
+  /**
+   * Returns the message of the TransactionError a preflight of the call fails with.
+   */
+  async function preflightError(method, args, options = {}) {
+    try {
+      await transactions.sendTransaction(hre, method, args, { dryRun: true, ...options });
+    } catch (error) {
+      expect(error).to.be.instanceOf(transactions.TransactionError);
+      return error.message;
+    }
+    expect.fail("The preflight did not fail");
+  }
+
+  it("Should turn reverts into readable messages before sending", async function () {
+    const staking = stakingContract.connect(user1);
+    const nonce = await ethers.provider.getTransactionCount(user1.address);
+    expect(await preflightError(staking.stake, [0])).to.equal("Transaction would revert: Cannot stake 0");
+
+    // The token's custom error is not part of the pool's ABI, and its amounts are in the token's units when it is known
+    expect(await preflightError(staking.stake, [ethers.parseUnits("100", 18)], { token: mockToken })).to.equal(
+      `Transaction would revert: ${pool} may only spend 0.0 QNTL, but 100.0 QNTL are needed. Approve more first`
+    );
+    expect(await preflightError(staking.stake, [100])).to.equal(
+      `Transaction would revert: ${pool} may only spend 0 base units, but 100 base units are needed. Approve more first`
+    );
+    expect(await preflightError(staking.pause, [])).to.equal(`Transaction would revert: ${user1.address} is missing the role PAUSER_ROLE`);
+
+    await stakingContract.pause();
+    expect(await preflightError(staking.stake, [1])).to.equal("Transaction would revert: The staking contract is paused");
+
+    // Nothing was sent
+    expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(nonce);
+  });
+
+  it("Should check balances and allowances up front", async function () {
+    const amount = ethers.parseUnits("100", 18);
+    await expect(transactions.checkTokenFunds(hre, mockToken, user1.address, pool, amount)).to.be.rejectedWith(
+      transactions.TransactionError,
+      `${user1.address} has approved ${pool} for 0.0 QNTL, but 100.0 QNTL are needed. Approve at least that much first`
+    );
+    await expect(transactions.checkTokenFunds(hre, mockToken, user1.address, null, amount * 20n)).to.be.rejectedWith(
+      `${user1.address} holds 1000.0 QNTL, but 2000.0 QNTL are needed`
+    );
+
+    await mockToken.connect(user1).approve(pool, amount);
+    await transactions.checkTokenFunds(hre, mockToken, user1.address, pool, amount);
+
+    // Amounts are formatted with the token's decimals
+    const usdc = {
+      decimals: async () => 6n,
+      symbol: async () => "USDC",
+      balanceOf: async () => 1500000n,
+      allowance: async () => 0n,
+    };
+    await expect(transactions.checkTokenFunds(hre, usdc, user1.address, null, 2000000n)).to.be.rejectedWith(
+      `${user1.address} holds 1.5 USDC, but 2.0 USDC are needed`
+    );
+  });
+
+  it("Should estimate a dry run without sending it, and report the sent transaction", async function () {
+    const staking = stakingContract.connect(user1);
+    await mockToken.connect(user1).approve(pool, ethers.MaxUint256);
+    const logs = [];
+    const log = (message) => logs.push(message);
+
+    const dryRun = await transactions.sendTransaction(hre, staking.stake, [ethers.parseUnits("100", 18)], { dryRun: true, log });
+    expect(dryRun.dryRun).to.equal(true);
+    expect(BigInt(dryRun.gasEstimate)).to.be.greaterThan(0n);
+    expect(logs[0]).to.match(/^Estimated gas: \d+ \(limit \d+\) at max fee .* gwei, priority fee .* gwei, costing at most .* ETH$/);
+    expect(await stakingContract.getTotalStaked()).to.equal(0n);
+
+    const result = await transactions.sendTransaction(hre, staking.stake, [ethers.parseUnits("100", 18)], { log });
+    expect(result).to.include({ dryRun: false, replacements: 0 });
+    const receipt = await ethers.provider.getTransactionReceipt(result.txHash);
+    expect(result.blockNumber).to.equal(receipt.blockNumber);
+    expect(result.gasUsed).to.equal(receipt.gasUsed.toString());
+    const { gasLimit } = await ethers.provider.getTransaction(result.txHash);
+    expect(gasLimit).to.equal((BigInt(dryRun.gasEstimate) * 120n) / 100n);
+    expect(result.fee).to.equal(ethers.formatEther(receipt.gasUsed * receipt.gasPrice));
+    expect(await stakingContract.getTotalStaked()).to.equal(ethers.parseUnits("100", 18));
+  });
+
+  it("Should simulate in the pending block a call that only succeeds from the next block on", async function () {
+    // With no delay, the transfer can be accepted from the block after it was begun, but not in the latest block
+    await stakingContract.beginDefaultAdminTransfer(user1.address);
+    const staking = stakingContract.connect(user1);
+    await expect(staking.acceptDefaultAdminTransfer.staticCall()).to.be.revertedWithCustomError(
+      stakingContract,
+      "AccessControlEnforcedDefaultAdminDelay"
+    );
+
+    const dryRun = await transactions.sendTransaction(hre, staking.acceptDefaultAdminTransfer, [], { dryRun: true });
+    expect(BigInt(dryRun.gasEstimate)).to.be.greaterThan(0n);
+    await transactions.sendTransaction(hre, staking.acceptDefaultAdminTransfer, []);
+    expect(await stakingContract.defaultAdmin()).to.equal(user1.address);
+  });
+
+  it("Should tell a failure to simulate from a revert", async function () {
+    const staking = stakingContract.connect(user1);
+    const method = {
+      staticCall: async () => {
+        throw new Error("connect ECONNREFUSED 127.0.0.1:8545");
+      },
+    };
+    expect(await preflightError(method, [])).to.equal("Could not simulate the transaction: connect ECONNREFUSED 127.0.0.1:8545");
+    expect(await preflightError(staking.stake, [0])).to.equal("Transaction would revert: Cannot stake 0");
+  });
+
+  it("Should replace a transaction that is not mined with higher fees", async function () {
+    const staking = stakingContract.connect(user1);
+    await mockToken.connect(user1).approve(pool, ethers.MaxUint256);
+    const nonce = await ethers.provider.getTransactionCount(user1.address);
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      // Mine the pending transactions once the first replacement is sent
+      const log = (message) => {
+        if (message.startsWith("Replacement transaction hash")) {
+          ethers.provider.send("evm_mine", []);
+        }
+      };
+      const result = await transactions.sendTransaction(hre, staking.stake, [ethers.parseUnits("100", 18)], {
+        replaceAfter: 0.1,
+        pollInterval: 50,
+        log,
+      });
+
+      expect(result.replacements).to.be.greaterThanOrEqual(1);
+      const tx = await ethers.provider.getTransaction(result.txHash);
+      expect(tx.nonce).to.equal(nonce);
+      expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(nonce + 1);
+      expect(await stakingContract.getTotalStaked()).to.equal(ethers.parseUnits("100", 18));
+    } finally {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("Should read the confirmations from the environment", function () {
+    const previous = process.env.CONFIRMATIONS;
+    try {
+      delete process.env.CONFIRMATIONS;
+      expect(transactions.getConfirmations(hre, 5)).to.equal(1);
+      process.env.CONFIRMATIONS = "3";
+      expect(transactions.getConfirmations(hre, 5)).to.equal(3);
+      process.env.CONFIRMATIONS = "0";
+      expect(() => transactions.getConfirmations(hre)).to.throw(transactions.TransactionError, "CONFIRMATIONS must be a whole number");
+    } finally {
+      if (previous === undefined) {
+        delete process.env.CONFIRMATIONS;
+      } else {
+        process.env.CONFIRMATIONS = previous;
+      }
+    }
+  });
+});